@@ -0,0 +1,54 @@
+// Wisdom Vault - Apple Podcasts web adapter (podcasts.apple.com)
+
+(function() {
+  'use strict';
+
+  const { registerAdapter, parseTimestamp, textOf } = window.WisdomVault;
+
+  registerAdapter({
+    platform: 'apple-podcasts',
+    label: 'Apple Podcasts',
+
+    matches(location) {
+      return location.hostname === 'podcasts.apple.com';
+    },
+
+    getNowPlaying() {
+      // The player bar shows whatever is playing, even when browsing another show
+      const player = document.querySelector('amp-chrome-player, .player-bar, [data-testid="player-bar"]');
+
+      const title = (player && textOf([
+        '[data-testid="lcd-title"]',
+        '.lcd-meta__primary',
+        '.player-bar__title'
+      ], player)) || textOf([
+        '[data-testid="episode-title"]',
+        '.product-header__title',
+        'h1'
+      ]);
+
+      const showName = (player && textOf([
+        '[data-testid="lcd-subtitle"] a',
+        '.lcd-meta__secondary a',
+        '.player-bar__subtitle'
+      ], player)) || textOf([
+        '[data-testid="product-header-subtitle"] a',
+        '.product-header__identity a',
+        '.product-header__subtitle a'
+      ]);
+
+      if (!title) return null;
+
+      // Episode URLs carry the episode id as ?i=...; the player's title links
+      // to the playing episode even while browsing another page
+      const episodeLink = player?.querySelector('a[href*="?i="], a[href*="&i="]');
+
+      return {
+        title,
+        showName,
+        timestamp: parseTimestamp(textOf(['[data-testid="current-time"]', '.lcd-progress__time--elapsed', 'time.current-time'])),
+        sourceUrl: episodeLink ? new URL(episodeLink.getAttribute('href'), window.location.origin).href : window.location.href
+      };
+    }
+  });
+})();
@@ -0,0 +1,31 @@
+// Wisdom Vault - Overcast web player adapter (overcast.fm/+episode)
+
+(function() {
+  'use strict';
+
+  const { registerAdapter, parseTimestamp, textOf } = window.WisdomVault;
+
+  registerAdapter({
+    platform: 'overcast',
+    label: 'Overcast',
+
+    matches(location) {
+      return location.hostname === 'overcast.fm' && location.pathname.startsWith('/+');
+    },
+
+    getNowPlaying() {
+      const title = textOf(['.titlestack .title', 'h2.title', '.title']);
+      const showName = textOf(['.titlestack .caption2 a', '.titlestack .caption2', '.caption2 a']);
+
+      if (!title) return null;
+
+      return {
+        title,
+        showName,
+        timestamp: parseTimestamp(textOf(['#timeelapsed'])),
+        // Without a start time left over from a timestamped link (/+episode/1:23)
+        sourceUrl: `https://overcast.fm${window.location.pathname.match(/^\/\+[^/]+/)?.[0] || window.location.pathname}`
+      };
+    }
+  });
+})();
@@ -0,0 +1,44 @@
+// Wisdom Vault - Pocket Casts web player adapter (play.pocketcasts.com)
+
+(function() {
+  'use strict';
+
+  const { registerAdapter, parseTimestamp, textOf } = window.WisdomVault;
+
+  registerAdapter({
+    platform: 'pocket-casts',
+    label: 'Pocket Casts',
+
+    matches(location) {
+      return location.hostname === 'play.pocketcasts.com' || location.hostname === 'pocketcasts.com';
+    },
+
+    getNowPlaying() {
+      const player = document.querySelector('.player-controls, .player_controls, [class*="PlayerControls"]') || document;
+
+      const title = textOf([
+        '.episode-title',
+        '.player_episode',
+        '[class*="EpisodeTitle"]'
+      ], player);
+
+      const showName = textOf([
+        '.podcast-title',
+        '.player_podcast_title',
+        '[class*="PodcastTitle"]'
+      ], player);
+
+      if (!title) return null;
+
+      // The player's episode title links to /podcasts/<podcast>/<episode>
+      const episodeLink = player.querySelector('a[href*="/podcasts/"]');
+
+      return {
+        title,
+        showName,
+        timestamp: parseTimestamp(textOf(['.current-position', '.current_time', '[class*="CurrentTime"]'], player)),
+        sourceUrl: episodeLink ? new URL(episodeLink.getAttribute('href'), window.location.origin).href : window.location.href
+      };
+    }
+  });
+})();
@@ -0,0 +1,52 @@
+// Wisdom Vault - Player adapter registry
+// Each supported web player has an adapter that reads the now-playing episode
+// from the page text and returns the same payload: { title, showName,
+// timestamp, sourceUrl, platform }. content_script.js prefers the Media
+// Session metadata and media element time from page-world.js and only falls
+// back to the adapters' selectors for what those don't provide.
+// Loaded before the adapters and content_script.js on every supported site.
+
+(function() {
+  'use strict';
+
+  const adapters = [];
+
+  // Parse "1:23:45", "23:45" or "45" to seconds
+  function parseTimestamp(timeString) {
+    if (!timeString) return 0;
+
+    const parts = timeString.trim().replace(/^-/, '').split(':').map(Number);
+    if (parts.some(Number.isNaN)) return 0;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  // Trimmed text of the first matching element that has any
+  function textOf(selectors, root = document) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      const text = element?.textContent?.trim();
+      if (text) return text;
+    }
+    return '';
+  }
+
+  // Adapters: { platform, label, matches(location), getNowPlaying(), fromMediaSession? }
+  // getNowPlaying returns { title, showName, timestamp, sourceUrl } or null;
+  // fromMediaSession maps MediaMetadata to { title, showName } when the
+  // player fills it differently from title = episode, artist = show
+  function registerAdapter(adapter) {
+    adapters.push(adapter);
+  }
+
+  function findAdapter(location = window.location) {
+    return adapters.find(adapter => adapter.matches(location)) || null;
+  }
+
+  window.WisdomVault = {
+    registerAdapter,
+    findAdapter,
+    parseTimestamp,
+    textOf
+  };
+})();
@@ -0,0 +1,108 @@
+// Wisdom Vault - Spotify Web Player adapter (open.spotify.com)
+
+(function() {
+  'use strict';
+
+  const { registerAdapter, parseTimestamp, textOf } = window.WisdomVault;
+
+  // Extract show and episode data from the now playing widget
+  function getNowPlayingData() {
+    // Primary selector for now playing widget
+    const nowPlayingWidget = document.querySelector('[data-testid="now-playing-widget"]');
+
+    if (!nowPlayingWidget) {
+      // Try alternative selectors
+      const playerControls = document.querySelector('[data-testid="player-controls"]');
+      if (!playerControls) {
+        return null;
+      }
+    }
+
+    let title = '';
+    let showName = '';
+
+    // Try to get title from now-playing-widget
+    if (nowPlayingWidget) {
+      // Look for the track/episode name link
+      title = textOf([
+        '[data-testid="context-item-info-title"]',
+        'a[data-testid="context-item-link"]'
+      ], nowPlayingWidget);
+
+      const subtitleElement = nowPlayingWidget.querySelector('[data-testid="context-item-info-subtitles"]');
+      if (subtitleElement) {
+        // Show name is usually in the subtitle area
+        const showLink = subtitleElement.querySelector('a');
+        showName = showLink?.textContent?.trim() || subtitleElement.textContent?.trim() || '';
+      }
+    }
+
+    // Alternative: Try to get from player bar if widget selectors failed
+    // Fallback selectors for different Spotify UI versions
+    if (!title) {
+      title = textOf([
+        '[data-testid="now-playing-widget"] a',
+        '.now-playing .track-info__name a',
+        '.now-playing-bar .track-info__name',
+        '[class*="TrackInfo"] a:first-child',
+        '[class*="nowPlayingWidget"] a'
+      ]);
+    }
+
+    if (!showName) {
+      showName = textOf([
+        '.now-playing .track-info__artists a',
+        '.now-playing-bar .track-info__artists',
+        '[class*="TrackInfo"] a:last-child',
+        '[class*="nowPlayingWidget"] span a'
+      ]);
+    }
+
+    return { title, showName };
+  }
+
+  // Get playback position/timestamp
+  function getPlaybackPosition() {
+    // Primary selector, then alternatives for different UI versions
+    const position = textOf([
+      '[data-testid="playback-position"]',
+      '.playback-bar__progress-time:first-child',
+      '[class*="playback-bar"] [class*="progress-time"]:first-child',
+      '.progress-bar__progress-time',
+      '[data-testid="progress-bar"] + span'
+    ]);
+
+    return parseTimestamp(position);
+  }
+
+  // Id of the episode in the now playing widget, if it links to one. Only
+  // used for the page link: the episode URI comes from page-world.js
+  function getEpisodeId() {
+    const link = document.querySelector('[data-testid="now-playing-widget"] a[href*="/episode/"]');
+    return link?.getAttribute('href')?.match(/\/episode\/([A-Za-z0-9]+)/)?.[1] || null;
+  }
+
+  registerAdapter({
+    platform: 'spotify',
+    label: 'Spotify',
+
+    matches(location) {
+      return location.hostname === 'open.spotify.com';
+    },
+
+    getNowPlaying() {
+      const nowPlaying = getNowPlayingData();
+      if (!nowPlaying || !nowPlaying.title) return null;
+
+      // The page can be anything (home, search, the show); link the episode itself
+      const episodeId = getEpisodeId();
+
+      return {
+        title: nowPlaying.title,
+        showName: nowPlaying.showName,
+        timestamp: getPlaybackPosition(),
+        sourceUrl: episodeId ? `https://open.spotify.com/episode/${episodeId}` : window.location.href
+      };
+    }
+  });
+})();
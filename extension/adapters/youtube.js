@@ -0,0 +1,47 @@
+// Wisdom Vault - YouTube adapter (www.youtube.com/watch)
+
+(function() {
+  'use strict';
+
+  const { registerAdapter, parseTimestamp, textOf } = window.WisdomVault;
+
+  function getVideoId() {
+    return new URLSearchParams(window.location.search).get('v');
+  }
+
+  registerAdapter({
+    platform: 'youtube',
+    label: 'YouTube',
+
+    matches(location) {
+      return /(^|\.)youtube\.com$/.test(location.hostname) && location.pathname === '/watch';
+    },
+
+    getNowPlaying() {
+      const videoId = getVideoId();
+      if (!videoId) return null;
+
+      const title = textOf([
+        'h1.ytd-watch-metadata yt-formatted-string',
+        '#title h1',
+        'h1.title'
+      ]) || document.title.replace(/^\(\d+\)\s*/, '').replace(/\s+-\s+YouTube$/, '');
+
+      const showName = textOf([
+        '#owner ytd-channel-name a',
+        'ytd-video-owner-renderer ytd-channel-name a',
+        '#channel-name a'
+      ]) || document.querySelector('span[itemprop="author"] link[itemprop="name"]')?.getAttribute('content') || '';
+
+      if (!title) return null;
+
+      return {
+        title,
+        showName,
+        timestamp: parseTimestamp(textOf(['.ytp-time-current'])),
+        // Drop playlist/time parameters so every capture of a video links the same way
+        sourceUrl: `https://www.youtube.com/watch?v=${videoId}`
+      };
+    }
+  });
+})();
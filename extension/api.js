@@ -0,0 +1,153 @@
+// Wisdom Vault - Shared API helpers
+// Loaded by the popup, the options page and the background service worker
+
+const API_BASE_URL = 'https://wisdom-vault-api.onrender.com';
+
+// Refresh the access token this many seconds before it expires
+const SESSION_REFRESH_MARGIN = 60;
+
+// Stored session: { accessToken, refreshToken, expiresAt, user: { id, email } }
+async function getSession() {
+  const { session } = await chrome.storage.local.get(['session']);
+  return session || null;
+}
+
+async function setSession(session) {
+  await chrome.storage.local.set({ session });
+}
+
+async function clearSession() {
+  await chrome.storage.local.remove('session');
+}
+
+// API key entered in Settings, sent as X-API-Key
+async function getApiKey() {
+  const { apiKey } = await chrome.storage.local.get(['apiKey']);
+  return apiKey || '';
+}
+
+async function setApiKey(apiKey) {
+  await chrome.storage.local.set({ apiKey });
+}
+
+// Topic vocabulary from Settings; the summarizer picks an insight's tags from it
+async function getTagVocabulary() {
+  const { tagVocabulary } = await chrome.storage.local.get(['tagVocabulary']);
+  return tagVocabulary || [];
+}
+
+async function setTagVocabulary(tagVocabulary) {
+  await chrome.storage.local.set({ tagVocabulary });
+}
+
+const DESTINATION_LABELS = {
+  notion: 'Notion',
+  markdown: 'Markdown',
+  readwise: 'Readwise',
+  anki: 'Anki',
+  webhook: 'the webhook'
+};
+
+// Where insights are saved: { name: 'notion' | 'markdown', mode } from Settings
+async function getSaveDestination() {
+  const { saveDestination } = await chrome.storage.local.get(['saveDestination']);
+  return saveDestination || { name: 'notion', mode: null };
+}
+
+async function setSaveDestination(saveDestination) {
+  await chrome.storage.local.set({ saveDestination });
+}
+
+// API key header plus the signed-in user's token, refreshing it if needed
+async function getAuthHeaders() {
+  const apiKey = await getApiKey();
+  const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+  let session = await getSession();
+  
+  if (!session) {
+    return headers;
+  }
+  
+  if (session.expiresAt && session.expiresAt - SESSION_REFRESH_MARGIN < Date.now() / 1000) {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken })
+    });
+    
+    if (!response.ok) {
+      await clearSession();
+      throw new Error('Your session expired. Please sign in again in Settings.');
+    }
+    
+    session = (await response.json()).data;
+    await setSession(session);
+  }
+  
+  return { ...headers, 'Authorization': `Bearer ${session.accessToken}` };
+}
+
+// fetch() against the backend with the user's session attached.
+// No response at all (offline, server unreachable) throws with `retryable`.
+async function apiFetch(path, options = {}) {
+  const authHeaders = await getAuthHeaders();
+  
+  try {
+    return await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...authHeaders,
+        ...options.headers
+      }
+    });
+  } catch (error) {
+    error.retryable = true;
+    throw error;
+  }
+}
+
+// Call the backend and unwrap `{ success, data, message }`
+async function apiRequest(path, options = {}) {
+  const response = await apiFetch(path, options);
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `Request failed (${response.status})`);
+  }
+  
+  return result.data;
+}
+
+// Keep only the most recent episode choices
+const MAX_EPISODE_CHOICES = 200;
+
+// The player's own id for an episode: the Spotify URI, else the page URL
+function episodeChoiceKey(nowPlaying) {
+  return nowPlaying.episodeUri || nowPlaying.sourceUrl || null;
+}
+
+// Episode picked after an uncertain match, sent back as `episodeId`
+async function getEpisodeChoice(nowPlaying) {
+  const key = episodeChoiceKey(nowPlaying);
+  if (!key) return null;
+  
+  const { episodeChoices = {} } = await chrome.storage.local.get(['episodeChoices']);
+  return episodeChoices[key] || null;
+}
+
+async function rememberEpisodeChoice(nowPlaying, episodeId) {
+  const key = episodeChoiceKey(nowPlaying);
+  if (!key) return;
+  
+  const { episodeChoices = {} } = await chrome.storage.local.get(['episodeChoices']);
+  delete episodeChoices[key];
+  episodeChoices[key] = episodeId;
+  
+  const keys = Object.keys(episodeChoices);
+  for (const old of keys.slice(0, Math.max(0, keys.length - MAX_EPISODE_CHOICES))) {
+    delete episodeChoices[old];
+  }
+  
+  await chrome.storage.local.set({ episodeChoices });
+}
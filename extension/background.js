@@ -1,18 +1,37 @@
 // Wisdom Vault - Background Service Worker
 // Handles communication between popup, content scripts, and external APIs
 
-const API_BASE_URL = 'https://wisdom-vault-api.onrender.com';
+importScripts('api.js', 'capture-queue.js');
 
-// Store for recent insights
-let recentInsights = [];
+const JOB_POLL_INTERVAL = 1000;
+const JOB_TIMEOUT = 5 * 60 * 1000;
+
+// A clip start older than this is discarded by the next shortcut press
+const CLIP_MAX_AGE = 30 * 60 * 1000;
+
+// Wakes the worker when the next queued capture is due for a retry
+const CAPTURE_ALARM = 'capture-queue';
+
+// Only one pass over the queue at a time
+let captureQueueRunning = false;
+
+// Open popups (they connect a port), so a capture ready for review only
+// raises a notification when nobody is looking
+let openPopups = 0;
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'popup') return;
+  openPopups++;
+  port.onDisconnect.addListener(() => openPopups--);
+});
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[Wisdom Vault] Extension installed');
   
-  // Initialize storage
+  // Initialize storage (saved insights live on the server, see vault.html)
+  chrome.storage.local.remove('insights');
   chrome.storage.local.set({
-    insights: [],
     settings: {
       apiUrl: API_BASE_URL,
       autoSave: false
@@ -30,14 +49,56 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true; // Keep channel open for async response
       
     case 'SAVE_TO_NOTION':
-      handleSaveToNotion(request.data)
+      handleSave({ ...request.data, destination: 'notion' })
         .then(sendResponse)
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
       
-    case 'GET_RECENT_INSIGHTS':
-      sendResponse({ success: true, insights: recentInsights });
-      break;
+    case 'QUEUE_CAPTURE':
+      addCapture(request.capture, 'popup', { review: true })
+        .then(item => {
+          processCaptureQueue();
+          sendResponse({ success: true, id: item.id });
+        })
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
+    case 'RETRY_CAPTURE':
+      updateCapture(request.id, { status: CAPTURE_STATUS.PENDING, attempts: 0, nextAttemptAt: Date.now(), error: null })
+        .then(() => {
+          processCaptureQueue();
+          sendResponse({ success: true });
+        });
+      return true;
+      
+    case 'CHOOSE_EPISODE':
+      updateCapture(request.id, {
+        episodeId: request.episodeId,
+        status: CAPTURE_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        candidates: null
+      }).then(() => {
+        processCaptureQueue();
+        sendResponse({ success: true });
+      });
+      return true;
+      
+    case 'SAVE_CAPTURE':
+      updateCapture(request.id, {
+        edits: request.edits,
+        status: CAPTURE_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: Date.now()
+      }).then(() => {
+        processCaptureQueue();
+        sendResponse({ success: true });
+      });
+      return true;
+      
+    case 'DISCARD_CAPTURE':
+      discardCapture(request.id).then(() => sendResponse({ success: true }));
+      return true;
       
     case 'GET_SETTINGS':
       chrome.storage.local.get(['settings'], (result) => {
@@ -53,38 +114,71 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Error for a failed API response. Server trouble and rate limits are worth
+// retrying; other client errors (bad key, bad input) are not.
+async function responseError(response, fallbackMessage) {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.message || fallbackMessage);
+  error.retryable = response.status >= 500 || response.status === 429;
+  error.retryAfter = body.retryAfter || null;
+  return error;
+}
+
+// Poll a processing job until it finishes, reporting each stage
+async function waitForJob(jobId, onProgress) {
+  const deadline = Date.now() + JOB_TIMEOUT;
+  
+  while (Date.now() < deadline) {
+    const response = await apiFetch(`/jobs/${jobId}`);
+    
+    if (!response.ok) {
+      const error = await responseError(response, 'Failed to check processing status');
+      // Jobs live in server memory, so a restart loses them; send it again
+      if (response.status === 404) error.retryable = true;
+      throw error;
+    }
+    
+    const { data: job } = await response.json();
+    
+    if (job.status === 'completed') {
+      return job.result;
+    }
+    
+    // The pipeline itself failed: sending it again would redo the
+    // transcription and summary and most likely fail the same way
+    if (job.status === 'failed') {
+      const error = new Error(job.error || 'Failed to process insight');
+      error.retryable = false;
+      throw error;
+    }
+    
+    onProgress?.(job);
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+  
+  // The job may still be running; the user can retry it from the queue
+  const error = new Error('Processing timed out');
+  error.retryable = false;
+  throw error;
+}
+
 // Process insight via backend API
-async function handleProcessInsight(spotifyData) {
+async function handleProcessInsight(nowPlaying, onProgress) {
   try {
-    const response = await fetch(`${API_BASE_URL}/process-insight`, {
+    const response = await apiFetch('/process-insight', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(spotifyData)
+      body: JSON.stringify(nowPlaying)
     });
     
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to process insight');
-    }
-    
-    const result = await response.json();
-    
-    // Store in recent insights
-    recentInsights.unshift({
-      ...spotifyData,
-      ...result,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Keep only last 10 insights
-    if (recentInsights.length > 10) {
-      recentInsights = recentInsights.slice(0, 10);
+      throw await responseError(response, 'Failed to process insight');
     }
     
-    // Persist to storage
-    chrome.storage.local.set({ insights: recentInsights });
+    const { data: queued } = await response.json();
+    const result = await waitForJob(queued.jobId, onProgress);
     
     return { success: true, data: result };
   } catch (error) {
@@ -93,10 +187,10 @@ async function handleProcessInsight(spotifyData) {
   }
 }
 
-// Save to Notion via backend API
-async function handleSaveToNotion(data) {
+// Save to the chosen destination via backend API
+async function handleSave(data) {
   try {
-    const response = await fetch(`${API_BASE_URL}/save-to-notion`, {
+    const response = await apiFetch('/save', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -105,46 +199,292 @@ async function handleSaveToNotion(data) {
     });
     
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to save to Notion');
+      throw await responseError(response, 'Failed to save insight');
+    }
+    
+    const result = await response.json();
+    
+    // A Markdown note the server didn't write to a vault (or an Anki CSV
+    // without AnkiConnect) is downloaded instead
+    if (result.data?.content && !result.data.vaultPath) {
+      await downloadNote(result.data.fileName, result.data.content);
     }
     
-    return await response.json();
+    return result;
   } catch (error) {
-    console.error('[Wisdom Vault] Save to Notion error:', error);
+    console.error('[Wisdom Vault] Save error:', error);
     throw error;
   }
 }
 
-// Handle keyboard shortcut (if configured in manifest)
+// Download a note into a "Wisdom Vault" folder in Downloads
+async function downloadNote(fileName, content) {
+  const type = fileName.endsWith('.csv') ? 'text/csv' : 'text/markdown';
+  await chrome.downloads.download({
+    url: `data:${type};charset=utf-8,${encodeURIComponent(content)}`,
+    filename: `Wisdom Vault/${fileName}`,
+    conflictAction: 'uniquify'
+  });
+}
+
+// Format seconds to MM:SS
+function formatTimestamp(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Show a notification from the shortcut flow
+function notify(message) {
+  chrome.notifications?.create({
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Wisdom Vault',
+    message
+  });
+}
+
+// Get now-playing data from a player tab
+function getNowPlaying(tab) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tab.id, { action: 'GET_NOW_PLAYING' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        reject(new Error(response?.error || 'Could not read playback from this tab'));
+        return;
+      }
+      resolve(response.data);
+    });
+  });
+}
+
+// First press marks the in-point, second press marks the out-point and saves
+async function handleClipShortcut(tab) {
+  const nowPlaying = await getNowPlaying(tab);
+  const { pendingClip } = await chrome.storage.local.get(['pendingClip']);
+  
+  const canEnd = pendingClip &&
+    pendingClip.title === nowPlaying.title &&
+    nowPlaying.timestamp > pendingClip.startSeconds &&
+    Date.now() - pendingClip.markedAt < CLIP_MAX_AGE;
+  
+  if (!canEnd) {
+    await chrome.storage.local.set({
+      pendingClip: {
+        title: nowPlaying.title,
+        startSeconds: nowPlaying.timestamp,
+        markedAt: Date.now()
+      }
+    });
+    notify(`Clip started at ${formatTimestamp(nowPlaying.timestamp)}. Press again to end it.`);
+    return;
+  }
+  
+  await chrome.storage.local.remove('pendingClip');
+  
+  const captureData = {
+    ...nowPlaying,
+    timestamp: pendingClip.startSeconds,
+    startSeconds: pendingClip.startSeconds,
+    endSeconds: nowPlaying.timestamp
+  };
+  
+  // Reviewed in the popup before anything is saved, like popup captures
+  await addCapture(captureData, 'shortcut', { review: true });
+  processCaptureQueue();
+}
+
+// Process a queued capture (unless an earlier attempt already did) and save it.
+// Resolves with the processing result.
+async function deliverCapture(item) {
+  const { capture } = item;
+  let processed = item.processed;
+  
+  if (!processed) {
+    const episodeId = item.episodeId || await getEpisodeChoice(capture);
+    const tagVocabulary = await getTagVocabulary();
+    const { data } = await handleProcessInsight({
+      ...capture,
+      episodeId: episodeId || undefined,
+      // Empty: the server's default vocabulary applies
+      tagVocabulary: tagVocabulary.length > 0 ? tagVocabulary : undefined
+    }, (job) => {
+      updateCapture(item.id, { message: job.message });
+    });
+    
+    if (data.needsEpisodeChoice) {
+      return data;
+    }
+    
+    // The review step and a failed save pick up from here without processing again
+    processed = data;
+    await updateCapture(item.id, { processed });
+  }
+  
+  // Wait for the user to review it in the popup
+  if (item.review && !item.edits) {
+    return { ...processed, needsReview: true };
+  }
+  
+  const edits = item.edits || {};
+  const destination = await getSaveDestination();
+  await updateCapture(item.id, { message: `Saving to ${DESTINATION_LABELS[destination.name] || 'Notion'}...` });
+  await handleSave({
+    ...capture,
+    destination: destination.name,
+    mode: destination.mode || undefined,
+    title: processed.episodeTitle || capture.title,
+    showName: processed.showName || capture.showName,
+    transcript: edits.transcript ?? processed.transcript,
+    // Diarized transcripts are "Speaker: text" lines
+    speakers: processed.speakers || undefined,
+    summary: edits.summary ?? processed.summary,
+    note: edits.note,
+    // Unreviewed captures keep the tags the pipeline suggested
+    tags: edits.tags ?? processed.tags,
+    rating: edits.rating,
+    thumbnail: processed.thumbnail,
+    timestampSeconds: processed.timestampSeconds || capture.timestamp,
+    endSeconds: capture.endSeconds,
+    manualMode: processed.manualMode === true,
+    listenNotesId: processed.listenNotesId || undefined,
+    episodeDate: processed.episodeDate || undefined,
+    insightId: processed.insightId
+  });
+  
+  return processed;
+}
+
+// Describe a capture in notifications: the clip range or the episode title
+function captureLabel(capture) {
+  if (capture.endSeconds) {
+    return `Clip ${formatTimestamp(capture.startSeconds)}–${formatTimestamp(capture.endSeconds)}`;
+  }
+  return `"${capture.title}"`;
+}
+
+async function runCapture(item) {
+  await updateCapture(item.id, { status: CAPTURE_STATUS.PROCESSING, message: 'Sending capture...', error: null });
+  
+  try {
+    const result = await deliverCapture(item);
+    
+    // Uncertain match: the popup shows the candidates
+    if (result.needsEpisodeChoice) {
+      await updateCapture(item.id, { status: CAPTURE_STATUS.NEEDS_CHOICE, candidates: result.candidates, message: null });
+      if (item.source === 'shortcut') {
+        notify('Not sure which episode this is. Open Wisdom Vault to choose it.');
+      }
+      return;
+    }
+    
+    if (result.needsReview) {
+      await updateCapture(item.id, { status: CAPTURE_STATUS.REVIEW, message: null });
+      if (openPopups === 0) {
+        notify(`${captureLabel(item.capture)} is ready. Open Wisdom Vault to review and save it.`);
+      }
+      return;
+    }
+    
+    // The transcript and summary now live in the destination
+    await updateCapture(item.id, {
+      status: CAPTURE_STATUS.DONE,
+      message: null,
+      processed: null,
+      manualMode: result.manualMode === true
+    });
+    
+    // The popup shows its own result unless this took a retry
+    if (item.source === 'shortcut' || item.attempts > 0) {
+      notify(`${captureLabel(item.capture)} saved!`);
+    }
+  } catch (error) {
+    console.error('[Wisdom Vault] Capture failed:', error);
+    
+    const attempts = item.attempts + 1;
+    // Only network errors, server errors and rate limits are retried on their own
+    const giveUp = error.retryable !== true || attempts >= MAX_CAPTURE_ATTEMPTS;
+    const delay = Math.max(retryDelay(attempts), (error.retryAfter || 0) * 1000);
+    
+    await updateCapture(item.id, {
+      status: giveUp ? CAPTURE_STATUS.FAILED : CAPTURE_STATUS.PENDING,
+      attempts,
+      nextAttemptAt: giveUp ? null : Date.now() + delay,
+      message: null,
+      error: error.message
+    });
+    
+    if (giveUp) {
+      notify(`${captureLabel(item.capture)} could not be saved: ${error.message}`);
+    }
+  }
+}
+
+// Drop a capture. One that was processed but never saved is removed from
+// the server's library too.
+async function discardCapture(id) {
+  const item = (await getCaptureQueue()).find(entry => entry.id === id);
+  await removeCapture(id);
+  
+  const insightId = item?.processed?.insightId;
+  if (insightId && item.status !== CAPTURE_STATUS.DONE) {
+    apiFetch(`/insights/${insightId}`, { method: 'DELETE' })
+      .catch(error => console.error('[Wisdom Vault] Failed to delete discarded insight:', error));
+  }
+}
+
+// Send every capture that's due, then set an alarm for the next retry
+async function processCaptureQueue() {
+  if (captureQueueRunning) return;
+  captureQueueRunning = true;
+  
+  try {
+    // Nothing is running in this worker, so these were cut off when the last one stopped
+    for (const item of await getCaptureQueue()) {
+      if (item.status === CAPTURE_STATUS.PROCESSING) {
+        await updateCapture(item.id, { status: CAPTURE_STATUS.PENDING, nextAttemptAt: Date.now(), message: null });
+      }
+    }
+    
+    let item;
+    while ((item = (await getCaptureQueue()).find(entry =>
+      entry.status === CAPTURE_STATUS.PENDING && entry.nextAttemptAt <= Date.now()
+    ))) {
+      await runCapture(item);
+    }
+  } finally {
+    captureQueueRunning = false;
+  }
+  
+  const retries = (await getCaptureQueue())
+    .filter(entry => entry.status === CAPTURE_STATUS.PENDING)
+    .map(entry => entry.nextAttemptAt);
+  
+  if (retries.length > 0) {
+    chrome.alarms.create(CAPTURE_ALARM, { when: Math.max(Math.min(...retries), Date.now() + 1000) });
+  } else {
+    chrome.alarms.clear(CAPTURE_ALARM);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CAPTURE_ALARM) {
+    processCaptureQueue();
+  }
+});
+
+// Pick up captures left from the last session, and retry as soon as we're back online
+chrome.runtime.onStartup.addListener(() => processCaptureQueue());
+self.addEventListener('online', () => processCaptureQueue());
+
+// Handle keyboard shortcut (configured in manifest commands)
 chrome.commands?.onCommand?.addListener((command) => {
   if (command === 'save-insight') {
-    // Get active tab and trigger save
+    // Get active tab and mark the clip start or end
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const tab = tabs[0];
-      if (tab && tab.url && tab.url.includes('open.spotify.com')) {
-        chrome.tabs.sendMessage(tab.id, { action: 'GET_SPOTIFY_DATA' }, (response) => {
-          if (response && response.success) {
-            handleProcessInsight(response.data)
-              .then(() => {
-                // Show notification
-                chrome.notifications?.create({
-                  type: 'basic',
-                  iconUrl: 'icons/icon48.png',
-                  title: 'Wisdom Vault',
-                  message: 'Insight saved successfully!'
-                });
-              })
-              .catch(error => {
-                chrome.notifications?.create({
-                  type: 'basic',
-                  iconUrl: 'icons/icon48.png',
-                  title: 'Wisdom Vault',
-                  message: `Error: ${error.message}`
-                });
-              });
-          }
-        });
+      // Tabs without a player adapter simply don't answer
+      if (tab && tab.url) {
+        handleClipShortcut(tab).catch(error => notify(`Error: ${error.message}`));
       }
     });
   }
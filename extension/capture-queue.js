@@ -0,0 +1,103 @@
+// Wisdom Vault - Capture queue
+// Captures are written to chrome.storage before anything is sent, so a cold
+// or unreachable backend doesn't lose them. The background service worker is
+// the only writer; the popup reads the queue and sends it messages.
+//
+// Item: { id, capture, source: 'popup' | 'shortcut', status, attempts,
+//   nextAttemptAt, message, error, candidates, episodeId, processed,
+//   review, edits, manualMode, createdAt, updatedAt }
+//
+// With `review` set, a processed capture waits in REVIEW until the user
+// saves it from the popup with their `edits` (transcript, summary, note,
+// tags, rating); nothing is written to Notion before that.
+
+const CAPTURE_QUEUE_KEY = 'captureQueue';
+
+const CAPTURE_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  NEEDS_CHOICE: 'needs-choice',
+  REVIEW: 'review',
+  FAILED: 'failed',
+  DONE: 'done'
+};
+
+// Retry after 30s, 1m, 2m, 4m... up to 30 minutes apart, then give up
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+const MAX_CAPTURE_ATTEMPTS = 8;
+
+// Finished captures kept for the queue view
+const MAX_DONE_CAPTURES = 10;
+
+async function getCaptureQueue() {
+  const { [CAPTURE_QUEUE_KEY]: queue } = await chrome.storage.local.get([CAPTURE_QUEUE_KEY]);
+  return queue || [];
+}
+
+// Read-modify-write of the stored queue, one at a time so progress updates
+// can't overwrite each other
+let captureQueueWrite = Promise.resolve();
+
+function changeCaptureQueue(change) {
+  const write = captureQueueWrite.then(async () => {
+    const queue = await getCaptureQueue();
+    const result = change(queue);
+
+    const done = queue.filter(item => item.status === CAPTURE_STATUS.DONE);
+    const stale = new Set(done.slice(0, Math.max(0, done.length - MAX_DONE_CAPTURES)));
+    await chrome.storage.local.set({ [CAPTURE_QUEUE_KEY]: queue.filter(item => !stale.has(item)) });
+    return result;
+  });
+
+  captureQueueWrite = write.catch(() => {});
+  return write;
+}
+
+// Delay before the next attempt, after `attempts` failed ones
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY);
+}
+
+function addCapture(capture, source, { review = false } = {}) {
+  const now = Date.now();
+  const item = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    capture,
+    source,
+    status: CAPTURE_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    message: null,
+    error: null,
+    candidates: null,
+    episodeId: null,
+    processed: null,
+    review,
+    edits: null,
+    manualMode: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return changeCaptureQueue(queue => {
+    queue.push(item);
+    return item;
+  });
+}
+
+// Resolves with the updated item, or null if it was discarded meanwhile
+function updateCapture(id, changes) {
+  return changeCaptureQueue(queue => {
+    const item = queue.find(entry => entry.id === id);
+    if (item) Object.assign(item, changes, { updatedAt: Date.now() });
+    return item || null;
+  });
+}
+
+function removeCapture(id) {
+  return changeCaptureQueue(queue => {
+    const index = queue.findIndex(item => item.id === id);
+    if (index !== -1) queue.splice(index, 1);
+  });
+}
@@ -1,215 +1,97 @@
-// Wisdom Vault - Content Script for Spotify
-// This script runs on open.spotify.com/* pages
+// Wisdom Vault - Content Script
+// Runs on every supported player after adapters/registry.js and the site's
+// adapter, and answers now-playing requests from the popup/background.
+// Playback is read from page-world.js (Media Session metadata, the playing
+// media element and Spotify's episode URI) first; the adapter's DOM selectors
+// fill in whatever that can't provide.
 
 (function() {
   'use strict';
 
-  // Parse timestamp string to seconds
-  function parseTimestamp(timeString) {
-    if (!timeString) return 0;
-    
-    // Handle formats like "1:23:45" or "23:45" or "45"
-    const parts = timeString.split(':').map(Number);
-    
-    if (parts.length === 3) {
-      // Hours:Minutes:Seconds
-      return parts[0] * 3600 + parts[1] * 60 + parts[2];
-    } else if (parts.length === 2) {
-      // Minutes:Seconds
-      return parts[0] * 60 + parts[1];
-    } else if (parts.length === 1) {
-      // Just seconds
-      return parts[0];
-    }
-    
-    return 0;
-  }
-
-  // Get the current Spotify URL
-  function getSpotifyUrl() {
-    return window.location.href;
-  }
-
-  // Extract show and episode data from the now playing widget
-  function getNowPlayingData() {
-    // Primary selector for now playing widget
-    const nowPlayingWidget = document.querySelector('[data-testid="now-playing-widget"]');
-    
-    if (!nowPlayingWidget) {
-      // Try alternative selectors
-      const playerControls = document.querySelector('[data-testid="player-controls"]');
-      if (!playerControls) {
-        return null;
+  // Keep in sync with page-world.js
+  const REQUEST_EVENT = 'wisdom-vault:playback-request';
+  const RESPONSE_EVENT = 'wisdom-vault:playback';
+
+  const { findAdapter } = window.WisdomVault;
+
+  // Ask the page-world script for a playback snapshot
+  // Dispatch is synchronous, so the answer (if any) arrives before this returns
+  function readPageWorld() {
+    let snapshot = null;
+    const onResponse = (event) => {
+      try {
+        snapshot = JSON.parse(event.detail);
+      } catch (error) {
+        snapshot = null;
       }
-    }
+    };
 
-    let title = '';
-    let showName = '';
-    
-    // Try to get title from now-playing-widget
-    if (nowPlayingWidget) {
-      // Look for the track/episode name link
-      const titleLink = nowPlayingWidget.querySelector('a[data-testid="context-item-link"]');
-      const titleElement = nowPlayingWidget.querySelector('[data-testid="context-item-info-title"]');
-      const subtitleElement = nowPlayingWidget.querySelector('[data-testid="context-item-info-subtitles"]');
-      
-      if (titleElement) {
-        title = titleElement.textContent?.trim() || '';
-      } else if (titleLink) {
-        title = titleLink.textContent?.trim() || '';
-      }
-      
-      if (subtitleElement) {
-        // Show name is usually in the subtitle area
-        const showLink = subtitleElement.querySelector('a');
-        showName = showLink?.textContent?.trim() || subtitleElement.textContent?.trim() || '';
-      }
-    }
+    document.addEventListener(RESPONSE_EVENT, onResponse);
+    document.dispatchEvent(new CustomEvent(REQUEST_EVENT));
+    document.removeEventListener(RESPONSE_EVENT, onResponse);
 
-    // Alternative: Try to get from player bar if widget selectors failed
-    if (!title) {
-      const playerTitle = document.querySelector('[data-testid="now-playing-widget"] a');
-      title = playerTitle?.textContent?.trim() || '';
-    }
+    return snapshot;
+  }
 
-    // Fallback selectors for different Spotify UI versions
-    if (!title) {
-      const altTitleSelectors = [
-        '.now-playing .track-info__name a',
-        '.now-playing-bar .track-info__name',
-        '[class*="TrackInfo"] a:first-child',
-        '[class*="nowPlayingWidget"] a'
-      ];
-      
-      for (const selector of altTitleSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent) {
-          title = element.textContent.trim();
-          break;
-        }
-      }
-    }
+  // Main function to get the now-playing payload
+  // The adapter is looked up per request: YouTube and others navigate without reloading
+  function getNowPlaying() {
+    const adapter = findAdapter();
 
-    if (!showName) {
-      const altShowSelectors = [
-        '.now-playing .track-info__artists a',
-        '.now-playing-bar .track-info__artists',
-        '[class*="TrackInfo"] a:last-child',
-        '[class*="nowPlayingWidget"] span a'
-      ];
-      
-      for (const selector of altShowSelectors) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent) {
-          showName = element.textContent.trim();
-          break;
-        }
-      }
+    if (!adapter) {
+      return {
+        success: false,
+        error: 'This page is not a supported podcast player.'
+      };
     }
 
-    return { title, showName };
-  }
+    const fromPage = adapter.getNowPlaying() || {};
+    const playback = readPageWorld();
+    const metadata = playback?.metadata?.title ? playback.metadata : null;
+    const fromSession = metadata
+      ? (adapter.fromMediaSession ? adapter.fromMediaSession(metadata) : { title: metadata.title, showName: metadata.artist || metadata.album })
+      : {};
+    const position = playback?.media || playback?.positionState || null;
 
-  // Get playback position/timestamp
-  function getPlaybackPosition() {
-    // Primary selector
-    const positionElement = document.querySelector('[data-testid="playback-position"]');
-    
-    if (positionElement) {
-      return parseTimestamp(positionElement.textContent?.trim());
-    }
-    
-    // Alternative selectors for different UI versions
-    const altSelectors = [
-      '.playback-bar__progress-time:first-child',
-      '[class*="playback-bar"] [class*="progress-time"]:first-child',
-      '.progress-bar__progress-time',
-      '[data-testid="progress-bar"] + span'
-    ];
-    
-    for (const selector of altSelectors) {
-      const element = document.querySelector(selector);
-      if (element && element.textContent) {
-        return parseTimestamp(element.textContent.trim());
-      }
-    }
-    
-    return 0;
-  }
-
-  // Check if currently playing content is a podcast
-  function isPodcast() {
-    // Check URL patterns for podcasts/shows
-    const url = window.location.href;
-    if (url.includes('/show/') || url.includes('/episode/')) {
-      return true;
-    }
-    
-    // Check for podcast-specific UI elements
-    const podcastIndicators = [
-      '[data-testid="episode-page"]',
-      '[data-testid="show-page"]',
-      '.podcast-header',
-      '[class*="EpisodePage"]',
-      '[class*="ShowPage"]'
-    ];
-    
-    for (const selector of podcastIndicators) {
-      if (document.querySelector(selector)) {
-        return true;
-      }
-    }
-    
-    // Check if now-playing widget has podcast-like structure (shows have different metadata)
-    const widget = document.querySelector('[data-testid="now-playing-widget"]');
-    if (widget) {
-      const href = widget.querySelector('a')?.getAttribute('href') || '';
-      if (href.includes('/episode/') || href.includes('/show/')) {
-        return true;
-      }
-    }
-    
-    return false;
-  }
+    const title = fromSession.title || fromPage.title;
 
-  // Main function to get all Spotify data
-  function getSpotifyData() {
-    const nowPlaying = getNowPlayingData();
-    
-    if (!nowPlaying || !nowPlaying.title) {
+    if (!title) {
       return {
         success: false,
-        error: 'No content currently playing. Please play a podcast episode.'
+        error: `Nothing playing on ${adapter.label}. Please play a podcast episode.`
       };
     }
 
-    const timestamp = getPlaybackPosition();
-    const spotifyUrl = getSpotifyUrl();
-    
+    // Which source the timestamp came from
+    let strategy = 'dom';
+    if (playback?.media) {
+      strategy = 'media-element';
+    } else if (playback?.positionState) {
+      strategy = 'media-session';
+    }
+
     return {
       success: true,
       data: {
-        title: nowPlaying.title,
-        showName: nowPlaying.showName,
-        timestamp: timestamp,
-        spotifyUrl: spotifyUrl,
-        isPodcast: isPodcast()
+        title,
+        showName: fromSession.showName || fromPage.showName || '',
+        timestamp: position ? Math.round(position.currentTime * 10) / 10 : (fromPage.timestamp || 0),
+        duration: position?.duration || null,
+        sourceUrl: fromPage.sourceUrl || window.location.href,
+        platform: adapter.platform,
+        episodeUri: playback?.episodeUri || null,
+        strategy
       }
     };
   }
 
   // Listen for messages from popup/background
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'GET_SPOTIFY_DATA') {
-      const data = getSpotifyData();
-      sendResponse(data);
+    if (request.action === 'GET_NOW_PLAYING') {
+      sendResponse(getNowPlaying());
     }
-    
-    // Return true to indicate we'll respond asynchronously if needed
-    return true;
   });
 
   // Log that content script is loaded (for debugging)
-  console.log('[Wisdom Vault] Content script loaded on Spotify');
+  console.log(`[Wisdom Vault] Content script loaded on ${window.location.hostname}`);
 })();
-
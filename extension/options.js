@@ -0,0 +1,374 @@
+// Wisdom Vault - Options Page Script
+
+const UI = {
+  apiKeyInput: document.getElementById('api-key-input'),
+  saveApiKeyBtn: document.getElementById('save-api-key-btn'),
+  apiKeyStatus: document.getElementById('api-key-status'),
+  signedOut: document.getElementById('signed-out'),
+  signedIn: document.getElementById('signed-in'),
+  emailInput: document.getElementById('email-input'),
+  sendCodeBtn: document.getElementById('send-code-btn'),
+  codeRow: document.getElementById('code-row'),
+  codeInput: document.getElementById('code-input'),
+  verifyBtn: document.getElementById('verify-btn'),
+  userEmail: document.getElementById('user-email'),
+  signOutBtn: document.getElementById('sign-out-btn'),
+  accountStatus: document.getElementById('account-status'),
+  notionCard: document.getElementById('notion-card'),
+  notionDisconnected: document.getElementById('notion-disconnected'),
+  notionConnected: document.getElementById('notion-connected'),
+  connectNotionBtn: document.getElementById('connect-notion-btn'),
+  workspaceName: document.getElementById('workspace-name'),
+  databaseSelect: document.getElementById('database-select'),
+  saveDatabaseBtn: document.getElementById('save-database-btn'),
+  disconnectNotionBtn: document.getElementById('disconnect-notion-btn'),
+  notionStatus: document.getElementById('notion-status'),
+  vocabularyInput: document.getElementById('vocabulary-input'),
+  saveVocabularyBtn: document.getElementById('save-vocabulary-btn'),
+  vocabularyStatus: document.getElementById('vocabulary-status'),
+  destinationSelect: document.getElementById('destination-select'),
+  modeSelect: document.getElementById('mode-select'),
+  saveDestinationBtn: document.getElementById('save-destination-btn'),
+  destinationStatus: document.getElementById('destination-status'),
+  integrationsCard: document.getElementById('integrations-card'),
+  integrationList: document.getElementById('integration-list'),
+  integrationsStatus: document.getElementById('integrations-status')
+};
+
+const MODE_LABELS = {
+  file: 'One note per insight',
+  daily: 'Daily note'
+};
+
+// Destinations from GET /destinations, by name
+let destinations = {};
+
+// Show a status line under a card; pass an empty message to hide it
+function setStatus(element, message, isError = false) {
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+  element.classList.toggle('hidden', !message);
+}
+
+// Render the account card from the stored session
+async function renderAccount() {
+  const session = await getSession();
+
+  UI.signedOut.classList.toggle('hidden', !!session);
+  UI.signedIn.classList.toggle('hidden', !session);
+  UI.notionCard.classList.toggle('hidden', !session);
+  UI.integrationsCard.classList.toggle('hidden', !session);
+
+  if (session) {
+    UI.userEmail.textContent = session.user?.email || '';
+    await Promise.all([renderNotion(), renderIntegrations()]);
+  }
+}
+
+// Render the Notion card from GET /me
+async function renderNotion() {
+  setStatus(UI.notionStatus, '');
+
+  try {
+    const { notion, notionOAuthAvailable } = await apiRequest('/me');
+
+    UI.notionDisconnected.classList.toggle('hidden', !!notion);
+    UI.notionConnected.classList.toggle('hidden', !notion);
+    UI.connectNotionBtn.disabled = !notionOAuthAvailable;
+
+    if (!notionOAuthAvailable) {
+      setStatus(UI.notionStatus, 'Notion connections are not enabled on this server.', true);
+    }
+
+    if (notion) {
+      UI.workspaceName.textContent = notion.workspaceName || 'Notion';
+      await loadDatabases(notion.databaseId);
+    }
+  } catch (error) {
+    setStatus(UI.notionStatus, error.message, true);
+  }
+}
+
+// Fill the database picker, selecting the saved database
+async function loadDatabases(selectedId) {
+  const databases = await apiRequest('/notion/databases');
+
+  UI.databaseSelect.innerHTML = '';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = databases.length ? 'Choose a database...' : 'No shared databases found';
+  UI.databaseSelect.appendChild(placeholder);
+
+  for (const database of databases) {
+    const option = document.createElement('option');
+    option.value = database.id;
+    option.textContent = database.title;
+    UI.databaseSelect.appendChild(option);
+  }
+
+  UI.databaseSelect.value = selectedId || '';
+}
+
+// Fill the destination picker from the server, selecting the saved one
+async function loadDestinations() {
+  const saved = await getSaveDestination();
+
+  try {
+    const { destinations: list } = await apiRequest('/destinations');
+    destinations = Object.fromEntries(list.map(destination => [destination.name, destination]));
+  } catch (error) {
+    destinations = { notion: { name: 'notion', label: 'Notion', modes: [] } };
+    setStatus(UI.destinationStatus, error.message, true);
+  }
+
+  UI.destinationSelect.innerHTML = '';
+  for (const destination of Object.values(destinations)) {
+    const option = document.createElement('option');
+    option.value = destination.name;
+    option.textContent = destination.label;
+    UI.destinationSelect.appendChild(option);
+  }
+
+  UI.destinationSelect.value = destinations[saved.name] ? saved.name : 'notion';
+  renderModes(saved.mode);
+}
+
+// Show the modes of the selected destination, if it has any
+function renderModes(selectedMode) {
+  const modes = destinations[UI.destinationSelect.value]?.modes || [];
+
+  UI.modeSelect.innerHTML = '';
+  for (const mode of modes) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = MODE_LABELS[mode] || mode;
+    UI.modeSelect.appendChild(option);
+  }
+
+  UI.modeSelect.value = modes.includes(selectedMode) ? selectedMode : modes[0] || '';
+  UI.modeSelect.classList.toggle('hidden', modes.length === 0);
+}
+
+async function handleSaveDestination() {
+  const destination = destinations[UI.destinationSelect.value];
+  if (!destination) return;
+
+  await setSaveDestination({ name: destination.name, mode: UI.modeSelect.value || null });
+  setStatus(UI.destinationStatus, `Insights will be saved to ${destination.label}.`);
+}
+
+// Render a settings form per push destination from GET /destinations/settings
+async function renderIntegrations() {
+  setStatus(UI.integrationsStatus, '');
+
+  try {
+    const { destinations: list } = await apiRequest('/destinations/settings');
+
+    UI.integrationList.innerHTML = '';
+    for (const destination of list) {
+      UI.integrationList.appendChild(renderIntegration(destination));
+    }
+  } catch (error) {
+    setStatus(UI.integrationsStatus, error.message, true);
+  }
+}
+
+function renderIntegration(destination) {
+  const section = document.createElement('div');
+  section.className = 'integration';
+
+  const title = document.createElement('p');
+  title.className = 'integration-title';
+  title.textContent = destination.label;
+  section.appendChild(title);
+
+  const inputs = {};
+  for (const field of destination.fields) {
+    const label = document.createElement('label');
+    label.className = 'field-label';
+    label.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.type = field.secret ? 'password' : 'text';
+    input.placeholder = field.placeholder || '';
+    input.value = destination.config[field.key] || '';
+    input.autocomplete = 'off';
+    inputs[field.key] = input;
+
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.appendChild(input);
+    section.append(label, row);
+  }
+
+  const toggle = document.createElement('label');
+  toggle.className = 'toggle';
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = destination.enabled;
+  toggle.append(enabled, 'Send every new insight');
+  section.appendChild(toggle);
+
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save';
+  section.appendChild(saveBtn);
+
+  const status = document.createElement('p');
+  status.className = 'status hidden';
+  section.appendChild(status);
+
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+
+    try {
+      const config = Object.fromEntries(Object.entries(inputs).map(([key, input]) => [key, input.value.trim()]));
+      const saved = await apiRequest(`/destinations/${destination.name}/settings`, {
+        method: 'PUT',
+        body: JSON.stringify({ enabled: enabled.checked, config })
+      });
+
+      for (const [key, input] of Object.entries(inputs)) {
+        input.value = saved.config[key] || '';
+      }
+      setStatus(status, saved.enabled
+        ? `New insights will be sent to ${destination.label}.`
+        : `${destination.label} settings saved.`);
+    } catch (error) {
+      setStatus(status, error.message, true);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  return section;
+}
+
+async function handleSaveApiKey() {
+  await setApiKey(UI.apiKeyInput.value.trim());
+  setStatus(UI.apiKeyStatus, UI.apiKeyInput.value.trim() ? 'API key saved.' : 'API key removed.');
+}
+
+async function handleSaveVocabulary() {
+  const tags = UI.vocabularyInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+  const vocabulary = [...new Set(tags)];
+
+  await setTagVocabulary(vocabulary);
+  UI.vocabularyInput.value = vocabulary.join(', ');
+  setStatus(UI.vocabularyStatus, vocabulary.length
+    ? `Saved ${vocabulary.length} topic${vocabulary.length === 1 ? '' : 's'}.`
+    : 'Topics cleared; the summarizer will choose its own tags.');
+}
+
+async function handleSendCode() {
+  const email = UI.emailInput.value.trim();
+  if (!email) return;
+
+  UI.sendCodeBtn.disabled = true;
+
+  try {
+    await apiRequest('/auth/code', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+    UI.codeRow.classList.remove('hidden');
+    UI.codeInput.focus();
+    setStatus(UI.accountStatus, `We emailed a sign-in code to ${email}.`);
+  } catch (error) {
+    setStatus(UI.accountStatus, error.message, true);
+  } finally {
+    UI.sendCodeBtn.disabled = false;
+  }
+}
+
+async function handleVerify() {
+  const email = UI.emailInput.value.trim();
+  const code = UI.codeInput.value.trim();
+  if (!email || !code) return;
+
+  UI.verifyBtn.disabled = true;
+
+  try {
+    const session = await apiRequest('/auth/verify', {
+      method: 'POST',
+      body: JSON.stringify({ email, code })
+    });
+    await setSession(session);
+    UI.codeInput.value = '';
+    UI.codeRow.classList.add('hidden');
+    setStatus(UI.accountStatus, '');
+    await renderAccount();
+  } catch (error) {
+    setStatus(UI.accountStatus, error.message, true);
+  } finally {
+    UI.verifyBtn.disabled = false;
+  }
+}
+
+async function handleSignOut() {
+  await clearSession();
+  setStatus(UI.accountStatus, 'Signed out.');
+  await renderAccount();
+}
+
+async function handleConnectNotion() {
+  try {
+    const { url } = await apiRequest('/notion/oauth/url');
+    chrome.tabs.create({ url });
+    setStatus(UI.notionStatus, 'Finish connecting in the new tab, then come back here.');
+  } catch (error) {
+    setStatus(UI.notionStatus, error.message, true);
+  }
+}
+
+async function handleSaveDatabase() {
+  const databaseId = UI.databaseSelect.value;
+  if (!databaseId) return;
+
+  UI.saveDatabaseBtn.disabled = true;
+
+  try {
+    const database = await apiRequest('/notion/database', {
+      method: 'PUT',
+      body: JSON.stringify({ databaseId })
+    });
+    setStatus(UI.notionStatus, `Insights will be saved to "${database.title}".`);
+  } catch (error) {
+    setStatus(UI.notionStatus, error.message, true);
+  } finally {
+    UI.saveDatabaseBtn.disabled = false;
+  }
+}
+
+async function handleDisconnectNotion() {
+  try {
+    await apiRequest('/notion/connection', { method: 'DELETE' });
+    await renderNotion();
+  } catch (error) {
+    setStatus(UI.notionStatus, error.message, true);
+  }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  UI.saveApiKeyBtn.addEventListener('click', handleSaveApiKey);
+  UI.sendCodeBtn.addEventListener('click', handleSendCode);
+  UI.verifyBtn.addEventListener('click', handleVerify);
+  UI.signOutBtn.addEventListener('click', handleSignOut);
+  UI.connectNotionBtn.addEventListener('click', handleConnectNotion);
+  UI.saveDatabaseBtn.addEventListener('click', handleSaveDatabase);
+  UI.disconnectNotionBtn.addEventListener('click', handleDisconnectNotion);
+  UI.saveVocabularyBtn.addEventListener('click', handleSaveVocabulary);
+  UI.destinationSelect.addEventListener('change', () => renderModes(UI.modeSelect.value));
+  UI.saveDestinationBtn.addEventListener('click', handleSaveDestination);
+
+  // Pick up a connection finished in another tab
+  window.addEventListener('focus', () => {
+    getSession().then(session => session && renderNotion());
+  });
+
+  UI.apiKeyInput.value = await getApiKey();
+  UI.vocabularyInput.value = (await getTagVocabulary()).join(', ');
+  renderAccount();
+  loadDestinations();
+});
@@ -0,0 +1,172 @@
+// Wisdom Vault - Page-world playback reader
+// Runs in the page's own JavaScript world (manifest "world": "MAIN"), where
+// navigator.mediaSession and media elements that were never attached to the
+// DOM (Spotify plays through one) are visible. The isolated content script
+// asks for a snapshot with a DOM event and gets the answer back the same way;
+// event dispatch is synchronous, so the round trip needs no waiting.
+// It also resumes timestamped links (?t=754) on players that ignore `t`, and
+// on Spotify notes the URI of the episode playing from the player state the
+// web player syncs with Spotify Connect.
+
+(function() {
+  'use strict';
+
+  // Keep in sync with content_script.js
+  const REQUEST_EVENT = 'wisdom-vault:playback-request';
+  const RESPONSE_EVENT = 'wisdom-vault:playback';
+
+  if (window.__wisdomVaultPageWorld) return;
+  window.__wisdomVaultPageWorld = true;
+
+  const mediaElements = new Set();
+  let lastPlayed = null;
+  let positionState = null;
+  let episodeUri = null;
+
+  // Start time of a link saved by Wisdom Vault: ?t=754 or ?t=754s
+  let resumeAt = Number(new URLSearchParams(window.location.search).get('t')?.match(/^(\d+)s?$/)?.[1] ?? NaN);
+
+  // Seek the first media that plays to the link's start time, unless the
+  // player already honoured it
+  function resume(element) {
+    if (!Number.isFinite(resumeAt)) return;
+
+    const target = resumeAt;
+    resumeAt = NaN;
+    element.addEventListener('playing', () => {
+      if (Math.abs(element.currentTime - target) > 2) element.currentTime = target;
+    }, { once: true });
+  }
+
+  function track(element) {
+    mediaElements.add(element);
+    lastPlayed = element;
+    resume(element);
+  }
+
+  // Catch detached elements as they start playing...
+  const originalPlay = HTMLMediaElement.prototype.play;
+  HTMLMediaElement.prototype.play = function(...args) {
+    track(this);
+    return originalPlay.apply(this, args);
+  };
+
+  // ...and attached ones, including any that started before we loaded
+  document.addEventListener('play', event => {
+    if (event.target instanceof HTMLMediaElement) track(event.target);
+  }, true);
+
+  // Players report position to the OS media controls; remember the last report
+  if (navigator.mediaSession?.setPositionState) {
+    const originalSetPositionState = navigator.mediaSession.setPositionState.bind(navigator.mediaSession);
+    navigator.mediaSession.setPositionState = function(state) {
+      positionState = state ? { ...state, reportedAt: Date.now() } : null;
+      return originalSetPositionState(state);
+    };
+  }
+
+  // Spotify Connect state: { player_state: { track: { uri } } }, nested in
+  // the cluster updates pushed over the websocket and in the device
+  // registration response
+  function playerTrackUri(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 4) return undefined;
+
+    const uri = value.player_state?.track?.uri;
+    if (typeof uri === 'string') return uri;
+
+    for (const child of Object.values(value)) {
+      const found = playerTrackUri(child, depth + 1);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+
+  // Remember the episode playing; music (spotify:track:...) clears it
+  function readPlayerState(text) {
+    if (typeof text !== 'string' || !text.includes('player_state')) return;
+
+    try {
+      const uri = playerTrackUri(JSON.parse(text));
+      if (uri !== undefined) {
+        episodeUri = /^spotify:episode:[A-Za-z0-9]+$/.test(uri) ? uri : null;
+      }
+    } catch (error) {
+      // Not JSON (or compressed): nothing to read
+    }
+  }
+
+  if (window.location.hostname === 'open.spotify.com') {
+    const NativeWebSocket = window.WebSocket;
+    window.WebSocket = class extends NativeWebSocket {
+      constructor(...args) {
+        super(...args);
+        this.addEventListener('message', event => readPlayerState(event.data));
+      }
+    };
+
+    const originalFetch = window.fetch;
+    window.fetch = (...args) => {
+      const response = originalFetch(...args);
+      const url = String(args[0]?.url || args[0] || '');
+
+      if (url.includes('/connect-state/')) {
+        response
+          .then(result => result.clone().text())
+          .then(readPlayerState)
+          .catch(() => {});
+      }
+      return response;
+    };
+  }
+
+  // Prefer whatever is playing right now, then the last element that played
+  function currentMedia() {
+    document.querySelectorAll('audio, video').forEach(element => mediaElements.add(element));
+
+    const candidates = [...mediaElements].filter(element => element.currentSrc || element.srcObject);
+    return candidates.find(element => !element.paused && !element.ended) ||
+      (lastPlayed && candidates.includes(lastPlayed) ? lastPlayed : candidates[0]) ||
+      null;
+  }
+
+  // Position from the last setPositionState call, advanced by the time since
+  function reportedPosition() {
+    if (!positionState || !Number.isFinite(positionState.position)) return null;
+
+    const playing = navigator.mediaSession.playbackState === 'playing';
+    const elapsed = playing ? (Date.now() - positionState.reportedAt) / 1000 * (positionState.playbackRate || 1) : 0;
+    const position = positionState.position + elapsed;
+
+    return {
+      currentTime: positionState.duration ? Math.min(position, positionState.duration) : position,
+      duration: positionState.duration || null
+    };
+  }
+
+  function snapshot() {
+    const metadata = navigator.mediaSession?.metadata;
+    const media = currentMedia();
+    const reported = reportedPosition();
+
+    return {
+      metadata: metadata ? {
+        title: metadata.title || '',
+        artist: metadata.artist || '',
+        album: metadata.album || ''
+      } : null,
+      playbackState: navigator.mediaSession?.playbackState || 'none',
+      media: media && Number.isFinite(media.currentTime) ? {
+        currentTime: media.currentTime,
+        duration: Number.isFinite(media.duration) ? media.duration : null,
+        paused: media.paused
+      } : null,
+      positionState: reported,
+      episodeUri
+    };
+  }
+
+  document.addEventListener(REQUEST_EVENT, () => {
+    // Objects don't cross worlds in event details; strings do
+    document.dispatchEvent(new CustomEvent(RESPONSE_EVENT, { detail: JSON.stringify(snapshot()) }));
+  });
+})();
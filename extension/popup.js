@@ -1,26 +1,73 @@
 // Wisdom Vault - Popup Script
-const API_BASE_URL = 'https://wisdom-vault-api.onrender.com';
+// Captures go through the background worker's queue (capture-queue.js);
+// the popup follows their progress in chrome.storage.
+
+const UNSUPPORTED_PAGE_MESSAGE = 'Open Spotify, YouTube, Apple Podcasts, Pocket Casts or Overcast in this tab (refresh it if it was already open).';
+
+const PLATFORM_LABELS = {
+  spotify: 'Spotify',
+  youtube: 'YouTube',
+  'apple-podcasts': 'Apple Podcasts',
+  'pocket-casts': 'Pocket Casts',
+  overcast: 'Overcast'
+};
+
+// How the content script read playback (see content_script.js)
+const STRATEGY_LABELS = {
+  'media-session': 'Read from Media Session',
+  'media-element': 'Read from the media player',
+  dom: 'Read from page text (less precise)'
+};
+
+// `episodeId` for "none of the candidates": save a bookmark
+const NO_EPISODE = 'none';
 
 // UI State Management
 const UI = {
   defaultState: document.getElementById('default-state'),
   nowPlayingState: document.getElementById('now-playing-state'),
   processingState: document.getElementById('processing-state'),
+  pickerState: document.getElementById('picker-state'),
+  candidateList: document.getElementById('candidate-list'),
+  candidateNone: document.getElementById('candidate-none'),
+  reviewState: document.getElementById('review-state'),
+  reviewTitle: document.getElementById('review-title'),
+  reviewShow: document.getElementById('review-show'),
+  reviewText: document.getElementById('review-text'),
+  reviewTranscript: document.getElementById('review-transcript'),
+  reviewSummary: document.getElementById('review-summary'),
+  reviewNote: document.getElementById('review-note'),
+  reviewTags: document.getElementById('review-tags'),
+  reviewRating: document.getElementById('review-rating'),
+  regenerateBtn: document.getElementById('regenerate-btn'),
+  reviewError: document.getElementById('review-error'),
+  reviewSaveBtn: document.getElementById('review-save-btn'),
+  reviewDiscardBtn: document.getElementById('review-discard-btn'),
   successState: document.getElementById('success-state'),
   errorState: document.getElementById('error-state'),
   saveBtn: document.getElementById('save-btn'),
   episodeTitle: document.getElementById('episode-title'),
   showName: document.getElementById('show-name'),
   timestamp: document.getElementById('timestamp'),
+  platform: document.getElementById('platform'),
+  playbackSource: document.getElementById('playback-source'),
   processingText: document.getElementById('processing-text'),
-  errorMessage: document.getElementById('error-message')
+  errorMessage: document.getElementById('error-message'),
+  summaryStyle: document.getElementById('summary-style'),
+  clipBtn: document.getElementById('clip-btn'),
+  clipStatus: document.getElementById('clip-status'),
+  queuePanel: document.getElementById('queue-panel'),
+  queueList: document.getElementById('queue-list')
 };
 
+
 // Hide all states
 function hideAllStates() {
   UI.defaultState.classList.add('hidden');
   UI.nowPlayingState.classList.add('hidden');
   UI.processingState.classList.add('hidden');
+  UI.pickerState.classList.add('hidden');
+  UI.reviewState.classList.add('hidden');
   UI.successState.classList.add('hidden');
   UI.errorState.classList.add('hidden');
 }
@@ -28,6 +75,7 @@ function hideAllStates() {
 // Show specific state
 function showState(stateName, data = {}) {
   hideAllStates();
+  UI.clipBtn.disabled = false;
   
   switch (stateName) {
     case 'default':
@@ -39,6 +87,8 @@ function showState(stateName, data = {}) {
       UI.nowPlayingState.classList.remove('hidden');
       UI.episodeTitle.textContent = data.title || 'Unknown Episode';
       UI.showName.textContent = data.showName || 'Unknown Show';
+      UI.platform.textContent = PLATFORM_LABELS[data.platform] ? `on ${PLATFORM_LABELS[data.platform]}` : '';
+      UI.playbackSource.textContent = STRATEGY_LABELS[data.strategy] || '';
       UI.timestamp.textContent = formatTimestamp(data.timestamp || 0);
       UI.saveBtn.disabled = false;
       break;
@@ -47,6 +97,21 @@ function showState(stateName, data = {}) {
       UI.processingState.classList.remove('hidden');
       UI.processingText.textContent = data.message || 'Processing insight...';
       UI.saveBtn.disabled = true;
+      UI.clipBtn.disabled = true;
+      break;
+      
+    case 'picker':
+      UI.pickerState.classList.remove('hidden');
+      renderCandidates(data.candidates || []);
+      UI.saveBtn.disabled = true;
+      UI.clipBtn.disabled = true;
+      break;
+      
+    case 'review':
+      UI.reviewState.classList.remove('hidden');
+      fillReview(data);
+      UI.saveBtn.disabled = true;
+      UI.clipBtn.disabled = true;
       break;
       
     case 'success':
@@ -76,20 +141,202 @@ function formatTimestamp(seconds) {
   return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
-// Get current Spotify data from content script
-async function getSpotifyData() {
+// Format seconds as "1h 05m" or "42 min"
+function formatDuration(seconds) {
+  const mins = Math.round(seconds / 60);
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)}h ${(mins % 60).toString().padStart(2, '0')}m`;
+}
+
+// One row per candidate episode: artwork, title, show, date, duration
+function renderCandidates(candidates) {
+  UI.candidateList.innerHTML = '';
+  
+  for (const candidate of candidates) {
+    const button = document.createElement('button');
+    button.className = 'candidate';
+    button.dataset.episodeId = candidate.id;
+    
+    const art = document.createElement('img');
+    art.className = 'candidate-art';
+    art.alt = '';
+    if (candidate.thumbnail) art.src = candidate.thumbnail;
+    
+    const info = document.createElement('div');
+    info.className = 'candidate-info';
+    
+    const title = document.createElement('p');
+    title.className = 'track-title';
+    title.textContent = candidate.title;
+    
+    const show = document.createElement('p');
+    show.className = 'track-artist';
+    show.textContent = candidate.showName || 'Unknown Show';
+    
+    const meta = document.createElement('p');
+    meta.className = 'candidate-meta';
+    meta.textContent = [
+      candidate.publishedAt ? new Date(candidate.publishedAt).toLocaleDateString() : null,
+      candidate.durationSeconds ? formatDuration(candidate.durationSeconds) : null,
+      `${Math.round(candidate.confidence * 100)}% match`
+    ].filter(Boolean).join(' · ');
+    
+    info.append(title, show, meta);
+    button.append(art, info);
+    UI.candidateList.appendChild(button);
+  }
+}
+
+// Show the candidates and wait for the user to pick one (or none)
+function chooseEpisode(candidates) {
+  showState('picker', { candidates });
+  
+  return new Promise(resolve => {
+    const onPick = (event) => {
+      const button = event.target.closest('.candidate');
+      if (!button) return;
+      cleanup();
+      resolve(button.dataset.episodeId);
+    };
+    const onNone = () => {
+      cleanup();
+      resolve(NO_EPISODE);
+    };
+    const cleanup = () => {
+      UI.candidateList.removeEventListener('click', onPick);
+      UI.candidateNone.removeEventListener('click', onNone);
+    };
+    
+    UI.candidateList.addEventListener('click', onPick);
+    UI.candidateNone.addEventListener('click', onNone);
+  });
+}
+
+// Summary points one per line, whether the server sent a list or a paragraph
+function summaryText(summary) {
+  return Array.isArray(summary) ? summary.join('\n') : (summary || '');
+}
+
+function setRating(rating) {
+  UI.reviewRating.dataset.rating = rating || '';
+  for (const star of UI.reviewRating.querySelectorAll('.star')) {
+    star.classList.toggle('active', Number(star.dataset.rating) <= rating);
+  }
+}
+
+// Fill the review form from a processed capture
+function fillReview(item) {
+  const processed = item.processed || {};
+  const capture = item.capture || {};
+  
+  UI.reviewTitle.textContent = processed.episodeTitle || capture.title || 'Unknown Episode';
+  UI.reviewShow.textContent = `${processed.showName || capture.showName || 'Unknown Show'} · ${formatTimestamp(processed.timestampSeconds || capture.timestamp || 0)}`;
+  
+  // Bookmarks have no transcript or summary to edit
+  UI.reviewText.classList.toggle('hidden', processed.manualMode === true);
+  UI.reviewTranscript.value = processed.transcript || '';
+  UI.reviewSummary.value = summaryText(processed.summary);
+  UI.regenerateBtn.disabled = !processed.insightId;
+  UI.regenerateBtn.textContent = 'Regenerate';
+  UI.reviewError.classList.add('hidden');
+  
+  UI.reviewNote.value = '';
+  // Tags proposed by the summarizer, ready to adjust
+  UI.reviewTags.value = (processed.tags || []).join(', ');
+  setRating(0);
+}
+
+function readReview(item) {
+  const edits = {
+    note: UI.reviewNote.value.trim(),
+    tags: UI.reviewTags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+    rating: Number(UI.reviewRating.dataset.rating) || null
+  };
+  
+  if (item.processed?.manualMode !== true) {
+    edits.transcript = UI.reviewTranscript.value.trim();
+    edits.summary = UI.reviewSummary.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  
+  return edits;
+}
+
+// Summarize the (possibly edited) transcript again
+async function regenerateSummary(item) {
+  UI.regenerateBtn.disabled = true;
+  UI.regenerateBtn.textContent = 'Regenerating...';
+  UI.reviewError.classList.add('hidden');
+  
+  try {
+    const { summary } = await apiRequest(`/insights/${item.processed.insightId}/summary`, {
+      method: 'POST',
+      body: JSON.stringify({
+        transcript: UI.reviewTranscript.value.trim(),
+        summaryStyle: UI.summaryStyle.value || item.capture.summaryStyle
+      })
+    });
+    UI.reviewSummary.value = summaryText(summary);
+  } catch (error) {
+    console.error('Error regenerating summary:', error);
+    UI.reviewError.textContent = `Couldn't regenerate the summary: ${error.message}`;
+    UI.reviewError.classList.remove('hidden');
+  } finally {
+    UI.regenerateBtn.disabled = false;
+    UI.regenerateBtn.textContent = 'Regenerate';
+  }
+}
+
+// Show the processed capture for editing; resolves with the edits on Save,
+// or null on Discard
+function reviewCapture(item) {
+  showState('review', item);
+  
+  return new Promise(resolve => {
+    const onRate = (event) => {
+      const star = event.target.closest('.star');
+      if (!star) return;
+      const rating = Number(star.dataset.rating);
+      // Clicking the current rating clears it
+      setRating(rating === Number(UI.reviewRating.dataset.rating) ? 0 : rating);
+    };
+    const onRegenerate = () => regenerateSummary(item);
+    const onSave = () => {
+      cleanup();
+      resolve(readReview(item));
+    };
+    const onDiscard = () => {
+      cleanup();
+      resolve(null);
+    };
+    const cleanup = () => {
+      UI.reviewRating.removeEventListener('click', onRate);
+      UI.regenerateBtn.removeEventListener('click', onRegenerate);
+      UI.reviewSaveBtn.removeEventListener('click', onSave);
+      UI.reviewDiscardBtn.removeEventListener('click', onDiscard);
+    };
+    
+    UI.reviewRating.addEventListener('click', onRate);
+    UI.regenerateBtn.addEventListener('click', onRegenerate);
+    UI.reviewSaveBtn.addEventListener('click', onSave);
+    UI.reviewDiscardBtn.addEventListener('click', onDiscard);
+  });
+}
+
+// Get the now-playing episode from the player tab's content script
+async function getNowPlaying() {
   return new Promise((resolve, reject) => {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const tab = tabs[0];
       
-      if (!tab || !tab.url || !tab.url.includes('open.spotify.com')) {
-        reject(new Error('Please open Spotify Web Player'));
+      if (!tab || !tab.url) {
+        reject(new Error(UNSUPPORTED_PAGE_MESSAGE));
         return;
       }
       
-      chrome.tabs.sendMessage(tab.id, { action: 'GET_SPOTIFY_DATA' }, (response) => {
+      chrome.tabs.sendMessage(tab.id, { action: 'GET_NOW_PLAYING' }, (response) => {
         if (chrome.runtime.lastError) {
-          reject(new Error('Could not connect to Spotify. Please refresh the page.'));
+          // No content script: either not a player, or the page predates the extension
+          reject(new Error(UNSUPPORTED_PAGE_MESSAGE));
           return;
         }
         
@@ -103,118 +350,416 @@ async function getSpotifyData() {
   });
 }
 
-// Process insight via backend
-async function processInsight(spotifyData) {
-  const response = await fetch(`${API_BASE_URL}/process-insight`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(spotifyData)
+// Send a message to the background worker
+function sendToBackground(action, data = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action, ...data }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        reject(new Error(response?.error || 'Wisdom Vault could not queue the capture'));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Report a queued capture's progress; resolves with the item once it's done,
+// failed, waiting for a retry, an episode choice or a review (null if discarded)
+function watchCapture(id, onProgress) {
+  return new Promise(resolve => {
+    const check = (queue) => {
+      const item = queue.find(entry => entry.id === id);
+      const inFlight = item && (item.status === CAPTURE_STATUS.PROCESSING ||
+        (item.status === CAPTURE_STATUS.PENDING && item.attempts === 0));
+      
+      if (inFlight) {
+        onProgress(item);
+        return;
+      }
+      
+      chrome.storage.onChanged.removeListener(onChanged);
+      resolve(item || null);
+    };
+    const onChanged = (changes, area) => {
+      if (area === 'local' && changes[CAPTURE_QUEUE_KEY]) {
+        check(changes[CAPTURE_QUEUE_KEY].newValue || []);
+      }
+    };
+    
+    chrome.storage.onChanged.addListener(onChanged);
+    getCaptureQueue().then(check);
   });
+}
+
+// Load available summary styles from the backend
+async function loadSummaryStyles() {
+  const response = await apiFetch('/summary-styles');
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || 'Failed to process insight');
+    throw new Error('Failed to load summary styles');
   }
   
-  return response.json();
+  const { data } = await response.json();
+  
+  UI.summaryStyle.innerHTML = '';
+  for (const style of data.styles) {
+    const option = document.createElement('option');
+    option.value = style.name;
+    option.textContent = style.description || style.name;
+    UI.summaryStyle.appendChild(option);
+  }
+  UI.summaryStyle.value = data.default;
 }
 
-// Save to Notion via backend
-async function saveToNotion(data) {
-  const response = await fetch(`${API_BASE_URL}/save-to-notion`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(data)
-  });
+// Pick the style last used for this show, if any
+async function restoreSummaryStyle(showName) {
+  const { summaryStyles = {} } = await chrome.storage.local.get(['summaryStyles']);
+  const saved = summaryStyles[showName];
   
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || 'Failed to save to Notion');
+  if (saved && [...UI.summaryStyle.options].some(option => option.value === saved)) {
+    UI.summaryStyle.value = saved;
+  }
+}
+
+// Remember the chosen style for this show
+async function rememberSummaryStyle(showName, style) {
+  if (!showName) return;
+  
+  const { summaryStyles = {} } = await chrome.storage.local.get(['summaryStyles']);
+  summaryStyles[showName] = style;
+  await chrome.storage.local.set({ summaryStyles });
+}
+
+// Show the pending clip's in-point, if any
+function renderClip(clip) {
+  if (clip) {
+    UI.clipBtn.textContent = 'End clip';
+    UI.clipStatus.textContent = `Clip started at ${formatTimestamp(clip.startSeconds)}`;
+    UI.clipStatus.classList.remove('hidden');
+  } else {
+    UI.clipBtn.textContent = 'Start clip';
+    UI.clipStatus.classList.add('hidden');
+  }
+}
+
+// Mark the in-point, or the out-point of a clip that's already started
+async function handleClipClick() {
+  const { pendingClip } = await chrome.storage.local.get(['pendingClip']);
+  
+  if (!pendingClip) {
+    try {
+      const nowPlaying = await getNowPlaying();
+      const clip = {
+        title: nowPlaying.title,
+        startSeconds: nowPlaying.timestamp,
+        markedAt: Date.now()
+      };
+      await chrome.storage.local.set({ pendingClip: clip });
+      renderClip(clip);
+      showState('nowPlaying', nowPlaying);
+    } catch (error) {
+      showState('error', { message: error.message });
+    }
+    return;
   }
   
-  return response.json();
+  await chrome.storage.local.remove('pendingClip');
+  renderClip(null);
+  await handleSaveInsight(pendingClip);
 }
 
 // Main save handler
-async function handleSaveInsight() {
+// With a pending clip, captures from its in-point to the current position
+async function handleSaveInsight(clip = null) {
   try {
-    // Step 1: Get Spotify data
-    showState('processing', { message: 'Fetching Spotify data...' });
-    const spotifyData = await getSpotifyData();
+    // Step 1: Read the player
+    showState('processing', { message: 'Reading playback...' });
+    let nowPlaying = await getNowPlaying();
+    
+    if (clip) {
+      if (clip.title !== nowPlaying.title) {
+        throw new Error('The clip was started on a different episode');
+      }
+      if (nowPlaying.timestamp <= clip.startSeconds) {
+        throw new Error('End the clip after its start point');
+      }
+      nowPlaying = {
+        ...nowPlaying,
+        timestamp: clip.startSeconds,
+        startSeconds: clip.startSeconds,
+        endSeconds: nowPlaying.timestamp
+      };
+    }
     
     // Show what we found
-    showState('nowPlaying', spotifyData);
+    showState('nowPlaying', nowPlaying);
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Step 2: Process the insight
-    showState('processing', { message: 'Searching for podcast...' });
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await captureInsight(nowPlaying);
+  } catch (error) {
+    showCaptureError(error);
+  }
+}
+
+// Queue a capture with the background worker and follow it
+async function captureInsight(nowPlaying) {
+  try {
+    // Step 2: Queue the capture; it survives the popup closing or the server being down
+    showState('processing', { message: 'Queuing insight...' });
+    const summaryStyle = UI.summaryStyle.value;
+    rememberSummaryStyle(nowPlaying.showName, summaryStyle);
     
-    showState('processing', { message: 'Transcribing audio...' });
-    const processedResult = await processInsight(spotifyData);
+    const { id } = await sendToBackground('QUEUE_CAPTURE', { capture: { ...nowPlaying, summaryStyle } });
+    await followCapture(id);
+  } catch (error) {
+    showCaptureError(error);
+  }
+}
+
+// Show a queued capture's progress and outcome, asking for the episode and
+// the review when needed
+async function followCapture(id) {
+  const onProgress = (item) => {
+    showState('processing', { message: item.message || 'Queuing insight...' });
+  };
+  
+  let item = await watchCapture(id, onProgress);
+  
+  while (item?.status === CAPTURE_STATUS.NEEDS_CHOICE || item?.status === CAPTURE_STATUS.REVIEW) {
+    if (item.status === CAPTURE_STATUS.NEEDS_CHOICE) {
+      // Not sure which episode this is: let the user pick, then it runs again
+      await chooseEpisodeFor(item);
+    } else if (!await reviewAndSave(item)) {
+      showState('default');
+      return;
+    }
+    item = await watchCapture(id, onProgress);
+  }
+  
+  if (!item) {
+    showState('default');
+    return;
+  }
+  
+  if (item.status === CAPTURE_STATUS.FAILED) {
+    throw new Error(item.error || 'Failed to save insight');
+  }
+  
+  if (item.status === CAPTURE_STATUS.PENDING) {
+    showState('success', {
+      message: `Couldn't reach the server (${item.error}). The capture is queued and will retry ${formatRetry(item.nextAttemptAt)}.`
+    });
+  } else if (item.manualMode) {
+    const destination = await getSaveDestination();
+    showState('success', { message: `Saved! Add your own notes in ${DESTINATION_LABELS[destination.name] || 'Notion'}.` });
+  } else {
+    showState('success');
+  }
+  
+  // Reset after 3 seconds (longer when there's more to read)
+  setTimeout(() => {
+    showState('default');
+  }, item.status === CAPTURE_STATUS.PENDING ? 8000 : 3000);
+}
+
+// Ask which candidate episode a queued capture is, and send it again
+async function chooseEpisodeFor(item) {
+  const episodeId = await chooseEpisode(item.candidates);
+  if (episodeId !== NO_EPISODE) {
+    await rememberEpisodeChoice(item.capture, episodeId);
+  }
+  
+  showState('processing', { message: 'Queuing insight...' });
+  await sendToBackground('CHOOSE_EPISODE', { id: item.id, episodeId });
+}
+
+// Let the user edit a processed capture, then save or discard it.
+// Resolves false if it was discarded.
+async function reviewAndSave(item) {
+  const edits = await reviewCapture(item);
+  
+  if (!edits) {
+    await sendToBackground('DISCARD_CAPTURE', { id: item.id });
+    return false;
+  }
+  
+  const destination = await getSaveDestination();
+  showState('processing', { message: `Saving to ${DESTINATION_LABELS[destination.name] || 'Notion'}...` });
+  await sendToBackground('SAVE_CAPTURE', { id: item.id, edits });
+  return true;
+}
+
+function showCaptureError(error) {
+  console.error('Error saving insight:', error);
+  showState('error', { message: error.message });
+  
+  // Reset after 5 seconds
+  setTimeout(() => {
+    showState('default');
+  }, 5000);
+}
+
+// "in 2 min", "in 30s" or "now"
+function formatRetry(nextAttemptAt) {
+  const seconds = Math.round((nextAttemptAt - Date.now()) / 1000);
+  if (seconds <= 0) return 'now';
+  if (seconds < 60) return `in ${seconds}s`;
+  return `in ${Math.round(seconds / 60)} min`;
+}
+
+const QUEUE_STATUS_LABELS = {
+  [CAPTURE_STATUS.PENDING]: 'Waiting to send',
+  [CAPTURE_STATUS.PROCESSING]: 'Processing...',
+  [CAPTURE_STATUS.NEEDS_CHOICE]: 'Choose the episode',
+  [CAPTURE_STATUS.REVIEW]: 'Ready to review',
+  [CAPTURE_STATUS.FAILED]: 'Failed',
+  [CAPTURE_STATUS.DONE]: 'Saved'
+};
+
+function queueStatusText(item) {
+  switch (item.status) {
+    case CAPTURE_STATUS.PENDING:
+      return item.attempts > 0
+        ? `Retrying ${formatRetry(item.nextAttemptAt)} · ${item.error}`
+        : QUEUE_STATUS_LABELS[item.status];
+    case CAPTURE_STATUS.PROCESSING:
+      return item.message || QUEUE_STATUS_LABELS[item.status];
+    case CAPTURE_STATUS.FAILED:
+      return `Failed: ${item.error}`;
+    case CAPTURE_STATUS.DONE:
+      return item.manualMode ? 'Saved as a bookmark' : QUEUE_STATUS_LABELS[item.status];
+    default:
+      return QUEUE_STATUS_LABELS[item.status];
+  }
+}
+
+function queueButton(label, action, id) {
+  const button = document.createElement('button');
+  button.className = 'queue-action';
+  button.textContent = label;
+  button.dataset.action = action;
+  button.dataset.id = id;
+  return button;
+}
+
+// Pending, failed and done captures, newest first
+function renderQueue(queue) {
+  UI.queueList.innerHTML = '';
+  UI.queuePanel.classList.toggle('hidden', queue.length === 0);
+  
+  for (const item of [...queue].reverse()) {
+    const row = document.createElement('div');
+    row.className = `queue-item queue-${item.status}`;
     
-    // Extract the data from the response
-    const processedData = processedResult.data || processedResult;
-    console.log('Processed data:', processedData);
+    const info = document.createElement('div');
+    info.className = 'queue-info';
     
-    // Check if manual mode (podcast not found)
-    const isManualMode = processedData.manualMode === true;
+    const title = document.createElement('p');
+    title.className = 'track-title';
+    title.textContent = item.capture.endSeconds
+      ? `${item.capture.title} (${formatTimestamp(item.capture.startSeconds)}–${formatTimestamp(item.capture.endSeconds)})`
+      : `${item.capture.title} (${formatTimestamp(item.capture.timestamp || 0)})`;
     
-    if (isManualMode) {
-      showState('processing', { message: 'Saving bookmark...' });
-    } else {
-      showState('processing', { message: 'Saving to Notion...' });
-    }
+    const status = document.createElement('p');
+    status.className = 'queue-status';
+    status.textContent = queueStatusText(item);
     
-    // Step 3: Save to Notion
-    await saveToNotion({
-      ...spotifyData,
-      title: processedData.episodeTitle || spotifyData.title,
-      showName: processedData.showName || spotifyData.showName,
-      transcript: processedData.transcript,
-      summary: processedData.summary,
-      thumbnail: processedData.thumbnail,
-      timestampSeconds: processedData.timestampSeconds || spotifyData.timestamp,
-      manualMode: isManualMode
-    });
+    info.append(title, status);
+    row.appendChild(info);
     
-    // Success!
-    if (isManualMode) {
-      showState('success', { message: 'Saved! Add your own notes in Notion.' });
-    } else {
-      showState('success');
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    if (item.status === CAPTURE_STATUS.NEEDS_CHOICE) {
+      actions.appendChild(queueButton('Choose', 'resume', item.id));
     }
+    if (item.status === CAPTURE_STATUS.REVIEW) {
+      actions.appendChild(queueButton('Review', 'resume', item.id));
+    }
+    if (item.status === CAPTURE_STATUS.FAILED || (item.status === CAPTURE_STATUS.PENDING && item.attempts > 0)) {
+      actions.appendChild(queueButton('Retry', 'retry', item.id));
+    }
+    if (item.status !== CAPTURE_STATUS.PROCESSING) {
+      actions.appendChild(queueButton(item.status === CAPTURE_STATUS.DONE ? 'Clear' : 'Discard', 'discard', item.id));
+    }
+    row.appendChild(actions);
     
-    // Reset after 3 seconds
-    setTimeout(() => {
-      showState('default');
-    }, 3000);
-    
+    UI.queueList.appendChild(row);
+  }
+}
+
+async function handleQueueClick(event) {
+  const button = event.target.closest('.queue-action');
+  if (!button) return;
+  
+  const { action, id } = button.dataset;
+  
+  try {
+    if (action === 'retry') {
+      await sendToBackground('RETRY_CAPTURE', { id });
+    } else if (action === 'discard') {
+      await sendToBackground('DISCARD_CAPTURE', { id });
+    } else if (action === 'resume') {
+      await followCapture(id);
+    }
   } catch (error) {
-    console.error('Error saving insight:', error);
-    showState('error', { message: error.message });
-    
-    // Reset after 5 seconds
-    setTimeout(() => {
-      showState('default');
-    }, 5000);
+    showCaptureError(error);
   }
 }
 
+// Pick up the latest capture waiting for an episode choice or a review
+// (e.g. one saved with the keyboard shortcut, or left when the popup closed)
+async function resumeWaitingCapture() {
+  const waiting = (await getCaptureQueue())
+    .filter(item => item.status === CAPTURE_STATUS.NEEDS_CHOICE || item.status === CAPTURE_STATUS.REVIEW)
+    .pop();
+  
+  if (!waiting) return false;
+  
+  followCapture(waiting.id).catch(showCaptureError);
+  return true;
+}
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   showState('default');
   
-  // Try to get current playing data on popup open
-  getSpotifyData()
-    .then(data => showState('nowPlaying', data))
+  // Tells the worker a popup is open, so it skips "ready to review" notifications
+  chrome.runtime.connect({ name: 'popup' });
+  
+  // Load note styles, resume a capture waiting for an episode choice or a
+  // review, or else try to get current playing data on popup open
+  loadSummaryStyles()
+    .catch(error => console.error('Error loading summary styles:', error))
+    .then(() => resumeWaitingCapture())
+    .then(resumed => resumed ? null : getNowPlaying().then(data => {
+      showState('nowPlaying', data);
+      return restoreSummaryStyle(data.showName);
+    }))
     .catch(() => showState('default'));
   
-  // Save button click handler
-  UI.saveBtn.addEventListener('click', handleSaveInsight);
+  // Restore a clip started earlier (popup or keyboard shortcut)
+  chrome.storage.local.get(['pendingClip'], ({ pendingClip }) => renderClip(pendingClip));
+  
+  // Keep the queue view current while the worker processes captures
+  getCaptureQueue().then(renderQueue);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[CAPTURE_QUEUE_KEY]) {
+      renderQueue(changes[CAPTURE_QUEUE_KEY].newValue || []);
+    }
+  });
+  
+  // Button click handlers
+  UI.saveBtn.addEventListener('click', () => handleSaveInsight());
+  UI.clipBtn.addEventListener('click', handleClipClick);
+  UI.queueList.addEventListener('click', handleQueueClick);
+  
+  document.getElementById('vault-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('vault.html') });
+  });
+  
+  document.getElementById('settings-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
 });
-
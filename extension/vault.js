@@ -0,0 +1,263 @@
+// Wisdom Vault - Vault Page Script
+// Browses every saved insight from the server's library (GET /insights)
+
+const PAGE_SIZE = 20;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 300;
+
+const PLATFORM_LABELS = {
+  spotify: 'Spotify',
+  youtube: 'YouTube',
+  'apple-podcasts': 'Apple Podcasts',
+  'pocket-casts': 'Pocket Casts',
+  overcast: 'Overcast'
+};
+
+const UI = {
+  searchInput: document.getElementById('search-input'),
+  showSelect: document.getElementById('show-select'),
+  tagSelect: document.getElementById('tag-select'),
+  fromInput: document.getElementById('from-input'),
+  toInput: document.getElementById('to-input'),
+  clearBtn: document.getElementById('clear-btn'),
+  exportBtn: document.getElementById('export-btn'),
+  ankiExportBtn: document.getElementById('anki-export-btn'),
+  status: document.getElementById('status'),
+  insightList: document.getElementById('insight-list'),
+  moreBtn: document.getElementById('more-btn')
+};
+
+// Current results: page loaded so far, and a counter so stale responses are dropped
+let currentPage = 0;
+let searchVersion = 0;
+let searchTimer = null;
+
+function setStatus(message, isError = false) {
+  UI.status.textContent = message;
+  UI.status.classList.toggle('error', isError);
+}
+
+// Format seconds to MM:SS (H:MM:SS past the hour)
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return hours ? `${hours}:${mmss}` : mmss;
+}
+
+function link(text, href) {
+  const anchor = document.createElement('a');
+  anchor.textContent = text;
+  anchor.href = href;
+  anchor.target = '_blank';
+  anchor.rel = 'noopener';
+  return anchor;
+}
+
+function renderInsight(insight) {
+  const card = document.createElement('article');
+  card.className = 'insight';
+
+  const artwork = document.createElement('img');
+  artwork.className = 'artwork';
+  artwork.alt = '';
+  if (insight.thumbnail) artwork.src = insight.thumbnail;
+
+  const body = document.createElement('div');
+  body.className = 'insight-body';
+
+  const range = insight.endSeconds
+    ? `${formatTimestamp(insight.timestampSeconds)}–${formatTimestamp(insight.endSeconds)}`
+    : formatTimestamp(insight.timestampSeconds);
+
+  const meta = document.createElement('p');
+  meta.className = 'insight-meta';
+  meta.textContent = [
+    insight.showName || 'Unknown Show',
+    range,
+    `saved ${new Date(insight.createdAt).toLocaleDateString()}`
+  ].join(' · ');
+
+  const title = document.createElement('h2');
+  title.className = 'insight-title';
+  title.textContent = insight.episodeTitle || insight.title;
+
+  body.append(meta, title);
+
+  const summary = Array.isArray(insight.summary) ? insight.summary : [insight.summary].filter(Boolean);
+  if (summary.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'insight-summary';
+    for (const point of summary) {
+      const item = document.createElement('li');
+      item.textContent = point;
+      list.appendChild(item);
+    }
+    body.appendChild(list);
+  }
+
+  if (insight.tags?.length > 0) {
+    const tags = document.createElement('div');
+    tags.className = 'insight-tags';
+    for (const name of insight.tags) {
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = name;
+      tags.appendChild(tag);
+    }
+    body.appendChild(tags);
+  }
+
+  if (insight.transcript) {
+    const transcript = document.createElement('details');
+    transcript.className = 'insight-transcript';
+    const toggle = document.createElement('summary');
+    toggle.textContent = 'Transcript';
+    const text = document.createElement('p');
+    text.textContent = insight.transcript;
+    transcript.append(toggle, text);
+    body.appendChild(transcript);
+  }
+
+  const links = document.createElement('div');
+  links.className = 'insight-links';
+  // playbackUrl opens the episode at the saved moment
+  if (insight.playbackUrl) {
+    links.appendChild(link(`▶ Play at ${formatTimestamp(insight.timestampSeconds)} on ${PLATFORM_LABELS[insight.platform] || 'the player'}`, insight.playbackUrl));
+  }
+  if (insight.notionUrl) {
+    links.appendChild(link('Open in Notion', insight.notionUrl));
+  }
+  body.appendChild(links);
+
+  card.append(artwork, body);
+  return card;
+}
+
+// Query parameters for the current filters
+function filterParams() {
+  const params = new URLSearchParams();
+  if (UI.searchInput.value.trim()) params.set('q', UI.searchInput.value.trim());
+  if (UI.showSelect.value) params.set('show', UI.showSelect.value);
+  if (UI.tagSelect.value) params.set('tag', UI.tagSelect.value);
+  if (UI.fromInput.value) params.set('from', UI.fromInput.value);
+  if (UI.toInput.value) params.set('to', UI.toInput.value);
+  return params;
+}
+
+// Load the next page of results, or the first one when `reset` is set
+async function loadInsights(reset = false) {
+  const version = reset ? ++searchVersion : searchVersion;
+  const page = reset ? 1 : currentPage + 1;
+
+  const params = filterParams();
+  params.set('page', page);
+  params.set('pageSize', PAGE_SIZE);
+
+  UI.moreBtn.disabled = true;
+  if (reset) setStatus('Loading...');
+
+  try {
+    const result = await apiRequest(`/insights?${params}`);
+    if (version !== searchVersion) return;
+
+    if (reset) UI.insightList.innerHTML = '';
+    for (const insight of result.items) {
+      UI.insightList.appendChild(renderInsight(insight));
+    }
+
+    currentPage = result.page;
+    const shown = UI.insightList.children.length;
+    setStatus(result.total === 0
+      ? 'No insights match.'
+      : `Showing ${shown} of ${result.total} insight${result.total === 1 ? '' : 's'}`);
+    UI.moreBtn.classList.toggle('hidden', shown >= result.total);
+  } catch (error) {
+    if (version === searchVersion) setStatus(error.message, true);
+  } finally {
+    UI.moreBtn.disabled = false;
+  }
+}
+
+// Fill the show filter with every show in the library
+async function loadShows() {
+  const { shows } = await apiRequest('/insights/shows');
+
+  for (const show of shows) {
+    const option = document.createElement('option');
+    option.value = show.name;
+    option.textContent = `${show.name} (${show.count})`;
+    UI.showSelect.appendChild(option);
+  }
+}
+
+// Fill the tag filter with every tag in the library
+async function loadTags() {
+  const { tags } = await apiRequest('/tags');
+
+  for (const tag of tags) {
+    const option = document.createElement('option');
+    option.value = tag.name;
+    option.textContent = `${tag.name} (${tag.count})`;
+    UI.tagSelect.appendChild(option);
+  }
+}
+
+// Download the insights matching the filters from an export endpoint
+// (a zip of Markdown notes, or an Anki deck)
+async function handleExport(button, path, extension) {
+  button.disabled = true;
+
+  try {
+    const response = await apiFetch(`${path}?${filterParams()}`);
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || `Export failed (${response.status})`);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `wisdom-vault-${new Date().toISOString().substring(0, 10)}.${extension}`;
+    anchor.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    setStatus(error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => loadInsights(true), SEARCH_DELAY);
+}
+
+function handleClear() {
+  UI.searchInput.value = '';
+  UI.showSelect.value = '';
+  UI.tagSelect.value = '';
+  UI.fromInput.value = '';
+  UI.toInput.value = '';
+  loadInsights(true);
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  UI.searchInput.addEventListener('input', handleSearchInput);
+  UI.showSelect.addEventListener('change', () => loadInsights(true));
+  UI.tagSelect.addEventListener('change', () => loadInsights(true));
+  UI.fromInput.addEventListener('change', () => loadInsights(true));
+  UI.toInput.addEventListener('change', () => loadInsights(true));
+  UI.clearBtn.addEventListener('click', handleClear);
+  UI.exportBtn.addEventListener('click', () => handleExport(UI.exportBtn, '/export.zip', 'zip'));
+  UI.ankiExportBtn.addEventListener('click', () => handleExport(UI.ankiExportBtn, '/export/anki.apkg', 'apkg'));
+  UI.moreBtn.addEventListener('click', () => loadInsights());
+
+  loadShows().catch(error => console.error('Error loading shows:', error));
+  loadTags().catch(error => console.error('Error loading tags:', error));
+  loadInsights(true);
+});
@@ -0,0 +1,119 @@
+/**
+ * API Access
+ *
+ * Every route except the health check, the endpoint list and the Notion OAuth
+ * redirect needs a known client: either an API key sent as `X-API-Key`, or a
+ * signed-in user (a Supabase access token, checked by auth.optionalUser).
+ * Each request is tagged with `req.client` so rate limits and quotas can be
+ * tracked per key or per user.
+ *
+ * API_KEYS is a comma-separated list of `name:key` or `name:key:dailyQuota`
+ * entries. Without it the API stays open, which is only meant for local
+ * development.
+ *
+ * CORS_ORIGINS restricts browser callers (e.g. `chrome-extension://<id>`);
+ * without it any Chrome extension origin is accepted.
+ */
+
+const crypto = require('crypto');
+
+const PUBLIC_ROUTES = [
+  'GET /',
+  'GET /health',
+  'GET /notion/oauth/callback'
+];
+
+function parseKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, quota] = entry.split(':').map(part => part.trim());
+
+      // A bare key is allowed; name it after its first characters
+      if (!key) {
+        return { name: name.substring(0, 6), key: name, dailyQuota: null };
+      }
+
+      return { name, key, dailyQuota: parseInt(quota) || null };
+    });
+}
+
+const API_KEYS = parseKeys(process.env.API_KEYS);
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+function isEnabled() {
+  return API_KEYS.length > 0;
+}
+
+// Constant-time comparison so keys can't be guessed byte by byte
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function findKey(value) {
+  if (!value) return null;
+  return API_KEYS.find(entry => safeEqual(entry.key, value)) || null;
+}
+
+/**
+ * Options for the `cors` middleware. Requests without an Origin header
+ * (curl, server-to-server) are not affected by CORS.
+ */
+const corsOptions = {
+  origin(origin, callback) {
+    if (!origin) return callback(null, true);
+
+    const allowed = CORS_ORIGINS.length > 0
+      ? CORS_ORIGINS.includes(origin)
+      : origin.startsWith('chrome-extension://');
+
+    callback(null, allowed);
+  },
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining']
+};
+
+/**
+ * Middleware: identify the caller and reject unknown clients with 401.
+ * Must run after auth.optionalUser.
+ */
+function requireClient(req, res, next) {
+  const apiKey = findKey(req.get('X-API-Key'));
+
+  if (req.user) {
+    req.client = { id: `user:${req.user.id}`, name: req.user.email, dailyQuota: apiKey?.dailyQuota || null };
+  } else if (apiKey) {
+    req.client = { id: `key:${apiKey.name}`, name: apiKey.name, dailyQuota: apiKey.dailyQuota };
+  } else {
+    req.client = { id: `ip:${req.ip}`, name: req.ip, dailyQuota: null };
+  }
+
+  if (!isEnabled() || PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+
+  if (req.user || apiKey) {
+    return next();
+  }
+
+  res.status(401).json({
+    success: false,
+    message: req.get('X-API-Key')
+      ? 'Invalid API key. Check the key in Wisdom Vault settings.'
+      : 'An API key is required. Add one in Wisdom Vault settings or sign in.'
+  });
+}
+
+module.exports = {
+  isEnabled,
+  corsOptions,
+  requireClient
+};
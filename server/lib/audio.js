@@ -0,0 +1,381 @@
+/**
+ * Audio Extraction
+ *
+ * Crops the capture window out of an episode's audio. For MP3 episodes we
+ * read the first few KB, work out where the window sits from the bitrate or
+ * the Xing/VBRI header, and fetch only that byte range with an HTTP Range
+ * request. Hosts that ignore ranges, or formats we can't map to bytes, fall
+ * back to downloading the whole file with curl.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const episodeCache = require('./episode-cache');
+
+const execFileAsync = promisify(execFile);
+
+// Temp directory for audio files
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Listen Notes and several hosts block requests without a browser user agent
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// Bytes read up front to find the first frame and its VBR header
+const HEADER_PROBE_BYTES = 16 * 1024;
+
+// Extra seconds fetched past the window so ffmpeg never comes up short
+const RANGE_TAIL_SECONDS = 3;
+
+// MPEG Layer III lookup tables
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Ensure temp directory exists
+async function ensureTempDir() {
+  try {
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+  } catch (error) {
+    // Directory already exists
+  }
+}
+
+/**
+ * Start a ranged GET. Resolves with the response stream and total size,
+ * or null when the host ignores Range and would send the whole file.
+ */
+async function requestRange(url, start, end) {
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Range': `bytes=${start}-${end}`
+    },
+    timeout: 30000,
+    maxRedirects: 10,
+    validateStatus: status => status === 200 || status === 206
+  });
+
+  const contentRange = response.headers['content-range'] || '';
+
+  if (response.status !== 206 || !contentRange.startsWith(`bytes ${start}-`)) {
+    response.data.destroy();
+    return null;
+  }
+
+  return {
+    stream: response.data,
+    totalLength: parseInt(contentRange.split('/')[1]) || null
+  };
+}
+
+/**
+ * Fetch a byte range into memory
+ */
+async function fetchRangeBuffer(url, start, end) {
+  const range = await requestRange(url, start, end);
+  if (!range) return null;
+
+  const chunks = [];
+  for await (const chunk of range.stream) {
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks), totalLength: range.totalLength };
+}
+
+// ID3v2 tags sit before the audio; their size is a 28-bit syncsafe integer
+function id3TagSize(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return size + 10 + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Decode an MPEG Layer III frame header at `offset`
+ */
+function parseFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  const version = { 0: 2.5, 2: 2, 3: 1 }[versionBits];
+  if (!version || layerBits !== 1) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+  const frameLength = Math.floor((samplesPerFrame / 8) * bitrate * 1000 / sampleRate) + padding;
+
+  return { version, bitrate, sampleRate, samplesPerFrame, frameLength, mono: channelMode === 3 };
+}
+
+// Xing/Info (LAME) header inside the first frame
+function parseXing(buffer, frameOffset, header) {
+  const sideInfo = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  let pos = frameOffset + 4 + sideInfo;
+  const tag = buffer.toString('latin1', pos, pos + 4);
+  if (tag !== 'Xing' && tag !== 'Info') return null;
+
+  const flags = buffer.readUInt32BE(pos + 4);
+  pos += 8;
+
+  const xing = { frames: null, bytes: null, toc: null };
+  if (flags & 0x1) { xing.frames = buffer.readUInt32BE(pos); pos += 4; }
+  if (flags & 0x2) { xing.bytes = buffer.readUInt32BE(pos); pos += 4; }
+  if (flags & 0x4) { xing.toc = [...buffer.subarray(pos, pos + 100)]; }
+
+  return xing;
+}
+
+// Fraunhofer VBRI header, always 32 bytes after the frame header
+function parseVbri(buffer, frameOffset) {
+  const pos = frameOffset + 36;
+  if (pos + 18 > buffer.length || buffer.toString('latin1', pos, pos + 4) !== 'VBRI') return null;
+
+  return {
+    bytes: buffer.readUInt32BE(pos + 10),
+    frames: buffer.readUInt32BE(pos + 14)
+  };
+}
+
+/**
+ * Find the first real audio frame in `buffer` (which starts at byte
+ * `baseOffset` of the file) and describe how time maps to bytes
+ */
+function parseMp3Layout(buffer, baseOffset, totalLength) {
+  for (let i = 0; i + 4 <= buffer.length; i++) {
+    const header = parseFrameHeader(buffer, i);
+    if (!header) continue;
+
+    // Require a second frame right after to rule out false syncs
+    if (i + header.frameLength + 4 <= buffer.length && !parseFrameHeader(buffer, i + header.frameLength)) {
+      continue;
+    }
+
+    const audioStart = baseOffset + i;
+    const xing = buffer.length > i + 120 ? parseXing(buffer, i, header) : null;
+    const vbri = xing ? null : parseVbri(buffer, i);
+    const vbr = xing || vbri;
+
+    const frames = vbr?.frames;
+    const audioBytes = vbr?.bytes || (totalLength - audioStart);
+    const duration = frames
+      ? frames * header.samplesPerFrame / header.sampleRate
+      : audioBytes / (header.bitrate * 125);
+
+    return {
+      audioStart,
+      audioBytes,
+      duration,
+      toc: xing?.toc && xing.toc.length === 100 ? xing.toc : null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Byte offset of a point in time, using the Xing TOC when present
+ */
+function byteOffsetForTime(layout, seconds) {
+  const fraction = Math.min(1, Math.max(0, seconds / layout.duration));
+
+  if (layout.toc) {
+    const percent = fraction * 100;
+    const index = Math.min(99, Math.floor(percent));
+    const from = layout.toc[index];
+    const to = index < 99 ? layout.toc[index + 1] : 256;
+    const position = from + (to - from) * (percent - index);
+    return layout.audioStart + Math.floor((position / 256) * layout.audioBytes);
+  }
+
+  return layout.audioStart + Math.floor(fraction * layout.audioBytes);
+}
+
+/**
+ * Fetch just the bytes covering [startTime, startTime + duration]
+ * Returns false when the host or format doesn't allow it
+ */
+async function downloadRange(audioUrl, startTime, duration, outputPath) {
+  const head = await fetchRangeBuffer(audioUrl, 0, HEADER_PROBE_BYTES - 1);
+  if (!head || !head.totalLength) {
+    console.log('Host ignores Range requests');
+    return false;
+  }
+
+  // Large ID3 tags (cover art) can push the first frame past the probe
+  let buffer = head.buffer;
+  let baseOffset = 0;
+  const tagSize = id3TagSize(buffer);
+
+  if (tagSize > 0) {
+    if (tagSize + 4096 > buffer.length) {
+      const afterTag = await fetchRangeBuffer(audioUrl, tagSize, tagSize + HEADER_PROBE_BYTES - 1);
+      if (!afterTag) return false;
+      buffer = afterTag.buffer;
+      baseOffset = tagSize;
+    } else {
+      buffer = buffer.subarray(tagSize);
+      baseOffset = tagSize;
+    }
+  }
+
+  const layout = parseMp3Layout(buffer, baseOffset, head.totalLength);
+  if (!layout) {
+    console.log('Not an MP3 we can map to byte offsets');
+    return false;
+  }
+
+  if (startTime >= layout.duration) {
+    const error = new Error('Timestamp is past the end of the episode');
+    error.code = 'PAST_END';
+    throw error;
+  }
+
+  const startByte = byteOffsetForTime(layout, startTime);
+  const endByte = Math.min(
+    head.totalLength - 1,
+    byteOffsetForTime(layout, startTime + duration + RANGE_TAIL_SECONDS)
+  );
+
+  console.log(`Fetching bytes ${startByte}-${endByte} of ${head.totalLength} (${Math.round(layout.duration)}s episode)`);
+
+  const range = await requestRange(audioUrl, startByte, endByte);
+  if (!range) return false;
+
+  await pipeline(range.stream, createWriteStream(outputPath));
+  return true;
+}
+
+/**
+ * Download the whole episode with curl. The URL comes from third-party
+ * feeds, so it's passed as an argument (no shell) and limited to http(s).
+ */
+async function downloadFull(audioUrl, outputPath) {
+  console.log('Downloading audio with curl...');
+
+  await execFileAsync('curl', [
+    '-L',
+    '--fail',
+    '--proto', '=http,https',
+    '--proto-redir', '=http,https',
+    '-A', USER_AGENT,
+    '-o', outputPath,
+    '--url', audioUrl
+  ], { timeout: 180000 }); // 3 min timeout for download
+}
+
+/**
+ * Download and crop [startSeconds, startSeconds + durationSeconds] using
+ * HTTP Range (or curl) + ffmpeg
+ * Pass `cacheKey` to reuse a snippet cropped earlier for the same window
+ */
+async function extractAudioSnippet(audioUrl, startSeconds, durationSeconds, { cacheKey } = {}) {
+  await ensureTempDir();
+
+  // Unique per call: captures processed at the same moment share TEMP_DIR
+  const id = crypto.randomUUID();
+  const sourcePath = path.join(TEMP_DIR, `source_${id}.mp3`);
+  const snippetPath = path.join(TEMP_DIR, `snippet_${id}.mp3`);
+
+  if (cacheKey && await episodeCache.copyFile(cacheKey, snippetPath)) {
+    return snippetPath;
+  }
+
+  try {
+    const startTime = Math.max(0, startSeconds);
+    const totalDuration = durationSeconds;
+
+    console.log(`Extracting audio from ${startTime}s for ${totalDuration}s`);
+    console.log(`Audio URL: ${audioUrl.substring(0, 100)}...`);
+
+    // Step 1: Fetch just the window if we can, otherwise the whole file
+    let isPartial = false;
+    try {
+      isPartial = await downloadRange(audioUrl, startTime, totalDuration, sourcePath);
+    } catch (error) {
+      if (error.code === 'PAST_END') throw error;
+      console.log('Range fetch failed, falling back to full download:', error.message);
+    }
+
+    if (!isPartial) {
+      await downloadFull(audioUrl, sourcePath);
+    }
+
+    // Verify download
+    const downloadStats = await fs.stat(sourcePath);
+    console.log(`Downloaded: ${downloadStats.size} bytes${isPartial ? ' (range)' : ''}`);
+
+    if (downloadStats.size < 10000) {
+      throw new Error('Downloaded file too small');
+    }
+
+    // Step 2: Extract snippet with ffmpeg
+    // A ranged file already starts at the window, so no seek is needed
+    console.log('Extracting snippet with ffmpeg...');
+    const seek = isPartial ? ['-f', 'mp3'] : ['-ss', String(startTime)];
+
+    await execFileAsync('ffmpeg', [
+      '-y', ...seek,
+      '-i', sourcePath,
+      '-t', String(totalDuration),
+      '-c:a', 'libmp3lame', '-q:a', '4',
+      '-loglevel', 'error',
+      snippetPath
+    ], { timeout: 60000 });
+
+    // Clean up source audio
+    await fs.unlink(sourcePath).catch(() => {});
+
+    // Verify snippet was created
+    const stats = await fs.stat(snippetPath);
+    console.log(`Audio snippet created: ${stats.size} bytes`);
+
+    if (stats.size < 1000) {
+      throw new Error('Audio snippet too small - extraction may have failed');
+    }
+
+    if (cacheKey) {
+      await episodeCache.storeFile(cacheKey, snippetPath)
+        .catch(error => console.error('Failed to cache audio snippet:', error.message));
+    }
+
+    return snippetPath;
+  } catch (error) {
+    // Clean up on error
+    await fs.unlink(sourcePath).catch(() => {});
+    await fs.unlink(snippetPath).catch(() => {});
+    console.error('Audio extraction error:', error.message);
+    throw new Error('Failed to extract audio snippet: ' + error.message);
+  }
+}
+
+module.exports = {
+  extractAudioSnippet,
+  id3TagSize,
+  parseFrameHeader,
+  parseMp3Layout,
+  byteOffsetForTime
+};
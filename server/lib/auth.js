@@ -0,0 +1,156 @@
+/**
+ * User Accounts
+ *
+ * Accounts live in Supabase Auth. The extension signs in with an emailed
+ * one-time code through the endpoints below and then sends the Supabase
+ * access token as `Authorization: Bearer <token>` on every request.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Auth calls get their own stateless client so a sign-in never changes the
+// identity the shared database client runs as
+const authClient = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY,
+  {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false
+    }
+  }
+);
+
+// Shape of a session returned to the extension
+function toSession(session) {
+  return {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at,
+    user: {
+      id: session.user.id,
+      email: session.user.email
+    }
+  };
+}
+
+/**
+ * Accounts are on unless ACCOUNTS_ENABLED=false. They need the service role
+ * key on the server: insights and settings have no anon policies, so the
+ * per-user scoping can't be bypassed with the public anon key.
+ */
+function isEnabled() {
+  return process.env.ACCOUNTS_ENABLED !== 'false';
+}
+
+function assertEnabled() {
+  if (!isEnabled()) {
+    throw new Error('Accounts are disabled on this server');
+  }
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Email a one-time sign-in code (creates the account on first use)
+ */
+async function sendCode(email) {
+  assertEnabled();
+
+  const { error } = await authClient.auth.signInWithOtp({
+    email,
+    options: { shouldCreateUser: true }
+  });
+
+  if (error) {
+    throw new Error('Failed to send sign-in code: ' + error.message);
+  }
+}
+
+/**
+ * Exchange an emailed code for a session
+ */
+async function verifyCode(email, code) {
+  assertEnabled();
+
+  const { data, error } = await authClient.auth.verifyOtp({
+    email,
+    token: code,
+    type: 'email'
+  });
+
+  if (error || !data.session) {
+    throw new Error('Invalid or expired code');
+  }
+
+  return toSession(data.session);
+}
+
+/**
+ * Trade a refresh token for a new session
+ */
+async function refreshSession(refreshToken) {
+  assertEnabled();
+
+  const { data, error } = await authClient.auth.refreshSession({ refresh_token: refreshToken });
+
+  if (error || !data.session) {
+    throw new Error('Session expired, please sign in again');
+  }
+
+  return toSession(data.session);
+}
+
+/**
+ * Middleware: attach `req.user` when a valid bearer token is sent
+ * Anonymous requests pass through with `req.user = null`
+ */
+async function optionalUser(req, res, next) {
+  req.user = null;
+  const token = bearerToken(req);
+
+  if (!token || !isEnabled()) {
+    return next();
+  }
+
+  try {
+    const { data, error } = await authClient.auth.getUser(token);
+
+    if (error || !data.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please sign in again'
+      });
+    }
+
+    req.user = { id: data.user.id, email: data.user.email };
+    next();
+  } catch (error) {
+    console.error('Auth check error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to verify session' });
+  }
+}
+
+/**
+ * Middleware: reject requests without a signed-in user
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Please sign in first' });
+  }
+  next();
+}
+
+module.exports = {
+  isEnabled,
+  sendCode,
+  verifyCode,
+  refreshSession,
+  optionalUser,
+  requireUser
+};
@@ -0,0 +1,72 @@
+/**
+ * Capture Ranges
+ *
+ * A capture is a stretch of the episode: a single timestamp captures
+ * DEFAULT_CAPTURE_SECONDS, or the user marks an in-point and an out-point.
+ * Every range gets a little padding on both sides for context, and long
+ * ones are transcribed in chunks of TRANSCRIPTION_CHUNK_SECONDS.
+ *
+ * Configure with MAX_CAPTURE_SECONDS and TRANSCRIPTION_CHUNK_SECONDS.
+ */
+
+const DEFAULT_CAPTURE_SECONDS = 30;
+const MAX_CAPTURE_SECONDS = parseInt(process.env.MAX_CAPTURE_SECONDS) || 600;
+const CAPTURE_LEAD_IN = 5;
+const CAPTURE_TAIL = 5;
+const TRANSCRIPTION_CHUNK_SECONDS = parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 120;
+
+/**
+ * The capture range of a /process-insight body: startSeconds/endSeconds,
+ * or a 30s capture from `timestamp`. Throws with a message fit for a 400.
+ */
+function parseRange({ timestamp, startSeconds: start, endSeconds: end }) {
+  // An explicit in/out range wins over the single timestamp
+  const startSeconds = start !== undefined ? parseFloat(start) : (parseFloat(timestamp) || 0);
+  const endSeconds = end !== undefined ? parseFloat(end) : startSeconds + DEFAULT_CAPTURE_SECONDS;
+
+  if (!Number.isFinite(startSeconds) || !Number.isFinite(endSeconds) || startSeconds < 0) {
+    throw new Error('startSeconds and endSeconds must be numbers');
+  }
+
+  if (endSeconds <= startSeconds) {
+    throw new Error('endSeconds must be after startSeconds');
+  }
+
+  if (endSeconds - startSeconds > MAX_CAPTURE_SECONDS) {
+    throw new Error(`Capture ranges are limited to ${Math.floor(MAX_CAPTURE_SECONDS / 60)} minutes`);
+  }
+
+  return { startSeconds, endSeconds };
+}
+
+/**
+ * The stretch of audio to transcribe for a range, padded for context
+ */
+function captureWindow(startSeconds, endSeconds) {
+  return {
+    start: Math.max(0, startSeconds - CAPTURE_LEAD_IN),
+    end: endSeconds + CAPTURE_TAIL
+  };
+}
+
+/**
+ * Split a window into consecutive chunks of at most `chunkSeconds`:
+ * [{ start, duration }], the last one shorter when it doesn't divide evenly
+ */
+function chunkWindow(start, end, chunkSeconds = TRANSCRIPTION_CHUNK_SECONDS) {
+  const chunkCount = Math.ceil((end - start) / chunkSeconds);
+  const chunks = [];
+
+  for (let i = 0; i < chunkCount; i++) {
+    const chunkStart = start + i * chunkSeconds;
+    chunks.push({ start: chunkStart, duration: Math.min(chunkSeconds, end - chunkStart) });
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  parseRange,
+  captureWindow,
+  chunkWindow
+};
@@ -0,0 +1,294 @@
+/**
+ * Insight Deliveries
+ *
+ * Once a processed insight is reviewed and saved (POST /save), it is pushed
+ * to every destination the user turned on (Readwise, Anki, webhook). Each
+ * push is a
+ * row in the Supabase `insight_deliveries` table with its status, attempt
+ * count and last error, so a failed push is retried with backoff (30s,
+ * 1 min, 2 min, ... up to 30 min apart) by a sweep that also survives
+ * restarts.
+ *
+ * Statuses: pending -> delivered | skipped (nothing to send, e.g. not a
+ * flashcard) | failed (gave up, or the destination rejected it).
+ */
+
+const supabase = require('./supabase');
+const insightStore = require('./insight-store');
+const destinations = require('./destinations');
+const destinationSettings = require('./destination-settings');
+
+const TABLE = 'insight_deliveries';
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// A claimed delivery is due again after this long, in case the attempt
+// never finishes (e.g. the server restarted mid-request)
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Due deliveries picked up per sweep
+const SWEEP_BATCH = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const COLUMNS = 'id, insight_id, user_id, destination, status, attempts, last_error, response, next_attempt_at, delivered_at, created_at, updated_at';
+
+let sweepTimer = null;
+
+/**
+ * Map a database row to the API shape
+ */
+function toDelivery(row) {
+  return {
+    id: row.id,
+    insightId: row.insight_id,
+    destination: row.destination,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    response: row.response,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function scoped(query, userId) {
+  return userId ? query.eq('user_id', userId) : query.is('user_id', null);
+}
+
+async function update(id, fields) {
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error('Failed to update delivery: ' + error.message);
+  }
+}
+
+// Take a due delivery for this attempt; null if another attempt has it
+async function claim(id) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ next_attempt_at: new Date(now.getTime() + CLAIM_MS).toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .select(COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to claim delivery: ' + error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Make one attempt at a pending delivery and record the outcome
+ */
+async function attempt(id) {
+  const row = await claim(id);
+  if (!row) return null;
+
+  const attempts = row.attempts + 1;
+  let destination = null;
+
+  try {
+    destination = destinations.getDestination(row.destination);
+
+    const insight = await insightStore.getInsight(row.insight_id, { userId: row.user_id });
+    if (!insight) {
+      throw Object.assign(new Error('The insight was deleted'), { retryable: false });
+    }
+
+    const config = await destinationSettings.getConfig(row.destination, row.user_id);
+    const { data, skipped } = await destination.deliver(destinations.fromInsight(insight), config, {
+      event: 'insight.processed',
+      deliveryId: row.id
+    });
+
+    await update(row.id, {
+      status: skipped ? 'skipped' : 'delivered',
+      attempts,
+      last_error: skipped || null,
+      response: data || null,
+      delivered_at: skipped ? null : new Date().toISOString()
+    });
+    return skipped ? 'skipped' : 'delivered';
+  } catch (error) {
+    // A destination that no longer exists won't come back on a retry
+    const giveUp = !destination || error.retryable === false || attempts >= MAX_ATTEMPTS;
+    const delay = Math.max(retryDelay(attempts), (error.retryAfter || 0) * 1000);
+    console.error(`${destination?.label || row.destination} delivery ${row.id} failed (attempt ${attempts}):`, error.message);
+
+    await update(row.id, {
+      status: giveUp ? 'failed' : 'pending',
+      attempts,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + (giveUp ? 0 : delay)).toISOString()
+    });
+    return giveUp ? 'failed' : 'pending';
+  }
+}
+
+// Destinations the insight already has a delivery for
+async function deliveredTo(insightId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('destination')
+    .eq('insight_id', insightId);
+
+  if (error) {
+    throw new Error('Failed to load deliveries: ' + error.message);
+  }
+
+  return new Set((data || []).map(row => row.destination));
+}
+
+/**
+ * Queue and attempt a delivery of a saved insight to each destination the
+ * user turned on, except `except` (the one it was just saved to) and those
+ * it was already queued for by an earlier save. Never throws; failures stay
+ * queued for the sweep.
+ */
+async function deliverInsight(insightId, { userId = null, except = null } = {}) {
+  try {
+    const queued = await deliveredTo(insightId);
+    const targets = (await destinationSettings.listAutoDelivery(userId))
+      .filter(({ name }) => name !== except && !queued.has(name));
+    if (targets.length === 0) return;
+
+    const { data, error } = await supabase
+      .from(TABLE)
+      .insert(targets.map(({ name }) => ({
+        insight_id: insightId,
+        user_id: userId,
+        destination: name,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      })))
+      .select('id');
+
+    if (error) {
+      throw new Error('Failed to queue deliveries: ' + error.message);
+    }
+
+    await Promise.all(data.map(row => attempt(row.id).catch(attemptError => {
+      console.error(`Delivery ${row.id} error:`, attemptError.message);
+    })));
+  } catch (error) {
+    console.error(`Failed to deliver insight ${insightId}:`, error.message);
+  }
+}
+
+/**
+ * Deliveries of an insight, oldest first
+ */
+async function listDeliveries(insightId, { userId } = {}) {
+  if (!UUID_PATTERN.test(insightId)) return [];
+
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .select(COLUMNS)
+    .eq('insight_id', insightId), userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error('Failed to list deliveries: ' + error.message);
+  }
+
+  return (data || []).map(toDelivery);
+}
+
+/**
+ * Try a failed (or still pending) delivery again now, with a fresh set of
+ * attempts. Resolves with the updated delivery, or null if not found.
+ */
+async function retryDelivery(id, { userId } = {}) {
+  if (!UUID_PATTERN.test(id)) return null;
+
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .in('status', ['pending', 'failed']), userId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to retry delivery: ' + error.message);
+  }
+
+  if (!data) return null;
+
+  await attempt(id);
+
+  const { data: row, error: loadError } = await supabase
+    .from(TABLE)
+    .select(COLUMNS)
+    .eq('id', id)
+    .single();
+
+  if (loadError) {
+    throw new Error('Failed to load delivery: ' + loadError.message);
+  }
+
+  return toDelivery(row);
+}
+
+// Attempt every delivery whose retry is due
+async function sweep() {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(SWEEP_BATCH);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  for (const row of data || []) {
+    await attempt(row.id).catch(attemptError => {
+      console.error(`Delivery ${row.id} error:`, attemptError.message);
+    });
+  }
+}
+
+/**
+ * Start retrying due deliveries in the background
+ */
+function start() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    sweep().catch(error => console.error('Delivery sweep failed:', error.message));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  deliverInsight,
+  listDeliveries,
+  retryDelivery,
+  start
+};
@@ -0,0 +1,159 @@
+/**
+ * Destination Settings
+ *
+ * Per-user settings for the push destinations (Readwise, Anki, webhook):
+ * tokens, URLs and whether every new insight is sent there automatically.
+ * Stored in the Supabase `destination_settings` table, which holds secrets
+ * and so has no anon policies. Captures made without an account use the
+ * settings from the environment (READWISE_TOKEN, WEBHOOK_URL...) instead.
+ */
+
+const supabase = require('./supabase');
+const destinations = require('./destinations');
+
+const TABLE = 'destination_settings';
+
+// Stands in for stored secrets in responses; sending it back keeps the secret
+const SECRET_MASK = '********';
+
+function configurable(name) {
+  const destination = destinations.getDestination(name);
+
+  if (!destination.configure) {
+    throw new Error(`${destination.label} has no settings here`);
+  }
+
+  return destination;
+}
+
+// Settings safe to return to the client (secrets masked)
+function toPublic(destination, row) {
+  const config = row?.config || {};
+
+  return {
+    name: destination.name,
+    label: destination.label,
+    enabled: Boolean(row?.enabled),
+    fields: destination.settings,
+    config: Object.fromEntries(destination.settings.map(({ key, secret }) => [
+      key,
+      secret ? (config[key] ? SECRET_MASK : '') : config[key] ?? ''
+    ]))
+  };
+}
+
+async function loadRows(userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('destination, enabled, config')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error('Failed to load destination settings: ' + error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Every push destination with the user's settings
+ */
+async function listSettings(userId) {
+  const rows = await loadRows(userId);
+
+  return destinations.listDestinations()
+    .filter(({ configurable: isConfigurable }) => isConfigurable)
+    .map(({ name }) => toPublic(
+      destinations.getDestination(name),
+      rows.find(row => row.destination === name)
+    ));
+}
+
+/**
+ * Validate and store a user's settings for one destination.
+ * Throws with a message fit for a 400 on invalid settings.
+ */
+async function updateSettings(userId, name, { enabled, config = {} }) {
+  const destination = configurable(name);
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('enabled must be true or false');
+  }
+
+  const previous = (await loadRows(userId)).find(row => row.destination === destination.name);
+  const input = Object.fromEntries(Object.entries(config || {})
+    .filter(([, value]) => value !== SECRET_MASK));
+  const normalized = await destination.configure(input, previous?.config || {});
+
+  const { error } = await supabase
+    .from(TABLE)
+    .upsert({
+      user_id: userId,
+      destination: destination.name,
+      enabled: enabled ?? previous?.enabled ?? false,
+      config: normalized,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw new Error('Failed to save destination settings: ' + error.message);
+  }
+
+  return toPublic(destination, { enabled: enabled ?? previous?.enabled ?? false, config: normalized });
+}
+
+/**
+ * Forget a user's settings for one destination
+ */
+async function removeSettings(userId, name) {
+  const destination = configurable(name);
+
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq('user_id', userId)
+    .eq('destination', destination.name);
+
+  if (error) {
+    throw new Error('Failed to remove destination settings: ' + error.message);
+  }
+}
+
+/**
+ * Settings a destination saves or delivers with: the user's own, or the
+ * environment's for captures without an account. Null when not set up.
+ */
+async function getConfig(name, userId) {
+  const destination = destinations.getDestination(name);
+
+  if (!destination.configure) return null;
+  if (!userId) return destination.envConfig();
+
+  const row = (await loadRows(userId)).find(entry => entry.destination === destination.name);
+  return row?.config || null;
+}
+
+/**
+ * Destinations every new insight is sent to: [{ name, config }]
+ */
+async function listAutoDelivery(userId) {
+  if (!userId) {
+    return destinations.listDestinations()
+      .filter(({ configurable: isConfigurable }) => isConfigurable)
+      .map(({ name }) => ({ name, config: destinations.getDestination(name).envConfig() }))
+      .filter(({ config }) => config);
+  }
+
+  return (await loadRows(userId))
+    .filter(row => row.enabled)
+    .map(row => ({ name: row.destination, config: row.config }));
+}
+
+module.exports = {
+  SECRET_MASK,
+  listSettings,
+  updateSettings,
+  removeSettings,
+  getConfig,
+  listAutoDelivery
+};
@@ -0,0 +1,214 @@
+/**
+ * Anki Package Builder
+ *
+ * Builds an .apkg deck: a zip holding `collection.anki2`, an Anki 2.1
+ * (schema 11) SQLite collection, and an empty `media` map. The SQLite file
+ * is written in memory with sql.js (WebAssembly, no native build).
+ *
+ * Deck, note type and note ids are derived from names and insight ids, so
+ * importing a newer export updates the cards instead of duplicating them.
+ */
+
+const crypto = require('crypto');
+const archiver = require('archiver');
+const initSqlJs = require('sql.js');
+
+const FIELD_SEPARATOR = '\x1f';
+
+const SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }\n.source { font-size: 14px; color: #888; }';
+
+let sqlPromise = null;
+
+function loadSql() {
+  sqlPromise = sqlPromise || initSqlJs();
+  return sqlPromise;
+}
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('hex');
+}
+
+// Stable id in Anki's millisecond-timestamp id range
+function stableId(value) {
+  return 1000000000000 + (parseInt(sha1(value).substring(0, 10), 16) % 1000000000000);
+}
+
+// Anki's field checksum: first 8 hex digits of the SHA-1 of the stripped field
+function checksum(field) {
+  return parseInt(sha1(stripHtml(field)).substring(0, 8), 16);
+}
+
+// Plain text of a field, as Anki sees it: tags removed, entities decoded
+function stripHtml(html) {
+  return String(html)
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function noteType(modelId, deckId, name, now) {
+  const field = (fieldName, ord) => ({ name: fieldName, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+
+  return {
+    id: modelId,
+    name,
+    type: 0,
+    mod: now,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{
+      name: 'Card 1',
+      ord: 0,
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }],
+    flds: [field('Front', 0), field('Back', 1)],
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    req: [[0, 'any', [0]]],
+    tags: [],
+    vers: []
+  };
+}
+
+function deck(id, name, now) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: now,
+    usn: -1,
+    collapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0]
+  };
+}
+
+const DECK_OPTIONS = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true }
+  }
+};
+
+/**
+ * The .apkg file for a deck of cards, as a Buffer.
+ * Cards are { id, front, back, tags } with HTML front/back.
+ */
+async function buildPackage(deckName, cards) {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  const deckId = stableId(`deck:${deckName}`);
+  const modelId = stableId('model:Wisdom Vault Basic');
+
+  try {
+    db.run(SCHEMA);
+
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      now,
+      nowMs,
+      nowMs,
+      JSON.stringify({ nextPos: cards.length + 1, estTimes: true, activeDecks: [deckId], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: deckId, newSpread: 0, dueCounts: true, curModel: modelId, collapseTime: 1200 }),
+      JSON.stringify({ [modelId]: noteType(modelId, deckId, 'Wisdom Vault Basic', now) }),
+      JSON.stringify({ 1: deck(1, 'Default', now), [deckId]: deck(deckId, deckName, now) }),
+      JSON.stringify(DECK_OPTIONS),
+      '{}'
+    ]);
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+
+    cards.forEach((card, index) => {
+      const noteId = stableId(`note:${card.id}`);
+      // Anki tags are space-separated, with a space on either end
+      const tags = card.tags.length > 0 ? ` ${card.tags.map(tag => tag.replace(/\s+/g, '_')).join(' ')} ` : '';
+
+      insertNote.run([
+        noteId,
+        sha1(`guid:${card.id}`).substring(0, 10),
+        modelId,
+        now,
+        tags,
+        [card.front, card.back].join(FIELD_SEPARATOR),
+        stripHtml(card.front),
+        checksum(card.front)
+      ]);
+      insertCard.run([stableId(`card:${card.id}`), noteId, deckId, now, index + 1]);
+    });
+
+    insertNote.free();
+    insertCard.free();
+
+    const collection = Buffer.from(db.export());
+    return await zip([
+      { name: 'collection.anki2', content: collection },
+      { name: 'media', content: '{}' }
+    ]);
+  } finally {
+    db.close();
+  }
+}
+
+// Zip files into a Buffer
+function zip(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip');
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    for (const file of files) {
+      archive.append(file.content, { name: file.name });
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  buildPackage
+};
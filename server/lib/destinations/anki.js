@@ -0,0 +1,228 @@
+/**
+ * Anki Destination
+ *
+ * Turns insights summarized in the `flashcard` style ("Q: ..." / "A: ...")
+ * into Anki cards. Cards go straight into Anki through AnkiConnect when its
+ * URL is set (per user, or ANKI_CONNECT_URL), and the library can be
+ * exported as an .apkg deck or a CSV file for Anki's importer. Other styles
+ * have no question to ask, so they are skipped.
+ */
+
+const axios = require('axios');
+const { formatTime } = require('./entry');
+const { buildPackage } = require('./anki-package');
+const { requestError, permanentError } = require('./http');
+const { assertPublicUrl, publicRequestOptions } = require('./public-url');
+
+const DEFAULT_DECK = 'Wisdom Vault';
+const ANKI_CONNECT_VERSION = 6;
+const TIMEOUT_MS = 10000;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "Q: ..." / "A: ..." summary items
+function labeled(entry, label) {
+  const item = entry.summary.find(point => point.startsWith(`${label}: `));
+  return item ? item.substring(label.length + 2).trim() : null;
+}
+
+/**
+ * The card for an entry, or null when its summary isn't a flashcard.
+ * Front and back are HTML; the back links to the moment it came from.
+ */
+function toCard(entry) {
+  const question = labeled(entry, 'Q');
+  const answer = labeled(entry, 'A');
+
+  if (!question || !answer) return null;
+
+  const source = `${escapeHtml(entry.showName)} — ${escapeHtml(entry.title)} (${formatTime(entry.timestampSeconds)})`;
+
+  return {
+    id: entry.id || `${entry.title}:${entry.timestampSeconds}`,
+    front: escapeHtml(question),
+    back: `${escapeHtml(answer)}<br><br><div class="source">${entry.momentUrl
+      ? `<a href="${escapeHtml(entry.momentUrl)}">${source}</a>`
+      : source}</div>`,
+    tags: entry.tags
+  };
+}
+
+/**
+ * Cards for the entries that have one
+ */
+function toCards(entries) {
+  return entries.map(toCard).filter(Boolean);
+}
+
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * A CSV file for Anki's importer; the header lines pick the note type,
+ * deck and columns (Anki 2.1.55+)
+ */
+function toCsv(cards, deckName = DEFAULT_DECK) {
+  const lines = [
+    '#separator:Comma',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${deckName}`,
+    '#columns:Front,Back,Tags',
+    '#tags column:3',
+    ...cards.map(card => [
+      card.front,
+      card.back,
+      card.tags.map(tag => tag.replace(/\s+/g, '_')).join(' ')
+    ].map(csvField).join(','))
+  ];
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * An .apkg deck of cards, as a Buffer
+ */
+async function toPackage(cards, deckName = DEFAULT_DECK) {
+  return buildPackage(deckName, cards);
+}
+
+/**
+ * Settings a user fills in
+ */
+const settings = [
+  { key: 'deck', label: 'Deck', placeholder: DEFAULT_DECK },
+  { key: 'ankiConnectUrl', label: 'AnkiConnect URL', placeholder: 'http://localhost:8765' }
+];
+
+// The server requests it, so it must be public (see public-url.js)
+async function configure(input) {
+  const deck = String(input.deck || '').trim() || DEFAULT_DECK;
+  const ankiConnectUrl = String(input.ankiConnectUrl || '').trim();
+
+  if (ankiConnectUrl) {
+    await assertPublicUrl(ankiConnectUrl, 'AnkiConnect URL');
+  }
+
+  return { deck, ankiConnectUrl: ankiConnectUrl || null };
+}
+
+/**
+ * Shared settings for captures made without an account
+ */
+function envConfig() {
+  return process.env.ANKI_CONNECT_URL
+    ? { deck: process.env.ANKI_DECK || DEFAULT_DECK, ankiConnectUrl: process.env.ANKI_CONNECT_URL, fromEnv: true }
+    : null;
+}
+
+// One AnkiConnect action; it answers { result, error } with status 200
+async function ankiConnect(config, action, params) {
+  let response;
+  try {
+    response = await axios.post(config.ankiConnectUrl, { action, version: ANKI_CONNECT_VERSION, params }, {
+      timeout: TIMEOUT_MS,
+      ...(config.fromEnv ? {} : publicRequestOptions())
+    });
+  } catch (error) {
+    throw requestError('AnkiConnect', error);
+  }
+
+  if (response.data?.error) {
+    throw permanentError(`AnkiConnect ${action} failed: ${response.data.error}`);
+  }
+
+  return response.data?.result;
+}
+
+/**
+ * Add the card to the deck through AnkiConnect. Resolves with `skipped`
+ * when the insight isn't a flashcard.
+ */
+async function deliver(entry, config) {
+  const card = toCard(entry);
+
+  if (!card) {
+    return { data: null, skipped: 'Not a flashcard (summarize with the flashcard style)' };
+  }
+
+  if (!config?.ankiConnectUrl) {
+    throw permanentError('Anki is not set up: add your AnkiConnect URL in the extension settings');
+  }
+
+  // A user's URL is checked again: its host may resolve elsewhere by now
+  if (!config.fromEnv) {
+    await assertPublicUrl(config.ankiConnectUrl, 'AnkiConnect URL');
+  }
+
+  const deck = config.deck || DEFAULT_DECK;
+  await ankiConnect(config, 'createDeck', { deck });
+
+  try {
+    const noteId = await ankiConnect(config, 'addNote', {
+      note: {
+        deckName: deck,
+        modelName: 'Basic',
+        fields: { Front: card.front, Back: card.back },
+        tags: card.tags.map(tag => tag.replace(/\s+/g, '_')),
+        options: { allowDuplicate: false }
+      }
+    });
+    console.log(`Added Anki note ${noteId} to "${deck}"`);
+    return { data: { deck, noteId } };
+  } catch (error) {
+    // Already in the deck from an earlier attempt
+    if (/duplicate/i.test(error.message)) {
+      return { data: { deck, noteId: null } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * POST /save: through AnkiConnect when it's set up, otherwise the card as
+ * a one-line CSV for the client to download
+ */
+async function save(entry, { config } = {}) {
+  if (config?.ankiConnectUrl) {
+    const { data, skipped } = await deliver(entry, config);
+    if (skipped) throw permanentError(skipped);
+    return { data, insight: {} };
+  }
+
+  const card = toCard(entry);
+  if (!card) {
+    throw permanentError('Not a flashcard (summarize with the flashcard style)');
+  }
+
+  const date = entry.savedAt.substring(0, 10);
+  return {
+    data: {
+      fileName: `${date} ${entry.title.replace(/[\\/:*?"<>|]/g, '').substring(0, 80)}.csv`,
+      content: toCsv([card], config?.deck)
+    },
+    insight: {}
+  };
+}
+
+module.exports = {
+  name: 'anki',
+  label: 'Anki',
+  modes: () => [],
+  settings,
+  configure,
+  envConfig,
+  deliver,
+  save,
+  toCards,
+  toCsv,
+  toPackage,
+  DEFAULT_DECK
+};
@@ -0,0 +1,148 @@
+/**
+ * Destination Entries
+ *
+ * Every destination receives the same entry: the processed insight as the
+ * user reviewed it, plus the link back to the captured moment. Entries come
+ * from a save request or from an insight already in the library (exports).
+ */
+
+const platforms = require('../platforms');
+const tags = require('../tags');
+
+// Notes are capped to fit a single Notion text block
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Seconds as M:SS
+ */
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Summary points as a list, whether stored as a list or a paragraph
+ */
+function summaryItems(summary) {
+  if (Array.isArray(summary)) return summary.filter(Boolean);
+  return summary ? [summary] : [];
+}
+
+// Validate the note, tags and star rating added in the review step
+function normalizeReview({ note, tags: tagList, rating }) {
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    throw new Error('note must be a string');
+  }
+
+  const stars = rating === undefined || rating === null || rating === '' ? null : Number(rating);
+  if (stars !== null && !(Number.isInteger(stars) && stars >= 1 && stars <= 5)) {
+    throw new Error('rating must be a whole number from 1 to 5');
+  }
+
+  return {
+    note: note ? note.trim().substring(0, MAX_NOTE_LENGTH) : null,
+    tags: tags.normalizeTags(tagList),
+    rating: stars
+  };
+}
+
+/**
+ * Build an entry from a save request body (the /process-insight result,
+ * possibly edited in the review step). Throws with a message fit for a 400.
+ */
+function fromRequest(body) {
+  const {
+    title,
+    showName,
+    transcript,
+    summary,
+    spotifyUrl,
+    sourceUrl,
+    platform,
+    episodeUri,
+    thumbnail,
+    timestampSeconds,
+    endSeconds,
+    manualMode,
+    speakers,
+    listenNotesId,
+    episodeDate
+  } = body;
+
+  if (!title) {
+    throw new Error('Title is required');
+  }
+
+  if (typeof title !== 'string') {
+    throw new Error('title must be a string');
+  }
+
+  // Written into note frontmatter and links, so only known platforms
+  if (platform !== undefined && platform !== null && platform !== '') {
+    platforms.requirePlatform(platform);
+  }
+
+  // Link that reopens the episode at the captured moment
+  const capturedFrom = sourceUrl || spotifyUrl;
+  const capturePlatform = platform || platforms.detectPlatform(capturedFrom);
+  const momentUrl = platforms.timestampUrl(
+    capturePlatform,
+    platforms.canonicalUrl(capturePlatform, capturedFrom, episodeUri),
+    timestampSeconds
+  );
+
+  return {
+    title,
+    showName: showName || 'Unknown Show',
+    transcript: transcript || null,
+    summary: summaryItems(summary),
+    speakers: Array.isArray(speakers) ? speakers.filter(name => typeof name === 'string' && name) : [],
+    thumbnail: thumbnail || null,
+    platform: platform || null,
+    momentUrl,
+    // Identify the episode, so moments from it can share a Notion page
+    episodeUrl: platforms.episodeUrl(capturePlatform, capturedFrom, episodeUri),
+    listenNotesId: typeof listenNotesId === 'string' && listenNotesId ? listenNotesId : null,
+    // When the episode came out (YYYY-MM-DD)
+    episodeDate: episodeDate && !Number.isNaN(Date.parse(episodeDate)) ? new Date(episodeDate).toISOString().substring(0, 10) : null,
+    timestampSeconds: timestampSeconds || 0,
+    endSeconds: endSeconds || null,
+    manualMode: manualMode === true,
+    ...normalizeReview(body),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Build an entry from a stored insight
+ */
+function fromInsight(insight) {
+  return {
+    id: insight.id,
+    title: insight.title,
+    showName: insight.showName || 'Unknown Show',
+    transcript: insight.transcript || null,
+    summary: summaryItems(insight.summary),
+    speakers: insight.speakers || [],
+    thumbnail: insight.thumbnail || null,
+    platform: insight.platform || null,
+    momentUrl: insight.playbackUrl || null,
+    episodeUrl: platforms.episodeUrl(insight.platform, insight.sourceUrl || insight.spotifyUrl),
+    listenNotesId: insight.listenNotesId || null,
+    timestampSeconds: insight.timestampSeconds || 0,
+    endSeconds: insight.endSeconds || null,
+    manualMode: insight.status === 'manual',
+    note: insight.note || null,
+    tags: insight.tags || [],
+    rating: insight.rating || null,
+    savedAt: insight.createdAt
+  };
+}
+
+module.exports = {
+  formatTime,
+  summaryItems,
+  fromRequest,
+  fromInsight
+};
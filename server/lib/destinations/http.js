@@ -0,0 +1,39 @@
+/**
+ * Destination HTTP Errors
+ *
+ * Push destinations (Readwise, AnkiConnect, webhooks) fail in two ways:
+ * the service is down or busy, which is worth retrying, or it rejected the
+ * request (bad token, bad URL), which isn't. Errors carry `retryable` so
+ * deliveries know which is which.
+ */
+
+/**
+ * Wrap an axios error as `<label> request failed: ...` with `retryable` set
+ */
+function requestError(label, error) {
+  const status = error.response?.status;
+  const detail = error.response?.data?.detail || error.response?.data?.message || error.message;
+  const wrapped = new Error(`${label} request failed${status ? ` (${status})` : ''}: ${detail}`);
+
+  // No response at all: network error or timeout, unless the connection
+  // was refused for a reason retrying won't change (e.g. a private address)
+  wrapped.retryable = (error.cause || error).retryable === false
+    ? false
+    : !status || status >= 500 || status === 408 || status === 429;
+  wrapped.retryAfter = parseInt(error.response?.headers?.['retry-after']) || null;
+  return wrapped;
+}
+
+/**
+ * An error retrying won't fix (missing settings, nothing to send)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+module.exports = {
+  requestError,
+  permanentError
+};
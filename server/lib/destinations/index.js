@@ -0,0 +1,66 @@
+/**
+ * Save Destinations
+ *
+ * Every destination implements `save(entry, { userId, mode })`, resolving
+ * with `{ data, insight }`: `data` goes back to the client, `insight` holds
+ * fields to link on the library record (like the Notion page). `modes()`
+ * lists the modes a destination supports on this server, if it has any.
+ * The default is Notion; callers pick another per request.
+ *
+ * Push destinations (Readwise, Anki, webhook) also take per-user settings
+ * (`settings`, `configure(input, previous)`, `envConfig()`) and implement
+ * `deliver(entry, config, { event, deliveryId })`, which runs for every new
+ * insight once /process-insight completes (see lib/deliveries.js).
+ * `configure` may be async; URLs users enter must pass public-url.js.
+ */
+
+const notion = require('./notion');
+const markdown = require('./markdown');
+const readwise = require('./readwise');
+const anki = require('./anki');
+const webhook = require('./webhook');
+const { fromRequest, fromInsight } = require('./entry');
+
+const DEFAULT_DESTINATION = 'notion';
+
+const destinations = {
+  notion,
+  markdown,
+  readwise,
+  anki,
+  webhook
+};
+
+/**
+ * Resolve a destination by name, falling back to Notion
+ */
+function getDestination(name) {
+  const destinationName = String(name || DEFAULT_DESTINATION).toLowerCase();
+  const destination = Object.hasOwn(destinations, destinationName) ? destinations[destinationName] : null;
+
+  if (!destination) {
+    throw new Error(`Unknown destination "${destinationName}". Use one of: ${Object.keys(destinations).join(', ')}`);
+  }
+
+  return destination;
+}
+
+/**
+ * Registered destinations with their labels, supported modes and whether
+ * they take per-user settings
+ */
+function listDestinations() {
+  return Object.values(destinations).map(({ name, label, modes, configure }) => ({
+    name,
+    label,
+    modes: modes(),
+    configurable: Boolean(configure)
+  }));
+}
+
+module.exports = {
+  getDestination,
+  listDestinations,
+  fromRequest,
+  fromInsight
+};
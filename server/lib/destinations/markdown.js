@@ -0,0 +1,239 @@
+/**
+ * Markdown Destination
+ *
+ * Renders an insight as a Markdown note for Obsidian, Logseq and other
+ * plain-text vaults: YAML frontmatter (show, episode, timestamp, tags,
+ * source URL), the summary bullets and the transcript.
+ *
+ * Two modes:
+ * - `file`: one note per insight
+ * - `daily`: a short entry appended to the day's daily note
+ *
+ * With MARKDOWN_VAULT_DIR set (self-hosted, next to your vault), notes are
+ * written there directly: insights to MARKDOWN_INSIGHTS_DIR (default
+ * "Wisdom Vault"), daily notes to MARKDOWN_DAILY_DIR (default "Daily")
+ * named by MARKDOWN_DAILY_FORMAT (default YYYY-MM-DD). Without it, the note
+ * is returned for the client to download, and only `file` mode is offered.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const platforms = require('../platforms');
+const { formatTime } = require('./entry');
+
+function vaultDir() {
+  return process.env.MARKDOWN_VAULT_DIR || null;
+}
+
+/**
+ * Modes this server supports
+ */
+function modes() {
+  return vaultDir() ? ['file', 'daily'] : ['file'];
+}
+
+// Double-quoted YAML scalars share JSON's escaping
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Characters Obsidian, Logseq or common file systems reject in names
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim().substring(0, 120);
+}
+
+// "#deep-work" style tags for the body of daily notes
+function hashtag(tag) {
+  return `#${tag.replace(/\s+/g, '-')}`;
+}
+
+function moment(entry) {
+  return entry.endSeconds
+    ? `${formatTime(entry.timestampSeconds)}–${formatTime(entry.endSeconds)}`
+    : formatTime(entry.timestampSeconds);
+}
+
+// "Speaker: text" lines get a bold label
+function transcriptText(entry) {
+  return entry.transcript
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const speaker = entry.speakers.find(name => line.startsWith(`${name}: `));
+      return speaker ? `**${speaker}:** ${line.substring(speaker.length + 2)}` : line;
+    })
+    .join('\n\n');
+}
+
+/**
+ * YAML frontmatter for an insight note
+ */
+function frontmatter(entry) {
+  const lines = [
+    '---',
+    `title: ${yamlString(entry.title)}`,
+    `show: ${yamlString(entry.showName)}`,
+    `episode: ${yamlString(entry.title)}`,
+    `timestamp: ${yamlString(moment(entry))}`,
+    `timestamp_seconds: ${Math.floor(entry.timestampSeconds)}`
+  ];
+
+  if (entry.endSeconds) lines.push(`end_seconds: ${Math.floor(entry.endSeconds)}`);
+  if (entry.platform) lines.push(`platform: ${yamlString(entry.platform)}`);
+  if (entry.momentUrl) lines.push(`source_url: ${yamlString(entry.momentUrl)}`);
+
+  lines.push(entry.tags.length > 0 ? 'tags:' : 'tags: []');
+  for (const tag of entry.tags) {
+    lines.push(`  - ${yamlString(tag)}`);
+  }
+
+  if (entry.rating) lines.push(`rating: ${entry.rating}`);
+  lines.push(`saved: ${entry.savedAt}`);
+  if (entry.id) lines.push(`wisdom_vault_id: ${entry.id}`);
+  lines.push('---');
+
+  return lines.join('\n');
+}
+
+/**
+ * The full note for one insight
+ */
+function renderNote(entry) {
+  const heardOn = entry.platform ? ` on ${platforms.getLabel(entry.platform)}` : '';
+  const time = entry.momentUrl ? `[${moment(entry)}](${entry.momentUrl})` : moment(entry);
+  const sections = [
+    frontmatter(entry),
+    `# ${entry.title}`,
+    `🎧 From *${entry.showName}*${heardOn} at ${time}`
+  ];
+
+  if (entry.rating) {
+    sections.push('★'.repeat(entry.rating) + '☆'.repeat(5 - entry.rating));
+  }
+
+  if (entry.note) {
+    sections.push(`## My Note\n\n${entry.note}`);
+  }
+
+  if (entry.summary.length > 0) {
+    sections.push(`## Key Takeaways\n\n${entry.summary.map(point => `- ${point}`).join('\n')}`);
+  }
+
+  if (entry.transcript) {
+    sections.push(`## Transcript\n\n${transcriptText(entry)}`);
+  } else {
+    sections.push('## Your Notes\n\n');
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * A short entry for the daily note: heading, summary, note and tags
+ */
+function renderDailyEntry(entry) {
+  const time = entry.momentUrl ? `[${moment(entry)}](${entry.momentUrl})` : moment(entry);
+  const lines = [`## 🎧 ${entry.showName} — ${entry.title} (${time})`, ''];
+
+  for (const point of entry.summary) {
+    lines.push(`- ${point}`);
+  }
+
+  if (entry.note) {
+    lines.push('', `> ${entry.note.replace(/\n/g, '\n> ')}`);
+  }
+
+  if (entry.tags.length > 0) {
+    lines.push('', entry.tags.map(hashtag).join(' '));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * File name of an insight note: "2026-01-31 Show - Episode (12m05s).md"
+ */
+function noteFileName(entry) {
+  const date = entry.savedAt.substring(0, 10);
+  const seconds = Math.floor(entry.timestampSeconds);
+  const at = `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+  return `${safeFileName(`${date} ${entry.showName} - ${entry.title} (${at})`)}.md`;
+}
+
+/**
+ * File name of the daily note for a date
+ */
+function dailyFileName(date) {
+  const [year, month, day] = date.toISOString().substring(0, 10).split('-');
+  const format = process.env.MARKDOWN_DAILY_FORMAT || 'YYYY-MM-DD';
+  return `${format.replace('YYYY', year).replace('MM', month).replace('DD', day)}.md`;
+}
+
+/**
+ * Write the note (or append the daily entry) in `mode`. Resolves with the
+ * file name and content, plus the path inside the vault when it was written
+ * on this server.
+ */
+async function save(entry, { mode = 'file' } = {}) {
+  const daily = mode === 'daily';
+  const fileName = daily ? dailyFileName(new Date(entry.savedAt)) : noteFileName(entry);
+  const content = daily ? renderDailyEntry(entry) : renderNote(entry);
+  let vaultPath = null;
+
+  if (vaultDir()) {
+    const folder = daily
+      ? process.env.MARKDOWN_DAILY_DIR || 'Daily'
+      : process.env.MARKDOWN_INSIGHTS_DIR || 'Wisdom Vault';
+    vaultPath = path.join(folder, fileName);
+
+    const fullPath = path.join(vaultDir(), vaultPath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (daily) {
+      // Keep a blank line between whatever the note already has and this entry
+      const existing = await fs.readFile(fullPath, 'utf8').catch(() => '');
+      const trailingNewlines = existing.match(/\n*$/)[0].length;
+      const separator = existing ? '\n'.repeat(Math.max(0, 2 - trailingNewlines)) : '';
+      await fs.appendFile(fullPath, separator + content);
+    } else {
+      await fs.writeFile(fullPath, content, { flag: 'wx' }).catch(async (error) => {
+        if (error.code !== 'EEXIST') throw error;
+        // Same moment saved twice: keep both
+        vaultPath = vaultPath.replace(/\.md$/, ` ${Date.now()}.md`);
+        await fs.writeFile(path.join(vaultDir(), vaultPath), content);
+      });
+    }
+
+    console.log(`Saved Markdown to ${vaultPath}`);
+  }
+
+  return {
+    data: { mode, fileName, content, vaultPath },
+    insight: {}
+  };
+}
+
+/**
+ * One note per insight for a bulk export, with unique file names
+ */
+function exportNotes(entries) {
+  const used = new Set();
+
+  return entries.map(entry => {
+    let fileName = noteFileName(entry);
+    for (let n = 2; used.has(fileName); n++) {
+      fileName = noteFileName(entry).replace(/\.md$/, ` ${n}.md`);
+    }
+    used.add(fileName);
+
+    return { fileName, content: renderNote(entry) };
+  });
+}
+
+module.exports = {
+  name: 'markdown',
+  label: 'Markdown',
+  modes,
+  save,
+  exportNotes
+};
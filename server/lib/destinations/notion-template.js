@@ -0,0 +1,74 @@
+/**
+ * Notion Page Template
+ *
+ * Which sections an insight's Notion page has, in what order, and their
+ * headings. Teams can change the layout with a JSON file named by
+ * NOTION_TEMPLATE_FILE, e.g.
+ *   { "sections": ["quote", "summary", "note", "transcript"], "headings": { "summary": "Takeaways" } }
+ *
+ * Sections:
+ *   note       - the note from the review step, under a heading
+ *   review     - star rating (and the tags, when the database has no Tags column)
+ *   quote      - the verbatim line in a quote block
+ *   summary    - the summary as a bulleted list, under a heading
+ *   divider    - a horizontal rule
+ *   transcript - the whole transcript in a toggle (placeholder in manual mode)
+ *   source     - callout linking back to the moment (pages of their own only)
+ */
+
+const fs = require('fs');
+
+const SECTIONS = ['note', 'review', 'quote', 'summary', 'divider', 'transcript', 'source'];
+
+const DEFAULT_TEMPLATE = {
+  sections: ['note', 'review', 'quote', 'summary', 'divider', 'transcript', 'source'],
+  headings: {
+    note: '🗒️ My Note',
+    summary: '✨ Key Takeaways',
+    transcript: '📝 Transcript',
+    notes: '📝 Your Notes'
+  }
+};
+
+let template = null;
+
+// Keep known sections; a typo shouldn't break every save
+function normalize(custom) {
+  const sections = Array.isArray(custom.sections)
+    ? custom.sections.filter(section => {
+      if (SECTIONS.includes(section)) return true;
+      console.error(`Unknown Notion template section "${section}". Use one of: ${SECTIONS.join(', ')}`);
+      return false;
+    })
+    : DEFAULT_TEMPLATE.sections;
+
+  return {
+    sections,
+    headings: { ...DEFAULT_TEMPLATE.headings, ...custom.headings }
+  };
+}
+
+/**
+ * The page template: the built-in layout, or the one from NOTION_TEMPLATE_FILE
+ */
+function getTemplate() {
+  if (template) return template;
+
+  template = DEFAULT_TEMPLATE;
+  const file = process.env.NOTION_TEMPLATE_FILE;
+
+  if (file) {
+    try {
+      template = normalize(JSON.parse(fs.readFileSync(file, 'utf8')));
+      console.log(`Loaded Notion page template from ${file}: ${template.sections.join(', ')}`);
+    } catch (error) {
+      console.error(`Failed to load Notion page template from ${file}:`, error.message);
+    }
+  }
+
+  return template;
+}
+
+module.exports = {
+  getTemplate
+};
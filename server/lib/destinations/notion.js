@@ -0,0 +1,554 @@
+/**
+ * Notion Destination
+ *
+ * Writes an insight as a page in a Notion database: the user's own
+ * workspace when they connected one, otherwise the shared one from
+ * NOTION_API_KEY / NOTION_DATABASE_ID. The page's sections follow the
+ * page template (see notion-template.js).
+ *
+ * When the database has a "Listen Notes ID" (text) or "Episode URL" (URL)
+ * property, moments from the same episode share one page: the first save
+ * creates it, and later ones are appended as "⏱ 12:05" sections, kept in
+ * timestamp order.
+ */
+
+const { Client } = require('@notionhq/client');
+const notionAccounts = require('../notion-accounts');
+const notionSchema = require('../notion-schema');
+const platforms = require('../platforms');
+const notionTemplate = require('./notion-template');
+const { formatTime } = require('./entry');
+
+const sharedClient = new Client({ auth: process.env.NOTION_API_KEY });
+
+// Marks the heading that starts a moment's section on an episode page
+const SECTION_MARKER = '⏱ ';
+
+// Notion limits: characters per rich text object, blocks per children list
+const TEXT_LIMIT = 2000;
+const CHILDREN_LIMIT = 100;
+
+// Longest quote taken from the transcript when the summary has none
+const QUOTE_LENGTH = 500;
+
+/**
+ * Split text into pieces that fit a rich text object, at a space where
+ * there is one near the limit
+ */
+function chunkText(text) {
+  const chunks = [];
+  let rest = text;
+
+  while (rest.length > TEXT_LIMIT) {
+    let cut = rest.lastIndexOf(' ', TEXT_LIMIT);
+    if (cut < TEXT_LIMIT / 2) {
+      // Don't split a surrogate pair (emoji)
+      cut = /[\uD800-\uDBFF]/.test(rest[TEXT_LIMIT - 1]) ? TEXT_LIMIT - 1 : TEXT_LIMIT;
+    }
+    chunks.push(rest.substring(0, cut));
+    rest = rest.substring(cut);
+  }
+
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+// Rich text for any length of text
+function richText(text, annotations) {
+  return chunkText(text).map(content => annotations
+    ? { text: { content }, annotations }
+    : { text: { content } });
+}
+
+function paragraph(richTextItems) {
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: richTextItems }
+  };
+}
+
+function heading(type, content) {
+  return {
+    object: 'block',
+    type,
+    [type]: { rich_text: [{ text: { content } }] }
+  };
+}
+
+/**
+ * Transcript paragraphs, all of it. Lines that start with a known speaker
+ * name are one paragraph each with the name as a bold label; other text is
+ * split into paragraphs that fit Notion's limit.
+ */
+function transcriptBlocks(transcript, speakers) {
+  return transcript.split('\n').filter(line => line.trim()).flatMap(line => {
+    const speaker = speakers.find(name => line.startsWith(`${name}: `));
+
+    if (!speaker) {
+      return chunkText(line).map(content => paragraph([{ text: { content } }]));
+    }
+
+    return [paragraph([
+      { text: { content: `${speaker}: ` }, annotations: { bold: true } },
+      ...richText(line.substring(speaker.length + 2))
+    ])];
+  });
+}
+
+/**
+ * The transcript in a toggle, or in several when it takes more blocks than
+ * one toggle holds ("📝 Transcript (2/3)")
+ */
+function transcriptToggles(transcript, speakers, title) {
+  const blocks = transcriptBlocks(transcript, speakers);
+  const parts = Math.ceil(blocks.length / CHILDREN_LIMIT);
+
+  return Array.from({ length: parts }, (_, index) => ({
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: [{ text: { content: parts > 1 ? `${title} (${index + 1}/${parts})` : title } }],
+      children: blocks.slice(index * CHILDREN_LIMIT, (index + 1) * CHILDREN_LIMIT)
+    }
+  }));
+}
+
+// "Quote: ..." from the quote summary style
+function summaryQuote(summary) {
+  const item = summary.find(point => point.startsWith('Quote: '));
+  return item ? item.substring('Quote: '.length).trim() : null;
+}
+
+/**
+ * The verbatim line for the quote block: the one the quote style picked,
+ * otherwise the opening of the transcript, ending at a sentence if possible
+ */
+function quoteText(entry) {
+  const picked = summaryQuote(entry.summary);
+  if (picked) return picked;
+  if (!entry.transcript) return null;
+
+  const words = entry.transcript
+    .split('\n')
+    .map(line => {
+      const speaker = entry.speakers.find(name => line.startsWith(`${name}: `));
+      return speaker ? line.substring(speaker.length + 2) : line;
+    })
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (words.length <= QUOTE_LENGTH) return words;
+
+  const opening = words.substring(0, QUOTE_LENGTH);
+  const sentenceEnd = Math.max(opening.lastIndexOf('. '), opening.lastIndexOf('? '), opening.lastIndexOf('! '));
+  return sentenceEnd > QUOTE_LENGTH / 3
+    ? opening.substring(0, sentenceEnd + 1)
+    : opening.substring(0, opening.lastIndexOf(' ')) + '…';
+}
+
+// "12:05" or "12:05–13:10"
+function momentLabel(entry) {
+  return entry.endSeconds
+    ? `${formatTime(entry.timestampSeconds)}–${formatTime(entry.endSeconds)}`
+    : formatTime(entry.timestampSeconds);
+}
+
+// Callout with source; the time jumps back into the episode
+function sourceCallout(entry) {
+  const heardOn = entry.platform ? ` on ${platforms.getLabel(entry.platform)}` : '';
+
+  return {
+    object: 'block',
+    type: 'callout',
+    callout: {
+      icon: { type: 'emoji', emoji: '🎧' },
+      rich_text: [
+        {
+          text: {
+            content: entry.endSeconds
+              ? `From "${entry.showName}"${heardOn}, `
+              : `From "${entry.showName}"${heardOn} at `
+          }
+        },
+        {
+          text: {
+            content: momentLabel(entry),
+            link: entry.momentUrl ? { url: entry.momentUrl } : null
+          }
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * One section of the page template. `headingType` is heading_2 on a page
+ * of its own and heading_3 inside an episode section.
+ */
+function templateSection(section, entry, { headings, headingType, tagsInBody, hasQuote }) {
+  const { transcript, summary, speakers, note, tags, rating } = entry;
+
+  switch (section) {
+    case 'note':
+      return note
+        ? [heading(headingType, headings.note), paragraph(richText(note))]
+        : [];
+
+    case 'review': {
+      // Rating from the review step, and the tags when there's no Tags column
+      const reviewLine = [
+        rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : null,
+        tags.length > 0 && tagsInBody ? `Tags: ${tags.join(', ')}` : null
+      ].filter(Boolean).join(' · ');
+      return reviewLine ? [paragraph([{ text: { content: reviewLine } }])] : [];
+    }
+
+    case 'quote': {
+      const quote = quoteText(entry);
+      return quote
+        ? [{ object: 'block', type: 'quote', quote: { rich_text: richText(quote) } }]
+        : [];
+    }
+
+    case 'summary': {
+      // The quote block already shows the quote style's "Quote: ..."
+      const items = hasQuote ? summary.filter(point => !point.startsWith('Quote: ')) : summary;
+      return items.length > 0
+        ? [
+          heading(headingType, headings.summary),
+          ...items.map(item => ({
+            object: 'block',
+            type: 'bulleted_list_item',
+            bulleted_list_item: { rich_text: richText(item) }
+          }))
+        ]
+        : [];
+    }
+
+    case 'divider':
+      return [{ object: 'block', type: 'divider', divider: {} }];
+
+    case 'transcript':
+      return transcript
+        ? transcriptToggles(transcript, speakers, headings.transcript)
+        // Manual mode - add placeholder for notes
+        : [
+          heading(headingType, headings.notes),
+          paragraph([{ text: { content: '(Podcast not found in database - add your own notes here!)' } }])
+        ];
+
+    case 'source':
+      return [sourceCallout(entry)];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * A moment's blocks, laid out by the page template
+ */
+function momentBlocks(entry, { headingType, tagsInBody, sections }) {
+  const { headings, sections: templateSections } = notionTemplate.getTemplate();
+  const included = sections || templateSections;
+  const options = { headings, headingType, tagsInBody, hasQuote: included.includes('quote') };
+
+  return included.flatMap(section => templateSection(section, entry, options));
+}
+
+/**
+ * A moment's section on an episode page: a "⏱ 12:05" heading linking to
+ * the moment, then its note, summary and transcript
+ */
+function sectionBlocks(entry, options) {
+  return [
+    {
+      object: 'block',
+      type: 'heading_2',
+      heading_2: {
+        rich_text: [{
+          text: {
+            content: `${SECTION_MARKER}${momentLabel(entry)}`,
+            link: entry.momentUrl ? { url: entry.momentUrl } : null
+          }
+        }]
+      }
+    },
+    ...momentBlocks(entry, {
+      ...options,
+      headingType: 'heading_3',
+      // The heading already links to the moment
+      sections: notionTemplate.getTemplate().sections.filter(section => section !== 'source')
+    })
+  ];
+}
+
+// Top of an episode page: where the moments below were heard
+function episodeCallout(entry) {
+  const heardOn = entry.platform ? ` on ${platforms.getLabel(entry.platform)}` : '';
+
+  return {
+    object: 'block',
+    type: 'callout',
+    callout: {
+      icon: { type: 'emoji', emoji: '🎧' },
+      rich_text: [
+        { text: { content: `Moments from "${entry.showName}"${heardOn}` } },
+        ...(entry.episodeUrl ? [
+          { text: { content: ' · ' } },
+          { text: { content: 'Open episode', link: { url: entry.episodeUrl } } }
+        ] : [])
+      ]
+    }
+  };
+}
+
+// Start of a section heading in seconds ("⏱ 1:02:03" -> 3723), or null
+function sectionSeconds(block) {
+  if (block.type !== 'heading_2') return null;
+
+  const text = block.heading_2.rich_text.map(part => part.plain_text).join('');
+  const match = text.startsWith(SECTION_MARKER) && text.substring(SECTION_MARKER.length).match(/^(\d+(?::\d{2}){1,2})/);
+  return match ? match[1].split(':').reduce((total, part) => total * 60 + parseInt(part), 0) : null;
+}
+
+/**
+ * Query filters that find the episode's page, for the episode properties
+ * the database has and the entry carries
+ */
+function episodeFilters(propertyTypes, entry) {
+  const filters = [];
+
+  if (propertyTypes['Listen Notes ID'] === 'rich_text' && entry.listenNotesId) {
+    filters.push({ property: 'Listen Notes ID', rich_text: { equals: entry.listenNotesId } });
+  }
+
+  if (propertyTypes['Episode URL'] === 'url' && entry.episodeUrl) {
+    filters.push({ property: 'Episode URL', url: { equals: entry.episodeUrl } });
+  }
+
+  return filters;
+}
+
+async function findEpisodePage(client, databaseId, filters) {
+  const response = await client.databases.query({
+    database_id: databaseId,
+    filter: filters.length === 1 ? filters[0] : { or: filters },
+    sorts: [{ timestamp: 'created_time', direction: 'ascending' }],
+    page_size: 1
+  });
+
+  return response.results[0] || null;
+}
+
+// Top-level blocks of a page, in order
+async function listChildren(client, pageId) {
+  const blocks = [];
+  let cursor;
+
+  do {
+    const response = await client.blocks.children.list({
+      block_id: pageId,
+      start_cursor: cursor,
+      page_size: 100
+    });
+    blocks.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return blocks;
+}
+
+/**
+ * Add a moment to its episode's page, before the first section that
+ * starts later so the page stays in timestamp order
+ */
+async function appendMoment(client, page, entry, { tagsInBody, hasTagsColumn }) {
+  const blocks = await listChildren(client, page.id);
+  const nextSection = blocks.findIndex(block => {
+    const seconds = sectionSeconds(block);
+    return seconds !== null && seconds > entry.timestampSeconds;
+  });
+
+  await client.blocks.children.append({
+    block_id: page.id,
+    children: sectionBlocks(entry, { tagsInBody }),
+    // Without `after` the section goes at the end
+    after: nextSection > 0 ? blocks[nextSection - 1].id : undefined
+  });
+
+  // The page's tags cover all of its moments
+  const pageTags = page.properties?.['Tags']?.multi_select?.map(option => option.name) || [];
+  const newTags = entry.tags.filter(tag => !pageTags.some(name => name.toLowerCase() === tag.toLowerCase()));
+  if (hasTagsColumn && newTags.length > 0) {
+    await client.pages.update({
+      page_id: page.id,
+      properties: {
+        'Tags': { multi_select: [...pageTags, ...newTags].map(name => ({ name })) }
+      }
+    });
+  }
+
+  console.log(`Added moment at ${formatTime(entry.timestampSeconds)} to Notion page ${page.id}`);
+}
+
+// Signed-in users write to their own workspace, everyone else to the shared one
+async function getTarget(userId) {
+  const { client, databaseId } = userId
+    ? await notionAccounts.getUserTarget(userId)
+    : { client: sharedClient, databaseId: process.env.NOTION_DATABASE_ID };
+
+  if (!databaseId) {
+    throw new Error('Notion database ID not configured');
+  }
+
+  return { client, databaseId };
+}
+
+/**
+ * Create the insight's page, or add it to its episode's page. Resolves with
+ * the page id and URL, which are also linked on the library record.
+ */
+async function save(entry, { userId } = {}) {
+  const {
+    title,
+    showName,
+    thumbnail,
+    momentUrl,
+    timestampSeconds,
+    manualMode,
+    tags,
+    savedAt
+  } = entry;
+
+  const { client: notionClient, databaseId } = await getTarget(userId);
+
+  // Optional columns are only written when the database has them
+  const propertyTypes = await notionSchema.getPropertyTypes(notionClient, databaseId);
+  notionSchema.assertRequired(propertyTypes);
+  const optionalProperties = notionSchema.pickOptional(propertyTypes, {
+    'Tags': {
+      type: 'multi_select',
+      value: { multi_select: tags.map(name => ({ name })) }
+    },
+    'Episode date': {
+      type: 'date',
+      value: { date: entry.episodeDate ? { start: entry.episodeDate } : null }
+    },
+    'Source platform': {
+      type: 'select',
+      value: { select: entry.platform ? { name: platforms.getLabel(entry.platform) } : null }
+    },
+    'Rating': {
+      type: 'number',
+      value: { number: entry.rating }
+    },
+    'Listen Notes ID': {
+      type: 'rich_text',
+      value: { rich_text: entry.listenNotesId ? [{ text: { content: entry.listenNotesId } }] : [] }
+    },
+    'Episode URL': {
+      type: 'url',
+      value: { url: entry.episodeUrl || null }
+    }
+  });
+  const hasTagsColumn = Boolean(optionalProperties['Tags']);
+
+  // One page per episode when the database can tell episodes apart
+  const filters = episodeFilters(propertyTypes, entry);
+  if (filters.length > 0) {
+    const episodePage = await findEpisodePage(notionClient, databaseId, filters);
+
+    if (episodePage) {
+      await appendMoment(notionClient, episodePage, entry, { tagsInBody: !hasTagsColumn, hasTagsColumn });
+      return {
+        data: { notionPageId: episodePage.id, notionUrl: episodePage.url, appended: true },
+        insight: { notionPageId: episodePage.id, notionUrl: episodePage.url }
+      };
+    }
+  }
+
+  const pageChildren = filters.length > 0
+    ? [episodeCallout(entry), ...sectionBlocks(entry, { tagsInBody: !hasTagsColumn })]
+    : momentBlocks(entry, { headingType: 'heading_2', tagsInBody: !hasTagsColumn });
+
+  // Create Notion page
+  const response = await notionClient.pages.create({
+    parent: { database_id: databaseId },
+    icon: {
+      type: 'emoji',
+      emoji: manualMode ? '✏️' : '💡'
+    },
+    cover: thumbnail ? {
+      type: 'external',
+      external: { url: thumbnail }
+    } : undefined,
+    properties: {
+      // Title property (required)
+      'Name': {
+        title: [
+          {
+            text: {
+              content: title.substring(0, 100)
+            }
+          }
+        ]
+      },
+      // Show Name
+      'Show': {
+        rich_text: [
+          {
+            text: {
+              content: showName
+            }
+          }
+        ]
+      },
+      // Link back to the moment in the player the insight was captured from
+      // (the property predates other platforms, hence the name)
+      'Spotify URL': {
+        url: momentUrl
+      },
+      // Timestamp
+      'Timestamp': {
+        number: timestampSeconds
+      },
+      // Date saved
+      'Saved': {
+        date: {
+          start: savedAt
+        }
+      },
+      // Topic tags, episode date, platform, rating and the episode's ids,
+      // if the database has those columns
+      ...optionalProperties
+    },
+    children: pageChildren
+  });
+
+  console.log(`Saved to Notion: ${response.id}`);
+
+  return {
+    data: { notionPageId: response.id, notionUrl: response.url, appended: false },
+    insight: { notionPageId: response.id, notionUrl: response.url }
+  };
+}
+
+/**
+ * POST /setup/notion: check the database saves go to and create its
+ * missing properties (see notionSchema.setupDatabase)
+ */
+async function setup({ userId, dryRun } = {}) {
+  const { client, databaseId } = await getTarget(userId);
+  return notionSchema.setupDatabase(client, databaseId, { dryRun });
+}
+
+module.exports = {
+  name: 'notion',
+  label: 'Notion',
+  modes: () => [],
+  save,
+  setup
+};
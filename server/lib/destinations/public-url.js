@@ -0,0 +1,142 @@
+/**
+ * Public URLs
+ *
+ * Webhook and AnkiConnect URLs are entered by users but fetched by the
+ * server, so they must not reach the server's own network: loopback,
+ * private ranges, link-local (cloud metadata at 169.254.169.254) and the
+ * like. URLs are checked after DNS resolution when they're saved and again
+ * when they're requested, and the request itself connects through agents
+ * that re-check every address they resolve, so a host can't switch to a
+ * private address in between.
+ *
+ * Settings from the server's environment (WEBHOOK_URL, ANKI_CONNECT_URL)
+ * are trusted. Set DESTINATIONS_ALLOW_PRIVATE=true on a self-hosted server
+ * whose users' AnkiConnect or webhook receivers are on the local network.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { permanentError } = require('./http');
+
+const BLOCKED = new net.BlockList();
+
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 of IPv4 addresses
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+function allowPrivate() {
+  return process.env.DESTINATIONS_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet (IPv4-mapped IPv6 addresses included)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateAddressError(label, hostname, address) {
+  const target = hostname === address ? address : `${hostname} is ${address}`;
+  return permanentError(`${label} points to a private or local address (${target}), which isn't allowed`);
+}
+
+/**
+ * Check a user's URL: http(s), and every address its host resolves to is
+ * public. Resolves with the parsed URL. Errors have `retryable` set: a
+ * private address never will be, a failed DNS lookup might.
+ */
+async function assertPublicUrl(value, label) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw permanentError(`${label} must be a full http(s) URL`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw permanentError(`${label} must be a full http(s) URL`);
+  }
+
+  if (allowPrivate()) return url;
+
+  // IPv6 hosts come bracketed: [::1]
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw Object.assign(new Error(`${label} host ${hostname} could not be resolved (${error.code || error.message})`), {
+      retryable: true
+    });
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw privateAddressError(label, hostname, blocked.address);
+  }
+
+  return url;
+}
+
+// dns.lookup that refuses private addresses, for the agents below
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(privateAddressError('The URL', hostname, blocked.address));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * axios options for a request to a user's URL: connect only to public
+ * addresses, and ignore HTTP(S)_PROXY so the check applies to the URL's host
+ */
+function publicRequestOptions() {
+  return allowPrivate() ? {} : { ...agents, proxy: false };
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicRequestOptions
+};
@@ -0,0 +1,137 @@
+/**
+ * Readwise Destination
+ *
+ * Sends an insight to Readwise as a highlight through its highlights API
+ * (POST /highlights/): the summary is the highlight, the episode the
+ * "book", the show its author, and the captured time its location. The
+ * user's note goes along with the tags as Readwise inline tags (".tag").
+ *
+ * Needs a Readwise access token (https://readwise.io/access_token), per user
+ * or READWISE_TOKEN for everyone. READWISE_API_URL points at another API,
+ * e.g. the local mock in scripts/mock-readwise.js.
+ */
+
+const axios = require('axios');
+const { requestError, permanentError } = require('./http');
+
+const DEFAULT_API_URL = 'https://readwise.io/api/v2';
+const TIMEOUT_MS = 15000;
+
+// Readwise caps highlight text and notes at 8191 characters
+const MAX_TEXT_LENGTH = 8191;
+
+function apiUrl() {
+  return (process.env.READWISE_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+}
+
+// ".deep-work" inline tags; Readwise tags can't contain spaces
+function inlineTag(tag) {
+  return `.${tag.replace(/\s+/g, '-')}`;
+}
+
+/**
+ * The highlight for an entry, in the highlights API format
+ */
+function toHighlight(entry) {
+  const text = entry.summary.length > 0 ? entry.summary.join('\n') : entry.transcript;
+
+  if (!text) {
+    throw permanentError('Readwise needs a summary or transcript to highlight');
+  }
+
+  const note = [entry.note, entry.tags.map(inlineTag).join(' ')].filter(Boolean).join('\n\n');
+
+  return {
+    text: text.substring(0, MAX_TEXT_LENGTH),
+    title: entry.title,
+    author: entry.showName,
+    category: 'podcasts',
+    source_type: 'wisdom_vault',
+    source_url: entry.momentUrl || undefined,
+    image_url: entry.thumbnail || undefined,
+    note: note ? note.substring(0, MAX_TEXT_LENGTH) : undefined,
+    location: Math.floor(entry.timestampSeconds),
+    location_type: 'time_offset',
+    highlighted_at: entry.savedAt,
+    highlight_url: entry.momentUrl || undefined
+  };
+}
+
+/**
+ * Settings a user fills in
+ */
+const settings = [
+  { key: 'token', label: 'Access token', secret: true, placeholder: 'From readwise.io/access_token' }
+];
+
+/**
+ * Validate settings from the user; the token is kept when not re-entered
+ */
+function configure(input, previous = {}) {
+  const token = typeof input.token === 'string' && input.token.trim()
+    ? input.token.trim()
+    : previous.token;
+
+  if (!token) {
+    throw new Error('A Readwise access token is required');
+  }
+
+  return { token };
+}
+
+/**
+ * Shared settings for captures made without an account
+ */
+function envConfig() {
+  return process.env.READWISE_TOKEN ? { token: process.env.READWISE_TOKEN } : null;
+}
+
+/**
+ * Create the highlight. Resolves with the ids Readwise assigned.
+ */
+async function deliver(entry, config) {
+  if (!config?.token) {
+    throw permanentError('Readwise is not set up: add your access token in the extension settings');
+  }
+
+  let response;
+  try {
+    response = await axios.post(`${apiUrl()}/highlights/`, {
+      highlights: [toHighlight(entry)]
+    }, {
+      headers: { Authorization: `Token ${config.token}` },
+      timeout: TIMEOUT_MS
+    });
+  } catch (error) {
+    throw requestError('Readwise', error);
+  }
+
+  // One entry per book, each listing the highlights it created or updated
+  const books = Array.isArray(response.data) ? response.data : [];
+  const highlightIds = books.flatMap(book => book.modified_highlights || []);
+  console.log(`Sent to Readwise: ${highlightIds.join(', ') || 'no highlight ids returned'}`);
+
+  return {
+    data: {
+      highlightIds,
+      readwiseUrl: books[0]?.id ? `https://readwise.io/bookreview/${books[0].id}` : null
+    }
+  };
+}
+
+async function save(entry, { config } = {}) {
+  const { data } = await deliver(entry, config);
+  return { data, insight: {} };
+}
+
+module.exports = {
+  name: 'readwise',
+  label: 'Readwise',
+  modes: () => [],
+  settings,
+  configure,
+  envConfig,
+  deliver,
+  save,
+  toHighlight
+};
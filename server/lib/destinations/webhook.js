@@ -0,0 +1,131 @@
+/**
+ * Webhook Destination
+ *
+ * POSTs the insight as JSON to a URL of the user's choosing (Zapier, n8n,
+ * their own server...). Each request is signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` using the webhook secret:
+ *
+ *   X-Wisdom-Vault-Signature: t=<unix seconds>,v1=<hex digest>
+ *
+ * Receivers recompute the digest with the raw body and reject stale
+ * timestamps. WEBHOOK_URL / WEBHOOK_SECRET configure it for captures made
+ * without an account.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { requestError, permanentError } = require('./http');
+const { assertPublicUrl, publicRequestOptions } = require('./public-url');
+
+const TIMEOUT_MS = 10000;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Signature header value for a JSON body
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Settings a user fills in
+ */
+const settings = [
+  { key: 'url', label: 'URL', placeholder: 'https://example.com/hooks/wisdom-vault' },
+  { key: 'secret', label: 'Signing secret', secret: true, placeholder: `At least ${MIN_SECRET_LENGTH} characters` }
+];
+
+/**
+ * Validate settings from the user; the secret is kept when not re-entered.
+ * The URL must be public (see public-url.js).
+ */
+async function configure(input, previous = {}) {
+  const url = await assertPublicUrl(input.url, 'Webhook URL');
+
+  const secret = typeof input.secret === 'string' && input.secret.trim()
+    ? input.secret.trim()
+    : previous.secret;
+
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`Webhook signing secret must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  return { url: url.toString(), secret };
+}
+
+/**
+ * Shared settings for captures made without an account
+ */
+function envConfig() {
+  return process.env.WEBHOOK_URL && process.env.WEBHOOK_SECRET
+    ? { url: process.env.WEBHOOK_URL, secret: process.env.WEBHOOK_SECRET, fromEnv: true }
+    : null;
+}
+
+/**
+ * Send the signed payload. `event` is insight.processed (automatic
+ * delivery once the insight is saved) or insight.saved (POST /save to the
+ * webhook itself).
+ */
+async function deliver(entry, config, { event = 'insight.processed', deliveryId = null } = {}) {
+  if (!config?.url || !config?.secret) {
+    throw permanentError('The webhook is not set up: add its URL and secret in the extension settings');
+  }
+
+  // A user's URL is checked again: its host may resolve elsewhere by now
+  if (!config.fromEnv) {
+    await assertPublicUrl(config.url, 'Webhook URL');
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    event,
+    deliveryId,
+    sentAt: new Date(timestamp * 1000).toISOString(),
+    insight: entry
+  });
+
+  let response;
+  try {
+    response = await axios.post(config.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WisdomVault-Webhook/1.0',
+        'X-Wisdom-Vault-Event': event,
+        'X-Wisdom-Vault-Delivery': deliveryId || '',
+        'X-Wisdom-Vault-Signature': sign(config.secret, timestamp, body)
+      },
+      timeout: TIMEOUT_MS,
+      // Don't follow redirects to wherever the receiver points
+      maxRedirects: 0,
+      ...(config.fromEnv ? {} : publicRequestOptions())
+    });
+  } catch (error) {
+    throw requestError('Webhook', error);
+  }
+
+  console.log(`Webhook delivered ${event} to ${new URL(config.url).host} (${response.status})`);
+
+  return { data: { status: response.status } };
+}
+
+async function save(entry, { config } = {}) {
+  const { data } = await deliver(entry, config, { event: 'insight.saved' });
+  return { data, insight: {} };
+}
+
+module.exports = {
+  name: 'webhook',
+  label: 'Webhook',
+  modes: () => [],
+  settings,
+  configure,
+  envConfig,
+  deliver,
+  save,
+  sign
+};
@@ -0,0 +1,247 @@
+/**
+ * Speaker Diarization
+ *
+ * Works out who said what in a transcribed capture. A local tool splits the
+ * audio into speaker turns (a pyannote pipeline, or any energy/embedding
+ * clustering script), and each timed Whisper segment goes to the speaker
+ * who talks the most during it. Guest names from the episode description
+ * replace the anonymous labels when the match is unambiguous.
+ *
+ * Configure with DIARIZATION_COMMAND, a command with an `{input}`
+ * placeholder for a 16 kHz mono WAV file. It runs without a shell: the
+ * program and its arguments are split on spaces (quote an argument that
+ * has spaces in it). It must print the turns to stdout as RTTM (pyannote's
+ * format) or a JSON array of { start, end, speaker }.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+
+const execFileAsync = promisify(execFile);
+
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+// Guests named in the description ("with Jane Doe", "our guest, Dr. Jane Doe")
+const GUEST_PATTERN = /\b(?:with|featuring|feat\.|guest,?|joined by|interviews?|welcomes?|talks? to|speaks? (?:to|with)|sits? down with|conversation with)\s+(?:(?:[Aa]uthor|[Pp]rofessor|[Pp]rof\.|[Dd]r\.?|[Dd]octor|[Ee]ntrepreneur|[Ii]nvestor|[Ff]ounder|CEO|[Jj]ournalist|[Cc]oach)\s+)*([A-Z][\w'’-]+(?:\s+[A-Z]\.)?(?:\s+[A-Z][\w'’-]+){1,2})/g;
+const NOT_NAMES = new Set(['The', 'This', 'Our', 'Today', 'Episode', 'In', 'On', 'We', 'You', 'Your', 'My', 'His', 'Her', 'Their']);
+const MAX_GUESTS = 3;
+
+function isEnabled() {
+  return Boolean(process.env.DIARIZATION_COMMAND);
+}
+
+/**
+ * Split a configured command into the program and its arguments, the way a
+ * shell would for plain words, 'single' and "double" quotes and backslash
+ * escapes, and put the input path in place of each `{input}`. Nothing else
+ * is interpreted (no variables, globs, pipes or redirects).
+ */
+function commandArgs(command, input) {
+  const args = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && /["\\]/.test(command[i + 1] || '')) {
+        current += command[++i];
+      } else {
+        current += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) args.push(current);
+      current = null;
+    } else {
+      current = current || '';
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '\\' && i + 1 < command.length) {
+        current += command[++i];
+      } else {
+        current += char;
+      }
+    }
+  }
+
+  if (quote) {
+    throw new Error('DIARIZATION_COMMAND has an unclosed quote');
+  }
+  if (current !== null) args.push(current);
+  if (args.length === 0) {
+    throw new Error('DIARIZATION_COMMAND is empty');
+  }
+
+  return args.map(arg => arg.replace(/\{input\}/g, () => input));
+}
+
+// "SPEAKER <file> <channel> <start> <duration> <NA> <NA> <speaker> ..."
+function parseRttm(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields[0] === 'SPEAKER' && fields.length >= 8)
+    .map(fields => {
+      const start = parseFloat(fields[3]);
+      return { start, end: start + parseFloat(fields[4]), speaker: fields[7] };
+    });
+}
+
+/**
+ * Speaker turns from the command's output (RTTM or JSON), sorted by start
+ */
+function parseTurns(output) {
+  const text = output.trim();
+  let turns;
+
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const parsed = JSON.parse(text);
+    turns = Array.isArray(parsed) ? parsed : parsed.turns || [];
+  } else {
+    turns = parseRttm(text);
+  }
+
+  return turns
+    .map(turn => ({ start: Number(turn.start), end: Number(turn.end), speaker: String(turn.speaker) }))
+    .filter(turn => Number.isFinite(turn.start) && turn.end > turn.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Speaker turns in an audio file, in seconds from its start
+ */
+async function diarize(audioPath) {
+  const wavPath = audioPath.replace(/\.[^.]+$/, '') + '_diarize.wav';
+
+  try {
+    await execFileAsync(
+      'ffmpeg',
+      ['-y', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', '-loglevel', 'error', wavPath],
+      { timeout: 60000 }
+    );
+
+    // No shell, so the WAV path is passed as-is whatever it contains
+    const [program, ...args] = commandArgs(process.env.DIARIZATION_COMMAND, wavPath);
+    console.log('Diarizing speakers...');
+    const { stdout } = await execFileAsync(program, args, { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+    const turns = parseTurns(stdout);
+    console.log(`Diarization found ${new Set(turns.map(turn => turn.speaker)).size} speaker(s) in ${turns.length} turn(s)`);
+    return turns;
+  } catch (error) {
+    console.error('Diarization error:', error.stderr || error.message);
+    throw new Error('Failed to diarize audio: ' + error.message);
+  } finally {
+    await fs.unlink(wavPath).catch(() => {});
+  }
+}
+
+// Speaker with the most overlap with [start, end], or the nearest turn
+function speakerAt(turns, start, end) {
+  let best = null;
+  let bestOverlap = 0;
+
+  for (const turn of turns) {
+    const overlap = Math.min(end, turn.end) - Math.max(start, turn.start);
+    if (overlap > bestOverlap) {
+      best = turn.speaker;
+      bestOverlap = overlap;
+    }
+  }
+
+  if (best) return best;
+
+  const middle = (start + end) / 2;
+  const nearest = turns.reduce((closest, turn) => {
+    const distance = Math.min(Math.abs(turn.start - middle), Math.abs(turn.end - middle));
+    return !closest || distance < closest.distance ? { speaker: turn.speaker, distance } : closest;
+  }, null);
+  return nearest?.speaker || null;
+}
+
+/**
+ * Give each timed segment ({ start, end, text }) a speaker and merge
+ * consecutive segments by the same speaker into lines
+ */
+function assignSpeakers(segments, turns) {
+  const lines = [];
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    const speaker = speakerAt(turns, segment.start, segment.end);
+    const last = lines[lines.length - 1];
+
+    if (last && last.speaker === speaker) {
+      last.text += ` ${text}`;
+      last.end = segment.end;
+    } else {
+      lines.push({ speaker, start: segment.start, end: segment.end, text });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Guest names mentioned in an episode description
+ */
+function findGuestNames(description) {
+  const text = (description || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+  const names = [];
+
+  for (const match of text.matchAll(GUEST_PATTERN)) {
+    const name = match[1].replace(/['’]s$/, '');
+    if (!NOT_NAMES.has(name.split(' ')[0]) && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+
+  return names.slice(0, MAX_GUESTS);
+}
+
+/**
+ * Replace raw speaker ids with readable labels: "Speaker 1", "Speaker 2"...
+ * in order of appearance. With one named guest and two speakers, the one
+ * who talks longer is the guest and the other the host.
+ */
+function labelSpeakers(lines, { guests = [] } = {}) {
+  const talkTime = new Map();
+  for (const line of lines) {
+    talkTime.set(line.speaker, (talkTime.get(line.speaker) || 0) + (line.end - line.start));
+  }
+
+  const speakers = [...talkTime.keys()];
+  const labels = new Map(speakers.map((speaker, index) => [speaker, `Speaker ${index + 1}`]));
+
+  if (guests.length === 1 && speakers.length === 2) {
+    const [guest, host] = [...speakers].sort((a, b) => talkTime.get(b) - talkTime.get(a));
+    labels.set(guest, guests[0]);
+    labels.set(host, 'Host');
+  }
+
+  return lines.map(line => ({ ...line, speaker: labels.get(line.speaker) }));
+}
+
+/**
+ * Transcript text with one "Speaker: text" line per turn
+ */
+function formatLines(lines) {
+  return lines.map(line => `${line.speaker}: ${line.text}`).join('\n');
+}
+
+module.exports = {
+  isEnabled,
+  commandArgs,
+  parseTurns,
+  diarize,
+  assignSpeakers,
+  findGuestNames,
+  labelSpeakers,
+  formatLines
+};
@@ -0,0 +1,204 @@
+/**
+ * Episode Cache
+ *
+ * Size-bounded LRU cache with a TTL for per-episode content: Listen Notes
+ * search results, full transcripts, cropped audio snippets and Whisper
+ * output per time window. Repeat captures from the same episode skip the
+ * API calls and downloads entirely.
+ *
+ * Keys are namespaced strings, e.g. `transcript:<episodeId>` or
+ * `audio:<episodeId>:<start>:<duration>`. Audio snippets are copied to disk
+ * under temp/cache and deleted when evicted.
+ *
+ * Configure with EPISODE_CACHE_MAX_MB (0 disables) and EPISODE_CACHE_TTL_MINUTES.
+ */
+
+const fs = require('fs').promises;
+const { rmSync } = require('fs');
+const path = require('path');
+
+const MAX_MB = parseFloat(process.env.EPISODE_CACHE_MAX_MB);
+const MAX_BYTES = (Number.isNaN(MAX_MB) ? 256 : MAX_MB) * 1024 * 1024;
+const TTL_MS = (parseFloat(process.env.EPISODE_CACHE_TTL_MINUTES) || 360) * 60 * 1000;
+
+const CACHE_DIR = path.join(__dirname, '..', 'temp', 'cache');
+
+// Files left over from a previous run are no longer tracked
+rmSync(CACHE_DIR, { recursive: true, force: true });
+
+// Map iteration order doubles as LRU order (oldest first)
+const entries = new Map();
+const inFlight = new Map();
+let totalBytes = 0;
+let hits = 0;
+let misses = 0;
+
+function isEnabled() {
+  return MAX_BYTES > 0;
+}
+
+function sizeOf(value) {
+  if (value === null || value === undefined) return 0;
+  if (Buffer.isBuffer(value)) return value.length;
+  if (typeof value === 'string') return Buffer.byteLength(value);
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
+function remove(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  entries.delete(key);
+  totalBytes -= entry.size;
+
+  if (entry.dispose) {
+    Promise.resolve(entry.dispose(entry.value)).catch(() => {});
+  }
+}
+
+// Drop expired entries, then least recently used ones until under budget
+function evict() {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) remove(key);
+  }
+
+  for (const key of entries.keys()) {
+    if (totalBytes <= MAX_BYTES) break;
+    remove(key);
+  }
+}
+
+/**
+ * Get a cached value, or undefined on a miss
+ */
+function get(key) {
+  const entry = entries.get(key);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) remove(key);
+    misses++;
+    return undefined;
+  }
+
+  // Move to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  hits++;
+  return entry.value;
+}
+
+/**
+ * Store a value. `size` defaults to the value's serialized size;
+ * `dispose` runs when the entry is evicted.
+ */
+function set(key, value, { size, dispose } = {}) {
+  if (!isEnabled()) {
+    if (dispose) Promise.resolve(dispose(value)).catch(() => {});
+    return;
+  }
+
+  remove(key);
+
+  const entry = {
+    value,
+    size: size !== undefined ? size : sizeOf(value),
+    expiresAt: Date.now() + TTL_MS,
+    dispose
+  };
+
+  entries.set(key, entry);
+  totalBytes += entry.size;
+  evict();
+}
+
+/**
+ * Return the cached value for `key`, or run `loader` and cache its result.
+ * Concurrent callers for the same key share one load. Null/undefined
+ * results are not cached so transient failures get retried.
+ */
+async function remember(key, loader, options = {}) {
+  const cached = get(key);
+  if (cached !== undefined) {
+    console.log(`Cache hit: ${key}`);
+    return cached;
+  }
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      if (value !== null && value !== undefined) {
+        set(key, value, options);
+      }
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Cache a copy of a file (e.g. a cropped audio snippet)
+ */
+async function storeFile(key, filePath) {
+  if (!isEnabled()) return;
+
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  const cachedPath = path.join(CACHE_DIR, `${Date.now()}_${path.basename(filePath)}`);
+  await fs.copyFile(filePath, cachedPath);
+
+  const stats = await fs.stat(cachedPath);
+  set(key, cachedPath, {
+    size: stats.size,
+    dispose: file => fs.unlink(file)
+  });
+}
+
+/**
+ * Copy a cached file to `targetPath` so callers can delete their copy freely
+ * Resolves with false on a miss
+ */
+async function copyFile(key, targetPath) {
+  const cachedPath = get(key);
+  if (!cachedPath) return false;
+
+  try {
+    await fs.copyFile(cachedPath, targetPath);
+    console.log(`Cache hit: ${key}`);
+    return true;
+  } catch (error) {
+    // File vanished from disk - forget it
+    remove(key);
+    return false;
+  }
+}
+
+/**
+ * Current size and hit rate, for /health
+ */
+function stats() {
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    bytes: totalBytes,
+    maxBytes: MAX_BYTES,
+    hits,
+    misses
+  };
+}
+
+module.exports = {
+  get,
+  set,
+  remember,
+  storeFile,
+  copyFile,
+  stats
+};
@@ -0,0 +1,201 @@
+/**
+ * Episode Resolver
+ *
+ * Works out which episode a capture came from with a chain of sources:
+ *
+ *   1. The player's own episode id (the Spotify episode in the now-playing
+ *      link, the Apple Podcasts `?i=` id) gives exact metadata: title,
+ *      show, publish date, duration and sometimes the RSS GUID.
+ *   2. The show's public RSS feed (found through the iTunes directory) is
+ *      matched on GUID, publish date, duration and title similarity.
+ *   3. Listen Notes search, only when the feed gave no confident match.
+ *
+ * Every match carries a confidence between 0 and 1. Matches below
+ * EPISODE_MATCH_MIN_CONFIDENCE are dropped (the capture falls back to
+ * manual mode); matches below EPISODE_MATCH_LOW_CONFIDENCE are flagged
+ * `lowConfidence` and come with the runner-up `candidates` so the user can
+ * pick the right one. A picked candidate is passed back as `episodeId`.
+ */
+
+const episodeCache = require('../episode-cache');
+const { titleSimilarity, rankCandidates } = require('./matching');
+const spotify = require('./spotify');
+const itunes = require('./itunes');
+const rss = require('./rss');
+const listenNotes = require('./listen-notes');
+
+const MIN_CONFIDENCE = parseFloat(process.env.EPISODE_MATCH_MIN_CONFIDENCE) || 0.3;
+const LOW_CONFIDENCE = parseFloat(process.env.EPISODE_MATCH_LOW_CONFIDENCE) || 0.7;
+
+// Platform metadata is only trusted when its title resembles what the player
+// showed (the page URL can point at a different episode than the one playing)
+const PLATFORM_TITLE_MATCH = 0.5;
+
+// Runner-up matches returned alongside the best one
+const MAX_CANDIDATES = 5;
+
+// Cache lookups; failures are logged and treated as "no data"
+async function lookup(key, loader) {
+  try {
+    return await episodeCache.remember(key, loader);
+  } catch (error) {
+    console.error(`Episode lookup ${key} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The platform's episode id, if the capture carries one
+ */
+function platformEpisodeId({ platform, sourceUrl, episodeUri }) {
+  if (platform === 'spotify') {
+    const match = (episodeUri || '').match(/^spotify:episode:([A-Za-z0-9]+)$/) ||
+      (sourceUrl || '').match(/open\.spotify\.com\/episode\/([A-Za-z0-9]+)/);
+    return match ? { platform, id: match[1] } : null;
+  }
+
+  if (platform === 'apple-podcasts') {
+    const match = (sourceUrl || '').match(/[?&]i=(\d+)/);
+    return match ? { platform, id: match[1] } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Everything we know about the episode before matching:
+ * { title, showName, publishedAt, durationSeconds, guid, feedUrl, thumbnail }
+ */
+async function buildHint(capture) {
+  const hint = {
+    title: capture.title,
+    showName: capture.showName || null,
+    durationSeconds: capture.durationSeconds || null
+  };
+
+  const platformId = platformEpisodeId(capture);
+  if (!platformId) return hint;
+
+  const details = platformId.platform === 'spotify'
+    ? await lookup(`spotify-episode:${platformId.id}`, () => spotify.getEpisode(platformId.id))
+    : await lookup(`apple-episode:${platformId.id}`, () => itunes.lookupEpisode(platformId.id));
+
+  if (!details?.title || titleSimilarity(details.title, capture.title) < PLATFORM_TITLE_MATCH) {
+    return hint;
+  }
+
+  console.log(`Using ${platformId.platform} metadata for episode ${platformId.id}`);
+  for (const [key, value] of Object.entries(details)) {
+    if (value) hint[key] = value;
+  }
+  return hint;
+}
+
+// Compact view of a candidate for clients choosing between matches
+function toCandidate(episode) {
+  return {
+    id: episode.id,
+    source: episode.source,
+    title: episode.title,
+    showName: episode.showName,
+    publishedAt: episode.publishedAt,
+    durationSeconds: episode.durationSeconds,
+    thumbnail: episode.thumbnail,
+    confidence: episode.confidence
+  };
+}
+
+// Every source's candidates for a capture, best first
+async function rankAll(capture) {
+  const hint = await buildHint(capture);
+  let ranked = [];
+
+  const feedUrl = hint.feedUrl ||
+    await lookup(`feed-url:${(hint.showName || '').toLowerCase()}`, () => itunes.findFeedUrl(hint.showName));
+
+  if (feedUrl) {
+    const feed = await lookup(`feed:${feedUrl}`, () => rss.fetchFeed(feedUrl));
+    ranked = rankCandidates(hint, feed?.items || []);
+    if (ranked[0]) {
+      console.log(`Best RSS match: "${ranked[0].title}" (confidence ${ranked[0].confidence})`);
+    }
+  }
+
+  if (!ranked[0] || ranked[0].confidence < LOW_CONFIDENCE) {
+    try {
+      const results = await episodeCache.remember(
+        `search:${(hint.showName || '').toLowerCase()}|${hint.title.toLowerCase()}`,
+        () => listenNotes.search(hint.title, hint.showName || '')
+      );
+      ranked = [...ranked, ...rankCandidates(hint, results)].sort((a, b) => b.confidence - a.confidence);
+    } catch (error) {
+      // The feed match is still better than failing the capture
+      if (ranked.length === 0) throw error;
+    }
+  }
+
+  // Keep the top candidates around so a user's pick can be used directly
+  for (const candidate of ranked.slice(0, MAX_CANDIDATES)) {
+    episodeCache.set(`episode:${candidate.id}`, candidate);
+  }
+
+  return ranked;
+}
+
+// The user picked this episode, so it's certain
+function chosen(episode) {
+  console.log(`Using chosen ${episode.source} episode "${episode.title}"`);
+  return { ...episode, confidence: 1, lowConfidence: false, confirmed: true, candidates: [] };
+}
+
+/**
+ * Resolve a capture { title, showName, platform, sourceUrl, episodeUri,
+ * durationSeconds } to an episode, or null when nothing matches well enough.
+ * `episodeId` selects one of the candidates returned by an earlier call; if
+ * it is no longer among them, the capture is matched as usual.
+ */
+async function resolveEpisode(capture, { episodeId } = {}) {
+  const cached = episodeId && episodeCache.get(`episode:${episodeId}`);
+  if (cached) return chosen(cached);
+
+  const ranked = await rankAll(capture);
+
+  if (episodeId) {
+    const picked = ranked.find(candidate => candidate.id === episodeId);
+    if (picked) return chosen(picked);
+    console.log(`Chosen episode ${episodeId} is no longer a candidate`);
+  }
+
+  const best = ranked[0];
+
+  if (!best || best.confidence < MIN_CONFIDENCE) {
+    console.log(`No confident episode match (best ${best ? best.confidence : 'none'})`);
+    return null;
+  }
+
+  console.log(`Matched ${best.source} episode "${best.title}" (confidence ${best.confidence})`);
+
+  return {
+    ...best,
+    lowConfidence: best.confidence < LOW_CONFIDENCE,
+    candidates: ranked.slice(0, MAX_CANDIDATES).map(toCandidate)
+  };
+}
+
+/**
+ * Full transcript for a resolved episode, if its source has one
+ */
+async function fetchTranscript(episode) {
+  if (!episode.hasTranscript) return null;
+
+  if (episode.source === 'rss') {
+    return rss.fetchTranscript(episode.transcriptUrl);
+  }
+
+  return listenNotes.getTranscript(episode.id);
+}
+
+module.exports = {
+  resolveEpisode,
+  fetchTranscript
+};
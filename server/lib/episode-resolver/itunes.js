@@ -0,0 +1,63 @@
+/**
+ * iTunes Directory
+ *
+ * Apple's public search/lookup API (no key needed) maps show names to
+ * RSS feed URLs and Apple Podcasts episode ids to exact episode metadata,
+ * including the RSS GUID.
+ */
+
+const axios = require('axios');
+const { titleSimilarity } = require('./matching');
+
+const ITUNES_URL = 'https://itunes.apple.com';
+const TIMEOUT_MS = 10000;
+
+// Shows whose name matches less than this are not the show we want
+const MIN_SHOW_SIMILARITY = 0.6;
+
+/**
+ * Find a show's RSS feed by name
+ */
+async function findFeedUrl(showName) {
+  if (!showName) return null;
+
+  const response = await axios.get(`${ITUNES_URL}/search`, {
+    params: { term: showName, media: 'podcast', entity: 'podcast', limit: 10 },
+    timeout: TIMEOUT_MS
+  });
+
+  const best = (response.data.results || [])
+    .filter(show => show.feedUrl)
+    .map(show => ({ feedUrl: show.feedUrl, similarity: titleSimilarity(showName, show.collectionName) }))
+    .sort((a, b) => b.similarity - a.similarity)[0];
+
+  return best && best.similarity >= MIN_SHOW_SIMILARITY ? best.feedUrl : null;
+}
+
+/**
+ * Look up an Apple Podcasts episode (the `?i=` id in podcasts.apple.com URLs)
+ */
+async function lookupEpisode(appleEpisodeId) {
+  const response = await axios.get(`${ITUNES_URL}/lookup`, {
+    params: { id: appleEpisodeId, entity: 'podcastEpisode' },
+    timeout: TIMEOUT_MS
+  });
+
+  const episode = (response.data.results || []).find(result => result.wrapperType === 'podcastEpisode');
+  if (!episode) return null;
+
+  return {
+    guid: episode.episodeGuid || null,
+    title: episode.trackName,
+    showName: episode.collectionName,
+    publishedAt: episode.releaseDate || null,
+    durationSeconds: episode.trackTimeMillis ? Math.round(episode.trackTimeMillis / 1000) : null,
+    feedUrl: episode.feedUrl || null,
+    thumbnail: episode.artworkUrl600 || episode.artworkUrl160 || null
+  };
+}
+
+module.exports = {
+  findFeedUrl,
+  lookupEpisode
+};
@@ -0,0 +1,77 @@
+/**
+ * Listen Notes
+ *
+ * Full-text episode search across all podcasts. Used as the last resort in
+ * the resolver chain, and for the transcripts Listen Notes has for some
+ * episodes.
+ */
+
+const axios = require('axios');
+
+const API_URL = 'https://listen-api.listennotes.com/api/v2';
+
+function headers() {
+  return { 'X-ListenAPI-Key': process.env.LISTENNOTES_API_KEY };
+}
+
+/**
+ * Search for episodes, returned as candidates for ranking
+ */
+async function search(title, showName) {
+  // Put show name in quotes to prioritize exact match
+  const query = showName ? `"${showName}" ${title}` : title;
+
+  console.log(`Searching Listen Notes for: ${query}`);
+
+  try {
+    const response = await axios.get(`${API_URL}/search`, {
+      headers: headers(),
+      params: {
+        q: query,
+        type: 'episode',
+        len_min: 1,
+        sort_by_date: 0
+      }
+    });
+
+    return (response.data.results || []).map(episode => ({
+      id: episode.id,
+      source: 'listen-notes',
+      title: episode.title_original,
+      showName: episode.podcast?.title_original || showName,
+      publishedAt: episode.pub_date_ms ? new Date(episode.pub_date_ms).toISOString() : null,
+      durationSeconds: episode.audio_length_sec || null,
+      audioUrl: episode.audio,
+      thumbnail: episode.thumbnail,
+      description: episode.description_original,
+      hasTranscript: episode.transcript ? true : false
+    }));
+  } catch (error) {
+    console.error('Listen Notes API error:', error.message);
+    throw new Error('Failed to search for podcast episode');
+  }
+}
+
+/**
+ * Get episode details with transcript from Listen Notes
+ */
+async function getTranscript(episodeId) {
+  try {
+    const response = await axios.get(`${API_URL}/episodes/${episodeId}`, {
+      headers: headers(),
+      params: {
+        show_transcript: 1
+      }
+    });
+
+    return response.data.transcript || null;
+  } catch (error) {
+    console.error('Failed to get episode transcript:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  search,
+  getTranscript
+};
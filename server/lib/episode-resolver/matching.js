@@ -0,0 +1,121 @@
+/**
+ * Episode Matching
+ *
+ * Scores how likely a candidate episode (an RSS item or a Listen Notes
+ * result) is the one the user was listening to, given what we know about
+ * the capture: title, show, publish date, duration and possibly the GUID.
+ */
+
+// Signal weights for the confidence score; only signals both sides have count
+const WEIGHTS = {
+  title: 0.5,
+  date: 0.25,
+  duration: 0.25
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that carry no identity ("episode 12", "the", ...)
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'of', 'with', 'to', 'in', 'on', 'for', 'ep', 'episode', 'part', 'pt']);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/#?\d+\s*[:|-]/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Dice coefficient over the two titles' words, 0..1
+ * A short title wholly contained in a longer one still scores high
+ */
+function titleSimilarity(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+
+  const dice = (2 * shared) / (wordsA.size + wordsB.size);
+  const smaller = Math.min(wordsA.size, wordsB.size);
+  const contained = smaller >= 3 && shared === smaller ? 0.9 : 0;
+
+  return Math.max(dice, contained);
+}
+
+function dateScore(a, b) {
+  const diffDays = Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+  if (Number.isNaN(diffDays)) return null;
+  if (diffDays < 1) return 1;
+  // Time zones and "scheduled for tomorrow" releases
+  if (diffDays < 2) return 0.8;
+  if (diffDays < 4) return 0.4;
+  return 0;
+}
+
+function durationScore(a, b) {
+  const diff = Math.abs(a - b);
+  if (diff <= 5) return 1;
+  // Dynamically inserted ads make hosted copies differ a little
+  if (diff <= 60) return 0.8;
+  if (diff <= 180) return 0.4;
+  return 0;
+}
+
+/**
+ * Confidence (0..1) that `candidate` is the episode described by `hint`.
+ * Both are { guid, title, showName, publishedAt, durationSeconds }.
+ */
+function scoreCandidate(hint, candidate) {
+  if (hint.guid && candidate.guid && hint.guid === candidate.guid) {
+    return 1;
+  }
+
+  const scores = {
+    title: titleSimilarity(hint.title, candidate.title),
+    date: hint.publishedAt && candidate.publishedAt ? dateScore(hint.publishedAt, candidate.publishedAt) : null,
+    duration: hint.durationSeconds && candidate.durationSeconds
+      ? durationScore(hint.durationSeconds, candidate.durationSeconds)
+      : null
+  };
+
+  let total = 0;
+  let weight = 0;
+  for (const [signal, score] of Object.entries(scores)) {
+    if (score === null) continue;
+    total += WEIGHTS[signal] * score;
+    weight += WEIGHTS[signal];
+  }
+
+  // A title-only match is worth less than one corroborated by date/duration
+  let confidence = (total / weight) * (0.7 + 0.3 * weight);
+
+  // Results from a search across all podcasts also have to be the right show
+  if (hint.showName && candidate.showName) {
+    confidence *= 0.5 + 0.5 * titleSimilarity(hint.showName, candidate.showName);
+  }
+
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Score and sort candidates, best first
+ */
+function rankCandidates(hint, candidates) {
+  return candidates
+    .map(candidate => ({ ...candidate, confidence: scoreCandidate(hint, candidate) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+  titleSimilarity,
+  scoreCandidate,
+  rankCandidates
+};
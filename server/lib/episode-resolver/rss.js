@@ -0,0 +1,144 @@
+/**
+ * RSS Feeds
+ *
+ * Fetches a podcast's public feed and parses its items into episode
+ * candidates. Only the handful of tags we match on are read, so a small
+ * tag parser is enough - no XML dependency.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const FEED_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 20 * 1024 * 1024;
+
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Text content of the first <tag>...</tag>
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+// Attribute of the first <tag ...>
+function tagAttribute(xml, tag, attribute, where = () => true) {
+  const pattern = new RegExp(`<${tag}\\s([^>]*?)/?>`, 'gi');
+  let match;
+  while ((match = pattern.exec(xml))) {
+    const attributes = match[1];
+    if (!where(attributes)) continue;
+    const value = attributes.match(new RegExp(`(?:^|\\s)${attribute}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    if (value) return decodeEntities(value[1]);
+  }
+  return null;
+}
+
+/**
+ * Parse <itunes:duration>: "3600", "60:00" or "1:00:00"
+ */
+function parseDuration(value) {
+  if (!value) return null;
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0) || null;
+}
+
+// Prefer structured transcripts (they carry timing) over plain text
+const TRANSCRIPT_TYPES = ['text/vtt', 'application/x-subrip', 'application/srt', 'application/json', 'text/plain', 'text/html'];
+
+function pickTranscript(itemXml) {
+  const transcripts = [];
+  const pattern = /<podcast:transcript\s([^>]*?)\/?>/gi;
+  let match;
+  while ((match = pattern.exec(itemXml))) {
+    const url = match[1].match(/url\s*=\s*["']([^"']+)["']/i)?.[1];
+    const type = (match[1].match(/type\s*=\s*["']([^"']+)["']/i)?.[1] || '').toLowerCase();
+    if (url) transcripts.push({ url: decodeEntities(url), type });
+  }
+
+  transcripts.sort((a, b) => {
+    const rank = type => (TRANSCRIPT_TYPES.indexOf(type) + 1) || TRANSCRIPT_TYPES.length + 1;
+    return rank(a.type) - rank(b.type);
+  });
+  return transcripts[0] || null;
+}
+
+/**
+ * Stable id for an episode from a feed, used for cache keys
+ */
+function episodeId(feedUrl, guid) {
+  return 'rss-' + crypto.createHash('sha1').update(`${feedUrl}|${guid}`).digest('hex').substring(0, 16);
+}
+
+/**
+ * Fetch and parse a feed
+ * Resolves with { title, image, items: [episode candidate] }
+ */
+async function fetchFeed(feedUrl) {
+  const response = await axios.get(feedUrl, {
+    responseType: 'text',
+    timeout: FEED_TIMEOUT_MS,
+    maxContentLength: MAX_FEED_BYTES,
+    headers: { 'User-Agent': 'WisdomVault/1.0 (+podcast insight capture)' }
+  });
+
+  const xml = response.data;
+  const channelXml = xml.split(/<item[\s>]/i)[0];
+  const showName = tagText(channelXml, 'title');
+  const showImage = tagAttribute(channelXml, 'itunes:image', 'href') || tagText(tagText(channelXml, 'image') || '', 'url');
+
+  const items = (xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || []).map(itemXml => {
+    const audioUrl = tagAttribute(itemXml, 'enclosure', 'url');
+    const guid = tagText(itemXml, 'guid') || audioUrl;
+    const pubDate = tagText(itemXml, 'pubDate');
+    const transcript = pickTranscript(itemXml);
+
+    return {
+      id: episodeId(feedUrl, guid),
+      source: 'rss',
+      feedUrl,
+      guid,
+      title: tagText(itemXml, 'title') || '',
+      showName,
+      publishedAt: pubDate && !Number.isNaN(Date.parse(pubDate)) ? new Date(pubDate).toISOString() : null,
+      durationSeconds: parseDuration(tagText(itemXml, 'itunes:duration')),
+      audioUrl,
+      thumbnail: tagAttribute(itemXml, 'itunes:image', 'href') || showImage,
+      description: tagText(itemXml, 'description') || tagText(itemXml, 'itunes:summary'),
+      transcriptUrl: transcript?.url || null,
+      transcriptType: transcript?.type || null,
+      hasTranscript: Boolean(transcript)
+    };
+  }).filter(item => item.audioUrl);
+
+  return { title: showName, image: showImage, items };
+}
+
+/**
+ * Download an episode's Podcasting 2.0 transcript as text
+ */
+async function fetchTranscript(transcriptUrl) {
+  try {
+    const response = await axios.get(transcriptUrl, { responseType: 'text', timeout: FEED_TIMEOUT_MS });
+    return response.data || null;
+  } catch (error) {
+    console.error('Failed to fetch feed transcript:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  fetchFeed,
+  fetchTranscript
+};
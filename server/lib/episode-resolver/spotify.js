@@ -0,0 +1,88 @@
+/**
+ * Spotify Episodes
+ *
+ * Turns a Spotify episode id into exact metadata. With SPOTIFY_CLIENT_ID and
+ * SPOTIFY_CLIENT_SECRET set, the Web API gives title, show, release date and
+ * duration; without them the public oEmbed endpoint still gives the title.
+ */
+
+const axios = require('axios');
+
+const TIMEOUT_MS = 10000;
+
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+function isConfigured() {
+  return Boolean(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+}
+
+// Client-credentials token, reused until shortly before it expires
+async function getAccessToken() {
+  if (accessToken && Date.now() < accessTokenExpiresAt) {
+    return accessToken;
+  }
+
+  const credentials = Buffer
+    .from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`)
+    .toString('base64');
+
+  const response = await axios.post(
+    'https://accounts.spotify.com/api/token',
+    new URLSearchParams({ grant_type: 'client_credentials' }).toString(),
+    {
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: TIMEOUT_MS
+    }
+  );
+
+  accessToken = response.data.access_token;
+  accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+  return accessToken;
+}
+
+// Spotify release dates are day-precision ("2024-03-01") or coarser
+function toIsoDate(releaseDate, precision) {
+  return precision === 'day' && releaseDate ? `${releaseDate}T12:00:00.000Z` : null;
+}
+
+/**
+ * Metadata for a Spotify episode id (the part after spotify:episode:)
+ */
+async function getEpisode(episodeId) {
+  if (isConfigured()) {
+    const token = await getAccessToken();
+    const response = await axios.get(`https://api.spotify.com/v1/episodes/${episodeId}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      // Episodes are market-specific; any market works for metadata
+      params: { market: process.env.SPOTIFY_MARKET || 'US' },
+      timeout: TIMEOUT_MS
+    });
+
+    const episode = response.data;
+    return {
+      title: episode.name,
+      showName: episode.show?.name || null,
+      publishedAt: toIsoDate(episode.release_date, episode.release_date_precision),
+      durationSeconds: episode.duration_ms ? Math.round(episode.duration_ms / 1000) : null,
+      thumbnail: episode.images?.[0]?.url || null
+    };
+  }
+
+  const response = await axios.get('https://open.spotify.com/oembed', {
+    params: { url: `https://open.spotify.com/episode/${episodeId}` },
+    timeout: TIMEOUT_MS
+  });
+
+  return {
+    title: response.data.title,
+    thumbnail: response.data.thumbnail_url || null
+  };
+}
+
+module.exports = {
+  getEpisode
+};
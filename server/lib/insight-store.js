@@ -0,0 +1,355 @@
+/**
+ * Insight Store
+ *
+ * Persists every processed insight in the Supabase `insights` table so the
+ * server keeps its own copy of the vault (Notion is just one destination).
+ */
+
+const supabase = require('./supabase');
+const platforms = require('./platforms');
+
+const TABLE = 'insights';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Rows scanned when counting insights per show or tag
+const MAX_COUNTED_ROWS = 10000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns returned by list/detail queries (search_vector is internal)
+const COLUMNS = [
+  'id',
+  'user_id',
+  'title',
+  'show_name',
+  'episode_title',
+  'listennotes_id',
+  'episode_source',
+  'match_confidence',
+  'platform',
+  'source_url',
+  'spotify_url',
+  'audio_url',
+  'thumbnail',
+  'timestamp_seconds',
+  'end_seconds',
+  'segment_start_seconds',
+  'segment_end_seconds',
+  'alignment',
+  'transcript',
+  'speakers',
+  'summary',
+  'summary_style',
+  'note',
+  'tags',
+  'rating',
+  'notion_page_id',
+  'notion_url',
+  'status',
+  'created_at',
+  'updated_at'
+].join(', ');
+
+/**
+ * Map a database row to the API shape
+ */
+function toInsight(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    showName: row.show_name,
+    episodeTitle: row.episode_title,
+    listenNotesId: row.listennotes_id,
+    episodeSource: row.episode_source,
+    matchConfidence: row.match_confidence,
+    platform: row.platform,
+    sourceUrl: row.source_url,
+    spotifyUrl: row.spotify_url,
+    // Opens the episode at the captured moment
+    playbackUrl: platforms.timestampUrl(row.platform, row.source_url || row.spotify_url, row.timestamp_seconds),
+    audioUrl: row.audio_url,
+    thumbnail: row.thumbnail,
+    timestampSeconds: row.timestamp_seconds,
+    endSeconds: row.end_seconds,
+    segmentStartSeconds: row.segment_start_seconds,
+    segmentEndSeconds: row.segment_end_seconds,
+    alignment: row.alignment,
+    transcript: row.transcript,
+    speakers: row.speakers || null,
+    summary: row.summary || [],
+    summaryStyle: row.summary_style,
+    note: row.note,
+    tags: row.tags || [],
+    rating: row.rating,
+    notionPageId: row.notion_page_id,
+    notionUrl: row.notion_url,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Map API fields to database columns, skipping anything not provided
+ */
+function toRow(fields) {
+  const mapping = {
+    userId: 'user_id',
+    title: 'title',
+    showName: 'show_name',
+    episodeTitle: 'episode_title',
+    listenNotesId: 'listennotes_id',
+    episodeSource: 'episode_source',
+    matchConfidence: 'match_confidence',
+    platform: 'platform',
+    sourceUrl: 'source_url',
+    spotifyUrl: 'spotify_url',
+    audioUrl: 'audio_url',
+    thumbnail: 'thumbnail',
+    timestampSeconds: 'timestamp_seconds',
+    endSeconds: 'end_seconds',
+    segmentStartSeconds: 'segment_start_seconds',
+    segmentEndSeconds: 'segment_end_seconds',
+    alignment: 'alignment',
+    transcript: 'transcript',
+    speakers: 'speakers',
+    summary: 'summary',
+    summaryStyle: 'summary_style',
+    note: 'note',
+    tags: 'tags',
+    rating: 'rating',
+    notionPageId: 'notion_page_id',
+    notionUrl: 'notion_url',
+    status: 'status'
+  };
+
+  const row = {};
+  for (const [key, column] of Object.entries(mapping)) {
+    if (fields[key] !== undefined) {
+      row[column] = fields[key];
+    }
+  }
+  return row;
+}
+
+// Signed-in users see their own insights; anonymous callers see only
+// insights captured without an account
+function scoped(query, userId) {
+  return userId ? query.eq('user_id', userId) : query.is('user_id', null);
+}
+
+/**
+ * Create a new insight record
+ */
+async function createInsight(fields) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert(toRow(fields))
+    .select(COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error('Failed to store insight: ' + error.message);
+  }
+
+  return toInsight(data);
+}
+
+/**
+ * Update an existing insight record
+ */
+async function updateInsight(id, fields, { userId } = {}) {
+  if (!UUID_PATTERN.test(id)) return null;
+
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .update({ ...toRow(fields), updated_at: new Date().toISOString() })
+    .eq('id', id), userId)
+    .select(COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to update insight: ' + error.message);
+  }
+
+  return data ? toInsight(data) : null;
+}
+
+// Escape LIKE wildcards so the value only matches itself
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Parse a from/to filter; date-only values cover the whole day
+function parseDateFilter(value, endOfDay) {
+  if (!value) return null;
+
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * List insights, newest first, with paging, optional full-text search,
+ * show and tag filters and a saved-date range (`from`/`to`, ISO dates)
+ */
+async function listInsights({ page = 1, pageSize = DEFAULT_PAGE_SIZE, q, show, tag, from, to, userId } = {}) {
+  const safePage = Math.max(1, parseInt(page) || 1);
+  const safePageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize) || DEFAULT_PAGE_SIZE));
+  const offset = (safePage - 1) * safePageSize;
+  const savedFrom = parseDateFilter(from, false);
+  const savedTo = parseDateFilter(to, true);
+
+  let query = supabase
+    .from(TABLE)
+    .select(COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + safePageSize - 1);
+
+  query = scoped(query, userId);
+
+  if (q) {
+    query = query.textSearch('search_vector', q, { type: 'websearch', config: 'english' });
+  }
+
+  if (show) {
+    // Case-insensitive exact match: "100% Human" mustn't match other shows
+    query = query.ilike('show_name', escapeLike(show));
+  }
+
+  if (tag) {
+    // Any spelling of the tag, as listTags counts them together
+    query = query.contains('tag_keys', [String(tag).toLowerCase()]);
+  }
+
+  if (savedFrom) {
+    query = query.gte('created_at', savedFrom);
+  }
+
+  if (savedTo) {
+    query = query.lte('created_at', savedTo);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error('Failed to list insights: ' + error.message);
+  }
+
+  return {
+    items: (data || []).map(toInsight),
+    page: safePage,
+    pageSize: safePageSize,
+    total: count || 0
+  };
+}
+
+/**
+ * Shows in the library with their insight counts and latest artwork,
+ * most insights first
+ */
+async function listShows({ userId } = {}) {
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .select('show_name, thumbnail, created_at')
+    .order('created_at', { ascending: false })
+    .limit(MAX_COUNTED_ROWS), userId);
+
+  if (error) {
+    throw new Error('Failed to list shows: ' + error.message);
+  }
+
+  const shows = new Map();
+  for (const row of data || []) {
+    if (!row.show_name) continue;
+    const show = shows.get(row.show_name) || { name: row.show_name, count: 0, thumbnail: null };
+    show.count += 1;
+    show.thumbnail = show.thumbnail || row.thumbnail;
+    shows.set(row.show_name, show);
+  }
+
+  return [...shows.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Tags in the library with their insight counts, most used first
+ * Tags differing only in case are counted together
+ */
+async function listTags({ userId } = {}) {
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .select('tags, created_at')
+    .order('created_at', { ascending: false })
+    .not('tags', 'eq', '{}')
+    .limit(MAX_COUNTED_ROWS), userId);
+
+  if (error) {
+    throw new Error('Failed to list tags: ' + error.message);
+  }
+
+  const counts = new Map();
+  for (const row of data || []) {
+    for (const name of row.tags || []) {
+      const key = name.toLowerCase();
+      const tag = counts.get(key) || { name, count: 0 };
+      tag.count += 1;
+      counts.set(key, tag);
+    }
+  }
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a single insight by id
+ */
+async function getInsight(id, { userId } = {}) {
+  if (!UUID_PATTERN.test(id)) return null;
+
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .select(COLUMNS)
+    .eq('id', id), userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to load insight: ' + error.message);
+  }
+
+  return data ? toInsight(data) : null;
+}
+
+/**
+ * Delete an insight by id. Returns false if it did not exist.
+ */
+async function deleteInsight(id, { userId } = {}) {
+  if (!UUID_PATTERN.test(id)) return false;
+
+  const { data, error } = await scoped(supabase
+    .from(TABLE)
+    .delete()
+    .eq('id', id), userId)
+    .select('id');
+
+  if (error) {
+    throw new Error('Failed to delete insight: ' + error.message);
+  }
+
+  return Array.isArray(data) && data.length > 0;
+}
+
+module.exports = {
+  createInsight,
+  updateInsight,
+  listInsights,
+  listShows,
+  listTags,
+  getInsight,
+  deleteInsight
+};
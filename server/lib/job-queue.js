@@ -0,0 +1,148 @@
+/**
+ * Job Queue
+ *
+ * In-process queue for long-running work such as the insight pipeline.
+ * Requests enqueue a job and return immediately; a small worker pool runs
+ * the jobs and records the current stage, per-stage timings and the result
+ * so clients can poll for progress.
+ */
+
+const crypto = require('crypto');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Snapshot of a job for API responses
+ */
+function toJobView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    stages: job.stages.map(stage => ({ ...stage })),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Close the currently open stage, recording its duration
+function finishStage(job) {
+  const current = job.stages[job.stages.length - 1];
+  if (current && !current.finishedAt) {
+    current.finishedAt = new Date().toISOString();
+    current.durationMs = Date.parse(current.finishedAt) - Date.parse(current.startedAt);
+  }
+}
+
+/**
+ * Progress reporter handed to job handlers
+ */
+function createProgress(job) {
+  return {
+    stage(name, message) {
+      finishStage(job);
+      job.stage = name;
+      job.message = message || name;
+      job.stages.push({
+        name,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null
+      });
+      console.log(`[job ${job.id.substring(0, 8)}] ${job.message}`);
+    }
+  };
+}
+
+async function runJob(job) {
+  running++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.result = await job.handler(job.input, createProgress(job));
+    job.status = 'completed';
+    job.message = 'Done';
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message || 'Job failed';
+    job.message = job.error;
+  } finally {
+    finishStage(job);
+    job.finishedAt = new Date().toISOString();
+    delete job.handler;
+    delete job.input;
+    running--;
+    drain();
+  }
+}
+
+// Start queued jobs while there is spare capacity
+function drain() {
+  while (running < CONCURRENCY && pending.length > 0) {
+    runJob(pending.shift());
+  }
+}
+
+/**
+ * Queue a job. The handler receives (input, progress) and its resolved
+ * value becomes the job result.
+ */
+function enqueue(type, input, handler) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    message: 'Waiting in queue...',
+    stages: [],
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    input,
+    handler
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  drain();
+
+  return toJobView(job);
+}
+
+/**
+ * Look up a job by id
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toJobView(job) : null;
+}
+
+// Forget finished jobs once clients have had time to collect the result
+const pruneTimer = setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, 5 * 60 * 1000);
+pruneTimer.unref();
+
+module.exports = {
+  enqueue,
+  getJob
+};
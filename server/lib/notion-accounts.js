@@ -0,0 +1,252 @@
+/**
+ * Per-user Notion Workspaces
+ *
+ * Users connect their own workspace through Notion's public OAuth flow and
+ * pick a target database. Tokens are stored per user in the Supabase
+ * `notion_connections` table, which only the service role key can read.
+ *
+ * Requires NOTION_OAUTH_CLIENT_ID, NOTION_OAUTH_CLIENT_SECRET and
+ * NOTION_OAUTH_REDIRECT_URI (pointing at GET /notion/oauth/callback).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { Client } = require('@notionhq/client');
+const supabase = require('./supabase');
+
+const TABLE = 'notion_connections';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function isConfigured() {
+  return Boolean(
+    process.env.NOTION_OAUTH_CLIENT_ID &&
+    process.env.NOTION_OAUTH_CLIENT_SECRET &&
+    process.env.NOTION_OAUTH_REDIRECT_URI
+  );
+}
+
+function sign(value) {
+  return crypto
+    .createHmac('sha256', process.env.NOTION_OAUTH_CLIENT_SECRET)
+    .update(value)
+    .digest('base64url');
+}
+
+// OAuth state carries the user id, signed so the callback can trust it
+function createState(userId) {
+  const payload = `${userId}.${Date.now()}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+function verifyState(state) {
+  const [userId, issuedAt, signature] = String(state || '').split('.');
+  const payload = `${userId}.${issuedAt}`;
+
+  if (!userId || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  if (Date.now() - parseInt(issuedAt) > STATE_TTL_MS) return null;
+
+  return userId;
+}
+
+/**
+ * URL that starts the Notion consent screen for this user
+ */
+function getAuthorizeUrl(userId) {
+  if (!isConfigured()) {
+    throw new Error('Notion OAuth is not configured on this server');
+  }
+
+  const params = new URLSearchParams({
+    client_id: process.env.NOTION_OAUTH_CLIENT_ID,
+    redirect_uri: process.env.NOTION_OAUTH_REDIRECT_URI,
+    response_type: 'code',
+    owner: 'user',
+    state: createState(userId)
+  });
+
+  return `https://api.notion.com/v1/oauth/authorize?${params}`;
+}
+
+/**
+ * Finish the OAuth flow: verify state, exchange the code, store the token
+ */
+async function completeAuthorization(code, state) {
+  const userId = verifyState(state);
+
+  if (!userId) {
+    throw new Error('Invalid or expired authorization request');
+  }
+
+  let token;
+  try {
+    const response = await axios.post(
+      'https://api.notion.com/v1/oauth/token',
+      {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: process.env.NOTION_OAUTH_REDIRECT_URI
+      },
+      {
+        auth: {
+          username: process.env.NOTION_OAUTH_CLIENT_ID,
+          password: process.env.NOTION_OAUTH_CLIENT_SECRET
+        }
+      }
+    );
+    token = response.data;
+  } catch (error) {
+    console.error('Notion OAuth token error:', error.response?.data || error.message);
+    throw new Error('Failed to connect Notion: ' + (error.response?.data?.error_description || error.message));
+  }
+
+  const { error } = await supabase
+    .from(TABLE)
+    .upsert({
+      user_id: userId,
+      access_token: token.access_token,
+      bot_id: token.bot_id,
+      workspace_id: token.workspace_id,
+      workspace_name: token.workspace_name,
+      workspace_icon: token.workspace_icon,
+      // A new workspace means the old database choice no longer applies
+      database_id: null,
+      database_title: null,
+      updated_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw new Error('Failed to store Notion connection: ' + error.message);
+  }
+
+  return { workspaceName: token.workspace_name };
+}
+
+async function loadConnection(userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to load Notion connection: ' + error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Connection details safe to return to the client (no token)
+ */
+async function getConnection(userId) {
+  const row = await loadConnection(userId);
+
+  if (!row) return null;
+
+  return {
+    workspaceId: row.workspace_id,
+    workspaceName: row.workspace_name,
+    workspaceIcon: row.workspace_icon,
+    databaseId: row.database_id,
+    databaseTitle: row.database_title
+  };
+}
+
+/**
+ * Databases the integration was given access to during consent
+ */
+async function listDatabases(userId) {
+  const row = await loadConnection(userId);
+
+  if (!row) {
+    throw new Error('Connect your Notion workspace first');
+  }
+
+  const notion = new Client({ auth: row.access_token });
+  const response = await notion.search({
+    filter: { property: 'object', value: 'database' },
+    page_size: 100
+  });
+
+  return response.results.map(database => ({
+    id: database.id,
+    title: (database.title || []).map(t => t.plain_text).join('') || 'Untitled',
+    url: database.url
+  }));
+}
+
+/**
+ * Choose the database new insights are written to
+ */
+async function selectDatabase(userId, databaseId) {
+  const databases = await listDatabases(userId);
+  const database = databases.find(db => db.id.replace(/-/g, '') === String(databaseId).replace(/-/g, ''));
+
+  if (!database) {
+    throw new Error('Database not found in your connected workspace');
+  }
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({
+      database_id: database.id,
+      database_title: database.title,
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error('Failed to save database choice: ' + error.message);
+  }
+
+  return database;
+}
+
+/**
+ * Forget a user's Notion connection
+ */
+async function disconnect(userId) {
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error('Failed to disconnect Notion: ' + error.message);
+  }
+}
+
+/**
+ * Notion client and database for a user's saves
+ */
+async function getUserTarget(userId) {
+  const row = await loadConnection(userId);
+
+  if (!row) {
+    throw new Error('Connect your Notion workspace in the extension settings first');
+  }
+
+  if (!row.database_id) {
+    throw new Error('Choose a Notion database in the extension settings first');
+  }
+
+  return {
+    client: new Client({ auth: row.access_token }),
+    databaseId: row.database_id
+  };
+}
+
+module.exports = {
+  isConfigured,
+  getAuthorizeUrl,
+  completeAuthorization,
+  getConnection,
+  listDatabases,
+  selectDatabase,
+  disconnect,
+  getUserTarget
+};
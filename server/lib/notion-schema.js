@@ -0,0 +1,188 @@
+/**
+ * Notion Database Schema
+ *
+ * Insights are written to databases we don't control: the shared one from
+ * NOTION_DATABASE_ID or whichever one a user picked. Optional properties
+ * (like the "Tags" multi-select) are only set when the database has them,
+ * so a missing column never fails the save.
+ *
+ * setupDatabase() (POST /setup/notion, `npm run setup:notion`) checks a
+ * database against the properties below, creates the missing ones and
+ * reports the ones that exist with another type.
+ */
+
+// Set on every saved page
+const REQUIRED_PROPERTIES = {
+  'Name': 'title',
+  'Show': 'rich_text',
+  'Spotify URL': 'url',
+  'Timestamp': 'number',
+  'Saved': 'date'
+};
+
+// Set when the database has them
+const OPTIONAL_PROPERTIES = {
+  'Tags': 'multi_select',
+  'Episode date': 'date',
+  'Source platform': 'select',
+  'Rating': 'number',
+  'Listen Notes ID': 'rich_text',
+  'Episode URL': 'url'
+};
+
+// Names as in Notion's property type menu
+const TYPE_LABELS = {
+  title: 'Title',
+  rich_text: 'Text',
+  number: 'Number',
+  select: 'Select',
+  multi_select: 'Multi-select',
+  date: 'Date',
+  url: 'URL'
+};
+
+function typeLabel(type) {
+  return TYPE_LABELS[type] || type;
+}
+
+/**
+ * Property name -> type (`title`, `rich_text`, `multi_select`...) of a database
+ */
+async function getPropertyTypes(client, databaseId) {
+  const database = await client.databases.retrieve({ database_id: databaseId });
+
+  return Object.fromEntries(
+    Object.entries(database.properties || {}).map(([name, property]) => [name, property.type])
+  );
+}
+
+/**
+ * Keep only the optional properties the database has, with the right type
+ * `optional` maps property name -> { type, value }
+ */
+function pickOptional(propertyTypes, optional) {
+  const picked = {};
+
+  for (const [name, { type, value }] of Object.entries(optional)) {
+    if (propertyTypes[name] === type) {
+      picked[name] = value;
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Compare a database's properties with the ones insights are saved with.
+ * Resolves { missing, mismatched, titleProperty }: `missing` can be created,
+ * `mismatched` exist with another type and have to be fixed by hand.
+ * `titleProperty` is the database's title when it isn't named "Name".
+ */
+function checkSchema(propertyTypes) {
+  const expected = { ...REQUIRED_PROPERTIES, ...OPTIONAL_PROPERTIES };
+  const missing = [];
+  const mismatched = [];
+
+  // Every database has exactly one title property, perhaps under another name
+  const titleProperty = Object.keys(propertyTypes).find(name => propertyTypes[name] === 'title');
+
+  for (const [name, type] of Object.entries(expected)) {
+    const required = name in REQUIRED_PROPERTIES;
+    const actual = propertyTypes[name];
+
+    if (!actual) {
+      if (type !== 'title') missing.push({ name, type, required });
+    } else if (actual !== type) {
+      mismatched.push({ name, expected: type, actual, required });
+    }
+  }
+
+  return {
+    missing,
+    mismatched,
+    titleProperty: titleProperty && titleProperty !== 'Name' && !propertyTypes['Name'] ? titleProperty : null
+  };
+}
+
+/**
+ * Human-readable problems, e.g. `"Show" is missing (Text)`
+ */
+function describeProblems({ missing, mismatched, titleProperty }) {
+  return [
+    ...(titleProperty ? [`The title property is "${titleProperty}", not "Name"`] : []),
+    ...missing.map(({ name, type }) => `"${name}" is missing (${typeLabel(type)})`),
+    ...mismatched.map(({ name, expected, actual }) =>
+      `"${name}" is ${typeLabel(actual)} but should be ${typeLabel(expected)}`)
+  ];
+}
+
+/**
+ * Throw a readable error when the database lacks a property every page
+ * needs, instead of Notion's own validation error
+ */
+function assertRequired(propertyTypes) {
+  const report = checkSchema(propertyTypes);
+  const problems = describeProblems({
+    missing: report.missing.filter(({ required }) => required),
+    mismatched: report.mismatched.filter(({ required }) => required),
+    titleProperty: report.titleProperty
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`The Notion database doesn't fit Wisdom Vault: ${problems.join('; ')}. Run the Notion setup (POST /setup/notion or npm run setup:notion) to fix it`);
+  }
+}
+
+/**
+ * Check a database and, unless `dryRun`, rename its title property to
+ * "Name" and create the missing properties. Properties with another type
+ * are only reported: changing a type could lose the data in them.
+ * Resolves { databaseId, title, created, renamed, mismatched, problems, ok }.
+ */
+async function setupDatabase(client, databaseId, { dryRun = false } = {}) {
+  const database = await client.databases.retrieve({ database_id: databaseId });
+  const propertyTypes = Object.fromEntries(
+    Object.entries(database.properties || {}).map(([name, property]) => [name, property.type])
+  );
+  const { missing, mismatched, titleProperty } = checkSchema(propertyTypes);
+
+  if (!dryRun && (missing.length > 0 || titleProperty)) {
+    await client.databases.update({
+      database_id: databaseId,
+      properties: {
+        ...(titleProperty ? { [titleProperty]: { name: 'Name' } } : {}),
+        ...Object.fromEntries(missing.map(({ name, type }) => [name, { [type]: {} }]))
+      }
+    });
+  }
+
+  // What's left to fix by hand
+  const problems = describeProblems({
+    missing: dryRun ? missing : [],
+    mismatched,
+    titleProperty: dryRun ? titleProperty : null
+  });
+
+  return {
+    databaseId: database.id,
+    title: (database.title || []).map(part => part.plain_text).join('') || 'Untitled',
+    created: dryRun ? [] : missing.map(({ name, type }) => ({ name, type: typeLabel(type) })),
+    renamed: !dryRun && titleProperty ? { from: titleProperty, to: 'Name' } : null,
+    mismatched: mismatched.map(({ name, expected, actual, required }) => ({
+      name,
+      expected: typeLabel(expected),
+      actual: typeLabel(actual),
+      required
+    })),
+    problems,
+    ok: problems.length === 0
+  };
+}
+
+module.exports = {
+  getPropertyTypes,
+  pickOptional,
+  checkSchema,
+  assertRequired,
+  setupDatabase
+};
@@ -0,0 +1,223 @@
+/**
+ * Capture Platforms
+ *
+ * The extension captures from several web players. Each sends the same
+ * payload - { title, showName, timestamp, sourceUrl, platform } - but the
+ * titles they show differ: YouTube videos carry "| Show Name", "Ep. 12"
+ * and "(Full Episode)" decorations, channel names end in " - Topic", and so
+ * on. normalizeCapture() validates the platform and cleans the title and
+ * show name into something the episode search can match.
+ *
+ * timestampUrl() builds the links we save: the episode page with the
+ * player's own start-time parameter, so a click resumes at the moment.
+ */
+
+const PLATFORMS = {
+  spotify: {
+    label: 'Spotify',
+    hosts: ['open.spotify.com']
+  },
+  youtube: {
+    label: 'YouTube',
+    hosts: ['www.youtube.com', 'youtube.com', 'm.youtube.com', 'music.youtube.com'],
+    withTimestamp: (url, seconds) => {
+      url.searchParams.set('t', `${seconds}s`);
+      return url.toString();
+    },
+    cleanShowName: name => name.replace(/\s+-\s+Topic$/i, '').replace(/\s+Podcast Clips$/i, ''),
+    cleanTitle: (title, showName) => stripDecorations(stripShowName(title, showName))
+  },
+  'apple-podcasts': {
+    label: 'Apple Podcasts',
+    hosts: ['podcasts.apple.com']
+  },
+  'pocket-casts': {
+    label: 'Pocket Casts',
+    hosts: ['play.pocketcasts.com', 'pocketcasts.com', 'pca.st']
+  },
+  overcast: {
+    label: 'Overcast',
+    hosts: ['overcast.fm'],
+    // Overcast puts the start time in the path: /+episode/1:02:03
+    withTimestamp: (url, seconds) => {
+      const episodePath = url.pathname.match(/^\/\+[^/]+/)?.[0];
+      return episodePath ? `${url.origin}${episodePath}/${formatClock(seconds)}` : url.toString();
+    }
+  }
+};
+
+const DEFAULT_PLATFORM = 'spotify';
+
+// Own entries only, so "constructor" isn't a platform
+function getPlatform(name) {
+  return Object.hasOwn(PLATFORMS, name) ? PLATFORMS[name] : null;
+}
+
+/**
+ * The platform's definition; throws on an unknown platform
+ */
+function requirePlatform(name) {
+  const definition = getPlatform(name);
+
+  if (!definition) {
+    throw new Error(`Unknown platform "${name}". Available: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+
+  return definition;
+}
+
+// 62 -> "1:02", 3723 -> "1:02:03"
+function formatClock(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+// Drop "| Show Name" / "- Show Name" from either end of a video title
+function stripShowName(title, showName) {
+  if (!showName) return title;
+
+  const escaped = showName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return title
+    .replace(new RegExp(`\\s*[|\\-–—:]\\s*${escaped}\\s*$`, 'i'), '')
+    .replace(new RegExp(`^${escaped}\\s*[|\\-–—:]\\s*`, 'i'), '');
+}
+
+// "(Full Episode)", "[Official Podcast]", "#123" and hashtags add noise to search
+function stripDecorations(title) {
+  return title
+    // Trailing "| Some Podcast #12" series tags
+    .replace(/\s*\|\s*[^|]*(podcast|#\d+)[^|]*$/i, '')
+    .replace(/[([](full episode|official[^)\]]*|podcast|video|audio|hd|4k)[)\]]/gi, '')
+    .replace(/(^|\s)#[A-Za-z]\w*/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Work out the platform from the URL the capture came from
+ */
+function detectPlatform(sourceUrl) {
+  let host;
+  try {
+    host = new URL(sourceUrl).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  const match = Object.entries(PLATFORMS).find(([, platform]) => platform.hosts.includes(host));
+  return match ? match[0] : null;
+}
+
+/**
+ * The episode's own page. Spotify captures can come from any page of the
+ * web player (home, search, the show), so the episode id wins over the URL.
+ */
+function canonicalUrl(platform, url, episodeUri) {
+  if (platform === 'spotify') {
+    const id = (episodeUri || '').match(/^spotify:episode:([A-Za-z0-9]+)$/)?.[1] ||
+      (url || '').match(/open\.spotify\.com\/(?:[\w-]+\/)?episode\/([A-Za-z0-9]+)/)?.[1];
+    if (id) return `https://open.spotify.com/episode/${id}`;
+  }
+
+  return url || null;
+}
+
+/**
+ * The episode's page without any start time, the same for every moment
+ * captured from it (used to group moments by episode)
+ */
+function episodeUrl(platform, url, episodeUri) {
+  const canonical = canonicalUrl(platform, url, episodeUri);
+  if (!canonical) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(canonical);
+  } catch (error) {
+    return canonical;
+  }
+
+  parsed.hash = '';
+  parsed.searchParams.delete('t');
+
+  if (platform === 'youtube') {
+    const videoId = parsed.searchParams.get('v');
+    parsed.search = videoId ? `?v=${videoId}` : '';
+  }
+
+  if (platform === 'overcast') {
+    parsed.pathname = parsed.pathname.match(/^\/\+[^/]+/)?.[0] || parsed.pathname;
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Episode URL that opens at `seconds` (`?t=` for most players). Players that
+ * ignore the parameter are seeked by the extension's page script.
+ */
+function timestampUrl(platform, url, seconds) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  const start = Math.max(0, Math.floor(seconds || 0));
+  const definition = getPlatform(platform) || PLATFORMS[DEFAULT_PLATFORM];
+
+  if (definition.withTimestamp) {
+    return definition.withTimestamp(parsed, start);
+  }
+
+  parsed.searchParams.set('t', start);
+  return parsed.toString();
+}
+
+/**
+ * Validate and normalize a capture payload (plus the optional `episodeUri`
+ * and `duration` newer extensions send).
+ * Older extensions send `spotifyUrl` and no platform; those are Spotify.
+ * Throws on an unknown platform.
+ */
+function normalizeCapture({ title, showName, platform, sourceUrl, spotifyUrl, episodeUri, duration }) {
+  const url = sourceUrl || spotifyUrl || null;
+  const name = platform || (url && detectPlatform(url)) || DEFAULT_PLATFORM;
+  const definition = requirePlatform(name);
+
+  const cleanShow = (showName || '').trim();
+  const cleanedShow = definition.cleanShowName ? definition.cleanShowName(cleanShow) : cleanShow;
+  const cleanedTitle = definition.cleanTitle ? definition.cleanTitle(title.trim(), cleanedShow) : title.trim();
+
+  return {
+    platform: name,
+    sourceUrl: canonicalUrl(name, url, episodeUri),
+    title: cleanedTitle || title.trim(),
+    showName: cleanedShow,
+    episodeUri: typeof episodeUri === 'string' ? episodeUri : null,
+    // Episode length as reported by the player's media element
+    durationSeconds: parseFloat(duration) > 0 ? parseFloat(duration) : null
+  };
+}
+
+/**
+ * Display name for a platform id
+ */
+function getLabel(platform) {
+  return getPlatform(platform)?.label || PLATFORMS[DEFAULT_PLATFORM].label;
+}
+
+module.exports = {
+  requirePlatform,
+  detectPlatform,
+  normalizeCapture,
+  canonicalUrl,
+  episodeUrl,
+  timestampUrl,
+  getLabel
+};
@@ -0,0 +1,75 @@
+/**
+ * Rate Limiting
+ *
+ * Fixed-window request counters kept in memory, keyed by `req.client.id`
+ * (see api-access.js). Windows are aligned to the epoch, so a one-day
+ * window resets at midnight UTC. Counters live in this process only; a
+ * restart resets them.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function formatWait(ms) {
+  const minutes = Math.ceil(ms / MINUTE_MS);
+  if (minutes < 2) return `${Math.ceil(ms / 1000)} seconds`;
+  if (minutes < 120) return `${minutes} minutes`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Middleware factory.
+ * `limit` is a number or a function of the request (for per-client quotas);
+ * `message` builds the 429 text from the limit and the wait.
+ */
+function rateLimit({ name, windowMs, limit, message }) {
+  const counters = new Map();
+
+  // Drop counters from finished windows
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, Math.min(windowMs, 10 * MINUTE_MS));
+  pruneTimer.unref();
+
+  return function rateLimitMiddleware(req, res, next) {
+    const max = typeof limit === 'function' ? limit(req) : limit;
+    if (!max) return next();
+
+    const now = Date.now();
+    const key = req.client?.id || req.ip;
+    let counter = counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: (Math.floor(now / windowMs) + 1) * windowMs };
+      counters.set(key, counter);
+    }
+
+    const waitMs = counter.resetAt - now;
+
+    if (counter.count >= max) {
+      console.log(`Rate limit (${name}) hit by ${req.client?.name || key}`);
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Remaining', '0');
+      return res.status(429).json({
+        success: false,
+        message: message(max, formatWait(waitMs)),
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+
+    counter.count++;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(max - counter.count));
+    next();
+  };
+}
+
+module.exports = {
+  MINUTE_MS,
+  DAY_MS,
+  rateLimit
+};
@@ -0,0 +1,103 @@
+/**
+ * Summarizer
+ *
+ * Runs a summary prompt template against a chat provider. The provider
+ * comes from SUMMARY_PROVIDER (groq, openai or local) and the style from
+ * SUMMARY_STYLE; both can be overridden per request. The same providers
+ * propose topic tags for an insight.
+ */
+
+const { createChatProvider } = require('./openai-compatible');
+const templates = require('./templates');
+const { MAX_SUGGESTED_TAGS, MAX_TAG_LENGTH } = require('../tags');
+
+const DEFAULT_PROVIDER = 'groq';
+
+const providers = {
+  groq: createChatProvider({
+    name: 'groq',
+    label: 'Groq',
+    baseUrl: () => 'https://api.groq.com/openai/v1',
+    apiKey: () => process.env.GROQ_API_KEY,
+    model: () => process.env.GROQ_SUMMARY_MODEL || 'llama-3.1-8b-instant'
+  }),
+  openai: createChatProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    baseUrl: () => 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    model: () => process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini'
+  }),
+  // Any OpenAI-compatible server: Ollama, llama.cpp, LM Studio, vLLM...
+  local: createChatProvider({
+    name: 'local',
+    label: 'local LLM',
+    baseUrl: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: () => process.env.LOCAL_LLM_API_KEY,
+    model: () => process.env.LOCAL_LLM_MODEL || 'llama3.1'
+  })
+};
+
+/**
+ * Names of all registered providers
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Resolve a provider by name, falling back to the configured default
+ */
+function getProvider(name) {
+  const providerName = (name || process.env.SUMMARY_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = Object.hasOwn(providers, providerName) ? providers[providerName] : null;
+
+  if (!provider) {
+    throw new Error(`Unknown summary provider "${providerName}". Use one of: ${listProviders().join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Summarize a transcript in the requested style
+ * Resolves with { style, summary } where summary is a list of strings
+ */
+async function summarize(transcript, title, { style, provider } = {}) {
+  const template = templates.getTemplate(style);
+
+  const content = await getProvider(provider).complete({
+    system: template.system,
+    prompt: templates.renderPrompt(template, { title, transcript }),
+    temperature: template.temperature,
+    maxTokens: template.maxTokens
+  });
+
+  console.log('Summary received:', content.substring(0, 100) + '...');
+
+  return {
+    style: template.name,
+    summary: templates.parseSummary(template, content)
+  };
+}
+
+/**
+ * Propose 1-5 topic tags for a transcript, from `vocabulary` when it's not empty
+ * Resolves with a list of tags (possibly empty)
+ */
+async function suggestTags(transcript, title, { vocabulary = [], provider } = {}) {
+  const request = templates.renderTagPrompt({ title, transcript, vocabulary, maxTags: MAX_SUGGESTED_TAGS });
+  const content = await getProvider(provider).complete(request);
+
+  return templates.parseTags(content, { vocabulary, maxTags: MAX_SUGGESTED_TAGS })
+    .filter(tag => tag.length <= MAX_TAG_LENGTH);
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  getTemplate: templates.getTemplate,
+  listTemplates: templates.listTemplates,
+  summarize,
+  suggestTags
+};
@@ -0,0 +1,51 @@
+/**
+ * OpenAI-compatible chat completion
+ *
+ * Groq, OpenAI and local servers such as Ollama or llama.cpp all speak the
+ * `/chat/completions` API, so every summarizer provider is built here.
+ */
+
+const axios = require('axios');
+
+/**
+ * Create a provider for an OpenAI-compatible chat endpoint
+ */
+function createChatProvider({ name, label, baseUrl, apiKey, model }) {
+  return {
+    name,
+
+    async complete({ system, prompt, temperature = 0.7, maxTokens = 300 }) {
+      const key = apiKey();
+      const headers = { 'Content-Type': 'application/json' };
+
+      // Local servers usually run without auth
+      if (key) {
+        headers['Authorization'] = `Bearer ${key}`;
+      }
+
+      try {
+        console.log(`Summarizing with ${label} (${model()})...`);
+        const response = await axios.post(
+          `${baseUrl().replace(/\/$/, '')}/chat/completions`,
+          {
+            model: model(),
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt }
+            ],
+            temperature,
+            max_tokens: maxTokens
+          },
+          { headers, timeout: 120000 }
+        );
+
+        return response.data.choices[0].message.content;
+      } catch (error) {
+        console.error(`${label} summarization error:`, error.response?.data || error.message);
+        throw new Error('Failed to summarize transcript: ' + (error.response?.data?.error?.message || error.message));
+      }
+    }
+  };
+}
+
+module.exports = { createChatProvider };
@@ -0,0 +1,212 @@
+/**
+ * Summary Prompt Templates
+ *
+ * Each named style pairs a prompt with a parser that turns the model's reply
+ * into a list of strings (what Notion and the insight library store).
+ * Prompts may use the {{title}} and {{transcript}} placeholders.
+ *
+ * Teams can add or override styles with a JSON file named by
+ * SUMMARY_TEMPLATES_FILE, e.g.
+ *   { "lesson": { "description": "...", "system": "...", "prompt": "...", "format": "bullets", "maxItems": 2 } }
+ */
+
+const fs = require('fs');
+
+const DEFAULT_STYLE = 'bullets';
+
+const BUILT_IN_TEMPLATES = {
+  bullets: {
+    description: 'Three key takeaways',
+    system: 'You are a helpful assistant that summarizes podcast insights. Create exactly 3 concise bullet points that capture the key takeaways from the transcript. Each bullet should be actionable or insightful. Keep each bullet under 100 characters. Format as: - Point one\n- Point two\n- Point three',
+    prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nProvide 3 bullet point takeaways:',
+    format: 'bullets',
+    maxItems: 3
+  },
+  quote: {
+    description: 'The most quotable line plus one sentence of context',
+    system: 'You pick the single most memorable sentence from a podcast transcript and quote it verbatim, then explain in one sentence why it matters. Format exactly as:\nQuote: <verbatim sentence>\nContext: <one sentence>',
+    prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nProvide the quote and its context:',
+    format: 'labeled',
+    labels: ['Quote', 'Context']
+  },
+  'action-items': {
+    description: 'Concrete things to do',
+    system: 'You turn podcast insights into concrete action items. List between 1 and 5 specific actions the listener could take, each starting with a verb and under 100 characters. Format as: - Action one\n- Action two',
+    prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nList the action items:',
+    format: 'bullets',
+    maxItems: 5
+  },
+  flashcard: {
+    description: 'One question and answer for spaced repetition',
+    system: 'You write flashcards for spaced repetition. Write one clear question that tests the key idea of the transcript and a concise answer under 200 characters. Format exactly as:\nQ: <question>\nA: <answer>',
+    prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nWrite the flashcard:',
+    format: 'labeled',
+    labels: ['Q', 'A']
+  },
+  tweet: {
+    description: 'A single tweet-length thought',
+    system: 'You distill podcast insights into a single standalone thought that fits in a tweet (under 280 characters). No hashtags, no emojis, no quotation marks around the whole text.',
+    prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nWrite the tweet:',
+    format: 'text',
+    maxLength: 280
+  }
+};
+
+// Proposes topic tags; not a summary style, so it isn't listed or overridable
+const TAG_TEMPLATE = {
+  system: 'You label podcast excerpts with topic tags. Pick between 1 and {{maxTags}} tags for the main topics of the transcript. {{vocabulary}} Reply with the tags separated by commas and nothing else.',
+  prompt: 'Podcast Episode: "{{title}}"\n\nTranscript segment:\n{{transcript}}\n\nTags:',
+  temperature: 0.2,
+  maxTokens: 60
+};
+
+let templates = null;
+
+// Built-ins merged with any templates from SUMMARY_TEMPLATES_FILE
+function loadTemplates() {
+  if (templates) return templates;
+
+  templates = { ...BUILT_IN_TEMPLATES };
+  const file = process.env.SUMMARY_TEMPLATES_FILE;
+
+  if (file) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [name, template] of Object.entries(custom)) {
+        templates[name] = { ...BUILT_IN_TEMPLATES[name], ...template };
+      }
+      console.log(`Loaded ${Object.keys(custom).length} summary template(s) from ${file}`);
+    } catch (error) {
+      console.error(`Failed to load summary templates from ${file}:`, error.message);
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Names and descriptions of all available styles
+ */
+function listTemplates() {
+  return Object.entries(loadTemplates()).map(([name, template]) => ({
+    name,
+    description: template.description || ''
+  }));
+}
+
+/**
+ * Look up a template by style name, falling back to SUMMARY_STYLE
+ */
+function getTemplate(style) {
+  const name = style || process.env.SUMMARY_STYLE || DEFAULT_STYLE;
+  const template = Object.hasOwn(loadTemplates(), name) ? loadTemplates()[name] : null;
+
+  if (!template) {
+    throw new Error(`Unknown summary style "${name}". Use one of: ${Object.keys(loadTemplates()).join(', ')}`);
+  }
+
+  return { name, ...template };
+}
+
+/**
+ * Fill the {{title}} and {{transcript}} placeholders. Values go in through
+ * a function so `$&` and the like in a transcript stay literal.
+ */
+function renderPrompt(template, { title, transcript }) {
+  return template.prompt
+    .replace(/\{\{title\}\}/g, () => title)
+    .replace(/\{\{transcript\}\}/g, () => transcript);
+}
+
+/**
+ * System prompt and user prompt for proposing tags, limited to the
+ * vocabulary when there is one
+ */
+function renderTagPrompt({ title, transcript, vocabulary, maxTags }) {
+  const choices = vocabulary.length > 0
+    ? `Use only tags from this list, spelled exactly as given: ${vocabulary.join(', ')}.`
+    : 'Use short lowercase tags of one to three words.';
+
+  return {
+    system: TAG_TEMPLATE.system
+      .replace('{{maxTags}}', () => maxTags)
+      .replace('{{vocabulary}}', () => choices),
+    prompt: renderPrompt(TAG_TEMPLATE, { title, transcript }),
+    temperature: TAG_TEMPLATE.temperature,
+    maxTokens: TAG_TEMPLATE.maxTokens
+  };
+}
+
+/**
+ * Turn a comma-separated model reply into tags, keeping only vocabulary
+ * entries (in their vocabulary spelling) when there is one
+ */
+function parseTags(content, { vocabulary, maxTags }) {
+  const byKey = new Map(vocabulary.map(tag => [tag.toLowerCase(), tag]));
+
+  const tags = content
+    .split(/[,\n]/)
+    .map(tag => tag.trim().replace(/^([-•*#]|\d+\.)\s*/, '').replace(/^["']|["'.]$/g, '').trim())
+    .filter(Boolean)
+    .map(tag => vocabulary.length > 0 ? byKey.get(tag.toLowerCase()) : tag.toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(tags)].slice(0, maxTags);
+}
+
+// "- point" / "• point" / "1. point" lines
+function parseBullets(content, maxItems) {
+  const bullets = content
+    .split('\n')
+    .filter(line => line.trim().match(/^[-•*]\s/) || line.trim().match(/^\d+\.\s/))
+    .map(line => line.trim().replace(/^([-•*]|\d+\.)\s*/, '').replace(/^\[[ x]\]\s*/i, '').trim())
+    .filter(line => line.length > 0);
+
+  return maxItems ? bullets.slice(0, maxItems) : bullets;
+}
+
+// "Label: value" lines, kept with their label so the meaning survives
+function parseLabeled(content, labels) {
+  return labels
+    .map(label => {
+      // Models like to bold the label: "**Q:** ..." or "**Q**: ..."
+      const match = content.match(new RegExp(`^\\s*\\**${label}\\**\\s*:\\s*\\**\\s*(.+)$`, 'im'));
+      return match ? `${label}: ${match[1].trim()}` : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Turn a model reply into summary items for the given template
+ */
+function parseSummary(template, content) {
+  let items = [];
+
+  switch (template.format) {
+    case 'labeled':
+      items = parseLabeled(content, template.labels || []);
+      break;
+
+    case 'text': {
+      const text = content.trim().replace(/^"(.*)"$/s, '$1');
+      items = text ? [template.maxLength ? text.substring(0, template.maxLength) : text] : [];
+      break;
+    }
+
+    case 'bullets':
+    default:
+      items = parseBullets(content, template.maxItems);
+      break;
+  }
+
+  return items.length > 0 ? items : [content.trim()];
+}
+
+module.exports = {
+  getTemplate,
+  listTemplates,
+  renderPrompt,
+  parseSummary,
+  renderTagPrompt,
+  parseTags
+};
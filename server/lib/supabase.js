@@ -0,0 +1,17 @@
+/**
+ * Shared Supabase client
+ *
+ * Used for capture logging, the server-side insight library and per-user
+ * settings. Prefers the service role key: the insight library, Notion tokens
+ * and destination settings have no anon policies, so with only the anon key
+ * just capture logging works (and the server won't start with accounts on).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+module.exports = supabase;
@@ -0,0 +1,89 @@
+/**
+ * Insight Tags
+ *
+ * Topic tags come from two places: the summarizer proposes a few from the
+ * user's vocabulary, and the user adds their own in the review step. Both
+ * end up in the insight's `tags` column and the Notion "Tags" multi-select.
+ *
+ * The vocabulary is maintained in the extension settings and sent with each
+ * capture as `tagVocabulary`; TAG_VOCABULARY (comma-separated) is the
+ * server-wide default. Without one, the summarizer picks its own tags.
+ */
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 50;
+const MAX_SUGGESTED_TAGS = 5;
+const MAX_VOCABULARY = 200;
+
+// Collapse whitespace so "deep  work" and "deep work" are the same tag
+function clean(tag) {
+  return tag.trim().replace(/\s+/g, ' ');
+}
+
+// Drop empty and repeated tags, ignoring case; the first spelling wins
+function unique(tags) {
+  const seen = new Set();
+  return tags.map(clean).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function validate(tags, name, maxCount) {
+  if (tags === undefined || tags === null) return [];
+
+  if (!(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+    throw new Error(`${name} must be an array of strings`);
+  }
+
+  const cleanTags = unique(tags);
+
+  if (cleanTags.length > maxCount || cleanTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new Error(`Use at most ${maxCount} ${name} of up to ${MAX_TAG_LENGTH} characters`);
+  }
+
+  // Notion multi-select options can't contain commas
+  if (cleanTags.some(tag => tag.includes(','))) {
+    throw new Error(`${name} can't contain commas`);
+  }
+
+  return cleanTags;
+}
+
+/**
+ * Validate tags from a request. Throws with a message fit for a 400.
+ */
+function normalizeTags(tags) {
+  return validate(tags, 'tags', MAX_TAGS);
+}
+
+/**
+ * Validate a vocabulary from a request, falling back to TAG_VOCABULARY
+ */
+function normalizeVocabulary(vocabulary) {
+  if (vocabulary !== undefined && vocabulary !== null) {
+    return validate(vocabulary, 'tagVocabulary', MAX_VOCABULARY);
+  }
+
+  return unique((process.env.TAG_VOCABULARY || '').split(','))
+    .filter(tag => tag.length <= MAX_TAG_LENGTH)
+    .slice(0, MAX_VOCABULARY);
+}
+
+/**
+ * Combine tag lists (user tags first), capped at MAX_TAGS
+ */
+function mergeTags(...lists) {
+  return unique(lists.flat().filter(Boolean)).slice(0, MAX_TAGS);
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_SUGGESTED_TAGS,
+  normalizeTags,
+  normalizeVocabulary,
+  mergeTags
+};
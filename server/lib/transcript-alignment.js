@@ -0,0 +1,260 @@
+/**
+ * Transcript Alignment
+ *
+ * Finds the part of a full episode transcript that matches what the user
+ * heard. Structured transcripts (WebVTT, SRT, JSON segments) are parsed into
+ * a normalized cue list with real times. Plain-text transcripts have no
+ * times, so a short audio probe transcribed at the timestamp is fuzzy-matched
+ * against the text to find the real offset.
+ *
+ * Every segment is returned as { text, startSeconds, endSeconds, alignment }
+ * where alignment is `cues`, `probe` or `estimate`.
+ */
+
+// Seconds of context kept before the timestamp and after the window
+const LEAD_IN = 5;
+const TAIL = 5;
+
+// Fallback speaking rate for plain text when the probe can't be matched
+const WORDS_PER_SECOND = 150 / 60;
+
+// Probe matching works on word trigrams
+const NGRAM = 3;
+const MIN_MATCH_VOTES = 2;
+const MIN_MATCH_RATIO = 0.2;
+
+/**
+ * Parse "01:02:03.500", "02:03,500" or "123.5" into seconds
+ */
+function parseTimecode(value) {
+  if (typeof value === 'number') return value;
+
+  const parts = String(value).trim().replace(',', '.').split(':').map(Number);
+  if (parts.some(Number.isNaN)) return NaN;
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// WebVTT and SRT share the "start --> end" timing line
+function parseTimedText(text) {
+  const cues = [];
+  const blocks = text.replace(/\r/g, '').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimecode(startText);
+    // VTT cue settings can follow the end time
+    const end = parseTimecode(endText.trim().split(/\s+/)[0]);
+    const cueText = lines
+      .slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<[^>]+>/g, '')
+      .trim();
+
+    if (!Number.isNaN(start) && !Number.isNaN(end) && cueText) {
+      cues.push({ start, end, text: cueText });
+    }
+  }
+
+  return cues;
+}
+
+// Arrays of { start|start_time, end|end_time, text|words }
+function parseSegments(segments) {
+  return segments
+    .map(seg => {
+      const start = parseTimecode(seg.start_time ?? seg.start ?? 0);
+      const end = parseTimecode(seg.end_time ?? seg.end ?? start + 5);
+      const words = Array.isArray(seg.words) ? seg.words.map(w => w.word || w.text || w).join(' ') : seg.words;
+      const text = String(seg.text || words || '').trim();
+      return { start, end, text };
+    })
+    .filter(cue => !Number.isNaN(cue.start) && cue.text);
+}
+
+/**
+ * Normalize a transcript into a sorted cue list
+ * Returns null for plain text without timing information
+ */
+function parseCues(transcript) {
+  let cues = null;
+
+  if (Array.isArray(transcript)) {
+    cues = parseSegments(transcript);
+  } else if (transcript && typeof transcript === 'object') {
+    cues = Array.isArray(transcript.segments) ? parseSegments(transcript.segments) : null;
+  } else if (typeof transcript === 'string') {
+    const trimmed = transcript.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        return parseCues(JSON.parse(trimmed));
+      } catch (error) {
+        // Not JSON after all - treat as text
+      }
+    }
+
+    if (/\d{1,2}:\d{2}(:\d{2})?[.,]\d{1,3}\s*-->/.test(trimmed)) {
+      cues = parseTimedText(trimmed);
+    }
+  }
+
+  if (!cues || cues.length === 0) return null;
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Cut the cues that overlap the capture window
+ */
+function segmentFromCues(cues, timestampSeconds, duration) {
+  const windowStart = Math.max(0, timestampSeconds - LEAD_IN);
+  const windowEnd = timestampSeconds + duration + TAIL;
+  const relevant = cues.filter(cue => cue.end > windowStart && cue.start < windowEnd);
+
+  if (relevant.length === 0) return null;
+
+  return {
+    text: relevant.map(cue => cue.text).join(' '),
+    startSeconds: relevant[0].start,
+    endSeconds: relevant[relevant.length - 1].end,
+    alignment: 'cues'
+  };
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Find where the probe's words occur in the transcript
+ * Each probe trigram votes for the transcript position it implies; the
+ * position with the most votes wins (ties go to the one nearest the estimate).
+ */
+function findProbeOffset(words, probeText, estimatedIndex) {
+  const normalized = words.map(normalizeWord);
+  const probeWords = probeText.split(/\s+/).map(normalizeWord).filter(Boolean);
+  if (probeWords.length < NGRAM) return null;
+
+  const index = new Map();
+  for (let i = 0; i + NGRAM <= normalized.length; i++) {
+    const key = normalized.slice(i, i + NGRAM).join(' ');
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  }
+
+  const votes = new Map();
+  for (let k = 0; k + NGRAM <= probeWords.length; k++) {
+    const positions = index.get(probeWords.slice(k, k + NGRAM).join(' ')) || [];
+    for (const position of positions) {
+      // Bucket nearby starts together so small insertions/deletions still agree
+      const start = Math.max(0, Math.round((position - k) / 4) * 4);
+      votes.set(start, (votes.get(start) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [start, count] of votes) {
+    if (
+      !best ||
+      count > best.votes ||
+      (count === best.votes && Math.abs(start - estimatedIndex) < Math.abs(best.start - estimatedIndex))
+    ) {
+      best = { start, votes: count };
+    }
+  }
+
+  const possible = probeWords.length - NGRAM + 1;
+  if (!best || best.votes < MIN_MATCH_VOTES || best.votes / possible < MIN_MATCH_RATIO) {
+    return null;
+  }
+
+  return {
+    wordIndex: best.start,
+    probeWordCount: probeWords.length,
+    confidence: Math.min(1, best.votes / possible)
+  };
+}
+
+/**
+ * Align a plain-text transcript
+ * `probe` is an optional async function returning { text, startSeconds, durationSeconds }
+ * for a short transcription of the audio starting just before the timestamp.
+ */
+async function alignPlainText(text, timestampSeconds, duration, { probe } = {}) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const windowStart = Math.max(0, timestampSeconds - LEAD_IN);
+  const windowSeconds = timestampSeconds + duration + TAIL - windowStart;
+  const estimatedIndex = Math.floor(windowStart * WORDS_PER_SECOND);
+
+  if (probe) {
+    try {
+      const sample = await probe();
+      const match = sample?.text ? findProbeOffset(words, sample.text, estimatedIndex) : null;
+
+      if (match) {
+        // Use the probe's own speaking rate, within sane bounds
+        const rate = Math.min(4, Math.max(1.5, match.probeWordCount / sample.durationSeconds));
+        const startIndex = match.wordIndex + Math.round((windowStart - sample.startSeconds) * rate);
+        const from = Math.max(0, Math.min(words.length, startIndex));
+        const to = Math.min(words.length, from + Math.round(windowSeconds * rate));
+
+        if (to > from) {
+          // Where the first word falls, counted from the matched words: later
+          // than the window when the transcript starts after it
+          const startSeconds = Math.max(0, sample.startSeconds + (from - match.wordIndex) / rate);
+          console.log(`Probe matched transcript at word ${match.wordIndex} (confidence ${match.confidence.toFixed(2)})`);
+          return {
+            text: words.slice(from, to).join(' '),
+            startSeconds,
+            endSeconds: startSeconds + (to - from) / rate,
+            alignment: 'probe'
+          };
+        }
+      }
+
+      console.log('Probe did not match transcript, falling back to estimate');
+    } catch (error) {
+      console.error('Transcript probe failed:', error.message);
+    }
+  }
+
+  const from = Math.min(words.length, estimatedIndex);
+  const to = Math.min(words.length, from + Math.round(windowSeconds * WORDS_PER_SECOND));
+  if (to <= from) return null;
+
+  return {
+    text: words.slice(from, to).join(' '),
+    startSeconds: windowStart,
+    endSeconds: windowStart + (to - from) / WORDS_PER_SECOND,
+    alignment: 'estimate'
+  };
+}
+
+/**
+ * Extract the transcript segment for a capture window
+ */
+async function extractSegment(transcript, timestampSeconds, duration = 30, options = {}) {
+  const cues = parseCues(transcript);
+
+  if (cues) {
+    return segmentFromCues(cues, timestampSeconds, duration);
+  }
+
+  if (typeof transcript === 'string' && transcript.trim()) {
+    return alignPlainText(transcript, timestampSeconds, duration, options);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCues,
+  parseTimecode,
+  findProbeOffset,
+  extractSegment
+};
@@ -0,0 +1,66 @@
+/**
+ * Transcription Providers
+ *
+ * Every provider implements `transcribe(audioPath) -> Promise<string>`, or
+ * with `{ timestamps: true }` resolves with `{ text, segments }` where each
+ * segment is `{ start, end, text }` in seconds (used for diarization).
+ * The default comes from TRANSCRIPTION_PROVIDER (groq, openai or local);
+ * callers can override it per request.
+ */
+
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const localProvider = require('./local');
+
+const DEFAULT_PROVIDER = 'groq';
+
+const providers = {
+  groq: createOpenAICompatibleProvider({
+    name: 'groq',
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: () => process.env.GROQ_API_KEY,
+    model: () => process.env.GROQ_WHISPER_MODEL || 'whisper-large-v3'
+  }),
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    model: () => process.env.OPENAI_WHISPER_MODEL || 'whisper-1'
+  }),
+  local: localProvider
+};
+
+/**
+ * Names of all registered providers
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Resolve a provider by name, falling back to the configured default
+ */
+function getProvider(name) {
+  const providerName = (name || process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = Object.hasOwn(providers, providerName) ? providers[providerName] : null;
+
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${providerName}". Use one of: ${listProviders().join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Transcribe an audio file with the chosen provider
+ */
+async function transcribe(audioPath, { provider, timestamps = false } = {}) {
+  return getProvider(provider).transcribe(audioPath, { timestamps });
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  transcribe
+};
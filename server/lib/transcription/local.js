@@ -0,0 +1,129 @@
+/**
+ * Local Whisper transcription
+ *
+ * Runs a whisper.cpp or faster-whisper CLI on this machine so snippets can
+ * be transcribed offline on CPU. Configure with:
+ * - LOCAL_WHISPER_ENGINE: `whisper.cpp` (default) or `faster-whisper`
+ * - LOCAL_WHISPER_BIN: CLI binary (`whisper-cli` / `whisper-ctranslate2`)
+ * - LOCAL_WHISPER_MODEL: ggml model path (whisper.cpp) or model name (faster-whisper)
+ * - LOCAL_WHISPER_THREADS: CPU threads to use
+ */
+
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+function engine() {
+  return (process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp').toLowerCase();
+}
+
+function threads() {
+  return parseInt(process.env.LOCAL_WHISPER_THREADS) || 4;
+}
+
+/**
+ * whisper.cpp only reads 16 kHz mono WAV, so convert first
+ * Resolves with { text, segments }
+ */
+async function transcribeWithWhisperCpp(audioPath, workBase) {
+  const bin = process.env.LOCAL_WHISPER_BIN || 'whisper-cli';
+  const model = process.env.LOCAL_WHISPER_MODEL;
+
+  if (!model) {
+    throw new Error('LOCAL_WHISPER_MODEL must point to a ggml model file for whisper.cpp');
+  }
+
+  const wavPath = `${workBase}.wav`;
+  const outputPath = `${workBase}.json`;
+
+  try {
+    await execFileAsync(
+      'ffmpeg',
+      ['-y', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', '-loglevel', 'error', wavPath],
+      { timeout: 60000 }
+    );
+
+    await execFileAsync(
+      bin,
+      ['-m', model, '-f', wavPath, '-t', String(threads()), '-oj', '-of', workBase],
+      { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    // Offsets are in milliseconds
+    const output = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    const segments = (output.transcription || []).map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text
+    }));
+    return { text: segments.map(segment => segment.text).join(' '), segments };
+  } finally {
+    await fs.unlink(wavPath).catch(() => {});
+    await fs.unlink(outputPath).catch(() => {});
+  }
+}
+
+/**
+ * faster-whisper via the whisper-ctranslate2 CLI (openai-whisper compatible flags)
+ * Resolves with { text, segments }
+ */
+async function transcribeWithFasterWhisper(audioPath, workBase) {
+  const bin = process.env.LOCAL_WHISPER_BIN || 'whisper-ctranslate2';
+  const model = process.env.LOCAL_WHISPER_MODEL || 'small';
+  const outputDir = path.dirname(workBase);
+  const outputPath = path.join(outputDir, `${path.parse(audioPath).name}.json`);
+
+  try {
+    await execFileAsync(
+      bin,
+      [
+        audioPath,
+        '--model', model,
+        '--device', 'cpu',
+        '--compute_type', 'int8',
+        '--threads', String(threads()),
+        '--output_format', 'json',
+        '--output_dir', outputDir
+      ],
+      { timeout: TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    const output = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    const segments = (output.segments || []).map(({ start, end, text }) => ({ start, end, text }));
+    return { text: output.text || segments.map(segment => segment.text).join(' '), segments };
+  } finally {
+    await fs.unlink(outputPath).catch(() => {});
+  }
+}
+
+const localProvider = {
+  name: 'local',
+
+  async transcribe(audioPath, { timestamps = false } = {}) {
+    // Unique per call, as several captures may be transcribed at once
+    const workBase = path.join(path.dirname(audioPath), `local_${crypto.randomUUID()}`);
+
+    try {
+      console.log(`Transcribing locally with ${engine()}: ${audioPath}`);
+
+      const { text, segments } = engine() === 'faster-whisper'
+        ? await transcribeWithFasterWhisper(audioPath, workBase)
+        : await transcribeWithWhisperCpp(audioPath, workBase);
+
+      const transcript = text.replace(/\s+/g, ' ').trim();
+      console.log('Local transcription received:', transcript.substring(0, 100) + '...');
+      return timestamps ? { text: transcript, segments } : transcript;
+    } catch (error) {
+      console.error('Local Whisper error:', error.stderr || error.message);
+      throw new Error('Failed to transcribe audio locally: ' + error.message);
+    }
+  }
+};
+
+module.exports = localProvider;
@@ -0,0 +1,71 @@
+/**
+ * OpenAI-compatible Whisper transcription
+ *
+ * Groq and OpenAI expose the same `/audio/transcriptions` API, so both
+ * providers are built from this factory.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+
+/**
+ * Create a provider for an OpenAI-compatible transcription endpoint
+ */
+function createOpenAICompatibleProvider({ name, label, baseUrl, apiKey, model }) {
+  return {
+    name,
+
+    async transcribe(audioPath, { timestamps = false } = {}) {
+      try {
+        // Verify file exists
+        const stats = await fs.stat(audioPath);
+        console.log(`Transcribing audio file: ${audioPath} (${stats.size} bytes)`);
+
+        const formData = new FormData();
+        formData.append('file', createReadStream(audioPath), {
+          filename: 'audio.mp3',
+          contentType: 'audio/mpeg'
+        });
+        formData.append('model', model());
+        // verbose_json adds timed segments
+        formData.append('response_format', timestamps ? 'verbose_json' : 'text');
+
+        console.log(`Sending to ${label} Whisper API...`);
+        const response = await axios.post(
+          `${baseUrl}/audio/transcriptions`,
+          formData,
+          {
+            headers: {
+              'Authorization': `Bearer ${apiKey()}`,
+              ...formData.getHeaders()
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: 60000 // 60 second timeout
+          }
+        );
+
+        if (timestamps) {
+          const segments = (response.data.segments || []).map(({ start, end, text }) => ({ start, end, text }));
+          console.log(`${label} transcription received: ${segments.length} segment(s)`);
+          return { text: response.data.text || '', segments };
+        }
+
+        console.log(`${label} transcription received:`, response.data.substring(0, 100) + '...');
+        return response.data;
+      } catch (error) {
+        console.error(`${label} Whisper API error details:`, {
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          data: error.response?.data,
+          message: error.message
+        });
+        throw new Error('Failed to transcribe audio: ' + (error.response?.data?.error?.message || error.message));
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
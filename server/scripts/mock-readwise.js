@@ -0,0 +1,90 @@
+/**
+ * Mock Readwise API
+ *
+ * A local stand-in for the parts of the Readwise API the Readwise
+ * destination uses, for trying deliveries without a Readwise account:
+ *
+ *   npm run mock:readwise
+ *   READWISE_API_URL=http://localhost:8787/api/v2 READWISE_TOKEN=test npm start
+ *
+ * Any non-empty token is accepted except "invalid" (401); a highlight whose
+ * text contains "[fail]" gets a 503 so retries can be exercised. Received
+ * highlights are listed at GET /api/v2/highlights/.
+ */
+
+const express = require('express');
+
+const PORT = process.env.READWISE_MOCK_PORT || 8787;
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+const books = new Map();
+const highlights = [];
+
+function requireToken(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Token' || !token || token === 'invalid') {
+    return res.status(401).json({ detail: 'Invalid token.' });
+  }
+
+  next();
+}
+
+// Token check, as in https://readwise.io/api_deets
+app.get('/api/v2/auth/', requireToken, (req, res) => {
+  res.status(204).end();
+});
+
+app.post('/api/v2/highlights/', requireToken, (req, res) => {
+  const list = req.body?.highlights;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return res.status(400).json({ highlights: ['This field is required.'] });
+  }
+
+  const invalid = list.findIndex(highlight => typeof highlight.text !== 'string' || !highlight.text.trim());
+  if (invalid !== -1) {
+    return res.status(400).json({ highlights: [{ text: ['This field may not be blank.'] }] });
+  }
+
+  if (list.some(highlight => highlight.text.includes('[fail]'))) {
+    return res.status(503).json({ detail: 'Service temporarily unavailable.' });
+  }
+
+  const modified = new Map();
+
+  for (const highlight of list) {
+    const key = `${highlight.title || 'Quotes'}|${highlight.author || ''}`;
+    if (!books.has(key)) {
+      books.set(key, {
+        id: books.size + 1,
+        title: highlight.title || 'Quotes',
+        author: highlight.author || null,
+        category: highlight.category || 'books',
+        source: highlight.source_type || null
+      });
+    }
+
+    const book = books.get(key);
+    const stored = { id: highlights.length + 1, book_id: book.id, ...highlight };
+    highlights.push(stored);
+    console.log(`[mock-readwise] ${book.title}: ${highlight.text.substring(0, 60)}`);
+
+    modified.set(book.id, [...(modified.get(book.id) || []), stored.id]);
+  }
+
+  res.json([...modified].map(([bookId, ids]) => ({
+    ...[...books.values()].find(book => book.id === bookId),
+    modified_highlights: ids
+  })));
+});
+
+app.get('/api/v2/highlights/', requireToken, (req, res) => {
+  res.json({ count: highlights.length, results: highlights });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Readwise API on http://localhost:${PORT}/api/v2`);
+});
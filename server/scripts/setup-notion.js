@@ -0,0 +1,80 @@
+/**
+ * Notion Database Setup
+ *
+ * Checks the shared Notion database (NOTION_API_KEY / NOTION_DATABASE_ID)
+ * before any capture is saved to it, and creates the properties it's
+ * missing. Properties that exist with another type are reported, not
+ * changed; the exit code is 1 while any are left.
+ *
+ *   npm run setup:notion
+ *   npm run setup:notion -- --dry-run            # only report
+ *   npm run setup:notion -- --database <id>      # another database
+ *
+ * Signed-in users set up their own database with POST /setup/notion.
+ */
+
+require('dotenv').config();
+const { Client } = require('@notionhq/client');
+const notionSchema = require('../lib/notion-schema');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, databaseId: process.env.NOTION_DATABASE_ID };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--database') {
+      options.databaseId = argv[++i];
+    } else {
+      throw new Error(`Unknown option "${argv[i]}". Use --dry-run or --database <id>`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { dryRun, databaseId } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.NOTION_API_KEY) {
+    throw new Error('NOTION_API_KEY is not set');
+  }
+
+  if (!databaseId) {
+    throw new Error('NOTION_DATABASE_ID is not set (or pass --database <id>)');
+  }
+
+  const client = new Client({ auth: process.env.NOTION_API_KEY });
+  const report = await notionSchema.setupDatabase(client, databaseId, { dryRun });
+
+  console.log(`Notion database "${report.title}" (${report.databaseId})`);
+
+  if (report.renamed) {
+    console.log(`  Renamed the title property "${report.renamed.from}" to "${report.renamed.to}"`);
+  }
+
+  for (const { name, type } of report.created) {
+    console.log(`  Created "${name}" (${type})`);
+  }
+
+  for (const problem of report.problems) {
+    console.log(`  ✗ ${problem}`);
+  }
+
+  if (report.ok) {
+    console.log(report.created.length > 0 || report.renamed ? '  ✓ Ready for Wisdom Vault' : '  ✓ Already set up');
+  } else if (report.mismatched.length > 0) {
+    console.log('  Change the types above in Notion (or rename those properties and run this again)');
+  } else if (dryRun) {
+    console.log('  Run without --dry-run to fix this');
+  }
+
+  return report.ok;
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Notion setup failed:', error.message);
+    process.exit(1);
+  });
@@ -2,54 +2,95 @@
  * Wisdom Vault - Backend Server
  * 
  * Handles podcast insight processing with:
- * - Listen Notes API for podcast search
- * - yt-dlp + ffmpeg for audio extraction
- * - OpenAI Whisper for transcription
- * - GPT-4o-mini for summarization
- * - Notion for storage
- * - Supabase for logging
+ * - Captures from Spotify, YouTube, Apple Podcasts, Pocket Casts and Overcast
+ * - Episode resolution: Spotify/Apple episode ids, the show's RSS feed, then Listen Notes
+ * - HTTP Range requests (or a full download) + ffmpeg for audio extraction
+ * - Whisper transcription via Groq, OpenAI or a local whisper.cpp / faster-whisper CLI
+ * - LLM summarization (Groq, OpenAI or a local OpenAI-compatible server) with named styles
+ * - Notion for storage (one shared workspace, or per-user workspaces via OAuth)
+ * - Markdown notes for Obsidian/Logseq vaults, one per insight or in the daily note
+ * - Readwise, Anki and signed webhooks, delivered with retries once an insight is saved
+ * - Supabase Auth for user accounts
+ * - API keys, restricted CORS and per-client rate limits / daily quotas
+ * - Supabase for logging and the insight library
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
-const path = require('path');
-const { Client } = require('@notionhq/client');
-const { createClient } = require('@supabase/supabase-js');
-const FormData = require('form-data');
-const { createReadStream } = require('fs');
-
-const execAsync = promisify(exec);
+const archiver = require('archiver');
+const supabase = require('./lib/supabase');
+const insightStore = require('./lib/insight-store');
+const jobQueue = require('./lib/job-queue');
+const transcription = require('./lib/transcription');
+const summarization = require('./lib/summarization');
+const alignment = require('./lib/transcript-alignment');
+const captureRange = require('./lib/capture-range');
+const diarization = require('./lib/diarization');
+const { extractAudioSnippet } = require('./lib/audio');
+const episodeCache = require('./lib/episode-cache');
+const auth = require('./lib/auth');
+const notionAccounts = require('./lib/notion-accounts');
+const platforms = require('./lib/platforms');
+const tags = require('./lib/tags');
+const destinations = require('./lib/destinations');
+const markdown = require('./lib/destinations/markdown');
+const anki = require('./lib/destinations/anki');
+const destinationSettings = require('./lib/destination-settings');
+const deliveries = require('./lib/deliveries');
+const episodeResolver = require('./lib/episode-resolver');
+const apiAccess = require('./lib/api-access');
+const { rateLimit, MINUTE_MS, DAY_MS } = require('./lib/rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware - Allow all origins for development
-app.use(cors());
+// Requests per minute per client across all routes, and on /process-insight
+// (which spends transcription, LLM and Listen Notes quota) a tighter
+// per-minute limit plus a daily quota
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 120;
+const PROCESS_INSIGHT_PER_MINUTE = parseInt(process.env.PROCESS_INSIGHT_PER_MINUTE) || 5;
+const PROCESS_INSIGHT_DAILY_QUOTA = parseInt(process.env.PROCESS_INSIGHT_DAILY_QUOTA) || 50;
+
+// Behind Render's proxy; needed for per-IP limits on anonymous callers
+app.set('trust proxy', 1);
+
+// Middleware
+app.use(cors(apiAccess.corsOptions));
 app.use(express.json());
+app.use(auth.optionalUser);
+app.use(apiAccess.requireClient);
+app.use(rateLimit({
+  name: 'requests',
+  windowMs: MINUTE_MS,
+  limit: RATE_LIMIT_PER_MINUTE,
+  message: (limit, wait) => `Too many requests (limit ${limit} per minute). Try again in ${wait}.`
+}));
 
-// Initialize clients
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+const processInsightLimits = [
+  rateLimit({
+    name: 'process-insight',
+    windowMs: MINUTE_MS,
+    limit: PROCESS_INSIGHT_PER_MINUTE,
+    message: (limit, wait) => `You can capture ${limit} insights per minute. Try again in ${wait}.`
+  }),
+  rateLimit({
+    name: 'daily-quota',
+    windowMs: DAY_MS,
+    limit: req => req.client.dailyQuota || PROCESS_INSIGHT_DAILY_QUOTA,
+    message: (limit, wait) => `Daily limit of ${limit} insights reached. It resets in ${wait}.`
+  })
+];
 
-// Temp directory for audio files
-const TEMP_DIR = path.join(__dirname, 'temp');
+// Seconds transcribed from the start of a capture window to place it in a full transcript
+const PROBE_SECONDS = 20;
 
-// Ensure temp directory exists
-async function ensureTempDir() {
-  try {
-    await fs.mkdir(TEMP_DIR, { recursive: true });
-  } catch (error) {
-    // Directory already exists
-  }
-}
+// `episodeId` value for "none of the candidates" - save as a bookmark
+const NO_EPISODE = 'none';
+
+// Insights are read from the library in pages of this size for exports
+const EXPORT_PAGE_SIZE = 100;
 
 // Clean up temp files
 async function cleanupTempFiles(files) {
@@ -63,620 +104,1136 @@ async function cleanupTempFiles(files) {
 }
 
 /**
- * Search Listen Notes API for podcast episode
+ * Save to Supabase for logging
  */
-async function searchListenNotes(title, showName) {
+async function logToSupabase(data) {
   try {
-    // Search with show name as primary, title as secondary for better accuracy
-    // Put show name in quotes to prioritize exact match
-    const query = showName ? `"${showName}" ${title}` : title;
-    
-    console.log(`Searching Listen Notes for: ${query}`);
-    
-    const response = await axios.get('https://listen-api.listennotes.com/api/v2/search', {
-      headers: {
-        'X-ListenAPI-Key': process.env.LISTENNOTES_API_KEY
-      },
-      params: {
-        q: query,
-        type: 'episode',
-        len_min: 1,
-        sort_by_date: 0
-      }
-    });
+    const { error } = await supabase
+      .from('wisdom_vault_logs')
+      .insert({
+        title: data.title,
+        show_name: data.showName,
+        timestamp_seconds: data.timestamp,
+        spotify_url: data.platform === 'spotify' ? data.sourceUrl : null,
+        created_at: new Date().toISOString()
+      });
     
-    if (response.data.results && response.data.results.length > 0) {
-      // Try to find a result that matches the show name
-      let episode = response.data.results[0];
-      
-      if (showName) {
-        const showNameLower = showName.toLowerCase();
-        const matchingEpisode = response.data.results.find(ep => {
-          const podcastName = (ep.podcast?.title_original || '').toLowerCase();
-          return podcastName.includes(showNameLower) || showNameLower.includes(podcastName);
-        });
-        
-        if (matchingEpisode) {
-          episode = matchingEpisode;
-          console.log(`Found matching episode: "${episode.title_original}" from "${episode.podcast?.title_original}"`);
-        } else {
-          console.log(`Warning: No exact show match found. Using best result: "${episode.podcast?.title_original}"`);
-        }
-      }
-      
-      return {
-        id: episode.id,
-        title: episode.title_original,
-        showName: episode.podcast?.title_original || showName,
-        audioUrl: episode.audio,
-        thumbnail: episode.thumbnail,
-        description: episode.description_original,
-        hasTranscript: episode.transcript ? true : false,
-        transcript: episode.transcript || null
-      };
+    if (error) {
+      console.error('Supabase log error:', error);
     }
-    
-    return null;
   } catch (error) {
-    console.error('Listen Notes API error:', error.message);
-    throw new Error('Failed to search for podcast episode');
+    console.error('Failed to log to Supabase:', error.message);
+    // Non-blocking - don't throw
   }
 }
 
 /**
- * Get episode details with transcript from Listen Notes
+ * Store a processed insight in the library
+ * Returns the stored insight, or null if persistence failed
  */
-async function getEpisodeTranscript(episodeId) {
+async function persistInsight(fields) {
   try {
-    const response = await axios.get(`https://listen-api.listennotes.com/api/v2/episodes/${episodeId}`, {
-      headers: {
-        'X-ListenAPI-Key': process.env.LISTENNOTES_API_KEY
-      },
-      params: {
-        show_transcript: 1
-      }
-    });
+    return await insightStore.createInsight(fields);
+  } catch (error) {
+    console.error('Failed to persist insight:', error.message);
+    // Capture still succeeds without a library record
+    return null;
+  }
+}
+
+/**
+ * Crop one window of episode audio, cached per window
+ * The caller deletes the returned file
+ */
+async function extractWindow(episode, windowStart, windowDuration) {
+  const audioPath = await extractAudioSnippet(episode.audioUrl, windowStart, windowDuration, {
+    cacheKey: `audio:${episode.id}:${windowStart}:${windowDuration}`
+  });
+  console.log(`Audio snippet saved to: ${audioPath}`);
+  return audioPath;
+}
+
+/**
+ * Transcribe one window of episode audio
+ * Both the cropped audio and the text are cached per window and provider.
+ * With `timestamps`, resolves with { text, segments } instead of the text.
+ */
+async function transcribeWindow(episode, windowStart, windowDuration, provider, { timestamps = false } = {}) {
+  const windowKey = `${episode.id}:${windowStart}:${windowDuration}`;
+  const providerName = transcription.getProvider(provider).name;
+  
+  return episodeCache.remember(`${timestamps ? 'whisper-timed' : 'whisper'}:${windowKey}:${providerName}`, async () => {
+    const audioPath = await extractWindow(episode, windowStart, windowDuration);
     
-    if (response.data.transcript) {
-      return response.data.transcript;
+    try {
+      return await transcription.transcribe(audioPath, { provider, timestamps });
+    } finally {
+      await cleanupTempFiles([audioPath]);
     }
+  });
+}
+
+/**
+ * Split a transcribed window into "Speaker: text" lines
+ * `segments` are timed from windowStart. Resolves with the labeled lines
+ * and speaker names, or null when diarization fails.
+ */
+async function labelSpeakers(episode, windowStart, windowDuration, segments) {
+  const audioPath = await extractWindow(episode, windowStart, windowDuration);
+  
+  try {
+    const turns = await diarization.diarize(audioPath);
+    if (turns.length === 0) return null;
     
-    return null;
+    const lines = diarization.labelSpeakers(diarization.assignSpeakers(segments, turns), {
+      guests: diarization.findGuestNames(episode.description)
+    });
+    
+    return {
+      text: diarization.formatLines(lines),
+      speakers: [...new Set(lines.map(line => line.speaker))]
+    };
   } catch (error) {
-    console.error('Failed to get episode transcript:', error.message);
+    // Unlabeled text is still a good transcript
+    console.error('Speaker labels skipped:', error.message);
     return null;
+  } finally {
+    await cleanupTempFiles([audioPath]);
   }
 }
 
 /**
- * Extract transcript segment at timestamp
+ * Transcribe a short probe of the episode audio around the timestamp
+ * Used to locate the capture inside plain-text transcripts
  */
-function extractTranscriptSegment(transcript, timestampSeconds, duration = 30) {
-  // Transcript format varies - try to parse and extract relevant segment
-  if (typeof transcript === 'string') {
-    // Simple text transcript - just return a portion
-    const words = transcript.split(' ');
-    const approximateWordIndex = Math.floor((timestampSeconds / 60) * 150); // ~150 words per minute
-    const startIndex = Math.max(0, approximateWordIndex - 25);
-    const endIndex = Math.min(words.length, approximateWordIndex + 75);
-    return words.slice(startIndex, endIndex).join(' ');
-  }
+async function transcribeProbe(episode, timestampSeconds, provider) {
+  const { start: startSeconds } = captureRange.captureWindow(timestampSeconds, timestampSeconds);
+  const text = await transcribeWindow(episode, startSeconds, PROBE_SECONDS, provider);
   
-  // Structured transcript with timestamps
-  if (Array.isArray(transcript)) {
-    const relevantSegments = transcript.filter(seg => {
-      const segStart = seg.start_time || seg.start || 0;
-      const segEnd = seg.end_time || seg.end || segStart + 5;
-      return segStart >= timestampSeconds - 5 && segEnd <= timestampSeconds + duration + 5;
-    });
+  return { text, startSeconds, durationSeconds: PROBE_SECONDS };
+}
+
+/**
+ * Transcribe a capture range from the audio, padded for context
+ * Long ranges are split into chunks and the text joined back together.
+ * With `diarize`, the text comes back as "Speaker: text" lines.
+ */
+async function transcribeRange(episode, startSeconds, endSeconds, provider, progress, { diarize = false } = {}) {
+  const { start: windowStart, end: windowEnd } = captureRange.captureWindow(startSeconds, endSeconds);
+  const chunks = captureRange.chunkWindow(windowStart, windowEnd);
+  const chunkCount = chunks.length;
+  const parts = [];
+  const segments = [];
+  
+  for (let i = 0; i < chunkCount; i++) {
+    const { start: chunkStart, duration: chunkDuration } = chunks[i];
+    
+    progress.stage(
+      chunkCount > 1 ? `transcribing_${i + 1}` : 'transcribing',
+      chunkCount > 1 ? `Transcribing audio (part ${i + 1} of ${chunkCount})...` : 'Transcribing audio...'
+    );
     
-    return relevantSegments.map(seg => seg.text || seg.words || '').join(' ');
+    if (diarize) {
+      const timed = await transcribeWindow(episode, chunkStart, chunkDuration, provider, { timestamps: true });
+      parts.push(timed.text);
+      // Segment times are relative to the chunk; make them relative to the window
+      const offset = chunkStart - windowStart;
+      segments.push(...timed.segments.map(segment => ({
+        ...segment,
+        start: segment.start + offset,
+        end: segment.end + offset
+      })));
+    } else {
+      parts.push(await transcribeWindow(episode, chunkStart, chunkDuration, provider));
+    }
+  }
+  
+  const range = {
+    text: parts.map(part => (part || '').trim()).filter(Boolean).join(' '),
+    startSeconds: windowStart,
+    endSeconds: windowEnd,
+    alignment: 'audio',
+    speakers: null
+  };
+  
+  // The whole window is diarized at once so speakers match across chunks
+  if (diarize && segments.length > 0) {
+    progress.stage('diarizing', 'Telling speakers apart...');
+    const labeled = await labelSpeakers(episode, windowStart, windowEnd - windowStart, segments);
+    if (labeled) {
+      range.text = labeled.text;
+      range.speakers = labeled.speakers;
+    }
   }
   
-  return null;
+  return range;
 }
 
 /**
- * Download and crop audio using curl + ffmpeg
+ * Run the full insight pipeline for one capture
+ * Reports progress through `progress.stage()` and resolves with the
+ * processed insight data returned to the client
  */
-async function extractAudioSnippet(audioUrl, timestampSeconds, duration = 30) {
-  await ensureTempDir();
+async function runInsightPipeline(input, progress) {
+  const {
+    title,
+    showName,
+    startSeconds,
+    endSeconds,
+    platform,
+    sourceUrl,
+    episodeUri,
+    durationSeconds,
+    episodeId,
+    transcriptionProvider,
+    summaryStyle,
+    summaryProvider,
+    tagVocabulary,
+    diarize,
+    userId
+  } = input;
+  const userTags = input.tags || [];
+  const spotifyUrl = platform === 'spotify' ? sourceUrl : undefined;
+  const timestampSeconds = Math.floor(startSeconds);
   
-  const timestamp = Date.now();
-  const fullAudioPath = path.join(TEMP_DIR, `full_${timestamp}.mp3`);
-  const snippetPath = path.join(TEMP_DIR, `snippet_${timestamp}.mp3`);
+  console.log(`Processing ${platform} insight: "${title}" by ${showName} from ${startSeconds}s to ${endSeconds}s`);
   
-  try {
-    // Calculate start time (5 seconds before to capture context)
-    const startTime = Math.max(0, timestampSeconds - 5);
-    const totalDuration = duration + 10; // Extra buffer
-    
-    console.log(`Extracting audio from ${startTime}s for ${totalDuration}s`);
-    console.log(`Audio URL: ${audioUrl.substring(0, 100)}...`);
+  // Step 1: Work out which episode this is ("none" = the user rejected every candidate)
+  progress.stage('searching', 'Finding the episode...');
+  const episode = episodeId === NO_EPISODE
+    ? null
+    : await episodeResolver.resolveEpisode({
+      title,
+      showName,
+      platform,
+      sourceUrl,
+      episodeUri,
+      durationSeconds
+    }, { episodeId });
+  
+  // Not sure it's the right episode: let the user choose before transcribing
+  if (episode?.lowConfidence) {
+    console.log(`Uncertain match (confidence ${episode.confidence}) - asking the user to choose`);
     
-    // Step 1: Download with curl using proper headers (Listen Notes blocks direct ffmpeg access)
-    console.log('Downloading audio with curl...');
-    const curlCmd = `curl -L -A "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36" -o "${fullAudioPath}" "${audioUrl}"`;
+    return {
+      needsEpisodeChoice: true,
+      candidates: episode.candidates,
+      episodeTitle: title,
+      showName: showName || episode.showName,
+      timestampSeconds,
+      endSeconds
+    };
+  }
+  
+  // If episode not found, return success with manual mode flag
+  if (!episode) {
+    console.log('No matching episode found - using manual mode');
     
-    await execAsync(curlCmd, { timeout: 180000 }); // 3 min timeout for download
+    // Log to Supabase (non-blocking)
+    logToSupabase({ title, showName, timestamp: timestampSeconds, platform, sourceUrl });
     
-    // Verify download
-    const downloadStats = await fs.stat(fullAudioPath);
-    console.log(`Downloaded: ${downloadStats.size} bytes`);
+    progress.stage('storing', 'Saving bookmark...');
+    const stored = await persistInsight({
+      userId,
+      title,
+      showName: showName || 'Unknown Show',
+      platform,
+      sourceUrl,
+      spotifyUrl,
+      timestampSeconds,
+      endSeconds,
+      tags: userTags,
+      status: 'manual'
+    });
     
-    if (downloadStats.size < 10000) {
-      throw new Error('Downloaded file too small');
+    return {
+      insightId: stored?.id || null,
+      episodeTitle: title,
+      showName: showName || 'Unknown Show',
+      thumbnail: null,
+      transcript: null,
+      summary: null,
+      timestampSeconds: timestampSeconds,
+      endSeconds: endSeconds,
+      tags: userTags,
+      manualMode: true,
+      message: 'Podcast not found in database. You can add your own notes!'
+    };
+  }
+  
+  console.log(`Found episode: ${episode.title} (${episode.source}, confidence ${episode.confidence})`);
+  
+  let segment = null;
+  
+  // Step 2: Hybrid logic - check for existing transcript first
+  if (episode.hasTranscript) {
+    console.log(`Using ${episode.source} transcript`);
+    progress.stage('fetching_transcript', 'Fetching transcript...');
+    const fullTranscript = await episodeCache.remember(
+      `transcript:${episode.id}`,
+      () => episodeResolver.fetchTranscript(episode)
+    );
+    if (fullTranscript) {
+      progress.stage('aligning', 'Finding the moment in the transcript...');
+      const probeEnabled = process.env.TRANSCRIPT_PROBE !== 'false' && episode.audioUrl;
+      segment = await alignment.extractSegment(fullTranscript, startSeconds, endSeconds - startSeconds, {
+        probe: probeEnabled
+          ? () => transcribeProbe(episode, startSeconds, transcriptionProvider)
+          : null
+      });
     }
+  }
+  
+  // Step 3: If no transcript, use audio extraction + Whisper
+  if (!segment?.text) {
+    console.log('No transcript available, extracting audio...');
     
-    // Step 2: Extract snippet with ffmpeg
-    console.log('Extracting snippet with ffmpeg...');
-    const ffmpegCmd = `ffmpeg -y -ss ${startTime} -i "${fullAudioPath}" -t ${totalDuration} -c:a libmp3lame -q:a 4 -loglevel error "${snippetPath}"`;
-    
-    await execAsync(ffmpegCmd, { timeout: 60000 });
-    
-    // Clean up full audio
-    await fs.unlink(fullAudioPath).catch(() => {});
-    
-    // Verify snippet was created
-    const stats = await fs.stat(snippetPath);
-    console.log(`Audio snippet created: ${stats.size} bytes`);
-    
-    if (stats.size < 1000) {
-      throw new Error('Audio snippet too small - extraction may have failed');
+    if (!episode.audioUrl) {
+      throw new Error('No audio URL available for this episode');
     }
     
-    return snippetPath;
+    segment = await transcribeRange(episode, startSeconds, endSeconds, transcriptionProvider, progress, { diarize });
+  }
+  
+  const transcript = segment.text;
+  
+  if (!transcript || transcript.trim().length === 0) {
+    throw new Error('Failed to get transcript for this segment');
+  }
+  
+  console.log(`Transcript (${transcript.length} chars): ${transcript.substring(0, 100)}...`);
+  
+  // Step 4: Summarize the whole range together
+  progress.stage('summarizing', 'Summarizing insight...');
+  const { style, summary } = await summarization.summarize(transcript, title, {
+    style: summaryStyle,
+    provider: summaryProvider
+  });
+  
+  // Step 5: Propose topic tags; the insight is still useful without them
+  progress.stage('tagging', 'Tagging insight...');
+  let suggestedTags = [];
+  try {
+    suggestedTags = await summarization.suggestTags(transcript, title, {
+      vocabulary: tagVocabulary,
+      provider: summaryProvider
+    });
   } catch (error) {
-    // Clean up on error
-    await cleanupTempFiles([fullAudioPath, snippetPath]);
-    console.error('Audio extraction error:', error.message);
-    throw new Error('Failed to extract audio snippet: ' + error.message);
+    console.error('Tagging failed:', error.message);
   }
+  const insightTags = tags.mergeTags(userTags, suggestedTags);
+  
+  // Log to Supabase (non-blocking)
+  logToSupabase({ title, showName, timestamp: timestampSeconds, platform, sourceUrl });
+  
+  // Keep our own copy in the insight library
+  progress.stage('storing', 'Storing insight...');
+  const stored = await persistInsight({
+    userId,
+    title,
+    showName: showName || episode.showName,
+    episodeTitle: episode.title,
+    listenNotesId: episode.source === 'listen-notes' ? episode.id : undefined,
+    episodeSource: episode.source,
+    matchConfidence: episode.confidence,
+    platform,
+    sourceUrl,
+    spotifyUrl,
+    audioUrl: episode.audioUrl,
+    thumbnail: episode.thumbnail,
+    timestampSeconds,
+    endSeconds,
+    transcript,
+    summary,
+    summaryStyle: style,
+    tags: insightTags,
+    speakers: segment.speakers || undefined,
+    segmentStartSeconds: segment.startSeconds,
+    segmentEndSeconds: segment.endSeconds,
+    alignment: segment.alignment,
+    status: 'processed'
+  });
+  
+  // USE ORIGINAL PLAYER DATA for title/show
+  return {
+    insightId: stored?.id || null,
+    // Lets moments from the same episode share a Notion page
+    listenNotesId: episode.source === 'listen-notes' ? episode.id : null,
+    episodeDate: episode.publishedAt || null,
+    episodeTitle: title,  // Use the title shown in the player
+    showName: showName || episode.showName,  // Use the player's show name
+    thumbnail: episode.thumbnail,
+    transcript: transcript,
+    summary: summary,
+    summaryStyle: style,
+    tags: insightTags,
+    suggestedTags,
+    // Set when the transcript is "Speaker: text" lines
+    speakers: segment.speakers || null,
+    timestampSeconds: timestampSeconds,
+    endSeconds: endSeconds,
+    match: {
+      source: episode.source,
+      confidence: episode.confidence,
+      lowConfidence: episode.lowConfidence,
+      episodeTitle: episode.title,
+      showName: episode.showName
+    },
+    segment: {
+      startSeconds: segment.startSeconds,
+      endSeconds: segment.endSeconds,
+      alignment: segment.alignment
+    }
+  };
 }
 
 /**
- * Transcribe audio using Groq's free Whisper API
+ * POST /process-insight
+ * Main endpoint to process a podcast insight
+ * Body: title, showName, sourceUrl, platform (spotify, youtube, apple-podcasts,
+ *   pocket-casts or overcast; older clients send spotifyUrl instead), and
+ *   either timestamp (30s capture) or startSeconds/endSeconds (a capture range)
+ *   optional: episodeId - the candidate the user picked, or "none" to save a
+ *   bookmark. Without it, an uncertain match finishes the job early with
+ *   `needsEpisodeChoice` and the top `candidates` (show, date, duration,
+ *   artwork) instead of transcribing.
+ *   optional: transcriptionProvider, summaryStyle, summaryProvider
+ *   optional: tags (the user's own) and tagVocabulary (the topics the
+ *   summarizer picks 1-5 tags from; defaults to TAG_VOCABULARY)
+ *   optional: diarize - label speakers in Whisper transcripts (defaults to
+ *   on when DIARIZATION_COMMAND is set)
+ * Queues the pipeline and responds right away with a job id;
+ * poll GET /jobs/:id for progress and the result.
+ * Limited per client per minute and per day (429 with Retry-After)
  */
-async function transcribeWithWhisper(audioPath) {
+app.post('/process-insight', processInsightLimits, (req, res) => {
+  const {
+    title,
+    transcriptionProvider,
+    summaryStyle,
+    summaryProvider
+  } = req.body;
+  
+  if (!title) {
+    return res.status(400).json({ success: false, message: 'Title is required' });
+  }
+  
+  let startSeconds;
+  let endSeconds;
+  try {
+    ({ startSeconds, endSeconds } = captureRange.parseRange(req.body));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  // Reject unknown platforms/providers/styles up front rather than failing inside the job
+  let capture;
+  try {
+    capture = platforms.normalizeCapture(req.body);
+    transcription.getProvider(transcriptionProvider);
+    summarization.getProvider(summaryProvider);
+    summarization.getTemplate(summaryStyle);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  if (req.body.episodeId !== undefined && (typeof req.body.episodeId !== 'string' || req.body.episodeId.length > 100)) {
+    return res.status(400).json({ success: false, message: 'episodeId must be a candidate id' });
+  }
+  
+  if (req.body.diarize !== undefined && typeof req.body.diarize !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'diarize must be true or false' });
+  }
+  
+  if (req.body.diarize && !diarization.isEnabled()) {
+    return res.status(400).json({ success: false, message: 'Speaker diarization is not configured on this server' });
+  }
+  
+  let userTags;
+  let tagVocabulary;
+  try {
+    userTags = tags.normalizeTags(req.body.tags);
+    tagVocabulary = tags.normalizeVocabulary(req.body.tagVocabulary);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  const job = jobQueue.enqueue('process-insight', {
+    title: capture.title,
+    showName: capture.showName,
+    platform: capture.platform,
+    sourceUrl: capture.sourceUrl,
+    episodeUri: capture.episodeUri,
+    durationSeconds: capture.durationSeconds,
+    episodeId: req.body.episodeId || null,
+    startSeconds,
+    endSeconds,
+    transcriptionProvider,
+    summaryStyle,
+    summaryProvider,
+    tags: userTags,
+    tagVocabulary,
+    diarize: req.body.diarize ?? diarization.isEnabled(),
+    userId: req.user?.id || null
+  }, runInsightPipeline);
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      message: job.message
+    }
+  });
+});
+
+/**
+ * GET /jobs/:id
+ * Current stage, per-stage timings and (once finished) the result of a job
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+  
+  res.json({ success: true, data: job });
+});
+
+/**
+ * Save an insight to a destination and mark its library record as saved
+ */
+async function saveToDestination(req, res, destinationName) {
+  const { insightId, mode } = req.body;
+  
+  let destination;
+  let entry;
   try {
-    // Verify file exists
-    const stats = await fs.stat(audioPath);
-    console.log(`Transcribing audio file: ${audioPath} (${stats.size} bytes)`);
+    destination = destinations.getDestination(destinationName);
+    entry = destinations.fromRequest(req.body);
     
-    const formData = new FormData();
-    formData.append('file', createReadStream(audioPath), {
-      filename: 'audio.mp3',
-      contentType: 'audio/mpeg'
-    });
-    formData.append('model', 'whisper-large-v3');
-    formData.append('response_format', 'text');
-    
-    console.log('Sending to Groq Whisper API...');
-    const response = await axios.post(
-      'https://api.groq.com/openai/v1/audio/transcriptions',
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-          ...formData.getHeaders()
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: 60000 // 60 second timeout
+    if (mode !== undefined && !destination.modes().includes(mode)) {
+      const supported = destination.modes();
+      throw new Error(supported.length > 0
+        ? `mode must be one of: ${supported.join(', ')}`
+        : `${destination.label} has no save modes`);
+    }
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  
+  try {
+    const config = await destinationSettings.getConfig(destination.name, req.user?.id);
+    const { data, insight } = await destination.save(entry, { userId: req.user?.id, mode, config });
+    
+    if (insightId) {
+      try {
+        await insightStore.updateInsight(insightId, {
+          // The reviewed text replaces what the pipeline produced
+          transcript: entry.transcript || undefined,
+          summary: entry.summary.length > 0 ? entry.summary : undefined,
+          note: entry.note,
+          // Without tags in the request, keep the ones the pipeline suggested
+          tags: req.body.tags !== undefined ? entry.tags : undefined,
+          rating: entry.rating,
+          ...insight,
+          status: 'saved'
+        }, { userId: req.user?.id });
+        
+        // Reviewed and saved: push it to the user's automatic destinations in the background
+        deliveries.deliverInsight(insightId, { userId: req.user?.id || null, except: destination.name });
+      } catch (error) {
+        console.error(`Failed to mark insight saved to ${destination.label}:`, error.message);
       }
-    );
+    }
+    
+    res.json({
+      success: true,
+      data: { destination: destination.name, ...data }
+    });
     
-    console.log('Groq transcription received:', response.data.substring(0, 100) + '...');
-    return response.data;
   } catch (error) {
-    console.error('Groq Whisper API error details:', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message
+    console.error(`${destination.label} save error:`, error);
+    res.status(500).json({
+      success: false,
+      message: error.message || `Failed to save to ${destination.label}`
     });
-    throw new Error('Failed to transcribe audio: ' + (error.response?.data?.error?.message || error.message));
   }
 }
 
 /**
- * Summarize transcript using Groq's free LLaMA model
- */
-async function summarizeTranscript(transcript, title) {
-  try {
-    console.log('Summarizing with Groq LLaMA...');
-    const response = await axios.post(
-      'https://api.groq.com/openai/v1/chat/completions',
-      {
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that summarizes podcast insights. Create exactly 3 concise bullet points that capture the key takeaways from the transcript. Each bullet should be actionable or insightful. Keep each bullet under 100 characters. Format as: - Point one\n- Point two\n- Point three'
-          },
-          {
-            role: 'user',
-            content: `Podcast Episode: "${title}"\n\nTranscript segment:\n${transcript}\n\nProvide 3 bullet point takeaways:`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 300
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    const content = response.data.choices[0].message.content;
-    console.log('Summary received:', content.substring(0, 100) + '...');
-    
-    // Parse bullet points
-    const bullets = content
-      .split('\n')
-      .filter(line => line.trim().match(/^[-•*]\s/) || line.trim().match(/^\d+\.\s/))
-      .map(line => line.replace(/^[-•*\d.]\s*/, '').trim())
-      .filter(line => line.length > 0)
-      .slice(0, 3);
-    
-    return bullets.length > 0 ? bullets : [content.trim()];
+ * POST /save
+ * Save the processed insight to a destination (see GET /destinations)
+ * Body: the /process-insight result (possibly edited in the review step),
+ *   plus optional note, tags (array of strings) and rating (1-5), and
+ *   `destination` (default notion) with its `mode` (markdown: file or daily).
+ *   With `speakers`, transcript lines starting with one of those names are
+ *   shown with a speaker label. With `listenNotesId` (or the episode URL
+ *   derived from `capturedFrom`), Notion adds the moment to the episode's
+ *   page when there is one; the response then has `appended: true`.
+ *   `episodeDate` (from /process-insight) fills Notion's Episode date.
+ * The Markdown destination responds with the note's fileName and content,
+ * and its vaultPath when MARKDOWN_VAULT_DIR is set.
+ */
+app.post('/save', (req, res) => saveToDestination(req, res, req.body.destination));
+
+/**
+ * POST /save-to-notion
+ * Same as POST /save with the Notion destination
+ */
+app.post('/save-to-notion', (req, res) => saveToDestination(req, res, 'notion'));
+
+/**
+ * POST /setup/notion
+ * Check the Notion database saves go to (the user's, or the shared one)
+ * and create the properties it's missing: Name, Show, Spotify URL,
+ * Timestamp and Saved, plus Tags, Episode date, Source platform, Rating,
+ * Listen Notes ID and Episode URL. Properties with the wrong type are
+ * reported in `problems`, not changed.
+ * Body: { dryRun } - true to only report
+ */
+app.post('/setup/notion', async (req, res) => {
+  try {
+    const report = await destinations.getDestination('notion').setup({
+      userId: req.user?.id,
+      dryRun: req.body.dryRun === true
+    });
+    res.json({ success: true, data: report });
   } catch (error) {
-    console.error('Groq summarization error:', error.response?.data || error.message);
-    throw new Error('Failed to summarize transcript: ' + (error.response?.data?.error?.message || error.message));
+    console.error('Notion setup error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /destinations
+ * Available save destinations and the modes each supports
+ */
+app.get('/destinations', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: 'notion',
+      destinations: destinations.listDestinations()
+    }
+  });
+});
+
+// Every insight matching the /insights filters, newest first
+async function loadLibrary(filters) {
+  let insights = [];
+  
+  for (let page = 1; ; page++) {
+    const result = await insightStore.listInsights({ ...filters, page, pageSize: EXPORT_PAGE_SIZE });
+    insights = insights.concat(result.items);
+    if (result.items.length < EXPORT_PAGE_SIZE || insights.length >= result.total) break;
   }
+  
+  return insights;
 }
 
 /**
- * Save to Supabase for logging
+ * GET /export.zip
+ * Every insight in the library as a Markdown note, in one zip
+ * Query: the /insights filters (q, show, tag, from, to)
  */
-async function logToSupabase(data) {
+app.get('/export.zip', async (req, res) => {
+  const { q, show, tag, from, to } = req.query;
+  
+  if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+    return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+  
+  let insights;
   try {
-    const { error } = await supabase
-      .from('wisdom_vault_logs')
-      .insert({
-        title: data.title,
-        show_name: data.showName,
-        timestamp_seconds: data.timestamp,
-        spotify_url: data.spotifyUrl,
-        created_at: new Date().toISOString()
-      });
-    
-    if (error) {
-      console.error('Supabase log error:', error);
-    }
+    insights = await loadLibrary({ q, show, tag, from, to, userId: req.user?.id });
   } catch (error) {
-    console.error('Failed to log to Supabase:', error.message);
-    // Non-blocking - don't throw
+    console.error('Export error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to export insights'
+    });
   }
-}
+  
+  const notes = markdown.exportNotes(insights.map(destinations.fromInsight));
+  const archive = archiver('zip');
+  
+  archive.on('error', (error) => {
+    console.error('Export archive error:', error.message);
+    res.destroy(error);
+  });
+  
+  res.attachment(`wisdom-vault-${new Date().toISOString().substring(0, 10)}.zip`);
+  res.type('application/zip');
+  archive.pipe(res);
+  
+  for (const note of notes) {
+    archive.append(note.content, { name: note.fileName });
+  }
+  
+  await archive.finalize();
+  console.log(`Exported ${notes.length} insight(s) as Markdown`);
+});
 
 /**
- * POST /process-insight
- * Main endpoint to process a Spotify podcast insight
+ * GET /export/anki.apkg, GET /export/anki.csv
+ * Flashcard-style insights in the library as an Anki deck (.apkg) or a CSV
+ * file for Anki's importer. Other summary styles are left out.
+ * Query: the /insights filters (q, show, tag, from, to) and optional deck
+ *   (defaults to the deck in the user's Anki settings, then "Wisdom Vault")
  */
-app.post('/process-insight', async (req, res) => {
-  const { title, showName, timestamp, spotifyUrl } = req.body;
+app.get('/export/anki.:format(apkg|csv)', async (req, res) => {
+  const { q, show, tag, from, to } = req.query;
   
-  if (!title) {
-    return res.status(400).json({ success: false, message: 'Title is required' });
+  if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+    return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD)' });
   }
   
-  const timestampSeconds = parseInt(timestamp) || 0;
-  let audioPath = null;
-  
-  try {
-    console.log(`Processing insight: "${title}" by ${showName} at ${timestampSeconds}s`);
-    
-    // Step 1: Search Listen Notes for the episode
-    const episode = await searchListenNotes(title, showName || '');
-    
-    // If episode not found, return success with manual mode flag
-    if (!episode) {
-      console.log('Episode not found in Listen Notes - using manual mode');
-      
-      // Log to Supabase (non-blocking)
-      logToSupabase({ title, showName, timestamp: timestampSeconds, spotifyUrl });
-      
-      return res.json({
-        success: true,
-        data: {
-          episodeTitle: title,
-          showName: showName || 'Unknown Show',
-          thumbnail: null,
-          transcript: null,
-          summary: null,
-          timestampSeconds: timestampSeconds,
-          manualMode: true,
-          message: 'Podcast not found in database. You can add your own notes!'
-        }
-      });
+  try {
+    const insights = await loadLibrary({ q, show, tag, from, to, userId: req.user?.id });
+    const cards = anki.toCards(insights.map(destinations.fromInsight));
+    const config = await destinationSettings.getConfig('anki', req.user?.id);
+    const deck = String(req.query.deck || config?.deck || anki.DEFAULT_DECK).trim();
+    const fileName = `wisdom-vault-${new Date().toISOString().substring(0, 10)}.${req.params.format}`;
+    
+    res.attachment(fileName);
+    if (req.params.format === 'apkg') {
+      res.type('application/octet-stream').send(await anki.toPackage(cards, deck));
+    } else {
+      res.type('text/csv').send(anki.toCsv(cards, deck));
     }
+    console.log(`Exported ${cards.length} Anki card(s) as ${req.params.format}`);
+  } catch (error) {
+    console.error('Anki export error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to export flashcards'
+    });
+  }
+});
+
+/**
+ * GET /destinations/settings
+ * The user's settings for Readwise, Anki and the webhook (secrets masked),
+ * with the fields each one takes
+ */
+app.get('/destinations/settings', auth.requireUser, async (req, res) => {
+  try {
+    const settings = await destinationSettings.listSettings(req.user.id);
     
-    console.log(`Found episode: ${episode.title}`);
+    res.json({ success: true, data: { destinations: settings } });
+  } catch (error) {
+    console.error('List destination settings error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /destinations/:name/settings
+ * Set up a push destination for the user
+ * Body: { enabled (send every new insight there), config: { ...fields } }
+ *   Secrets left empty (or masked) keep their stored value.
+ */
+app.put('/destinations/:name/settings', auth.requireUser, async (req, res) => {
+  try {
+    const settings = await destinationSettings.updateSettings(req.user.id, req.params.name, req.body);
     
-    let transcript = null;
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error('Update destination settings error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /destinations/:name/settings
+ * Forget the user's settings (and tokens) for a push destination
+ */
+app.delete('/destinations/:name/settings', auth.requireUser, async (req, res) => {
+  try {
+    await destinationSettings.removeSettings(req.user.id, req.params.name);
     
-    // Step 2: Hybrid logic - check for existing transcript first
-    if (episode.hasTranscript) {
-      console.log('Using Listen Notes transcript');
-      const fullTranscript = await getEpisodeTranscript(episode.id);
-      if (fullTranscript) {
-        transcript = extractTranscriptSegment(fullTranscript, timestampSeconds);
-      }
-    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove destination settings error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /insights/:id/deliveries
+ * Where an insight was pushed once saved: status, attempts, last error
+ */
+app.get('/insights/:id/deliveries', async (req, res) => {
+  try {
+    const list = await deliveries.listDeliveries(req.params.id, { userId: req.user?.id });
     
-    // Step 3: If no transcript, use audio extraction + Whisper
-    if (!transcript) {
-      console.log('No transcript available, extracting audio...');
-      
-      if (!episode.audioUrl) {
-        return res.status(404).json({
-          success: false,
-          message: 'No audio URL available for this episode'
-        });
-      }
-      
-      // Extract 30-second audio snippet
-      audioPath = await extractAudioSnippet(episode.audioUrl, timestampSeconds, 30);
-      console.log(`Audio snippet saved to: ${audioPath}`);
-      
-      // Transcribe with Whisper
-      console.log('Transcribing with Whisper...');
-      transcript = await transcribeWithWhisper(audioPath);
-    }
+    res.json({ success: true, data: { deliveries: list } });
+  } catch (error) {
+    console.error('List deliveries error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /deliveries/:id/retry
+ * Try a failed delivery again now
+ */
+app.post('/deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = await deliveries.retryDelivery(req.params.id, { userId: req.user?.id });
     
-    if (!transcript || transcript.trim().length === 0) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to get transcript for this segment'
-      });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'No failed or pending delivery with that id' });
     }
     
-    console.log(`Transcript (${transcript.length} chars): ${transcript.substring(0, 100)}...`);
-    
-    // Step 4: Summarize with GPT-4o-mini
-    console.log('Summarizing transcript...');
-    const summary = await summarizeTranscript(transcript, title);
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error('Retry delivery error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /summary-styles
+ * Available summary styles for /process-insight
+ */
+app.get('/summary-styles', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: process.env.SUMMARY_STYLE || 'bullets',
+      styles: summarization.listTemplates()
+    }
+  });
+});
+
+/**
+ * GET /insights
+ * List stored insights with paging and full-text search
+ * Query: page, pageSize, q (search over title, show, summary and transcript), show,
+ *   tag, from/to (saved date range, YYYY-MM-DD or ISO timestamps)
+ */
+app.get('/insights', async (req, res) => {
+  const { page, pageSize, q, show, tag, from, to } = req.query;
+  
+  if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+    return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+  
+  try {
+    const result = await insightStore.listInsights({ page, pageSize, q, show, tag, from, to, userId: req.user?.id });
     
-    // Log to Supabase (non-blocking)
-    logToSupabase({ title, showName, timestamp: timestampSeconds, spotifyUrl });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('List insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to list insights'
+    });
+  }
+});
+
+/**
+ * GET /insights/shows
+ * Shows in the library with insight counts, for filtering
+ */
+app.get('/insights/shows', async (req, res) => {
+  try {
+    const shows = await insightStore.listShows({ userId: req.user?.id });
     
-    // Respond with processed data - USE ORIGINAL SPOTIFY DATA for title/show
-    res.json({
-      success: true,
-      data: {
-        episodeTitle: title,  // Use original Spotify title
-        showName: showName || episode.showName,  // Use original Spotify show name
-        thumbnail: episode.thumbnail,
-        transcript: transcript,
-        summary: summary,
-        timestampSeconds: timestampSeconds
-      }
+    res.json({ success: true, data: { shows } });
+  } catch (error) {
+    console.error('List shows error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to list shows'
     });
+  }
+});
+
+/**
+ * GET /tags
+ * Tags in the library with insight counts, most used first, plus the
+ * server's default vocabulary (TAG_VOCABULARY)
+ */
+app.get('/tags', async (req, res) => {
+  try {
+    const counts = await insightStore.listTags({ userId: req.user?.id });
     
+    res.json({ success: true, data: { tags: counts, vocabulary: tags.normalizeVocabulary() } });
   } catch (error) {
-    console.error('Process insight error:', error);
+    console.error('List tags error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to process insight'
+      message: error.message || 'Failed to list tags'
     });
-  } finally {
-    // Clean up audio file
-    if (audioPath) {
-      await cleanupTempFiles([audioPath]);
+  }
+});
+
+/**
+ * GET /insights/:id
+ * Get a single stored insight
+ */
+app.get('/insights/:id', async (req, res) => {
+  try {
+    const insight = await insightStore.getInsight(req.params.id, { userId: req.user?.id });
+    
+    if (!insight) {
+      return res.status(404).json({ success: false, message: 'Insight not found' });
     }
+    
+    res.json({ success: true, data: insight });
+  } catch (error) {
+    console.error('Get insight error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to load insight'
+    });
   }
 });
 
 /**
- * POST /save-to-notion
- * Save the processed insight to a Notion database
- */
-app.post('/save-to-notion', async (req, res) => {
-  const { 
-    title, 
-    showName, 
-    transcript, 
-    summary, 
-    spotifyUrl, 
-    thumbnail,
-    timestampSeconds,
-    manualMode 
-  } = req.body;
+ * POST /insights/:id/summary
+ * Summarize an insight again, e.g. after editing its transcript in the review step
+ * Body: optional transcript (defaults to the stored one), summaryStyle, summaryProvider
+ * Counts towards the /process-insight limits
+ */
+app.post('/insights/:id/summary', processInsightLimits, async (req, res) => {
+  const { transcript, summaryStyle, summaryProvider } = req.body;
   
-  if (!title) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Title is required' 
-    });
+  if (transcript !== undefined && typeof transcript !== 'string') {
+    return res.status(400).json({ success: false, message: 'transcript must be a string' });
   }
   
   try {
-    const databaseId = process.env.NOTION_DATABASE_ID;
-    
-    if (!databaseId) {
-      throw new Error('Notion database ID not configured');
-    }
+    const insight = await insightStore.getInsight(req.params.id, { userId: req.user?.id });
     
-    // Format summary as bullet points
-    const summaryText = Array.isArray(summary) 
-      ? summary.map(s => `• ${s}`).join('\n')
-      : summary;
-    
-    // Build page content based on whether we have transcript/summary
-    const pageChildren = [];
-    
-    if (summary && summary.length > 0) {
-      // Key Takeaways heading
-      pageChildren.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{ text: { content: '✨ Key Takeaways' } }]
-        }
-      });
-      // Summary bullets
-      pageChildren.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{ text: { content: summaryText } }]
-        }
-      });
-      // Divider
-      pageChildren.push({
-        object: 'block',
-        type: 'divider',
-        divider: {}
-      });
+    if (!insight) {
+      return res.status(404).json({ success: false, message: 'Insight not found' });
     }
     
-    if (transcript) {
-      // Transcript heading
-      pageChildren.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{ text: { content: '📝 Transcript' } }]
-        }
-      });
-      // Transcript content
-      pageChildren.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [
-            { 
-              text: { 
-                content: transcript.substring(0, 2000)
-              } 
-            }
-          ]
-        }
-      });
-    } else {
-      // Manual mode - add placeholder for notes
-      pageChildren.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{ text: { content: '📝 Your Notes' } }]
-        }
-      });
-      pageChildren.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [
-            { 
-              text: { 
-                content: '(Podcast not found in database - add your own notes here!)'
-              } 
-            }
-          ]
-        }
-      });
+    const text = (transcript || insight.transcript || '').trim();
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'This insight has no transcript to summarize' });
     }
     
-    // Callout with source
-    pageChildren.push({
-      object: 'block',
-      type: 'callout',
-      callout: {
-        icon: { type: 'emoji', emoji: '🎧' },
-        rich_text: [
-          {
-            text: {
-              content: `From "${showName || 'Unknown Show'}" at ${formatTime(timestampSeconds)}`
-            }
-          }
-        ]
-      }
+    const { style, summary } = await summarization.summarize(text, insight.title, {
+      style: summaryStyle || insight.summaryStyle,
+      provider: summaryProvider
     });
     
-    // Create Notion page
-    const response = await notion.pages.create({
-      parent: { database_id: databaseId },
-      icon: {
-        type: 'emoji',
-        emoji: manualMode ? '✏️' : '💡'
-      },
-      cover: thumbnail ? {
-        type: 'external',
-        external: { url: thumbnail }
-      } : undefined,
-      properties: {
-        // Title property (required)
-        'Name': {
-          title: [
-            {
-              text: {
-                content: title.substring(0, 100)
-              }
-            }
-          ]
-        },
-        // Show Name
-        'Show': {
-          rich_text: [
-            {
-              text: {
-                content: showName || 'Unknown Show'
-              }
-            }
-          ]
-        },
-        // Spotify URL
-        'Spotify URL': {
-          url: spotifyUrl || null
-        },
-        // Timestamp
-        'Timestamp': {
-          number: timestampSeconds || 0
-        },
-        // Date saved
-        'Saved': {
-          date: {
-            start: new Date().toISOString()
-          }
-        }
-      },
-      children: pageChildren
+    await insightStore.updateInsight(insight.id, {
+      transcript: text,
+      summary,
+      summaryStyle: style
+    }, { userId: req.user?.id });
+    
+    res.json({ success: true, data: { summary, summaryStyle: style } });
+  } catch (error) {
+    console.error('Regenerate summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to summarize insight'
     });
+  }
+});
+
+/**
+ * DELETE /insights/:id
+ * Remove an insight from the library (the Notion page is left untouched)
+ */
+app.delete('/insights/:id', async (req, res) => {
+  try {
+    const deleted = await insightStore.deleteInsight(req.params.id, { userId: req.user?.id });
     
-    console.log(`Saved to Notion: ${response.id}`);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Insight not found' });
+    }
+    
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    console.error('Delete insight error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to delete insight'
+    });
+  }
+});
+
+/**
+ * POST /auth/code
+ * Email a one-time sign-in code
+ */
+app.post('/auth/code', async (req, res) => {
+  const { email } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Email is required' });
+  }
+  
+  try {
+    await auth.sendCode(email);
+    res.json({ success: true, data: { email } });
+  } catch (error) {
+    console.error('Send code error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /auth/verify
+ * Exchange the emailed code for a session
+ */
+app.post('/auth/verify', async (req, res) => {
+  const { email, code } = req.body;
+  
+  if (!email || !code) {
+    return res.status(400).json({ success: false, message: 'Email and code are required' });
+  }
+  
+  try {
+    const session = await auth.verifyCode(email, String(code).trim());
+    res.json({ success: true, data: session });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Renew an expired access token
+ */
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+  
+  try {
+    const session = await auth.refreshSession(refreshToken);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /me
+ * The signed-in user and their Notion connection
+ */
+app.get('/me', auth.requireUser, async (req, res) => {
+  try {
+    const notionConnection = await notionAccounts.getConnection(req.user.id);
     
     res.json({
       success: true,
       data: {
-        notionPageId: response.id,
-        notionUrl: response.url
+        user: req.user,
+        notion: notionConnection,
+        notionOAuthAvailable: notionAccounts.isConfigured()
       }
     });
-    
   } catch (error) {
-    console.error('Notion save error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to save to Notion'
-    });
+    console.error('Get account error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// Helper: Format seconds to MM:SS
-function formatTime(seconds) {
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
-}
+/**
+ * GET /notion/oauth/url
+ * Where to send the user to connect their Notion workspace
+ */
+app.get('/notion/oauth/url', auth.requireUser, (req, res) => {
+  try {
+    res.json({ success: true, data: { url: notionAccounts.getAuthorizeUrl(req.user.id) } });
+  } catch (error) {
+    res.status(501).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /notion/oauth/callback
+ * Notion redirects here after consent; shows a page the user can close
+ */
+app.get('/notion/oauth/callback', async (req, res) => {
+  const { code, state, error: oauthError } = req.query;
+  
+  const page = (heading, text) => `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Wisdom Vault</title></head>
+<body style="font-family: sans-serif; background: #121212; color: white; text-align: center; padding: 48px;">
+<h1 style="color: #FFD700;">${heading}</h1><p>${text}</p></body></html>`;
+  
+  if (oauthError || !code) {
+    return res.status(400).send(page('Notion not connected', 'The Notion authorization was cancelled. You can close this tab.'));
+  }
+  
+  try {
+    const { workspaceName } = await notionAccounts.completeAuthorization(code, state);
+    const safeName = String(workspaceName || 'your workspace').replace(/[<>&"]/g, '');
+    res.send(page('Notion connected', `Connected to ${safeName}. Choose a database in the extension settings, then close this tab.`));
+  } catch (error) {
+    console.error('Notion OAuth callback error:', error.message);
+    res.status(400).send(page('Notion not connected', 'Something went wrong connecting Notion. Please try again from the extension.'));
+  }
+});
+
+/**
+ * GET /notion/databases
+ * Databases the user shared with the integration
+ */
+app.get('/notion/databases', auth.requireUser, async (req, res) => {
+  try {
+    const databases = await notionAccounts.listDatabases(req.user.id);
+    res.json({ success: true, data: databases });
+  } catch (error) {
+    console.error('List Notion databases error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /notion/database
+ * Choose the database new insights are saved to
+ */
+app.put('/notion/database', auth.requireUser, async (req, res) => {
+  const { databaseId } = req.body;
+  
+  if (!databaseId) {
+    return res.status(400).json({ success: false, message: 'databaseId is required' });
+  }
+  
+  try {
+    const database = await notionAccounts.selectDatabase(req.user.id, databaseId);
+    res.json({ success: true, data: database });
+  } catch (error) {
+    console.error('Select Notion database error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /notion/connection
+ * Disconnect the user's Notion workspace
+ */
+app.delete('/notion/connection', auth.requireUser, async (req, res) => {
+  try {
+    await notionAccounts.disconnect(req.user.id);
+    res.json({ success: true, data: {} });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     service: 'Wisdom Vault API',
+    cache: episodeCache.stats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -688,19 +1245,75 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: [
       'POST /process-insight',
+      'GET /jobs/:id',
+      'GET /summary-styles',
+      'POST /save',
       'POST /save-to-notion',
+      'POST /setup/notion',
+      'GET /destinations',
+      'GET /export.zip',
+      'GET /export/anki.apkg',
+      'GET /export/anki.csv',
+      'GET /destinations/settings',
+      'PUT /destinations/:name/settings',
+      'DELETE /destinations/:name/settings',
+      'GET /insights/:id/deliveries',
+      'POST /deliveries/:id/retry',
+      'GET /insights',
+      'GET /insights/shows',
+      'GET /insights/:id',
+      'POST /insights/:id/summary',
+      'GET /tags',
+      'DELETE /insights/:id',
+      'POST /auth/code',
+      'POST /auth/verify',
+      'POST /auth/refresh',
+      'GET /me',
+      'GET /notion/oauth/url',
+      'GET /notion/oauth/callback',
+      'GET /notion/databases',
+      'PUT /notion/database',
+      'DELETE /notion/connection',
       'GET /health'
     ]
   });
 });
 
+// User data is only reachable with the service role key (see supabase-schema.sql)
+if (auth.isEnabled() && !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('SUPABASE_SERVICE_ROLE_KEY is required for user accounts. Set it, or set ACCOUNTS_ENABLED=false to run without accounts.');
+  process.exit(1);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`\n🎧 Wisdom Vault API running on http://localhost:${PORT}`);
+  deliveries.start();
+  if (!apiAccess.isEnabled()) {
+    console.warn('⚠️  API_KEYS is not set - the API is open to anyone who finds it');
+  }
   console.log('━'.repeat(50));
   console.log('Endpoints:');
-  console.log('  POST /process-insight  - Process podcast insight');
-  console.log('  POST /save-to-notion   - Save to Notion database');
+  console.log('  POST /process-insight  - Queue podcast insight processing');
+  console.log('  GET  /jobs/:id         - Poll processing job progress');
+  console.log('  GET  /summary-styles   - List summary styles');
+  console.log('  POST /save             - Save to Notion, Markdown, Readwise, Anki or a webhook');
+  console.log('  GET  /destinations     - List save destinations');
+  console.log('  GET  /export.zip       - Export insights as Markdown');
+  console.log('  GET  /export/anki.apkg - Export flashcards as an Anki deck');
+  console.log('  PUT  /destinations/:name/settings - Set up Readwise, Anki or a webhook');
+  console.log('  GET  /insights/:id/deliveries - Delivery status of an insight');
+  console.log('  GET  /insights         - List/search saved insights');
+  console.log('  GET  /insights/shows   - Shows in the library');
+  console.log('  GET  /insights/:id     - Get a saved insight');
+  console.log('  POST /insights/:id/summary - Summarize an insight again');
+  console.log('  GET  /tags             - Tags with insight counts');
+  console.log('  DEL  /insights/:id     - Delete a saved insight');
+  console.log('  POST /auth/code        - Email a sign-in code');
+  console.log('  POST /auth/verify      - Sign in with the code');
+  console.log('  GET  /me               - Current user and Notion connection');
+  console.log('  GET  /notion/oauth/url - Connect a Notion workspace');
+  console.log('  POST /setup/notion     - Check and fix the Notion database');
   console.log('  GET  /health           - Health check');
   console.log('━'.repeat(50));
 });
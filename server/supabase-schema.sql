@@ -1,5 +1,5 @@
 -- Supabase SQL Schema for Wisdom Vault
--- Run this in your Supabase SQL Editor to create the required table
+-- Run this in your Supabase SQL Editor to create the required tables
 
 -- Create the wisdom_vault_logs table
 CREATE TABLE IF NOT EXISTS wisdom_vault_logs (
@@ -35,6 +35,163 @@ CREATE POLICY "Allow anonymous reads" ON wisdom_vault_logs
   TO anon
   USING (true);
 
+-- Insight library: every processed insight, independent of Notion
+CREATE TABLE IF NOT EXISTS insights (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  -- NULL for captures made without an account
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  show_name TEXT,
+  episode_title TEXT,
+  listennotes_id TEXT,
+  -- Where the episode was matched: rss | listen-notes, and how sure we are (0..1)
+  episode_source TEXT,
+  match_confidence REAL,
+  -- spotify | youtube | apple-podcasts | pocket-casts | overcast
+  platform TEXT DEFAULT 'spotify',
+  -- Page the capture came from; spotify_url is only set for Spotify
+  source_url TEXT,
+  spotify_url TEXT,
+  audio_url TEXT,
+  thumbnail TEXT,
+  timestamp_seconds INTEGER DEFAULT 0,
+  -- Out-point of the capture range (in-point is timestamp_seconds)
+  end_seconds REAL,
+  -- Real position of the transcript segment within the episode
+  segment_start_seconds REAL,
+  segment_end_seconds REAL,
+  -- cues | probe | estimate | audio
+  alignment TEXT,
+  transcript TEXT,
+  -- Speaker names when the transcript is diarized into "Speaker: text" lines
+  speakers TEXT[],
+  summary JSONB DEFAULT '[]'::jsonb,
+  summary_style TEXT DEFAULT 'bullets',
+  -- Added by the user when reviewing the capture; tags also include the
+  -- topics proposed by the summarizer
+  note TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+  notion_page_id TEXT,
+  notion_url TEXT,
+  -- processed | manual | saved
+  status TEXT NOT NULL DEFAULT 'processed',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(show_name, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(summary::text, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(note, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(transcript, '')), 'C')
+  ) STORED
+);
+
+CREATE INDEX IF NOT EXISTS idx_insights_created_at
+  ON insights(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_insights_user_id
+  ON insights(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_insights_listennotes_id
+  ON insights(listennotes_id);
+
+CREATE INDEX IF NOT EXISTS idx_insights_search
+  ON insights USING gin(search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_insights_tags
+  ON insights USING gin(tags);
+
+-- Lowercased tags, so the tag filter ignores case like the tag list does.
+-- Added with ALTER so re-running this file adds it to an existing library.
+CREATE OR REPLACE FUNCTION lower_tags(tags TEXT[]) RETURNS TEXT[]
+  LANGUAGE sql IMMUTABLE
+  AS $$ SELECT coalesce(array_agg(lower(tag)), '{}') FROM unnest(tags) AS tag $$;
+
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS tag_keys TEXT[]
+  GENERATED ALWAYS AS (lower_tags(tags)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_insights_tag_keys
+  ON insights USING gin(tag_keys);
+
+ALTER TABLE insights ENABLE ROW LEVEL SECURITY;
+
+-- No anon policies: the anon key ships with clients, and rows of every user
+-- live here. Only the service role key (SUPABASE_SERVICE_ROLE_KEY on the
+-- server, which scopes queries to the signed-in user) can read or write it.
+-- Existing installs: drop the policies created by earlier versions
+DROP POLICY IF EXISTS "Allow anonymous insight inserts" ON insights;
+DROP POLICY IF EXISTS "Allow anonymous insight reads" ON insights;
+DROP POLICY IF EXISTS "Allow anonymous insight updates" ON insights;
+DROP POLICY IF EXISTS "Allow anonymous insight deletes" ON insights;
+
+-- Per-user Notion workspaces connected through OAuth
+-- Holds access tokens: no anon policies, so only the service role key
+-- (SUPABASE_SERVICE_ROLE_KEY on the server) can read or write it
+CREATE TABLE IF NOT EXISTS notion_connections (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  access_token TEXT NOT NULL,
+  bot_id TEXT,
+  workspace_id TEXT,
+  workspace_name TEXT,
+  workspace_icon TEXT,
+  database_id TEXT,
+  database_title TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE notion_connections ENABLE ROW LEVEL SECURITY;
+
+-- Per-user settings for the push destinations (Readwise, Anki, webhook)
+-- Holds tokens and signing secrets: no anon policies, service role key only
+CREATE TABLE IF NOT EXISTS destination_settings (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- readwise | anki | webhook
+  destination TEXT NOT NULL,
+  -- Send every new insight here once it's processed
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, destination)
+);
+
+ALTER TABLE destination_settings ENABLE ROW LEVEL SECURITY;
+
+-- One row per push of an insight to a destination, with retries
+CREATE TABLE IF NOT EXISTS insight_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  insight_id UUID NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+  -- NULL for captures made without an account
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  destination TEXT NOT NULL,
+  -- pending | delivered | skipped | failed
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  -- What the destination returned (highlight ids, note id, HTTP status)
+  response JSONB,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_insight_deliveries_insight_id
+  ON insight_deliveries(insight_id);
+
+CREATE INDEX IF NOT EXISTS idx_insight_deliveries_due
+  ON insight_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+ALTER TABLE insight_deliveries ENABLE ROW LEVEL SECURITY;
+
 -- Sample query to view recent logs:
 -- SELECT * FROM wisdom_vault_logs ORDER BY created_at DESC LIMIT 10;
 
+
+-- Sample full-text search over the insight library:
+-- SELECT id, title, show_name FROM insights
+--   WHERE search_vector @@ websearch_to_tsquery('english', 'habits')
+--   ORDER BY created_at DESC;
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+process.env.NOTION_OAUTH_CLIENT_ID = 'client-id';
+process.env.NOTION_OAUTH_CLIENT_SECRET = 'client-secret';
+process.env.NOTION_OAUTH_REDIRECT_URI = 'https://api.example.com/notion/oauth/callback';
+
+const USER = { id: 'user-1', email: 'listener@example.com', aud: 'authenticated', role: 'authenticated' };
+const SESSION = {
+  access_token: 'good-token',
+  refresh_token: 'refresh-token',
+  token_type: 'bearer',
+  expires_in: 3600,
+  expires_at: 1790000000,
+  user: USER
+};
+
+let auth;
+let notionAccounts;
+let supabase;
+
+// Just enough of Supabase Auth for the calls lib/auth.js makes
+function fakeSupabaseAuth(req, res) {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const reply = (status, json) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    };
+
+    if (req.method === 'GET' && req.url === '/auth/v1/user') {
+      return req.headers.authorization === 'Bearer good-token'
+        ? reply(200, USER)
+        : reply(401, { code: 401, error_code: 'bad_jwt', msg: 'invalid JWT' });
+    }
+
+    if (req.method === 'POST' && req.url.startsWith('/auth/v1/verify')) {
+      const { email, token } = JSON.parse(body);
+      return email === USER.email && token === '123456'
+        ? reply(200, SESSION)
+        : reply(403, { code: 403, error_code: 'otp_expired', msg: 'Token has expired or is invalid' });
+    }
+
+    reply(404, { msg: 'Not found' });
+  });
+}
+
+test.before(async () => {
+  const server = http.createServer(fakeSupabaseAuth);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref();
+
+  // Point the Supabase clients at the fake before they are created
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  auth = require('../lib/auth');
+  notionAccounts = require('../lib/notion-accounts');
+  supabase = require('../lib/supabase');
+});
+
+// Run a middleware and capture what it did
+async function runMiddleware(middleware, headers = {}) {
+  const req = { headers };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+test('optionalUser attaches the user for a valid bearer token', async () => {
+  const { req, nextCalled } = await runMiddleware(auth.optionalUser, { authorization: 'Bearer good-token' });
+
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.user, { id: 'user-1', email: 'listener@example.com' });
+});
+
+test('optionalUser lets anonymous requests through', async () => {
+  const { req, nextCalled } = await runMiddleware(auth.optionalUser, { authorization: 'Basic abc' });
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.user, null);
+});
+
+test('optionalUser rejects an invalid or expired token with a 401', async () => {
+  const { res, nextCalled } = await runMiddleware(auth.optionalUser, { authorization: 'Bearer stale-token' });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { success: false, message: 'Session expired, please sign in again' });
+});
+
+test('optionalUser ignores tokens when accounts are disabled', async t => {
+  process.env.ACCOUNTS_ENABLED = 'false';
+  t.after(() => delete process.env.ACCOUNTS_ENABLED);
+
+  const { req, nextCalled } = await runMiddleware(auth.optionalUser, { authorization: 'Bearer good-token' });
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.user, null);
+  await assert.rejects(auth.verifyCode(USER.email, '123456'), /Accounts are disabled on this server/);
+});
+
+test('requireUser turns away anonymous requests', async () => {
+  const anonymous = await runMiddleware((req, res, next) => {
+    req.user = null;
+    return auth.requireUser(req, res, next);
+  });
+  const signedIn = await runMiddleware((req, res, next) => {
+    req.user = { id: 'user-1' };
+    return auth.requireUser(req, res, next);
+  });
+
+  assert.equal(anonymous.nextCalled, false);
+  assert.equal(anonymous.res.statusCode, 401);
+  assert.deepEqual(anonymous.res.body, { success: false, message: 'Please sign in first' });
+  assert.equal(signedIn.nextCalled, true);
+});
+
+test('verifyCode exchanges the emailed code for a session', async () => {
+  assert.deepEqual(await auth.verifyCode(USER.email, '123456'), {
+    accessToken: 'good-token',
+    refreshToken: 'refresh-token',
+    expiresAt: 1790000000,
+    user: { id: 'user-1', email: 'listener@example.com' }
+  });
+  await assert.rejects(auth.verifyCode(USER.email, '000000'), { message: 'Invalid or expired code' });
+});
+
+// The `state` of a consent URL made for this user
+function stateFor(userId) {
+  return new URL(notionAccounts.getAuthorizeUrl(userId)).searchParams.get('state');
+}
+
+// Stand in for the Notion token exchange and the connection upsert
+function fakeTokenExchange(t) {
+  const post = t.mock.method(axios, 'post', async () => ({
+    data: { access_token: 'notion-token', bot_id: 'bot', workspace_id: 'ws', workspace_name: 'Team Notes' }
+  }));
+  const upserts = [];
+  t.mock.method(supabase, 'from', () => ({
+    upsert: async row => {
+      upserts.push(row);
+      return { error: null };
+    }
+  }));
+  return { post, upserts };
+}
+
+test('the Notion consent URL carries the client, redirect and a signed state', () => {
+  const url = new URL(notionAccounts.getAuthorizeUrl('user-1'));
+
+  assert.equal(url.origin + url.pathname, 'https://api.notion.com/v1/oauth/authorize');
+  assert.equal(url.searchParams.get('client_id'), 'client-id');
+  assert.equal(url.searchParams.get('redirect_uri'), 'https://api.example.com/notion/oauth/callback');
+  assert.equal(url.searchParams.get('owner'), 'user');
+  assert.match(url.searchParams.get('state'), /^user-1\.\d+\.[\w-]+$/);
+});
+
+test('completeAuthorization stores the token for the user in the state', async t => {
+  const { post, upserts } = fakeTokenExchange(t);
+
+  assert.deepEqual(await notionAccounts.completeAuthorization('code-1', stateFor('user-1')), { workspaceName: 'Team Notes' });
+
+  assert.equal(post.mock.calls[0].arguments[1].code, 'code-1');
+  assert.equal(upserts.length, 1);
+  assert.equal(upserts[0].user_id, 'user-1');
+  assert.equal(upserts[0].access_token, 'notion-token');
+  assert.equal(upserts[0].database_id, null);
+});
+
+test('completeAuthorization rejects forged, altered and missing states', async t => {
+  const { post, upserts } = fakeTokenExchange(t);
+  const [, issuedAt, signature] = stateFor('user-1').split('.');
+
+  for (const state of [
+    undefined,
+    '',
+    'user-1',
+    `user-2.${issuedAt}.${signature}`,
+    `user-1.${Number(issuedAt) + 1}.${signature}`,
+    `user-1.${issuedAt}.${signature.slice(0, -2)}`,
+    `user-1.${issuedAt}.`
+  ]) {
+    await assert.rejects(notionAccounts.completeAuthorization('code-1', state), {
+      message: 'Invalid or expired authorization request'
+    }, String(state));
+  }
+
+  assert.equal(post.mock.callCount(), 0);
+  assert.equal(upserts.length, 0);
+});
+
+test('completeAuthorization rejects a state older than ten minutes', async t => {
+  const { post } = fakeTokenExchange(t);
+  const issued = Date.now();
+  t.mock.method(Date, 'now', () => issued);
+  const state = stateFor('user-1');
+
+  Date.now.mock.mockImplementation(() => issued + 10 * 60 * 1000 + 1);
+  await assert.rejects(notionAccounts.completeAuthorization('code-1', state), /Invalid or expired authorization request/);
+  assert.equal(post.mock.callCount(), 0);
+
+  Date.now.mock.mockImplementation(() => issued + 9 * 60 * 1000);
+  await notionAccounts.completeAuthorization('code-1', state);
+  assert.equal(post.mock.callCount(), 1);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const initSqlJs = require('sql.js');
+const anki = require('../lib/destinations/anki');
+const { fromInsight } = require('../lib/destinations/entry');
+
+function entry(overrides = {}) {
+  return fromInsight({
+    id: 'insight-1',
+    title: 'Sleep & Memory',
+    showName: 'Health Show',
+    summary: ['Q: Why does <sleep> matter?', 'A: It "consolidates" memories'],
+    playbackUrl: 'https://youtu.be/x?t=725&a=1',
+    timestampSeconds: 725,
+    tags: ['deep work', 'Health'],
+    createdAt: '2026-01-31T08:00:00.000Z',
+    ...overrides
+  });
+}
+
+// Files of a zip archive by name (enough of the format for archiver's output)
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+test('toCards makes HTML cards from flashcard summaries only', () => {
+  const cards = anki.toCards([entry(), entry({ id: 'insight-2', summary: ['Just a bullet'] })]);
+
+  assert.deepEqual(cards, [{
+    id: 'insight-1',
+    front: 'Why does &lt;sleep&gt; matter?',
+    back: 'It &quot;consolidates&quot; memories<br><br><div class="source">' +
+      '<a href="https://youtu.be/x?t=725&amp;a=1">Health Show — Sleep &amp; Memory (12:05)</a></div>',
+    tags: ['deep work', 'Health']
+  }]);
+});
+
+test('toCsv writes Anki import headers and quoted fields', () => {
+  const [card] = anki.toCards([entry({ playbackUrl: null })]);
+
+  assert.equal(anki.toCsv([card], 'My Deck'), [
+    '#separator:Comma',
+    '#html:true',
+    '#notetype:Basic',
+    '#deck:My Deck',
+    '#columns:Front,Back,Tags',
+    '#tags column:3',
+    '"Why does &lt;sleep&gt; matter?","It &quot;consolidates&quot; memories<br><br>' +
+      '<div class=""source"">Health Show — Sleep &amp; Memory (12:05)</div>","deep_work Health"',
+    ''
+  ].join('\n'));
+});
+
+test('toPackage builds an .apkg with the cards in a collection', async () => {
+  const cards = anki.toCards([entry(), entry({ id: 'insight-2', tags: [] })]);
+  const files = unzip(await anki.toPackage(cards, 'Podcasts'));
+
+  assert.deepEqual(Object.keys(files).sort(), ['collection.anki2', 'media']);
+  assert.equal(files.media.toString(), '{}');
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(files['collection.anki2']);
+  try {
+    const [notes] = db.exec('SELECT tags, flds, sfld FROM notes ORDER BY tags DESC');
+    assert.deepEqual(notes.values.map(([tags, , sfld]) => [tags, sfld]), [
+      [' deep_work Health ', 'Why does <sleep> matter?'],
+      ['', 'Why does <sleep> matter?']
+    ]);
+    assert.equal(notes.values[0][1], `${cards[0].front}\x1f${cards[0].back}`);
+
+    // Anki's duplicate check hashes the field's plain text
+    const [checksums] = db.exec('SELECT DISTINCT csum FROM notes');
+    const sha1 = crypto.createHash('sha1').update('Why does <sleep> matter?').digest('hex');
+    assert.deepEqual(checksums.values, [[parseInt(sha1.substring(0, 8), 16)]]);
+
+    const [decks] = db.exec('SELECT decks FROM col');
+    const deckNames = Object.values(JSON.parse(decks.values[0][0])).map(deck => deck.name);
+    assert.deepEqual(deckNames.sort(), ['Default', 'Podcasts']);
+
+    const [[cardCount]] = db.exec('SELECT COUNT(*) FROM cards')[0].values;
+    assert.equal(cardCount, 2);
+  } finally {
+    db.close();
+  }
+});
+
+test('toPackage keeps note ids stable across exports', async () => {
+  const ids = async () => {
+    const files = unzip(await anki.toPackage(anki.toCards([entry()])));
+    const db = new (await initSqlJs()).Database(files['collection.anki2']);
+    try {
+      return db.exec('SELECT id, guid FROM notes')[0].values;
+    } finally {
+      db.close();
+    }
+  };
+
+  assert.deepEqual(await ids(), await ids());
+});
+
+test('configure rejects AnkiConnect URLs on private addresses', async () => {
+  await assert.rejects(anki.configure({ ankiConnectUrl: 'http://127.0.0.1:8765' }), error => {
+    assert.match(error.message, /private or local address/);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.deepEqual(await anki.configure({}), { deck: anki.DEFAULT_DECK, ankiConnectUrl: null });
+});
+
+test('deliver adds the note through AnkiConnect from the server environment', async t => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { action, params } = JSON.parse(body);
+      requests.push({ action, params });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(action === 'addNote' ? { result: 42, error: null } : { result: 1, error: null }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const config = { deck: 'Podcasts', ankiConnectUrl: `http://127.0.0.1:${server.address().port}`, fromEnv: true };
+
+  assert.deepEqual(await anki.deliver(entry(), config), { data: { deck: 'Podcasts', noteId: 42 } });
+  assert.deepEqual(requests.map(request => request.action), ['createDeck', 'addNote']);
+  assert.deepEqual(requests[1].params.note.tags, ['deep_work', 'Health']);
+
+  // The same URL entered by a user is refused
+  await assert.rejects(anki.deliver(entry(), { ...config, fromEnv: false }), /private or local address/);
+  assert.equal(requests.length, 2);
+});
+
+test('deliver skips insights that are not flashcards', async () => {
+  const result = await anki.deliver(entry({ summary: ['Just a bullet'] }), null);
+  assert.match(result.skipped, /Not a flashcard/);
+});
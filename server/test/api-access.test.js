@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit, MINUTE_MS } = require('../lib/rate-limit');
+
+// api-access.js reads its settings once; load a fresh copy per setup
+function loadApiAccess(t, env) {
+  const saved = {};
+  for (const [name, value] of Object.entries(env)) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  delete require.cache[require.resolve('../lib/api-access')];
+  return require('../lib/api-access');
+}
+
+function request({ method = 'POST', path = '/process-insight', headers = {}, user = null, ip = '203.0.113.7' } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, path, ip, user, get: name => lowered[name.toLowerCase()] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function run(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+const KEYS = { API_KEYS: 'team:team-secret:50, solo:solo-secret, barekey123', CORS_ORIGINS: '' };
+
+test('requireClient accepts a known API key and names the client after it', t => {
+  const apiAccess = loadApiAccess(t, KEYS);
+
+  const { req, nextCalled } = run(apiAccess.requireClient, request({ headers: { 'X-API-Key': 'team-secret' } }));
+  const bare = run(apiAccess.requireClient, request({ headers: { 'X-API-Key': 'barekey123' } }));
+
+  assert.equal(apiAccess.isEnabled(), true);
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.client, { id: 'key:team', name: 'team', dailyQuota: 50 });
+  assert.equal(bare.nextCalled, true);
+  assert.deepEqual(bare.req.client, { id: 'key:bareke', name: 'bareke', dailyQuota: null });
+});
+
+test('requireClient rejects missing and unknown keys with a 401', t => {
+  const apiAccess = loadApiAccess(t, KEYS);
+
+  const missing = run(apiAccess.requireClient, request());
+  const wrong = run(apiAccess.requireClient, request({ headers: { 'X-API-Key': 'team-secreT' } }));
+
+  assert.equal(missing.nextCalled, false);
+  assert.equal(missing.res.statusCode, 401);
+  assert.deepEqual(missing.res.body, {
+    success: false,
+    message: 'An API key is required. Add one in Wisdom Vault settings or sign in.'
+  });
+  assert.equal(wrong.nextCalled, false);
+  assert.equal(wrong.res.body.message, 'Invalid API key. Check the key in Wisdom Vault settings.');
+});
+
+test('requireClient lets signed-in users and public routes through', t => {
+  const apiAccess = loadApiAccess(t, KEYS);
+
+  const user = run(apiAccess.requireClient, request({ user: { id: 'user-1', email: 'listener@example.com' } }));
+  const health = run(apiAccess.requireClient, request({ method: 'GET', path: '/health' }));
+  const callback = run(apiAccess.requireClient, request({ method: 'GET', path: '/notion/oauth/callback' }));
+  const postHealth = run(apiAccess.requireClient, request({ method: 'POST', path: '/health' }));
+
+  assert.equal(user.nextCalled, true);
+  assert.deepEqual(user.req.client, { id: 'user:user-1', name: 'listener@example.com', dailyQuota: null });
+  assert.equal(health.nextCalled, true);
+  assert.equal(health.req.client.id, 'ip:203.0.113.7');
+  assert.equal(callback.nextCalled, true);
+  assert.equal(postHealth.res.statusCode, 401);
+});
+
+test('without API_KEYS the API is open and clients are told apart by IP', t => {
+  const apiAccess = loadApiAccess(t, { API_KEYS: '', CORS_ORIGINS: '' });
+
+  const { req, nextCalled } = run(apiAccess.requireClient, request());
+
+  assert.equal(apiAccess.isEnabled(), false);
+  assert.equal(nextCalled, true);
+  assert.equal(req.client.id, 'ip:203.0.113.7');
+});
+
+function corsAllows(apiAccess, origin) {
+  let allowed;
+  apiAccess.corsOptions.origin(origin, (error, result) => {
+    allowed = result;
+  });
+  return allowed;
+}
+
+test('CORS allows the configured origins, or any extension by default', t => {
+  const open = loadApiAccess(t, { API_KEYS: '', CORS_ORIGINS: '' });
+  assert.equal(corsAllows(open, 'chrome-extension://abcdef'), true);
+  assert.equal(corsAllows(open, 'https://evil.example.com'), false);
+  assert.equal(corsAllows(open, undefined), true);
+
+  const restricted = loadApiAccess(t, { API_KEYS: '', CORS_ORIGINS: 'chrome-extension://abcdef/, https://vault.example.com' });
+  assert.equal(corsAllows(restricted, 'chrome-extension://abcdef'), true);
+  assert.equal(corsAllows(restricted, 'https://vault.example.com'), true);
+  assert.equal(corsAllows(restricted, 'chrome-extension://other'), false);
+});
+
+test('rateLimit counts per client and answers 429 with Retry-After', t => {
+  t.mock.method(console, 'log', () => {});
+  const now = 10 * MINUTE_MS + 15 * 1000;
+  t.mock.method(Date, 'now', () => now);
+
+  const limiter = rateLimit({
+    name: 'test',
+    windowMs: MINUTE_MS,
+    limit: 2,
+    message: (max, wait) => `Only ${max} per minute; try again in ${wait}`
+  });
+  const client = { id: 'key:team', name: 'team' };
+
+  const first = run(limiter, { ...request(), client });
+  const second = run(limiter, { ...request(), client });
+  const third = run(limiter, { ...request(), client });
+  const other = run(limiter, { ...request(), client: { id: 'key:solo' } });
+
+  assert.equal(first.nextCalled, true);
+  assert.equal(first.res.headers['X-RateLimit-Remaining'], '1');
+  assert.equal(second.res.headers['X-RateLimit-Remaining'], '0');
+  assert.equal(third.nextCalled, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.deepEqual(third.res.body, {
+    success: false,
+    message: 'Only 2 per minute; try again in 45 seconds',
+    retryAfter: 45
+  });
+  assert.equal(third.res.headers['Retry-After'], '45');
+  assert.equal(other.nextCalled, true);
+});
+
+test('rateLimit windows reset on the boundary', t => {
+  const start = 5 * MINUTE_MS;
+  t.mock.method(Date, 'now', () => start + 59 * 1000);
+  t.mock.method(console, 'log', () => {});
+
+  const limiter = rateLimit({ name: 'test', windowMs: MINUTE_MS, limit: 1, message: () => 'Slow down' });
+  const client = { id: 'key:team' };
+
+  assert.equal(run(limiter, { ...request(), client }).nextCalled, true);
+  assert.equal(run(limiter, { ...request(), client }).res.statusCode, 429);
+
+  Date.now.mock.mockImplementation(() => start + MINUTE_MS);
+  assert.equal(run(limiter, { ...request(), client }).nextCalled, true);
+});
+
+test('rateLimit takes per-client quotas and skips clients without one', t => {
+  t.mock.method(console, 'log', () => {});
+  const limiter = rateLimit({
+    name: 'daily',
+    windowMs: 24 * 60 * MINUTE_MS,
+    limit: req => req.client.dailyQuota,
+    message: (max, wait) => `Daily quota of ${max} reached; resets in ${wait}`
+  });
+
+  const quota = { id: 'key:team', dailyQuota: 1 };
+  assert.equal(run(limiter, { ...request(), client: quota }).nextCalled, true);
+  const blocked = run(limiter, { ...request(), client: quota });
+  assert.equal(blocked.res.statusCode, 429);
+  assert.match(blocked.res.body.message, /^Daily quota of 1 reached; resets in /);
+
+  const unlimited = { id: 'key:solo', dailyQuota: null };
+  for (let i = 0; i < 5; i++) {
+    assert.equal(run(limiter, { ...request(), client: unlimited }).nextCalled, true);
+  }
+});
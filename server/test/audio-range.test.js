@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { id3TagSize, parseFrameHeader, parseMp3Layout, byteOffsetForTime } = require('../lib/audio');
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames
+const FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x00];
+const FRAME_LENGTH = 417;
+
+function frames(count) {
+  const buffer = Buffer.alloc(count * FRAME_LENGTH);
+  for (let i = 0; i < count; i++) {
+    buffer.set(FRAME_HEADER, i * FRAME_LENGTH);
+  }
+  return buffer;
+}
+
+// First frame carrying a Xing header with frame count, byte count and TOC
+function xingFrames(count, { frameCount, bytes, toc }) {
+  const buffer = frames(count);
+  let pos = 4 + 32;
+  buffer.write('Xing', pos, 'latin1');
+  buffer.writeUInt32BE(0x7, pos + 4);
+  buffer.writeUInt32BE(frameCount, pos + 8);
+  buffer.writeUInt32BE(bytes, pos + 12);
+  pos += 16;
+  buffer.set(toc, pos);
+  return buffer;
+}
+
+function id3Tag(size, { footer = false } = {}) {
+  const tag = Buffer.alloc(10 + size);
+  tag.write('ID3', 0, 'latin1');
+  tag[3] = 4;
+  tag[5] = footer ? 0x10 : 0;
+  // Syncsafe: 7 bits per byte
+  tag[6] = (size >> 21) & 0x7F;
+  tag[7] = (size >> 14) & 0x7F;
+  tag[8] = (size >> 7) & 0x7F;
+  tag[9] = size & 0x7F;
+  return tag;
+}
+
+test('id3TagSize decodes the syncsafe size', () => {
+  assert.equal(id3TagSize(id3Tag(300000)), 300010);
+  assert.equal(id3TagSize(id3Tag(1000, { footer: true })), 1020);
+  assert.equal(id3TagSize(frames(1)), 0);
+});
+
+test('parseFrameHeader decodes MPEG-1 and MPEG-2 headers', () => {
+  assert.deepEqual(parseFrameHeader(frames(1), 0), {
+    version: 1,
+    bitrate: 128,
+    sampleRate: 44100,
+    samplesPerFrame: 1152,
+    frameLength: FRAME_LENGTH,
+    mono: false
+  });
+
+  // MPEG-2, 64 kbps, 22.05 kHz, padded, mono
+  const mpeg2 = parseFrameHeader(Buffer.from([0xFF, 0xF3, 0x82, 0xC0]), 0);
+  assert.equal(mpeg2.version, 2);
+  assert.equal(mpeg2.bitrate, 64);
+  assert.equal(mpeg2.sampleRate, 22050);
+  assert.equal(mpeg2.frameLength, Math.floor(72 * 64000 / 22050) + 1);
+  assert.equal(mpeg2.mono, true);
+});
+
+test('parseFrameHeader rejects non-frames and reserved values', () => {
+  assert.equal(parseFrameHeader(Buffer.from([0x49, 0x44, 0x33, 0x04]), 0), null);
+  // Layer II
+  assert.equal(parseFrameHeader(Buffer.from([0xFF, 0xFD, 0x90, 0x00]), 0), null);
+  // Free-format and bad bitrates
+  assert.equal(parseFrameHeader(Buffer.from([0xFF, 0xFB, 0x00, 0x00]), 0), null);
+  assert.equal(parseFrameHeader(Buffer.from([0xFF, 0xFB, 0xF0, 0x00]), 0), null);
+  assert.equal(parseFrameHeader(Buffer.from([0xFF, 0xFB]), 0), null);
+});
+
+test('parseMp3Layout derives a CBR duration from the bitrate', () => {
+  // 16,000,000 bytes at 128 kbps is 1000 seconds
+  const layout = parseMp3Layout(frames(10), 0, 16000000);
+
+  assert.deepEqual(layout, { audioStart: 0, audioBytes: 16000000, duration: 1000, toc: null });
+});
+
+test('parseMp3Layout skips false syncs and adds the buffer offset', () => {
+  const junk = Buffer.from([0x00, 0xFF, 0xFB, 0x90, 0x00, 0x11]);
+  const buffer = Buffer.concat([junk, frames(4)]);
+
+  const layout = parseMp3Layout(buffer, 2048, 2048 + 16000000);
+
+  assert.equal(layout.audioStart, 2048 + junk.length);
+  assert.equal(layout.audioBytes, 16000000 - junk.length);
+});
+
+test('parseMp3Layout reads the Xing frame count, byte count and TOC', () => {
+  const toc = Array.from({ length: 100 }, (_, i) => Math.round(i * 2.56));
+  const buffer = xingFrames(4, { frameCount: 38281, bytes: 15000000, toc });
+
+  const layout = parseMp3Layout(buffer, 0, 99999999);
+
+  assert.equal(layout.audioBytes, 15000000);
+  assert.ok(Math.abs(layout.duration - 38281 * 1152 / 44100) < 1e-9);
+  assert.deepEqual(layout.toc, toc);
+});
+
+test('parseMp3Layout returns null without two consecutive frames', () => {
+  const buffer = Buffer.alloc(2000);
+  buffer.set(FRAME_HEADER, 100);
+  assert.equal(parseMp3Layout(buffer, 0, 2000), null);
+});
+
+test('byteOffsetForTime maps time linearly without a TOC', () => {
+  const layout = { audioStart: 1000, audioBytes: 16000000, duration: 1000, toc: null };
+
+  assert.equal(byteOffsetForTime(layout, 0), 1000);
+  assert.equal(byteOffsetForTime(layout, 250), 1000 + 4000000);
+  // Clamped to the audio
+  assert.equal(byteOffsetForTime(layout, -5), 1000);
+  assert.equal(byteOffsetForTime(layout, 5000), 1000 + 16000000);
+});
+
+test('byteOffsetForTime interpolates the Xing TOC', () => {
+  // First half of the episode takes a quarter of the bytes
+  const toc = Array.from({ length: 100 }, (_, i) => (i < 50 ? i * 1.28 : 64 + (i - 50) * 3.84));
+  const layout = { audioStart: 0, audioBytes: 25600, duration: 100, toc };
+
+  assert.equal(byteOffsetForTime(layout, 50), 6400);
+  assert.equal(byteOffsetForTime(layout, 25), 3200);
+  // Between TOC entries 10 (12.8) and 11 (14.08)
+  assert.equal(byteOffsetForTime(layout, 10.5), 1344);
+  // The last entry runs to the end of the file
+  assert.equal(byteOffsetForTime(layout, 99.5), 25408);
+});
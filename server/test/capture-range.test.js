@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange, captureWindow, chunkWindow } = require('../lib/capture-range');
+
+test('parseRange takes an in/out range over the single timestamp', () => {
+  assert.deepEqual(parseRange({ timestamp: 50, startSeconds: '61.5', endSeconds: 240 }), { startSeconds: 61.5, endSeconds: 240 });
+  assert.deepEqual(parseRange({ startSeconds: 0, endSeconds: 600 }), { startSeconds: 0, endSeconds: 600 });
+});
+
+test('parseRange captures 30 seconds from a single timestamp', () => {
+  assert.deepEqual(parseRange({ timestamp: '725' }), { startSeconds: 725, endSeconds: 755 });
+  assert.deepEqual(parseRange({}), { startSeconds: 0, endSeconds: 30 });
+  assert.deepEqual(parseRange({ startSeconds: 90 }), { startSeconds: 90, endSeconds: 120 });
+});
+
+test('parseRange rejects ranges that are invalid, backwards or too long', () => {
+  assert.throws(() => parseRange({ startSeconds: 'soon', endSeconds: 10 }), { message: 'startSeconds and endSeconds must be numbers' });
+  assert.throws(() => parseRange({ startSeconds: -5, endSeconds: 10 }), { message: 'startSeconds and endSeconds must be numbers' });
+  assert.throws(() => parseRange({ startSeconds: 10, endSeconds: 'Infinity' }), { message: 'startSeconds and endSeconds must be numbers' });
+  assert.throws(() => parseRange({ startSeconds: 60, endSeconds: 60 }), { message: 'endSeconds must be after startSeconds' });
+  assert.throws(() => parseRange({ startSeconds: 60, endSeconds: 30 }), { message: 'endSeconds must be after startSeconds' });
+  assert.throws(() => parseRange({ startSeconds: 0, endSeconds: 600.5 }), { message: 'Capture ranges are limited to 10 minutes' });
+});
+
+test('captureWindow pads the range without going before the start', () => {
+  assert.deepEqual(captureWindow(100, 130), { start: 95, end: 135 });
+  assert.deepEqual(captureWindow(2, 32), { start: 0, end: 37 });
+});
+
+test('chunkWindow splits long windows into chunks of at most 120 seconds', () => {
+  assert.deepEqual(chunkWindow(95, 135), [{ start: 95, duration: 40 }]);
+  assert.deepEqual(chunkWindow(0, 240), [{ start: 0, duration: 120 }, { start: 120, duration: 120 }]);
+  assert.deepEqual(chunkWindow(55, 365), [
+    { start: 55, duration: 120 },
+    { start: 175, duration: 120 },
+    { start: 295, duration: 70 }
+  ]);
+});
+
+test('chunkWindow covers the window exactly with any chunk size', () => {
+  for (const [start, end, size] of [[0, 605, 120], [12.5, 100, 30], [3, 4, 60]]) {
+    const chunks = chunkWindow(start, end, size);
+
+    assert.equal(chunks[0].start, start);
+    assert.ok(chunks.every(chunk => chunk.duration > 0 && chunk.duration <= size));
+    assert.equal(chunks.reduce((total, chunk) => total + chunk.duration, 0), end - start);
+    chunks.slice(1).forEach((chunk, i) => assert.equal(chunk.start, chunks[i].start + chunks[i].duration));
+  }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/supabase.js needs these to load; queries below never leave the process
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+
+const supabase = require('../lib/supabase');
+const insightStore = require('../lib/insight-store');
+const destinations = require('../lib/destinations');
+const destinationSettings = require('../lib/destination-settings');
+const deliveries = require('../lib/deliveries');
+
+// Stand in for supabase.from(): record each query and answer them in turn
+function fakeTable(t, answers) {
+  const queries = [];
+
+  t.mock.method(supabase, 'from', () => {
+    const calls = [];
+    queries.push(calls);
+
+    const query = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          return resolve => resolve({ error: null, ...answers.shift() });
+        }
+        return (...args) => {
+          calls.push([method, ...args]);
+          return query;
+        };
+      }
+    });
+    return query;
+  });
+  return queries;
+}
+
+function inserted(queries) {
+  return queries.flat().filter(([method]) => method === 'insert').map(([, rows]) => rows);
+}
+
+function fakeDestination(t, deliver = async () => ({ data: { ok: true } })) {
+  const destination = { name: 'webhook', label: 'Webhook', deliver: t.mock.fn(deliver) };
+  t.mock.method(destinations, 'getDestination', () => destination);
+  t.mock.method(destinations, 'fromInsight', insight => insight);
+  t.mock.method(insightStore, 'getInsight', async id => ({ id }));
+  t.mock.method(destinationSettings, 'getConfig', async () => ({}));
+  return destination;
+}
+
+test('deliverInsight skips the destination just saved to and ones already queued', async t => {
+  t.mock.method(destinationSettings, 'listAutoDelivery', async () => [
+    { name: 'readwise' }, { name: 'anki' }, { name: 'webhook' }
+  ]);
+  const destination = fakeDestination(t);
+  const queries = fakeTable(t, [
+    { data: [{ destination: 'readwise' }] },
+    { data: [{ id: 'delivery-1' }] },
+    { data: { id: 'delivery-1', insight_id: 'insight-1', user_id: 'user-1', destination: 'webhook', attempts: 0 } },
+    {}
+  ]);
+
+  await deliveries.deliverInsight('insight-1', { userId: 'user-1', except: 'anki' });
+
+  assert.deepEqual(inserted(queries).map(rows => rows.map(row => row.destination)), [['webhook']]);
+  assert.equal(destination.deliver.mock.callCount(), 1);
+  assert.deepEqual(destination.deliver.mock.calls[0].arguments[2], { event: 'insight.processed', deliveryId: 'delivery-1' });
+});
+
+test('deliverInsight queues nothing when every destination has a delivery', async t => {
+  t.mock.method(destinationSettings, 'listAutoDelivery', async () => [{ name: 'readwise' }]);
+  const queries = fakeTable(t, [{ data: [{ destination: 'readwise' }] }]);
+
+  await deliveries.deliverInsight('insight-1', { userId: 'user-1' });
+
+  assert.equal(queries.length, 1);
+  assert.deepEqual(inserted(queries), []);
+});
+
+test('a delivery to an unknown destination is marked failed, not left claimed', async t => {
+  const queries = fakeTable(t, [
+    { data: { id: 'delivery-1' } },
+    { data: { id: 'delivery-1', insight_id: 'insight-1', user_id: null, destination: 'evernote', attempts: 0 } },
+    {},
+    { data: { id: 'delivery-1', insight_id: 'insight-1', destination: 'evernote', status: 'failed', attempts: 1 } }
+  ]);
+  t.mock.method(console, 'error', () => {});
+
+  const delivery = await deliveries.retryDelivery('00000000-0000-4000-8000-000000000001');
+
+  // Retry resets the row, the attempt claims it and then records the outcome
+  const [, update] = queries[2].find(([method]) => method === 'update');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(update.status, 'failed');
+  assert.equal(update.attempts, 1);
+  assert.match(update.last_error, /^Unknown destination "evernote"/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const diarization = require('../lib/diarization');
+
+test('commandArgs splits the command and substitutes the input per argument', () => {
+  assert.deepEqual(
+    diarization.commandArgs('python3  /opt/diarize/pyannote_rttm.py {input} --out=-', '/tmp/a.wav'),
+    ['python3', '/opt/diarize/pyannote_rttm.py', '/tmp/a.wav', '--out=-']
+  );
+  assert.deepEqual(
+    diarization.commandArgs('diarize --audio={input} --copy {input}', '/tmp/a.wav'),
+    ['diarize', '--audio=/tmp/a.wav', '--copy', '/tmp/a.wav']
+  );
+});
+
+test('commandArgs keeps quoted and escaped spaces in one argument', () => {
+  assert.deepEqual(
+    diarization.commandArgs(`"/opt/My Tools/diarize" 'two words' a\\ b "say \\"hi\\"" '' {input}`, 'in.wav'),
+    ['/opt/My Tools/diarize', 'two words', 'a b', 'say "hi"', '', 'in.wav']
+  );
+});
+
+test('commandArgs passes shell syntax and odd paths through literally', () => {
+  const input = '/tmp/$(touch pwned) `id`; rm -rf ~ $1.wav';
+
+  assert.deepEqual(
+    diarization.commandArgs('diarize {input} | tee $HOME/log', input),
+    ['diarize', input, '|', 'tee', '$HOME/log']
+  );
+});
+
+test('commandArgs rejects empty commands and unclosed quotes', () => {
+  assert.throws(() => diarization.commandArgs('   ', 'in.wav'), /DIARIZATION_COMMAND is empty/);
+  assert.throws(() => diarization.commandArgs('diarize "{input}', 'in.wav'), /unclosed quote/);
+});
+
+test('parseTurns reads RTTM lines and skips everything else', () => {
+  const rttm = [
+    'SPEAKER capture 1 12.50 3.25 <NA> <NA> SPEAKER_01 <NA> <NA>',
+    '# comment',
+    'SPEAKER capture 1 0.00 12.50 <NA> <NA> SPEAKER_00 <NA> <NA>',
+    'SPKR-INFO capture 1 <NA> <NA> <NA> unknown SPEAKER_00 <NA> <NA>',
+    'SPEAKER capture 1 20.0 0 <NA> <NA> SPEAKER_02 <NA> <NA>',
+    ''
+  ].join('\n');
+
+  assert.deepEqual(diarization.parseTurns(rttm), [
+    { start: 0, end: 12.5, speaker: 'SPEAKER_00' },
+    { start: 12.5, end: 15.75, speaker: 'SPEAKER_01' }
+  ]);
+});
+
+test('parseTurns reads a JSON array or a { turns } object', () => {
+  const turns = [{ start: '4.5', end: 9, speaker: 1 }, { start: 0, end: 4.5, speaker: 'A' }, { start: 'x', end: 2, speaker: 'B' }];
+
+  assert.deepEqual(diarization.parseTurns(JSON.stringify(turns)), [
+    { start: 0, end: 4.5, speaker: 'A' },
+    { start: 4.5, end: 9, speaker: '1' }
+  ]);
+  assert.deepEqual(diarization.parseTurns(`  ${JSON.stringify({ turns: turns.slice(1, 2) })}\n`), [
+    { start: 0, end: 4.5, speaker: 'A' }
+  ]);
+  assert.deepEqual(diarization.parseTurns('{}'), []);
+  assert.deepEqual(diarization.parseTurns(''), []);
+  assert.throws(() => diarization.parseTurns('[{ "start": 0,'), SyntaxError);
+});
+
+test('assignSpeakers gives each segment the speaker who talks most in it', () => {
+  const turns = [
+    { start: 0, end: 10, speaker: 'A' },
+    { start: 10, end: 20, speaker: 'B' },
+    { start: 30, end: 40, speaker: 'A' }
+  ];
+  const segments = [
+    { start: 0, end: 4, text: ' Welcome back. ' },
+    { start: 4, end: 11, text: 'Today my guest is here.' },
+    { start: 9, end: 18, text: 'Thanks for having me.' },
+    { start: 18, end: 19, text: '   ' },
+    // In a gap between turns: the nearest one
+    { start: 24, end: 28, text: 'So, sleep.' }
+  ];
+
+  assert.deepEqual(diarization.assignSpeakers(segments, turns), [
+    { speaker: 'A', start: 0, end: 11, text: 'Welcome back. Today my guest is here.' },
+    { speaker: 'B', start: 9, end: 18, text: 'Thanks for having me.' },
+    { speaker: 'A', start: 24, end: 28, text: 'So, sleep.' }
+  ]);
+  assert.deepEqual(diarization.assignSpeakers([{ start: 0, end: 1, text: 'Hi' }], []), [
+    { speaker: null, start: 0, end: 1, text: 'Hi' }
+  ]);
+});
+
+test('findGuestNames picks names out of episode descriptions', () => {
+  assert.deepEqual(diarization.findGuestNames('<p>A conversation with Dr. Jane Doe about sleep.</p>'), ['Jane Doe']);
+  assert.deepEqual(
+    diarization.findGuestNames('This week our guest, Professor Matthew Walker’s new book, featuring Andrew D. Huberman and with The Team'),
+    ['Matthew Walker', 'Andrew D. Huberman']
+  );
+  assert.deepEqual(diarization.findGuestNames(null), []);
+});
+
+test('labelSpeakers numbers speakers, or names the guest and host', () => {
+  const lines = [
+    { speaker: 'SPEAKER_01', start: 0, end: 5, text: 'Welcome.' },
+    { speaker: 'SPEAKER_00', start: 5, end: 25, text: 'Thanks, so sleep...' },
+    { speaker: 'SPEAKER_01', start: 25, end: 30, text: 'Go on.' }
+  ];
+
+  assert.deepEqual(diarization.labelSpeakers(lines).map(line => line.speaker), ['Speaker 1', 'Speaker 2', 'Speaker 1']);
+  assert.deepEqual(diarization.labelSpeakers(lines, { guests: ['Jane Doe'] }).map(line => line.speaker), ['Host', 'Jane Doe', 'Host']);
+  // Two guests named: no way to tell who is who
+  assert.deepEqual(
+    diarization.labelSpeakers(lines, { guests: ['Jane Doe', 'John Roe'] }).map(line => line.speaker),
+    ['Speaker 1', 'Speaker 2', 'Speaker 1']
+  );
+  assert.equal(diarization.formatLines(diarization.labelSpeakers(lines, { guests: ['Jane Doe'] })),
+    'Host: Welcome.\nJane Doe: Thanks, so sleep...\nHost: Go on.');
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// A 1 KB budget and a one-minute TTL keep the numbers small
+process.env.EPISODE_CACHE_MAX_MB = String(1 / 1024);
+process.env.EPISODE_CACHE_TTL_MINUTES = '1';
+
+const cache = require('../lib/episode-cache');
+
+// Push everything else out with one entry the size of the whole budget
+function fillWith(key) {
+  cache.set(key, 'x', { size: 1024 });
+}
+
+test('evicts the least recently used entries once over budget', () => {
+  const disposed = [];
+  const dispose = value => disposed.push(value);
+
+  cache.set('lru:a', 'a', { size: 400, dispose });
+  cache.set('lru:b', 'b', { size: 400, dispose });
+  assert.equal(cache.get('lru:a'), 'a');
+  cache.set('lru:c', 'c', { size: 400, dispose });
+
+  assert.deepEqual(disposed, ['b']);
+  assert.equal(cache.get('lru:b'), undefined);
+  assert.equal(cache.get('lru:a'), 'a');
+  assert.equal(cache.get('lru:c'), 'c');
+  assert.equal(cache.stats().bytes, 800);
+});
+
+test('replacing a key disposes the old value and resizes the cache', () => {
+  const disposed = [];
+  fillWith('replace:filler');
+
+  cache.set('replace:key', 'old', { size: 300, dispose: value => disposed.push(value) });
+  cache.set('replace:key', 'new', { size: 200 });
+
+  assert.deepEqual(disposed, ['old']);
+  assert.equal(cache.get('replace:key'), 'new');
+  assert.equal(cache.stats().bytes, 200);
+});
+
+test('an entry larger than the budget is not kept', () => {
+  const disposed = [];
+
+  cache.set('big', 'x'.repeat(2000), { dispose: value => disposed.push(value.length) });
+
+  assert.deepEqual(disposed, [2000]);
+  assert.equal(cache.get('big'), undefined);
+});
+
+test('entries expire after the TTL', t => {
+  const disposed = [];
+  const start = Date.now();
+  t.mock.method(Date, 'now', () => start);
+
+  cache.set('ttl:key', { id: 1 }, { dispose: value => disposed.push(value.id) });
+  Date.now.mock.mockImplementation(() => start + 59 * 1000);
+  assert.deepEqual(cache.get('ttl:key'), { id: 1 });
+
+  Date.now.mock.mockImplementation(() => start + 60 * 1000);
+  assert.equal(cache.get('ttl:key'), undefined);
+  assert.deepEqual(disposed, [1]);
+});
+
+test('remember shares one load per key and does not cache empty results', async t => {
+  t.mock.method(console, 'log', () => {});
+  fillWith('remember:filler');
+
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    return { transcript: 'text' };
+  };
+  const [first, second] = await Promise.all([
+    cache.remember('remember:key', loader),
+    cache.remember('remember:key', loader)
+  ]);
+
+  assert.equal(loads, 1);
+  assert.equal(first, second);
+  assert.equal(await cache.remember('remember:key', loader), first);
+  assert.equal(loads, 1);
+
+  let emptyLoads = 0;
+  const empty = async () => {
+    emptyLoads++;
+    return null;
+  };
+  assert.equal(await cache.remember('remember:empty', empty), null);
+  assert.equal(await cache.remember('remember:empty', empty), null);
+  assert.equal(emptyLoads, 2);
+});
+
+test('a failed load is not cached and can be retried', async () => {
+  await assert.rejects(cache.remember('remember:fails', async () => {
+    throw new Error('Listen Notes is down');
+  }), /Listen Notes is down/);
+
+  assert.equal(await cache.remember('remember:fails', async () => 'ok'), 'ok');
+});
+
+test('cached files are copied out and deleted when evicted', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wisdom-vault-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const source = path.join(dir, 'snippet.mp3');
+  await fs.writeFile(source, Buffer.alloc(100, 1));
+  await cache.storeFile('audio:episode:0:30', source);
+  const cachedPath = cache.get('audio:episode:0:30');
+
+  const target = path.join(dir, 'copy.mp3');
+  assert.equal(await cache.copyFile('audio:episode:0:30', target), true);
+  assert.deepEqual(await fs.readFile(target), Buffer.alloc(100, 1));
+  assert.equal(await cache.copyFile('audio:missing', target), false);
+
+  fillWith('files:filler');
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(fs.access(cachedPath), { code: 'ENOENT' });
+  assert.equal(await cache.copyFile('audio:episode:0:30', target), false);
+});
+
+test('stats count hits and misses', () => {
+  const before = cache.stats();
+
+  cache.set('stats:key', 'value');
+  cache.get('stats:key');
+  cache.get('stats:missing');
+
+  const after = cache.stats();
+  assert.equal(after.enabled, true);
+  assert.equal(after.maxBytes, 1024);
+  assert.equal(after.hits - before.hits, 1);
+  assert.equal(after.misses - before.misses, 1);
+});
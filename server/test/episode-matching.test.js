@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { titleSimilarity, scoreCandidate, rankCandidates } = require('../lib/episode-resolver/matching');
+
+const episode = {
+  title: 'How to Sleep Better',
+  showName: 'The Health Show',
+  publishedAt: '2024-03-01T10:00:00Z',
+  durationSeconds: 3600
+};
+
+test('titleSimilarity ignores case, accents, numbering and stop words', () => {
+  assert.equal(titleSimilarity('Café Culture', 'CAFE culture!'), 1);
+  assert.equal(titleSimilarity('Episode 12: The Sleep Fix', '#12 - sleep fix'), 1);
+  assert.equal(titleSimilarity('Sleep', 'Money'), 0);
+  assert.equal(titleSimilarity('', 'Money'), 0);
+});
+
+test('titleSimilarity scores a title contained in a longer one high', () => {
+  assert.equal(titleSimilarity('How to Sleep Better', 'How to Sleep Better (with Dr. Walker)'), 0.9);
+  // Too short to trust containment
+  assert.equal(titleSimilarity('Sleep', 'Sleep and Longevity Explained'), 0.5);
+});
+
+test('scoreCandidate trusts a matching GUID outright', () => {
+  assert.equal(scoreCandidate({ guid: 'abc', title: 'x' }, { guid: 'abc', title: 'y' }), 1);
+});
+
+test('scoreCandidate is fully confident when every signal agrees', () => {
+  assert.equal(scoreCandidate(episode, { ...episode }), 1);
+});
+
+test('scoreCandidate discounts a title-only match', () => {
+  const hint = { title: episode.title };
+  assert.equal(scoreCandidate(hint, { title: episode.title }), 0.85);
+});
+
+test('scoreCandidate tolerates release-day and ad-insertion drift', () => {
+  const candidate = { ...episode, publishedAt: '2024-03-02T22:00:00Z', durationSeconds: 3630 };
+
+  // Title 1, date 0.8, duration 0.8
+  assert.equal(scoreCandidate(episode, candidate), 0.9);
+});
+
+test('scoreCandidate ignores signals only one side has', () => {
+  const candidate = { title: episode.title, showName: episode.showName, publishedAt: 'not a date' };
+
+  assert.equal(scoreCandidate({ ...episode, durationSeconds: null }, candidate), 0.85);
+});
+
+test('scoreCandidate halves the score for the wrong show', () => {
+  assert.equal(scoreCandidate(episode, { ...episode, showName: 'Money Talks' }), 0.5);
+});
+
+test('scoreCandidate rejects a different episode of the same show', () => {
+  const candidate = { ...episode, title: 'Investing for Beginners', publishedAt: '2024-02-01T10:00:00Z', durationSeconds: 2400 };
+  assert.equal(scoreCandidate(episode, candidate), 0);
+});
+
+test('rankCandidates sorts by confidence, best first', () => {
+  const ranked = rankCandidates(episode, [
+    { id: 'other', ...episode, title: 'Investing for Beginners' },
+    { id: 'exact', ...episode },
+    { id: 'drift', ...episode, durationSeconds: 3700 }
+  ]);
+
+  assert.deepEqual(ranked.map(({ id, confidence }) => ({ id, confidence })), [
+    { id: 'exact', confidence: 1 },
+    { id: 'drift', confidence: 0.85 },
+    { id: 'other', confidence: 0.5 }
+  ]);
+});
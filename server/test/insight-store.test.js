@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/supabase.js needs these to load; queries below never leave the process
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+
+const supabase = require('../lib/supabase');
+const insightStore = require('../lib/insight-store');
+
+// Stand in for supabase.from(): record the query and answer with no rows
+function recordQueries(t) {
+  const calls = [];
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return resolve => resolve({ data: [], error: null, count: 0 });
+      }
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+
+  t.mock.method(supabase, 'from', table => {
+    calls.push(['from', table]);
+    return query;
+  });
+  return calls;
+}
+
+function filter(calls, method) {
+  return calls.filter(([name]) => name === method).map(([, ...args]) => args);
+}
+
+test('the show filter matches the name literally', async t => {
+  const calls = recordQueries(t);
+
+  await insightStore.listInsights({ show: '100% Human_Stories \\ Co' });
+
+  assert.deepEqual(filter(calls, 'ilike'), [['show_name', '100\\% Human\\_Stories \\\\ Co']]);
+});
+
+test('the tag filter ignores case, like the tag list', async t => {
+  const calls = recordQueries(t);
+
+  await insightStore.listInsights({ tag: 'Deep Work' });
+
+  assert.deepEqual(filter(calls, 'contains'), [['tag_keys', ['deep work']]]);
+});
+
+test('listings are scoped to the user, or to insights without one', async t => {
+  const calls = recordQueries(t);
+
+  await insightStore.listInsights({ userId: 'user-1' });
+  await insightStore.listInsights();
+
+  assert.deepEqual(filter(calls, 'eq'), [['user_id', 'user-1']]);
+  assert.deepEqual(filter(calls, 'is'), [['user_id', null]]);
+});
+
+test('paging is clamped and date-only ranges cover whole days', async t => {
+  const calls = recordQueries(t);
+
+  const result = await insightStore.listInsights({ page: '0', pageSize: '1000', from: '2026-01-01', to: '2026-01-31' });
+
+  assert.equal(result.page, 1);
+  assert.equal(result.pageSize, 100);
+  assert.deepEqual(filter(calls, 'range'), [[0, result.pageSize - 1]]);
+  assert.deepEqual(filter(calls, 'gte'), [['created_at', '2026-01-01T00:00:00.000Z']]);
+  assert.deepEqual(filter(calls, 'lte'), [['created_at', '2026-01-31T23:59:59.999Z']]);
+  await assert.rejects(insightStore.listInsights({ from: 'last week' }), /Invalid date: last week/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JOB_CONCURRENCY = '2';
+
+const jobQueue = require('../lib/job-queue');
+
+// A handler that runs until the test settles it
+function deferred() {
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  return { promise, ...settle };
+}
+
+// Let finished handlers record their outcome and start the next job
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('runs at most JOB_CONCURRENCY jobs and starts the next as one finishes', async t => {
+  t.mock.method(console, 'log', () => {});
+  const handlers = [deferred(), deferred(), deferred()];
+  const jobs = handlers.map((handler, index) => jobQueue.enqueue('test', { index }, () => handler.promise));
+
+  assert.deepEqual(jobs.map(job => jobQueue.getJob(job.id).status), ['running', 'running', 'queued']);
+  assert.equal(jobQueue.getJob(jobs[2].id).message, 'Waiting in queue...');
+
+  handlers[0].resolve({ ok: true });
+  await flush();
+
+  assert.deepEqual(jobs.map(job => jobQueue.getJob(job.id).status), ['completed', 'running', 'running']);
+
+  handlers[1].resolve();
+  handlers[2].resolve();
+  await flush();
+});
+
+test('records the result, stages and timings of a completed job', async t => {
+  t.mock.method(console, 'log', () => {});
+
+  const { id } = jobQueue.enqueue('insight', { title: 'Episode' }, async (input, progress) => {
+    progress.stage('transcribe', 'Transcribing...');
+    progress.stage('summarize');
+    return { title: input.title };
+  });
+  await flush();
+
+  const job = jobQueue.getJob(id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.message, 'Done');
+  assert.equal(job.stage, 'summarize');
+  assert.deepEqual(job.result, { title: 'Episode' });
+  assert.equal(job.error, null);
+  assert.deepEqual(job.stages.map(stage => stage.name), ['transcribe', 'summarize']);
+  assert.ok(job.stages.every(stage => stage.finishedAt && stage.durationMs >= 0));
+  assert.ok(job.startedAt && job.finishedAt);
+});
+
+test('a failed job keeps its error and frees its slot', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const failed = jobQueue.enqueue('insight', {}, async () => {
+    throw new Error('No audio found');
+  });
+  const silent = jobQueue.enqueue('insight', {}, async () => {
+    throw new Error('');
+  });
+  const next = jobQueue.enqueue('insight', {}, async () => 'next');
+  await flush();
+
+  const job = jobQueue.getJob(failed.id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'No audio found');
+  assert.equal(job.message, 'No audio found');
+  assert.equal(job.result, null);
+  assert.ok(job.finishedAt);
+  assert.equal(jobQueue.getJob(silent.id).error, 'Job failed');
+  assert.equal(jobQueue.getJob(next.id).status, 'completed');
+  assert.equal(jobQueue.getJob(next.id).result, 'next');
+});
+
+test('job views are snapshots and unknown ids are null', async t => {
+  t.mock.method(console, 'log', () => {});
+  const handler = deferred();
+
+  const view = jobQueue.enqueue('insight', {}, (input, progress) => {
+    progress.stage('download');
+    return handler.promise;
+  });
+  jobQueue.getJob(view.id).stages.push({ name: 'tampered' });
+
+  assert.deepEqual(jobQueue.getJob(view.id).stages.map(stage => stage.name), ['download']);
+  assert.equal(jobQueue.getJob('missing'), null);
+
+  handler.resolve();
+  await flush();
+});
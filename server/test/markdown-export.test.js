@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const markdown = require('../lib/destinations/markdown');
+const { fromInsight, fromRequest } = require('../lib/destinations/entry');
+
+function entry(overrides = {}) {
+  return fromInsight({
+    id: 'insight-1',
+    title: 'How to "Sleep" Better: Part 2',
+    showName: 'Health/Show',
+    transcript: 'Host: Hello there\nGuest: Hi',
+    speakers: ['Host', 'Guest'],
+    summary: ['Sleep more', 'Less caffeine'],
+    platform: 'youtube',
+    playbackUrl: 'https://youtu.be/x?t=725',
+    timestampSeconds: 725,
+    endSeconds: 785,
+    tags: ['deep work', 'Health'],
+    rating: 4,
+    note: 'Try it\ntonight',
+    createdAt: '2026-01-31T08:00:00.000Z',
+    ...overrides
+  });
+}
+
+// Point the destination at a fresh vault for one test
+async function useVault(t, env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wisdom-vault-md-'));
+  const saved = {};
+
+  for (const [name, value] of Object.entries({ MARKDOWN_VAULT_DIR: dir, ...env })) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+
+  t.after(async () => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  return dir;
+}
+
+test('exportNotes renders frontmatter with escaped YAML strings', () => {
+  const [{ content }] = markdown.exportNotes([entry()]);
+  const frontmatter = content.split('\n---\n')[0];
+
+  assert.equal(frontmatter, [
+    '---',
+    'title: "How to \\"Sleep\\" Better: Part 2"',
+    'show: "Health/Show"',
+    'episode: "How to \\"Sleep\\" Better: Part 2"',
+    'timestamp: "12:05–13:05"',
+    'timestamp_seconds: 725',
+    'end_seconds: 785',
+    'platform: "youtube"',
+    'source_url: "https://youtu.be/x?t=725"',
+    'tags:',
+    '  - "deep work"',
+    '  - "Health"',
+    'rating: 4',
+    'saved: 2026-01-31T08:00:00.000Z',
+    'wisdom_vault_id: insight-1'
+  ].join('\n'));
+});
+
+test('a stored platform cannot break out of the frontmatter', () => {
+  const [{ content }] = markdown.exportNotes([entry({ platform: 'youtube\nrating: 5' })]);
+
+  assert.match(content, /\nplatform: "youtube\\nrating: 5"\n/);
+  assert.doesNotMatch(content, /\nrating: 5\n/);
+});
+
+test('save requests need a string title and a known platform', () => {
+  const body = { title: 'Episode', sourceUrl: 'https://youtu.be/x' };
+
+  assert.equal(fromRequest({ ...body, platform: 'youtube' }).platform, 'youtube');
+  assert.equal(fromRequest(body).platform, null);
+  assert.throws(() => fromRequest({ ...body, title: ['Episode'] }), { message: 'title must be a string' });
+  assert.throws(() => fromRequest({ ...body, platform: 'youtube\nrating: 5' }), /^Error: Unknown platform/);
+  assert.throws(() => fromRequest({ ...body, platform: 'constructor' }), /^Error: Unknown platform/);
+});
+
+test('exportNotes renders the body sections in order', () => {
+  const [{ content }] = markdown.exportNotes([entry()]);
+  const body = content.split('\n---\n')[1];
+
+  assert.equal(body, [
+    '',
+    '# How to "Sleep" Better: Part 2',
+    '',
+    '🎧 From *Health/Show* on YouTube at [12:05–13:05](https://youtu.be/x?t=725)',
+    '',
+    '★★★★☆',
+    '',
+    '## My Note',
+    '',
+    'Try it\ntonight',
+    '',
+    '## Key Takeaways',
+    '',
+    '- Sleep more\n- Less caffeine',
+    '',
+    '## Transcript',
+    '',
+    '**Host:** Hello there',
+    '',
+    '**Guest:** Hi',
+    ''
+  ].join('\n'));
+});
+
+test('exportNotes leaves room for notes when there is no transcript', () => {
+  const [{ content }] = markdown.exportNotes([
+    entry({ transcript: null, summary: null, tags: [], rating: null, note: null, playbackUrl: null, endSeconds: null })
+  ]);
+
+  assert.match(content, /\ntags: \[\]\n/);
+  assert.match(content, /at 12:05\n\n## Your Notes\n\n\n$/);
+  assert.doesNotMatch(content, /rating:|## Key Takeaways|## My Note/);
+});
+
+test('exportNotes gives every note a safe, unique file name', () => {
+  const notes = markdown.exportNotes([entry(), entry(), entry()]);
+
+  assert.deepEqual(notes.map(note => note.fileName), [
+    '2026-01-31 HealthShow - How to Sleep Better Part 2 (12m05s).md',
+    '2026-01-31 HealthShow - How to Sleep Better Part 2 (12m05s) 2.md',
+    '2026-01-31 HealthShow - How to Sleep Better Part 2 (12m05s) 3.md'
+  ]);
+});
+
+test('save returns the note for download without a vault', async () => {
+  const saved = process.env.MARKDOWN_VAULT_DIR;
+  delete process.env.MARKDOWN_VAULT_DIR;
+  try {
+    assert.deepEqual(markdown.modes(), ['file']);
+
+    const { data } = await markdown.save(entry());
+    assert.equal(data.vaultPath, null);
+    assert.equal(data.content, markdown.exportNotes([entry()])[0].content);
+  } finally {
+    if (saved !== undefined) process.env.MARKDOWN_VAULT_DIR = saved;
+  }
+});
+
+test('save writes notes into the vault and keeps both copies of a repeat', async t => {
+  const vault = await useVault(t, { MARKDOWN_INSIGHTS_DIR: 'Podcasts' });
+
+  const first = await markdown.save(entry());
+  const second = await markdown.save(entry());
+
+  assert.equal(first.data.vaultPath, path.join('Podcasts', first.data.fileName));
+  assert.notEqual(second.data.vaultPath, first.data.vaultPath);
+  assert.equal(await fs.readFile(path.join(vault, first.data.vaultPath), 'utf8'), first.data.content);
+  assert.equal((await fs.readdir(path.join(vault, 'Podcasts'))).length, 2);
+});
+
+test('save appends daily entries to the dated daily note', async t => {
+  const vault = await useVault(t, { MARKDOWN_DAILY_DIR: 'Journal', MARKDOWN_DAILY_FORMAT: 'DD.MM.YYYY' });
+  const dailyPath = path.join(vault, 'Journal', '31.01.2026.md');
+  await fs.mkdir(path.dirname(dailyPath));
+  await fs.writeFile(dailyPath, '# Friday\n');
+
+  assert.deepEqual(markdown.modes(), ['file', 'daily']);
+  await markdown.save(entry(), { mode: 'daily' });
+  await markdown.save(entry({ tags: [], note: null }), { mode: 'daily' });
+
+  const heading = '## 🎧 Health/Show — How to "Sleep" Better: Part 2 ([12:05–13:05](https://youtu.be/x?t=725))';
+  assert.equal(await fs.readFile(dailyPath, 'utf8'), [
+    '# Friday',
+    '',
+    heading,
+    '',
+    '- Sleep more',
+    '- Less caffeine',
+    '',
+    '> Try it',
+    '> tonight',
+    '',
+    '#deep-work #Health',
+    '',
+    heading,
+    '',
+    '- Sleep more',
+    '- Less caffeine',
+    ''
+  ].join('\n'));
+});
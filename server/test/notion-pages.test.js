@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// lib/supabase.js needs these to load; nothing here reaches Supabase
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test';
+
+const notion = require('../lib/destinations/notion');
+const notionAccounts = require('../lib/notion-accounts');
+const { fromInsight } = require('../lib/destinations/entry');
+
+const REQUIRED = { 'Name': 'title', 'Show': 'rich_text', 'Spotify URL': 'url', 'Timestamp': 'number', 'Saved': 'date' };
+
+function entry(overrides = {}) {
+  return {
+    ...fromInsight({
+      id: 'insight-1',
+      title: 'How to Sleep Better',
+      showName: 'Health Show',
+      transcript: 'Host: Sleep matters. Guest: It really does.',
+      speakers: ['Host', 'Guest'],
+      summary: ['Sleep more', 'Less caffeine'],
+      playbackUrl: 'https://youtu.be/x?t=725',
+      timestampSeconds: 725,
+      tags: ['Sleep'],
+      createdAt: '2026-01-31T08:00:00.000Z'
+    }),
+    episodeUrl: 'https://youtu.be/x',
+    ...overrides
+  };
+}
+
+// A Notion client that records writes; `page` and `blocks` are what it finds
+function fakeClient(propertyTypes, { page = null, blocks = [] } = {}) {
+  const calls = { create: [], append: [], update: [] };
+  const properties = Object.fromEntries(Object.entries(propertyTypes).map(([name, type]) => [name, { type }]));
+
+  return {
+    calls,
+    databases: {
+      retrieve: async () => ({ id: 'db-1', properties }),
+      query: async () => ({ results: page ? [page] : [] })
+    },
+    pages: {
+      create: async args => {
+        calls.create.push(args);
+        return { id: 'page-1', url: 'https://notion.so/page-1' };
+      },
+      update: async args => calls.update.push(args)
+    },
+    blocks: {
+      children: {
+        list: async () => ({ results: blocks, has_more: false }),
+        append: async args => calls.append.push(args)
+      }
+    }
+  };
+}
+
+// Save as a signed-in user whose workspace is `client`
+async function save(t, client, value) {
+  t.mock.method(notionAccounts, 'getUserTarget', async () => ({ client, databaseId: 'db-1' }));
+  return notion.save(value, { userId: 'user-1' });
+}
+
+function plainText(richText) {
+  return richText.map(part => part.text.content).join('');
+}
+
+function childrenOfType(children, type) {
+  return children.filter(block => block.type === type);
+}
+
+test('long transcript lines are split into rich text that fits Notion', async t => {
+  const words = Array.from({ length: 900 }, (_, i) => `word${i}`).join(' ');
+  // No space to split at, and an emoji straddling the 2000-character mark
+  const unbroken = `${'a'.repeat(1999)}😀${'b'.repeat(3000)}`;
+  const client = fakeClient(REQUIRED);
+
+  await save(t, client, entry({ transcript: `${words}\nHost: ${unbroken}`, speakers: ['Host'] }));
+
+  const [toggle] = childrenOfType(client.calls.create[0].children, 'toggle');
+  const paragraphs = toggle.toggle.children.map(block => block.paragraph.rich_text);
+  const pieces = paragraphs.flat().map(part => part.text.content);
+
+  assert.ok(pieces.every(piece => piece.length <= 2000));
+  assert.ok(pieces.every(piece => !/[\uD800-\uDBFF]$/.test(piece)), 'no piece ends inside a surrogate pair');
+
+  const speakerParagraph = paragraphs[paragraphs.length - 1];
+  assert.deepEqual(speakerParagraph[0], { text: { content: 'Host: ' }, annotations: { bold: true } });
+  assert.equal(plainText(speakerParagraph.slice(1)), unbroken);
+  assert.equal(paragraphs.slice(0, -1).map(plainText).join(''), words);
+});
+
+test('transcripts of more than 100 paragraphs are split across toggles', async t => {
+  const transcript = Array.from({ length: 250 }, (_, i) => `Line ${i}`).join('\n');
+  const client = fakeClient(REQUIRED);
+
+  await save(t, client, entry({ transcript }));
+
+  const toggles = childrenOfType(client.calls.create[0].children, 'toggle');
+  assert.deepEqual(toggles.map(toggle => [plainText(toggle.toggle.rich_text), toggle.toggle.children.length]), [
+    ['📝 Transcript (1/3)', 100],
+    ['📝 Transcript (2/3)', 100],
+    ['📝 Transcript (3/3)', 50]
+  ]);
+  assert.equal(plainText(toggles[2].toggle.children[49].paragraph.rich_text), 'Line 249');
+});
+
+test('the quote block uses the quote style\'s pick, once', async t => {
+  const client = fakeClient(REQUIRED);
+
+  await save(t, client, entry({ summary: ['Quote: Sleep is the foundation.', 'Sleep more'] }));
+
+  const { children } = client.calls.create[0];
+  const [quote] = childrenOfType(children, 'quote');
+  assert.equal(plainText(quote.quote.rich_text), 'Sleep is the foundation.');
+  assert.deepEqual(childrenOfType(children, 'bulleted_list_item').map(item => plainText(item.bulleted_list_item.rich_text)), ['Sleep more']);
+});
+
+test('without a picked quote, the transcript opening is quoted up to a sentence end', async t => {
+  const sentence = 'Sleep is when the brain files away what it learned during the day.';
+  const transcript = `Host: ${sentence.repeat(5)}\nGuest: ${'and then some more words '.repeat(20)}`;
+  const client = fakeClient(REQUIRED);
+
+  await save(t, client, entry({ transcript }));
+
+  const [quote] = childrenOfType(client.calls.create[0].children, 'quote');
+  const text = plainText(quote.quote.rich_text);
+  assert.ok(text.length <= 500);
+  assert.ok(text.startsWith('Sleep is when'), 'speaker labels are dropped');
+  assert.ok(text.endsWith('during the day.'));
+});
+
+test('a missing required property fails before anything is written', async t => {
+  const { Show, ...withoutShow } = REQUIRED;
+  const client = fakeClient(withoutShow);
+
+  await assert.rejects(save(t, client, entry()), /"Show" is missing \(Text\).*setup/);
+  assert.equal(client.calls.create.length, 0);
+});
+
+function sectionHeading(id, label) {
+  return { id, type: 'heading_2', heading_2: { rich_text: [{ plain_text: `⏱ ${label}` }] } };
+}
+
+function body(id) {
+  return { id, type: 'paragraph', paragraph: { rich_text: [] } };
+}
+
+test('moments are added to their episode page in timestamp order', async t => {
+  const blocks = [
+    { id: 'callout', type: 'callout', callout: { rich_text: [] } },
+    sectionHeading('at-1m', '1:00'), body('body-1m'),
+    sectionHeading('at-20m', '20:00'), body('body-20m'),
+    sectionHeading('at-1h', '1:02:03'), body('body-1h')
+  ];
+  const page = { id: 'episode-page', url: 'https://notion.so/episode-page', properties: { Tags: { multi_select: [{ name: 'sleep' }] } } };
+  const properties = { ...REQUIRED, 'Episode URL': 'url', 'Tags': 'multi_select' };
+
+  const middle = fakeClient(properties, { page, blocks });
+  const result = await save(t, middle, entry({ tags: ['Sleep', 'Health'] }));
+
+  assert.deepEqual(result.data, { notionPageId: 'episode-page', notionUrl: 'https://notion.so/episode-page', appended: true });
+  assert.equal(middle.calls.append[0].after, 'body-1m');
+  assert.equal(plainText(middle.calls.append[0].children[0].heading_2.rich_text), '⏱ 12:05');
+  // Tags already on the page aren't repeated, whatever their case
+  assert.deepEqual(middle.calls.update[0].properties.Tags.multi_select, [{ name: 'sleep' }, { name: 'Health' }]);
+
+  const first = fakeClient(properties, { page, blocks });
+  await save(t, first, entry({ timestampSeconds: 30, tags: ['sleep'] }));
+  assert.equal(first.calls.append[0].after, 'callout');
+  assert.equal(first.calls.update.length, 0);
+
+  const last = fakeClient(properties, { page, blocks });
+  await save(t, last, entry({ timestampSeconds: 2 * 3600 }));
+  assert.equal(last.calls.append[0].after, undefined);
+});
+
+test('the first moment of an episode creates its page with a section', async t => {
+  const client = fakeClient({ ...REQUIRED, 'Episode URL': 'url' });
+
+  const result = await save(t, client, entry());
+
+  const { properties, children } = client.calls.create[0];
+  assert.equal(result.data.appended, false);
+  assert.deepEqual(properties['Episode URL'], { url: 'https://youtu.be/x' });
+  assert.equal(children[0].type, 'callout');
+  assert.equal(plainText(children[1].heading_2.rich_text), '⏱ 12:05');
+  // Tags go in the body when there's no Tags column
+  assert.ok(children.some(block => block.type === 'paragraph' && plainText(block.paragraph.rich_text) === 'Tags: Sleep'));
+});
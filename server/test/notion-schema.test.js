@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPropertyTypes, pickOptional, checkSchema, assertRequired, setupDatabase } = require('../lib/notion-schema');
+
+const COMPLETE = {
+  'Name': 'title',
+  'Show': 'rich_text',
+  'Spotify URL': 'url',
+  'Timestamp': 'number',
+  'Saved': 'date',
+  'Tags': 'multi_select',
+  'Episode date': 'date',
+  'Source platform': 'select',
+  'Rating': 'number',
+  'Listen Notes ID': 'rich_text',
+  'Episode URL': 'url'
+};
+
+// A client for one database; records the update setupDatabase sends
+function fakeClient(propertyTypes, title = 'Podcast Notes') {
+  const updates = [];
+
+  return {
+    updates,
+    databases: {
+      retrieve: async ({ database_id }) => ({
+        id: database_id,
+        title: title ? [{ plain_text: title }] : [],
+        properties: Object.fromEntries(Object.entries(propertyTypes).map(([name, type]) => [name, { id: name, type }]))
+      }),
+      update: async args => updates.push(args)
+    }
+  };
+}
+
+test('getPropertyTypes maps property names to types', async () => {
+  assert.deepEqual(await getPropertyTypes(fakeClient({ Name: 'title', Tags: 'multi_select' }), 'db-1'), {
+    Name: 'title',
+    Tags: 'multi_select'
+  });
+});
+
+test('pickOptional keeps values whose property exists with the right type', () => {
+  const picked = pickOptional({ Tags: 'multi_select', Rating: 'select' }, {
+    Tags: { type: 'multi_select', value: { multi_select: [] } },
+    Rating: { type: 'number', value: { number: 4 } },
+    'Episode URL': { type: 'url', value: { url: null } }
+  });
+
+  assert.deepEqual(picked, { Tags: { multi_select: [] } });
+});
+
+test('checkSchema passes a complete database', () => {
+  assert.deepEqual(checkSchema(COMPLETE), { missing: [], mismatched: [], titleProperty: null });
+});
+
+test('checkSchema reports missing, mismatched and renamed properties', () => {
+  const { Name, Show, Tags, ...rest } = COMPLETE;
+  const report = checkSchema({ ...rest, Title: 'title', Rating: 'select' });
+
+  assert.deepEqual(report.missing, [
+    { name: 'Show', type: 'rich_text', required: true },
+    { name: 'Tags', type: 'multi_select', required: false }
+  ]);
+  assert.deepEqual(report.mismatched, [{ name: 'Rating', expected: 'number', actual: 'select', required: false }]);
+  assert.equal(report.titleProperty, 'Title');
+});
+
+test('assertRequired ignores problems with optional properties', () => {
+  const { Tags, ...withoutTags } = COMPLETE;
+  assert.doesNotThrow(() => assertRequired({ ...withoutTags, Rating: 'select' }));
+});
+
+test('assertRequired explains what a save needs', () => {
+  const { Name, Show, ...rest } = COMPLETE;
+
+  assert.throws(() => assertRequired({ ...rest, Title: 'title', Timestamp: 'rich_text' }), {
+    message: 'The Notion database doesn\'t fit Wisdom Vault: The title property is "Title", not "Name"; ' +
+      '"Show" is missing (Text); "Timestamp" is Text but should be Number. ' +
+      'Run the Notion setup (POST /setup/notion or npm run setup:notion) to fix it'
+  });
+});
+
+test('setupDatabase in dry-run mode only reports', async () => {
+  const { Name, Show, Tags, ...rest } = COMPLETE;
+  const client = fakeClient({ ...rest, Title: 'title' });
+
+  const result = await setupDatabase(client, 'db-1', { dryRun: true });
+
+  assert.equal(client.updates.length, 0);
+  assert.deepEqual(result, {
+    databaseId: 'db-1',
+    title: 'Podcast Notes',
+    created: [],
+    renamed: null,
+    mismatched: [],
+    problems: [
+      'The title property is "Title", not "Name"',
+      '"Show" is missing (Text)',
+      '"Tags" is missing (Multi-select)'
+    ],
+    ok: false
+  });
+});
+
+test('setupDatabase renames the title and creates missing properties', async () => {
+  const { Name, Show, Tags, ...rest } = COMPLETE;
+  const client = fakeClient({ ...rest, Title: 'title', Rating: 'select' }, null);
+
+  const result = await setupDatabase(client, 'db-1');
+
+  assert.deepEqual(client.updates, [{
+    database_id: 'db-1',
+    properties: {
+      Title: { name: 'Name' },
+      Show: { rich_text: {} },
+      Tags: { multi_select: {} }
+    }
+  }]);
+  assert.deepEqual(result, {
+    databaseId: 'db-1',
+    title: 'Untitled',
+    created: [{ name: 'Show', type: 'Text' }, { name: 'Tags', type: 'Multi-select' }],
+    renamed: { from: 'Title', to: 'Name' },
+    // Changing a type could lose data, so that's left to the user
+    mismatched: [{ name: 'Rating', expected: 'Number', actual: 'Select', required: false }],
+    problems: ['"Rating" is Select but should be Number'],
+    ok: false
+  });
+});
+
+test('setupDatabase leaves a complete database alone', async () => {
+  const client = fakeClient(COMPLETE);
+
+  const result = await setupDatabase(client, 'db-1');
+
+  assert.equal(client.updates.length, 0);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.created, []);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, assertPublicUrl, publicRequestOptions } = require('../lib/destinations/public-url');
+
+test('isPrivateAddress flags loopback, private, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', '64:ff9b::a00:1',
+    'not an address'
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress lets public addresses through', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('assertPublicUrl only takes http(s) URLs', async () => {
+  for (const value of ['', 'example.com/hook', 'ftp://example.com/', 'file:///etc/passwd']) {
+    await assert.rejects(assertPublicUrl(value, 'Webhook URL'), error => {
+      assert.equal(error.message, 'Webhook URL must be a full http(s) URL');
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  }
+});
+
+test('assertPublicUrl rejects hosts that are or resolve to private addresses', async () => {
+  for (const value of [
+    'http://127.0.0.1:8765',
+    'http://[::1]/',
+    'http://169.254.169.254/latest/meta-data/',
+    // WHATWG URLs normalize these to 127.0.0.1
+    'http://0x7f000001/',
+    'http://2130706433/',
+    'http://localhost:3000/'
+  ]) {
+    await assert.rejects(assertPublicUrl(value, 'Webhook URL'), error => {
+      assert.match(error.message, /^Webhook URL points to a private or local address/);
+      assert.equal(error.retryable, false);
+      return true;
+    }, value);
+  }
+});
+
+test('assertPublicUrl accepts public IP literals without a lookup', async () => {
+  const url = await assertPublicUrl(' https://93.184.215.14/hook ', 'Webhook URL');
+  assert.equal(url.href, 'https://93.184.215.14/hook');
+});
+
+test('DESTINATIONS_ALLOW_PRIVATE turns the checks off', async t => {
+  const saved = process.env.DESTINATIONS_ALLOW_PRIVATE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.DESTINATIONS_ALLOW_PRIVATE;
+    else process.env.DESTINATIONS_ALLOW_PRIVATE = saved;
+  });
+
+  process.env.DESTINATIONS_ALLOW_PRIVATE = 'true';
+  assert.equal((await assertPublicUrl('http://127.0.0.1:8765', 'AnkiConnect URL')).port, '8765');
+  assert.deepEqual(publicRequestOptions(), {});
+
+  process.env.DESTINATIONS_ALLOW_PRIVATE = 'false';
+  assert.equal(publicRequestOptions().proxy, false);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const readwise = require('../lib/destinations/readwise');
+const { fromInsight } = require('../lib/destinations/entry');
+
+function entry(overrides = {}) {
+  return fromInsight({
+    id: 'insight-1',
+    title: 'How to Sleep Better',
+    showName: 'Health Show',
+    transcript: 'Full transcript',
+    summary: ['Sleep more', 'Less caffeine'],
+    playbackUrl: 'https://youtu.be/x?t=725',
+    thumbnail: 'https://example.com/cover.jpg',
+    timestampSeconds: 725.6,
+    tags: ['deep work', 'Health'],
+    note: 'Try it tonight',
+    createdAt: '2026-01-31T08:00:00.000Z',
+    ...overrides
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run scripts/mock-readwise.js and point the destination at it
+async function startMock(t) {
+  const port = await freePort();
+  const mock = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-readwise.js')], {
+    env: { ...process.env, READWISE_MOCK_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const saved = process.env.READWISE_API_URL;
+  t.after(() => {
+    mock.kill();
+    if (saved === undefined) delete process.env.READWISE_API_URL;
+    else process.env.READWISE_API_URL = saved;
+  });
+
+  await new Promise((resolve, reject) => {
+    mock.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Mock Readwise API')) resolve();
+    });
+    mock.on('exit', code => reject(new Error(`Mock Readwise exited with ${code}`)));
+  });
+
+  process.env.READWISE_API_URL = `http://127.0.0.1:${port}/api/v2/`;
+}
+
+test('toHighlight maps the entry onto a podcast highlight', () => {
+  assert.deepEqual(readwise.toHighlight(entry()), {
+    text: 'Sleep more\nLess caffeine',
+    title: 'How to Sleep Better',
+    author: 'Health Show',
+    category: 'podcasts',
+    source_type: 'wisdom_vault',
+    source_url: 'https://youtu.be/x?t=725',
+    image_url: 'https://example.com/cover.jpg',
+    note: 'Try it tonight\n\n.deep-work .Health',
+    location: 725,
+    location_type: 'time_offset',
+    highlighted_at: '2026-01-31T08:00:00.000Z',
+    highlight_url: 'https://youtu.be/x?t=725'
+  });
+});
+
+test('toHighlight falls back to the transcript and caps the length', () => {
+  const highlight = readwise.toHighlight(entry({ summary: null, transcript: 'x'.repeat(9000), note: null, tags: [] }));
+
+  assert.equal(highlight.text.length, 8191);
+  assert.equal(highlight.note, undefined);
+  assert.throws(() => readwise.toHighlight(entry({ summary: null, transcript: null })), error => error.retryable === false);
+});
+
+test('configure keeps the saved token unless a new one is entered', () => {
+  assert.deepEqual(readwise.configure({ token: ' abc ' }), { token: 'abc' });
+  assert.deepEqual(readwise.configure({ token: '' }, { token: 'old' }), { token: 'old' });
+  assert.throws(() => readwise.configure({}), /access token is required/);
+});
+
+test('deliver against the mock Readwise API', async t => {
+  await startMock(t);
+
+  await t.test('creates the highlight', async () => {
+    const { data } = await readwise.deliver(entry(), { token: 'test' });
+    const again = await readwise.deliver(entry({ summary: ['Another point'] }), { token: 'test' });
+
+    assert.deepEqual(data, { highlightIds: [1], readwiseUrl: 'https://readwise.io/bookreview/1' });
+    // Same episode, same book
+    assert.deepEqual(again.data, { highlightIds: [2], readwiseUrl: 'https://readwise.io/bookreview/1' });
+  });
+
+  await t.test('does not retry a rejected token', async () => {
+    await assert.rejects(readwise.deliver(entry(), { token: 'invalid' }), error => {
+      assert.equal(error.message, 'Readwise request failed (401): Invalid token.');
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  });
+
+  await t.test('retries when Readwise is unavailable', async () => {
+    await assert.rejects(readwise.deliver(entry({ summary: ['[fail] please'] }), { token: 'test' }), error => {
+      assert.match(error.message, /\(503\)/);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+
+  await t.test('needs a token', async () => {
+    await assert.rejects(readwise.deliver(entry(), {}), /Readwise is not set up/);
+  });
+});
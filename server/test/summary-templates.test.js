@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const templates = require('../lib/summarization/templates');
+const summarization = require('../lib/summarization');
+
+test('renderPrompt inserts the title and transcript literally', () => {
+  const template = { prompt: 'Episode: {{title}}\n\n{{transcript}}\n\nDone' };
+  const transcript = "He said $' and $` and $& then $1";
+
+  const prompt = templates.renderPrompt(template, { title: 'Costs $&', transcript });
+
+  assert.equal(prompt, `Episode: Costs $&\n\n${transcript}\n\nDone`);
+});
+
+test('getTemplate falls back to the default style', () => {
+  assert.equal(templates.getTemplate().name, process.env.SUMMARY_STYLE || 'bullets');
+  assert.equal(templates.getTemplate('flashcard').format, 'labeled');
+});
+
+test('getTemplate rejects unknown and inherited style names', () => {
+  for (const style of ['nope', 'constructor', 'toString', '__proto__']) {
+    assert.throws(() => templates.getTemplate(style), /Unknown summary style/);
+  }
+});
+
+test('getProvider rejects unknown and inherited provider names', () => {
+  assert.equal(summarization.getProvider('openai').name, 'openai');
+
+  for (const name of ['nope', 'constructor', 'hasOwnProperty']) {
+    assert.throws(() => summarization.getProvider(name), /Unknown summary provider/);
+  }
+});
+
+test('parseSummary reads bullets, labeled lines and plain text', () => {
+  assert.deepEqual(
+    templates.parseSummary(templates.getTemplate('bullets'), 'Here you go:\n- One\n• Two\n3. Three\n4. Four'),
+    ['One', 'Two', 'Three']
+  );
+
+  assert.deepEqual(
+    templates.parseSummary(templates.getTemplate('flashcard'), '**Q:** Why?\nA: Because.'),
+    ['Q: Why?', 'A: Because.']
+  );
+
+  assert.deepEqual(
+    templates.parseSummary(templates.getTemplate('tweet'), `"${'x'.repeat(300)}"`),
+    ['x'.repeat(280)]
+  );
+
+  // Replies in an unexpected shape are kept whole
+  assert.deepEqual(templates.parseSummary(templates.getTemplate('bullets'), '  Just a sentence. '), ['Just a sentence.']);
+});
+
+test('parseTags keeps vocabulary spellings and drops the rest', () => {
+  const vocabulary = ['Health', 'Money'];
+
+  assert.deepEqual(
+    templates.parseTags('- health, money.\nsleep, Health', { vocabulary, maxTags: 5 }),
+    ['Health', 'Money']
+  );
+
+  assert.deepEqual(
+    templates.parseTags('Deep Work, focus, habits', { vocabulary: [], maxTags: 2 }),
+    ['deep work', 'focus']
+  );
+});
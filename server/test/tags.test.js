@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags, normalizeVocabulary, mergeTags } = require('../lib/tags');
+
+test('normalizeTags trims, collapses whitespace and drops case-insensitive repeats', () => {
+  assert.deepEqual(normalizeTags(['  Deep   work ', 'deep work', 'Health', '', ' ', 'HEALTH']), ['Deep work', 'Health']);
+});
+
+test('normalizeTags treats a missing list as no tags', () => {
+  assert.deepEqual(normalizeTags(undefined), []);
+  assert.deepEqual(normalizeTags(null), []);
+});
+
+test('normalizeTags rejects non-string lists', () => {
+  for (const tags of ['health', [1], [null], { 0: 'health' }]) {
+    assert.throws(() => normalizeTags(tags), /tags must be an array of strings/);
+  }
+});
+
+test('normalizeTags enforces the count and length limits after de-duplication', () => {
+  const many = Array.from({ length: MAX_TAGS }, (_, i) => `tag ${i}`);
+
+  assert.equal(normalizeTags([...many, 'TAG 0']).length, MAX_TAGS);
+  assert.throws(() => normalizeTags([...many, 'one more']), /at most 10 tags/);
+  assert.throws(() => normalizeTags(['x'.repeat(MAX_TAG_LENGTH + 1)]), /up to 50 characters/);
+});
+
+test('normalizeTags rejects commas, which Notion multi-selects can\'t hold', () => {
+  assert.throws(() => normalizeTags(['sleep, rest']), /can't contain commas/);
+});
+
+test('normalizeVocabulary validates a vocabulary from the request', () => {
+  assert.deepEqual(normalizeVocabulary(['Money', 'money', 'Health']), ['Money', 'Health']);
+  assert.throws(() => normalizeVocabulary('money'), /tagVocabulary must be an array of strings/);
+});
+
+test('normalizeVocabulary falls back to TAG_VOCABULARY', t => {
+  const saved = process.env.TAG_VOCABULARY;
+  t.after(() => {
+    if (saved === undefined) delete process.env.TAG_VOCABULARY;
+    else process.env.TAG_VOCABULARY = saved;
+  });
+
+  process.env.TAG_VOCABULARY = ` productivity, Health ,,health,${'x'.repeat(MAX_TAG_LENGTH + 1)}`;
+  assert.deepEqual(normalizeVocabulary(), ['productivity', 'Health']);
+
+  delete process.env.TAG_VOCABULARY;
+  assert.deepEqual(normalizeVocabulary(), []);
+});
+
+test('mergeTags keeps the first spelling, skips gaps and caps the total', () => {
+  assert.deepEqual(mergeTags(['Sleep'], null, ['sleep', 'Focus']), ['Sleep', 'Focus']);
+
+  const user = Array.from({ length: 8 }, (_, i) => `user ${i}`);
+  const merged = mergeTags(user, ['a', 'b', 'c']);
+  assert.equal(merged.length, MAX_TAGS);
+  assert.deepEqual(merged.slice(-2), ['a', 'b']);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCues, parseTimecode, findProbeOffset, extractSegment } = require('../lib/transcript-alignment');
+
+const VTT = `WEBVTT
+
+1
+00:00:00.000 --> 00:00:04.000
+Welcome to the show.
+
+2
+00:00:04.000 --> 00:00:09.500 align:start
+<v Host>Today we talk about sleep.
+
+3
+00:01:00.000 --> 00:01:05.000
+Much later in the episode.`;
+
+const SRT = `1
+00:00:00,000 --> 00:00:04,000
+Welcome to the show.
+
+2
+00:00:04,000 --> 00:00:09,500
+Today we talk about sleep.`;
+
+test('parseTimecode reads clock and plain-second formats', () => {
+  assert.equal(parseTimecode('01:02:03.500'), 3723.5);
+  assert.equal(parseTimecode('02:03,500'), 123.5);
+  assert.equal(parseTimecode('123.5'), 123.5);
+  assert.equal(parseTimecode(42), 42);
+  assert.ok(Number.isNaN(parseTimecode('soon')));
+});
+
+test('parseCues reads WebVTT and strips cue settings and tags', () => {
+  assert.deepEqual(parseCues(VTT), [
+    { start: 0, end: 4, text: 'Welcome to the show.' },
+    { start: 4, end: 9.5, text: 'Today we talk about sleep.' },
+    { start: 60, end: 65, text: 'Much later in the episode.' }
+  ]);
+});
+
+test('parseCues reads SRT with comma decimals', () => {
+  assert.deepEqual(parseCues(SRT), [
+    { start: 0, end: 4, text: 'Welcome to the show.' },
+    { start: 4, end: 9.5, text: 'Today we talk about sleep.' }
+  ]);
+});
+
+test('parseCues reads JSON segments in any order and field naming', () => {
+  const json = JSON.stringify({
+    segments: [
+      { start_time: '00:00:10', end_time: '00:00:12', words: [{ word: 'second' }, { word: 'cue' }] },
+      { start: 1, end: 3, text: ' first cue ' },
+      { start: 5, end: 6, text: '' }
+    ]
+  });
+
+  assert.deepEqual(parseCues(json), [
+    { start: 1, end: 3, text: 'first cue' },
+    { start: 10, end: 12, text: 'second cue' }
+  ]);
+});
+
+test('parseCues returns null for text without timing', () => {
+  assert.equal(parseCues('Just a plain transcript.'), null);
+  assert.equal(parseCues('[not json'), null);
+  assert.equal(parseCues([]), null);
+});
+
+test('extractSegment keeps the cues overlapping the capture window', async () => {
+  const segment = await extractSegment(VTT, 6, 10);
+
+  assert.deepEqual(segment, {
+    text: 'Welcome to the show. Today we talk about sleep.',
+    startSeconds: 0,
+    endSeconds: 9.5,
+    alignment: 'cues'
+  });
+  assert.equal(await extractSegment(VTT, 200, 10), null);
+});
+
+const words = Array.from({ length: 400 }, (_, i) => `word${i}`);
+
+test('findProbeOffset locates the probe in the transcript', () => {
+  const probe = words.slice(200, 215).join(' ');
+  const match = findProbeOffset(words, probe, 0);
+
+  assert.equal(match.wordIndex, 200);
+  assert.equal(match.probeWordCount, 15);
+  assert.equal(match.confidence, 1);
+});
+
+test('findProbeOffset tolerates punctuation, case and a misheard word', () => {
+  const probe = words.slice(100, 112).map(word => word.toUpperCase() + ',');
+  probe[6] = 'misheard';
+  const match = findProbeOffset(words, probe.join(' '), 0);
+
+  assert.equal(match.wordIndex, 100);
+  assert.ok(match.confidence > 0.5 && match.confidence < 1);
+});
+
+test('findProbeOffset gives up on unrelated or too-short probes', () => {
+  assert.equal(findProbeOffset(words, 'nothing like the transcript at all here', 0), null);
+  assert.equal(findProbeOffset(words, 'word1 word2', 0), null);
+});
+
+test('findProbeOffset breaks ties by distance to the estimate', () => {
+  const repeated = [...words.slice(0, 40), ...words.slice(0, 40)];
+  const probe = words.slice(0, 10).join(' ');
+
+  assert.equal(findProbeOffset(repeated, probe, 0).wordIndex, 0);
+  assert.equal(findProbeOffset(repeated, probe, 38).wordIndex, 40);
+});
+
+test('extractSegment aligns plain text with the probe', async () => {
+  // Probe at 100s matched word 248: 2.5 words per second from there
+  const text = words.join(' ');
+  const probe = async () => ({ text: words.slice(248, 273).join(' '), startSeconds: 100, durationSeconds: 10 });
+
+  const segment = await extractSegment(text, 105, 10, { probe });
+
+  assert.equal(segment.alignment, 'probe');
+  assert.equal(segment.startSeconds, 100);
+  assert.ok(segment.text.startsWith('word248 '));
+  assert.equal(segment.text.split(' ').length, 50);
+});
+
+test('a probe segment starts at the matched words, not the window', async () => {
+  // The transcript's first words were heard at 30s; the window opens at 26s
+  const text = words.join(' ');
+  const probe = async () => ({ text: words.slice(0, 25).join(' '), startSeconds: 30, durationSeconds: 10 });
+
+  const segment = await extractSegment(text, 31, 10, { probe });
+
+  assert.equal(segment.alignment, 'probe');
+  assert.ok(segment.text.startsWith('word0 '));
+  assert.equal(segment.startSeconds, 30);
+  assert.equal(segment.endSeconds, 30 + segment.text.split(' ').length / 2.5);
+});
+
+test('extractSegment falls back to the speaking-rate estimate', async () => {
+  const text = words.join(' ');
+  const probe = async () => ({ text: 'no match here at all today', startSeconds: 15, durationSeconds: 5 });
+
+  const segment = await extractSegment(text, 20, 10, { probe });
+
+  assert.equal(segment.alignment, 'estimate');
+  assert.equal(segment.startSeconds, 15);
+  assert.ok(segment.text.startsWith('word37 '));
+  assert.equal(await extractSegment(text, 10000, 10), null);
+});